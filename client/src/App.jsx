@@ -4,23 +4,50 @@ import ProblemInput from './components/ProblemInput'
 import AnalysisResult from './components/AnalysisResult'
 import Sidebar from './components/Sidebar'
 import StatusIndicator from './components/StatusIndicator'
-import { analyzeProgram } from './services/api'
+import AuthForm from './components/AuthForm'
+import ProgressPage from './components/ProgressPage'
+import ReviewPage from './components/ReviewPage'
+import StudyPlanPage from './components/StudyPlanPage'
+import MockInterviewPage from './components/MockInterviewPage'
+import { streamAnalysis, fetchCurrentUser, logout } from './services/api'
 
 function App() {
   const [problem, setProblem] = useState('')
+  const [language, setLanguage] = useState('java')
   const [result, setResult] = useState(null)
   const [loading, setLoading] = useState(false)
+  const [queuePosition, setQueuePosition] = useState(0)
   const [error, setError] = useState(null)
   const [serverStatus, setServerStatus] = useState('checking')
   const [history, setHistory] = useState([])
   const [sidebarOpen, setSidebarOpen] = useState(true)
+  const [user, setUser] = useState(null)
+  const [authRequired, setAuthRequired] = useState(false)
+  const [view, setView] = useState('practice')
 
-  // Check server health on mount
+  // Check server health and the signed-in user on mount
   useEffect(() => {
     checkServerHealth()
+    checkAuth()
     loadHistory()
   }, [])
 
+  const checkAuth = async () => {
+    try {
+      const auth = await fetchCurrentUser()
+      setUser(auth.user)
+      setAuthRequired(auth.authRequired)
+    } catch {
+      console.error('Failed to check authentication')
+    }
+  }
+
+  const handleLogout = () => {
+    logout()
+    setUser(null)
+    setResult(null)
+  }
+
   const checkServerHealth = async () => {
     try {
       const res = await fetch('/health')
@@ -65,14 +92,31 @@ function App() {
     }
 
     setLoading(true)
+    setQueuePosition(0)
     setError(null)
     setResult(null)
 
     try {
-      const data = await analyzeProgram(problem)
+      // Render each section as soon as the server finishes generating it
+      const data = await streamAnalysis(problem, {
+        onQueue: setQueuePosition,
+        onSources: (sources) => {
+          setResult((prev) => ({ ...prev, sources }))
+        },
+        onSection: (field, value) => {
+          setResult((prev) => ({
+            ...prev,
+            structured_response: { ...prev?.structured_response, [field]: value },
+          }))
+        },
+      }, { language })
       setResult(data)
       saveToHistory(problem, data)
     } catch (err) {
+      if (err.status === 401) {
+        handleLogout()
+        return
+      }
       setError(err.message || 'Failed to analyze problem. Please try again.')
     } finally {
       setLoading(false)
@@ -83,6 +127,7 @@ function App() {
     setProblem(entry.problem)
     setResult(entry.result)
     setError(null)
+    setView('practice')
   }
 
   const handleClearHistory = () => {
@@ -90,6 +135,10 @@ function App() {
     localStorage.removeItem('codementor-history')
   }
 
+  if (authRequired && !user) {
+    return <AuthForm onAuthenticated={setUser} />
+  }
+
   return (
     <div className="min-h-screen bg-dark-bg flex">
       {/* Sidebar */}
@@ -103,56 +152,75 @@ function App() {
 
       {/* Main Content */}
       <div className={`flex-1 transition-all duration-300 ${sidebarOpen ? 'ml-72' : 'ml-0'}`}>
-        <Header onToggleSidebar={() => setSidebarOpen(!sidebarOpen)} />
+        <Header
+          onToggleSidebar={() => setSidebarOpen(!sidebarOpen)}
+          view={view}
+          onViewChange={setView}
+          user={user}
+          onLogout={handleLogout}
+        />
         
         <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
           {/* Status Indicator */}
           <StatusIndicator status={serverStatus} onRefresh={checkServerHealth} />
 
-          {/* Problem Input */}
-          <ProblemInput
-            value={problem}
-            onChange={setProblem}
-            onSubmit={handleSubmit}
-            loading={loading}
-            disabled={serverStatus !== 'healthy'}
-          />
-
-          {/* Error Message */}
-          {error && (
-            <div className="mt-6 p-4 bg-red-500/10 border border-red-500/30 rounded-lg animate-fade-in">
-              <p className="text-red-400 flex items-center gap-2">
-                <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                </svg>
-                {error}
-              </p>
-            </div>
-          )}
-
-          {/* Loading State */}
-          {loading && (
-            <div className="mt-8 animate-fade-in">
-              <div className="bg-dark-card border border-dark-border rounded-xl p-8">
-                <div className="flex flex-col items-center justify-center space-y-4">
-                  <div className="relative">
-                    <div className="w-16 h-16 border-4 border-primary-500/20 rounded-full"></div>
-                    <div className="absolute top-0 left-0 w-16 h-16 border-4 border-primary-500 border-t-transparent rounded-full animate-spin"></div>
-                  </div>
-                  <p className="text-slate-300 text-lg">
-                    Analyzing your problem<span className="loading-dots"></span>
-                  </p>
-                  <p className="text-slate-500 text-sm">
-                    This may take 30-60 seconds for complex problems
+          {view === 'progress' && <ProgressPage />}
+          {view === 'plan' && <StudyPlanPage />}
+          {view === 'mock' && <MockInterviewPage />}
+          {view === 'reviews' && <ReviewPage />}
+          {view === 'practice' && (
+            <>
+              {/* Problem Input */}
+              <ProblemInput
+                value={problem}
+                onChange={setProblem}
+                language={language}
+                onLanguageChange={setLanguage}
+                onSubmit={handleSubmit}
+                loading={loading}
+                disabled={serverStatus !== 'healthy'}
+              />
+
+              {/* Error Message */}
+              {error && (
+                <div className="mt-6 p-4 bg-red-500/10 border border-red-500/30 rounded-lg animate-fade-in">
+                  <p className="text-red-400 flex items-center gap-2">
+                    <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                    {error}
                   </p>
                 </div>
-              </div>
-            </div>
-          )}
+              )}
+
+              {/* Loading State */}
+              {loading && !result?.structured_response && (
+                <div className="mt-8 animate-fade-in">
+                  <div className="bg-dark-card border border-dark-border rounded-xl p-8">
+                    <div className="flex flex-col items-center justify-center space-y-4">
+                      <div className="relative">
+                        <div className="w-16 h-16 border-4 border-primary-500/20 rounded-full"></div>
+                        <div className="absolute top-0 left-0 w-16 h-16 border-4 border-primary-500 border-t-transparent rounded-full animate-spin"></div>
+                      </div>
+                      <p className="text-slate-300 text-lg">
+                        {queuePosition > 0 ? 'Waiting for the model' : 'Analyzing your problem'}
+                        <span className="loading-dots"></span>
+                      </p>
+                      <p className="text-slate-500 text-sm">
+                        {queuePosition > 0
+                          ? `Position ${queuePosition} in the queue`
+                          : 'This may take 30-60 seconds for complex problems'}
+                      </p>
+                    </div>
+                  </div>
+                </div>
+              )}
 
-          {/* Results */}
-          {result && !loading && (
-            <AnalysisResult result={result} />
+              {/* Results */}
+              {result && (!loading || result.structured_response) && (
+                <AnalysisResult result={result} streaming={loading} />
+              )}
+            </>
           )}
         </main>
 
@@ -18,6 +18,14 @@ import {
 } from 'lucide-react'
 import CodeBlock from './CodeBlock'
 
+const LANGUAGE_LABELS = {
+  java: 'Java',
+  python: 'Python',
+  cpp: 'C++',
+  javascript: 'JavaScript',
+  go: 'Go',
+}
+
 function Section({ icon: Icon, title, children, defaultOpen = true, color = 'primary' }) {
   const [isOpen, setIsOpen] = useState(defaultOpen)
   
@@ -61,7 +69,7 @@ function Section({ icon: Icon, title, children, defaultOpen = true, color = 'pri
   )
 }
 
-function AnalysisResult({ result }) {
+function AnalysisResult({ result, streaming = false }) {
   const [copied, setCopied] = useState(false)
   
   const response = result?.structured_response || result?.answer || {}
@@ -83,9 +91,14 @@ function AnalysisResult({ result }) {
     setTimeout(() => setCopied(false), 2000)
   }
 
+  // Older responses only carry java_code
+  const code = displayData.code?.source
+    ? displayData.code
+    : displayData.java_code && { language: 'java', source: displayData.java_code }
+
   // Check if we have any content to display
   const hasContent = displayData.understanding || displayData.brute_force || 
-    displayData.optimized || displayData.java_code || displayData.raw
+    displayData.optimized || code || displayData.raw
 
   if (!hasContent) {
     return (
@@ -104,9 +117,16 @@ function AnalysisResult({ result }) {
             <Zap className="w-6 h-6 text-accent-400" />
             Analysis Result
           </h2>
+          {streaming && (
+            <p className="text-xs text-slate-500 mt-1">
+              Generating<span className="loading-dots"></span>
+            </p>
+          )}
           {metadata.duration_ms && (
             <p className="text-xs text-slate-500 mt-1">
-              Generated in {(metadata.duration_ms / 1000).toFixed(1)}s using {metadata.model}
+              {metadata.cached
+                ? `Cached answer from ${new Date(metadata.cached_at).toLocaleString()} (${metadata.model})`
+                : `Generated in ${(metadata.duration_ms / 1000).toFixed(1)}s using ${metadata.model}`}
             </p>
           )}
         </div>
@@ -161,10 +181,10 @@ function AnalysisResult({ result }) {
         </Section>
       )}
 
-      {/* Java Code Section */}
-      {displayData.java_code && (
-        <Section icon={Code} title="Java Solution" color="accent" defaultOpen={true}>
-          <CodeBlock code={displayData.java_code} language="java" />
+      {/* Code Section */}
+      {code && (
+        <Section icon={Code} title={`${LANGUAGE_LABELS[code.language] || code.language} Solution`} color="accent" defaultOpen={true}>
+          <CodeBlock code={code.source} language={code.language} />
         </Section>
       )}
 
@@ -0,0 +1,95 @@
+import { useState } from 'react'
+import { Code2, LogIn, UserPlus } from 'lucide-react'
+import { login, register } from '../services/api'
+
+function AuthForm({ onAuthenticated }) {
+  const [mode, setMode] = useState('login')
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  const isLogin = mode === 'login'
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    setError(null)
+
+    try {
+      const user = isLogin
+        ? await login(username, password)
+        : await register(username, password)
+      onAuthenticated(user)
+    } catch (err) {
+      setError(err.message || 'Authentication failed')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-dark-bg flex items-center justify-center px-4">
+      <div className="w-full max-w-sm bg-dark-card border border-dark-border rounded-xl shadow-lg p-6 animate-fade-in">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="w-10 h-10 bg-gradient-to-br from-primary-500 to-accent-500 rounded-xl flex items-center justify-center">
+            <Code2 className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-xl font-bold bg-gradient-to-r from-primary-400 to-accent-400 bg-clip-text text-transparent">
+              CodeMentor LLM
+            </h1>
+            <p className="text-xs text-slate-500">{isLogin ? 'Sign in to continue' : 'Create an account'}</p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            placeholder="Username"
+            autoComplete="username"
+            className="w-full bg-dark-bg border border-dark-border rounded-lg px-4 py-2.5 text-slate-200 placeholder-slate-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-colors"
+            required
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoComplete={isLogin ? 'current-password' : 'new-password'}
+            minLength={isLogin ? undefined : 8}
+            className="w-full bg-dark-bg border border-dark-border rounded-lg px-4 py-2.5 text-slate-200 placeholder-slate-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-colors"
+            required
+          />
+
+          {error && (
+            <p className="text-sm text-red-400">{error}</p>
+          )}
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full flex items-center justify-center gap-2 px-6 py-2.5 bg-gradient-to-r from-primary-500 to-accent-500 text-white font-medium rounded-lg hover:from-primary-600 hover:to-accent-600 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+          >
+            {isLogin ? <LogIn className="w-4 h-4" /> : <UserPlus className="w-4 h-4" />}
+            {isLogin ? 'Sign In' : 'Create Account'}
+          </button>
+        </form>
+
+        <button
+          onClick={() => {
+            setMode(isLogin ? 'register' : 'login')
+            setError(null)
+          }}
+          className="w-full mt-4 text-sm text-slate-400 hover:text-white transition-colors"
+        >
+          {isLogin ? 'No account? Register' : 'Already have an account? Sign in'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default AuthForm
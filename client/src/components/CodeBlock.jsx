@@ -3,7 +3,7 @@ import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter'
 import { oneDark } from 'react-syntax-highlighter/dist/esm/styles/prism'
 import { Copy, Check } from 'lucide-react'
 
-function CodeBlock({ code, language = 'python' }) {
+function CodeBlock({ code, language }) {
   const [copied, setCopied] = useState(false)
 
   const handleCopy = () => {
@@ -21,10 +21,10 @@ function CodeBlock({ code, language = 'python' }) {
     if (code.includes('function ') || code.includes('const ') || code.includes('=>')) return 'javascript'
     if (code.includes('public class') || code.includes('System.out')) return 'java'
     if (code.includes('#include') || code.includes('int main')) return 'cpp'
-    return language
+    return 'python'
   }
 
-  const detectedLang = detectLanguage(cleanCode)
+  const detectedLang = language || detectLanguage(cleanCode)
 
   return (
     <div className="relative group rounded-lg overflow-hidden">
@@ -1,6 +1,14 @@
-import { Menu, Code2, Sparkles } from 'lucide-react'
+import { Menu, Code2, Sparkles, LogOut, BookOpen, BarChart3, CalendarCheck, ListChecks, Timer } from 'lucide-react'
 
-function Header({ onToggleSidebar }) {
+const VIEWS = [
+  { id: 'practice', label: 'Practice', icon: BookOpen },
+  { id: 'plan', label: 'Study Plan', icon: ListChecks },
+  { id: 'mock', label: 'Mock Interview', icon: Timer },
+  { id: 'reviews', label: 'Reviews', icon: CalendarCheck },
+  { id: 'progress', label: 'Progress', icon: BarChart3 },
+]
+
+function Header({ onToggleSidebar, view, onViewChange, user, onLogout }) {
   return (
     <header className="sticky top-0 z-40 bg-dark-bg/80 backdrop-blur-xl border-b border-dark-border">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -28,10 +36,39 @@ function Header({ onToggleSidebar }) {
           </div>
 
           <div className="flex items-center gap-4">
+            <nav className="flex items-center gap-1">
+              {VIEWS.map(({ id, label, icon: Icon }) => (
+                <button
+                  key={id}
+                  onClick={() => onViewChange(id)}
+                  className={`flex items-center gap-2 px-3 py-1.5 text-sm rounded-lg transition-colors ${
+                    view === id ? 'text-white bg-dark-card' : 'text-slate-400 hover:text-white'
+                  }`}
+                >
+                  <Icon className="w-4 h-4" />
+                  {label}
+                </button>
+              ))}
+            </nav>
+
             <div className="hidden sm:flex items-center gap-2 px-3 py-1.5 bg-dark-card rounded-full border border-dark-border">
               <Sparkles className="w-4 h-4 text-accent-400" />
               <span className="text-sm text-slate-400">Powered by RAG + Ollama</span>
             </div>
+
+            {user && (
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-slate-300">{user.username}</span>
+                <button
+                  onClick={onLogout}
+                  className="p-2 text-slate-400 hover:text-white hover:bg-dark-card rounded-lg transition-colors"
+                  aria-label="Sign out"
+                  title="Sign out"
+                >
+                  <LogOut className="w-4 h-4" />
+                </button>
+              </div>
+            )}
           </div>
         </div>
       </div>
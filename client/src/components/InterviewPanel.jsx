@@ -0,0 +1,224 @@
+import { useState, useEffect, useRef } from 'react'
+import { ArrowLeft, Send, Eye, Play, MessageSquare, User } from 'lucide-react'
+import AnalysisResult from './AnalysisResult'
+import {
+  startInterview,
+  respondToInterview,
+  revealInterviewSolution,
+  endInterview,
+  evaluateSolution
+} from '../services/api'
+
+const PHASE_LABELS = {
+  understanding: 'Understanding',
+  approach: 'Approach',
+  optimization: 'Optimization',
+  reveal: 'Ready to reveal',
+}
+
+/**
+ * Interview-mode session on one problem bank entry, followed by an evaluated solution.
+ * problem: { id, title, problem }
+ */
+function InterviewPanel({ problem, onClose, onEvaluated }) {
+  const [sessionId, setSessionId] = useState(null)
+  const [messages, setMessages] = useState([])
+  const [phase, setPhase] = useState(null)
+  const [remaining, setRemaining] = useState(null)
+  const [answer, setAnswer] = useState('')
+  const [code, setCode] = useState('')
+  const [solution, setSolution] = useState(null)
+  const [evaluation, setEvaluation] = useState(null)
+  const [busy, setBusy] = useState(null)
+  const [error, setError] = useState(null)
+  const startedRef = useRef(false)
+  const sessionRef = useRef(null)
+
+  useEffect(() => {
+    // Effects run twice in development; open the session only once
+    if (!startedRef.current) {
+      startedRef.current = true
+      run('start', async () => {
+        const data = await startInterview(problem.problem)
+        sessionRef.current = data.sessionId
+        setSessionId(data.sessionId)
+        setPhase(data.phase)
+        setRemaining(data.interactionsRemaining)
+        setMessages([{ role: 'interviewer', content: data.structured_response?.guidance || '' }])
+      })
+    }
+
+    return () => {
+      if (sessionRef.current) {
+        endInterview(sessionRef.current).catch(() => {})
+      }
+    }
+  }, [])
+
+  const run = async (action, task) => {
+    setBusy(action)
+    setError(null)
+    try {
+      await task()
+    } catch (err) {
+      setError(err.message || 'Request failed')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleRespond = () => run('respond', async () => {
+    const message = answer.trim()
+    const data = await respondToInterview(sessionId, message)
+    setMessages((prev) => [
+      ...prev,
+      { role: 'candidate', content: message },
+      { role: 'interviewer', content: data.structured_response.guidance },
+    ])
+    setPhase(data.phase)
+    setRemaining(data.interactionsRemaining)
+    setAnswer('')
+  })
+
+  const handleReveal = () => run('reveal', async () => {
+    setSolution(await revealInterviewSolution(sessionId))
+    setPhase('reveal')
+  })
+
+  const handleEvaluate = () => run('evaluate', async () => {
+    const data = await evaluateSolution(problem.problem, code, { problemId: problem.id })
+    setEvaluation(data)
+    onEvaluated?.(data)
+  })
+
+  const canRespond = sessionId && phase !== 'reveal' && answer.trim() && !busy
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex items-center gap-3">
+        <button
+          onClick={onClose}
+          className="p-2 text-slate-400 hover:text-white hover:bg-dark-card rounded-lg transition-colors"
+          aria-label="Back"
+        >
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <div className="flex-1 min-w-0">
+          <h2 className="text-xl font-bold text-slate-200 truncate">{problem.title}</h2>
+          {phase && (
+            <p className="text-xs text-slate-500">
+              Phase: {PHASE_LABELS[phase] || phase}
+              {remaining !== null && phase !== 'reveal' && ` · ${remaining} answer${remaining === 1 ? '' : 's'} left`}
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-dark-card border border-dark-border rounded-xl p-4">
+        <p className="text-sm text-slate-300 whitespace-pre-wrap">{problem.problem}</p>
+      </div>
+
+      <div className="space-y-3">
+        {messages.map((message, i) => (
+          <div key={i} className={`flex gap-3 ${message.role === 'candidate' ? 'flex-row-reverse' : ''}`}>
+            <div className="p-2 h-fit rounded-lg bg-dark-card border border-dark-border">
+              {message.role === 'candidate'
+                ? <User className="w-4 h-4 text-accent-400" />
+                : <MessageSquare className="w-4 h-4 text-primary-400" />}
+            </div>
+            <div
+              className={`max-w-[80%] p-3 rounded-xl text-sm whitespace-pre-wrap ${
+                message.role === 'candidate'
+                  ? 'bg-primary-500/10 border border-primary-500/30 text-slate-200'
+                  : 'bg-dark-card border border-dark-border text-slate-300'
+              }`}
+            >
+              {message.content}
+            </div>
+          </div>
+        ))}
+        {busy === 'start' && (
+          <p className="text-sm text-slate-500">Starting the interview<span className="loading-dots"></span></p>
+        )}
+      </div>
+
+      {sessionId && !solution && (
+        <div className="bg-dark-card border border-dark-border rounded-xl p-4 space-y-3">
+          {phase !== 'reveal' && (
+            <textarea
+              value={answer}
+              onChange={(e) => setAnswer(e.target.value)}
+              placeholder="Explain your thinking to the interviewer..."
+              rows={4}
+              className="w-full p-3 bg-dark-bg border border-dark-border rounded-lg text-slate-200 text-sm focus:outline-none focus:border-primary-500"
+            />
+          )}
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={handleReveal}
+              disabled={Boolean(busy)}
+              className="flex items-center gap-2 px-3 py-2 text-sm text-slate-300 border border-dark-border rounded-lg hover:border-primary-500/50 disabled:opacity-50 transition-colors"
+            >
+              <Eye className="w-4 h-4" />
+              {busy === 'reveal' ? 'Revealing...' : 'Reveal solution'}
+            </button>
+            {phase !== 'reveal' && (
+              <button
+                onClick={handleRespond}
+                disabled={!canRespond}
+                className="flex items-center gap-2 px-3 py-2 text-sm text-white bg-primary-600 rounded-lg hover:bg-primary-500 disabled:opacity-50 transition-colors"
+              >
+                <Send className="w-4 h-4" />
+                {busy === 'respond' ? 'Sending...' : 'Answer'}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {solution && <AnalysisResult result={solution} />}
+
+      {sessionId && (
+        <div className="bg-dark-card border border-dark-border rounded-xl p-4 space-y-3">
+          <h3 className="text-lg font-semibold text-slate-200">Your solution</h3>
+          <p className="text-xs text-slate-500">The score of your first submission today schedules the next review.</p>
+          <textarea
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Paste your Java solution..."
+            rows={10}
+            className="w-full p-3 bg-dark-bg border border-dark-border rounded-lg text-slate-200 text-sm font-mono focus:outline-none focus:border-primary-500"
+          />
+          <div className="flex items-center justify-between gap-3">
+            {evaluation ? (
+              <p className="text-sm text-slate-300">
+                Score <span className="font-semibold text-white">{evaluation.score}/{evaluation.maxScore}</span> · {evaluation.grade}
+              </p>
+            ) : <span />}
+            <button
+              onClick={handleEvaluate}
+              disabled={code.trim().length < 10 || Boolean(busy)}
+              className="flex items-center gap-2 px-3 py-2 text-sm text-white bg-primary-600 rounded-lg hover:bg-primary-500 disabled:opacity-50 transition-colors"
+            >
+              <Play className="w-4 h-4" />
+              {busy === 'evaluate' ? 'Evaluating...' : 'Evaluate'}
+            </button>
+          </div>
+          {evaluation?.suggestions?.length > 0 && (
+            <ul className="list-disc list-inside text-sm text-slate-400 space-y-1">
+              {evaluation.suggestions.map((suggestion, i) => <li key={i}>{suggestion}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-500/10 border border-red-500/30 rounded-lg">
+          <p className="text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default InterviewPanel
@@ -0,0 +1,511 @@
+import { useState, useEffect, useRef } from 'react'
+import {
+  Timer,
+  Play,
+  Send,
+  Square,
+  RefreshCcw,
+  CheckCircle,
+  XCircle,
+  Clock,
+  SkipForward,
+  ThumbsUp,
+  AlertTriangle
+} from 'lucide-react'
+import {
+  startMockInterview,
+  fetchMockInterviews,
+  fetchMockInterview,
+  answerMockInterview,
+  finishMockInterview
+} from '../services/api'
+
+const LANGUAGES = [
+  { value: 'java', label: 'Java' },
+  { value: 'python', label: 'Python' },
+  { value: 'cpp', label: 'C++' },
+  { value: 'javascript', label: 'JavaScript' },
+  { value: 'go', label: 'Go' },
+]
+
+const DIFFICULTY_STYLES = {
+  Easy: 'text-green-400 bg-green-500/10 border-green-500/30',
+  Medium: 'text-yellow-400 bg-yellow-500/10 border-yellow-500/30',
+  Hard: 'text-red-400 bg-red-500/10 border-red-500/30',
+}
+
+const RECOMMENDATIONS = {
+  strong_hire: { label: 'Strong hire', style: 'text-green-400 bg-green-500/10 border-green-500/30' },
+  hire: { label: 'Hire', style: 'text-primary-400 bg-primary-500/10 border-primary-500/30' },
+  lean_no_hire: { label: 'Lean no hire', style: 'text-yellow-400 bg-yellow-500/10 border-yellow-500/30' },
+  no_hire: { label: 'No hire', style: 'text-red-400 bg-red-500/10 border-red-500/30' },
+}
+
+const DIMENSIONS = [
+  { id: 'problemSolving', label: 'Problem solving' },
+  { id: 'communication', label: 'Communication' },
+  { id: 'codeQuality', label: 'Code quality' },
+  { id: 'complexityReasoning', label: 'Complexity reasoning' },
+]
+
+const QUESTION_STATUS = {
+  answered: { icon: CheckCircle, color: 'text-green-400', label: 'Answered' },
+  timed_out: { icon: Clock, color: 'text-red-400', label: 'Timed out' },
+  skipped: { icon: SkipForward, color: 'text-slate-500', label: 'Skipped' },
+}
+
+// The server accepts answers for a few seconds after the deadline and times the question out after that
+const EXPIRY_RECHECK_MS = 16000
+
+function formatClock(seconds) {
+  const minutes = Math.floor(seconds / 60)
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+/**
+ * Seconds left until `deadline`, corrected for the difference between the browser and server clocks
+ */
+function useCountdown(deadline, serverTime) {
+  const offset = useRef(0)
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    offset.current = serverTime ? Date.parse(serverTime) - Date.now() : 0
+    setNow(Date.now())
+  }, [serverTime])
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  return deadline ? Math.max(0, Math.round((Date.parse(deadline) - now - offset.current) / 1000)) : 0
+}
+
+function SetupForm({ onStart, busy }) {
+  const [difficulty, setDifficulty] = useState('')
+  const [company, setCompany] = useState('')
+  const [questions, setQuestions] = useState(2)
+  const [minutes, setMinutes] = useState(30)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onStart({
+      questions: Number(questions),
+      minutesPerQuestion: Number(minutes),
+      ...(difficulty && { difficulty }),
+      ...(company.trim() && { company: company.trim() }),
+    })
+  }
+
+  const inputClass = 'w-full px-3 py-2 bg-dark-bg border border-dark-border rounded-lg text-slate-200 text-sm focus:outline-none focus:border-primary-500'
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-dark-card border border-dark-border rounded-xl p-4 space-y-4">
+      <div className="grid sm:grid-cols-4 gap-4">
+        <label className="text-sm text-slate-400 space-y-1">
+          <span>Difficulty</span>
+          <select value={difficulty} onChange={(e) => setDifficulty(e.target.value)} className={inputClass}>
+            <option value="">Easy to hard</option>
+            <option value="Easy">Easy</option>
+            <option value="Medium">Medium</option>
+            <option value="Hard">Hard</option>
+          </select>
+        </label>
+        <label className="text-sm text-slate-400 space-y-1">
+          <span>Company (optional)</span>
+          <input type="text" value={company} onChange={(e) => setCompany(e.target.value)} placeholder="e.g. Google" className={inputClass} />
+        </label>
+        <label className="text-sm text-slate-400 space-y-1">
+          <span>Questions</span>
+          <select value={questions} onChange={(e) => setQuestions(e.target.value)} className={inputClass}>
+            <option value={2}>2</option>
+            <option value={3}>3</option>
+          </select>
+        </label>
+        <label className="text-sm text-slate-400 space-y-1">
+          <span>Minutes per question</span>
+          <input type="number" min={5} max={90} value={minutes} onChange={(e) => setMinutes(e.target.value)} className={inputClass} />
+        </label>
+      </div>
+
+      <div className="flex items-center justify-between gap-4">
+        <p className="text-xs text-slate-500">
+          The clock starts as soon as the interview does. Explain your approach, then write the code.
+        </p>
+        <button
+          type="submit"
+          disabled={busy}
+          className="flex items-center gap-2 px-3 py-2 text-sm text-white bg-primary-600 rounded-lg hover:bg-primary-500 disabled:opacity-50 transition-colors flex-shrink-0"
+        >
+          <Play className="w-4 h-4" />
+          {busy ? 'Starting...' : 'Start interview'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+function ActiveQuestion({ interview, onAnswer, onFinish, onExpire, busy }) {
+  const { current } = interview
+  const [explanation, setExplanation] = useState('')
+  const [code, setCode] = useState('')
+  const [language, setLanguage] = useState('java')
+  const remaining = useCountdown(current.deadline, interview.serverTime)
+  const expired = useRef(false)
+
+  const hasAnswer = Boolean(explanation.trim() || code.trim())
+  const submit = () => onAnswer({
+    ...(explanation.trim() && { explanation }),
+    ...(code.trim() && { code, language }),
+  })
+
+  // Hand in whatever is written when the clock runs out; with nothing written, wait for the server to move on
+  useEffect(() => {
+    if (remaining > 0 || expired.current || busy) {
+      return undefined
+    }
+
+    expired.current = true
+    if (hasAnswer) {
+      submit()
+      return undefined
+    }
+    const timer = setTimeout(onExpire, EXPIRY_RECHECK_MS)
+    return () => clearTimeout(timer)
+  }, [remaining, busy])
+
+  const textareaClass = 'w-full bg-dark-bg border border-dark-border rounded-lg p-3 text-sm text-slate-200 placeholder-slate-500 focus:border-primary-500 focus:outline-none resize-y custom-scrollbar'
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-dark-card border border-dark-border rounded-xl p-4 space-y-3">
+        <div className="flex items-center justify-between gap-4">
+          <div className="flex items-center gap-2 flex-wrap">
+            <span className="text-xs text-slate-500">
+              Question {current.index + 1} of {interview.questions.length}
+            </span>
+            <h3 className="text-base font-semibold text-slate-200">{current.title}</h3>
+            <span className={`text-xs px-1.5 py-0.5 rounded border ${DIFFICULTY_STYLES[current.difficulty] || DIFFICULTY_STYLES.Medium}`}>
+              {current.difficulty}
+            </span>
+          </div>
+          <span
+            className={`flex items-center gap-1.5 font-mono text-lg ${remaining <= 60 ? 'text-red-400' : 'text-slate-200'}`}
+            title="Time left for this question"
+          >
+            <Timer className="w-5 h-5" />
+            {formatClock(remaining)}
+          </span>
+        </div>
+        <p className="text-sm text-slate-300 whitespace-pre-wrap">{current.problem}</p>
+      </div>
+
+      <div className="bg-dark-card border border-dark-border rounded-xl p-4 space-y-3">
+        <label className="block text-sm text-slate-400 space-y-1">
+          <span>Your approach</span>
+          <textarea
+            value={explanation}
+            onChange={(e) => setExplanation(e.target.value)}
+            placeholder="Clarify the input, describe the idea and the steps, walk through an example and state the time and space complexity..."
+            className={`${textareaClass} h-28`}
+            disabled={busy}
+          />
+        </label>
+        <label className="block text-sm text-slate-400 space-y-1">
+          <span className="flex items-center justify-between">
+            Your code
+            <select
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              disabled={busy}
+              className="px-2 py-1 text-xs bg-dark-bg border border-dark-border rounded-lg text-slate-300 focus:border-primary-500 focus:outline-none"
+            >
+              {LANGUAGES.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </span>
+          <textarea
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            spellCheck={false}
+            className={`${textareaClass} h-64 font-mono`}
+            disabled={busy}
+          />
+        </label>
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onFinish}
+            disabled={Boolean(busy)}
+            className="flex items-center gap-2 px-3 py-2 text-sm text-slate-300 border border-dark-border rounded-lg hover:border-red-500/50 disabled:opacity-50 transition-colors"
+          >
+            <Square className="w-4 h-4" />
+            End interview
+          </button>
+          <button
+            onClick={submit}
+            disabled={Boolean(busy) || !hasAnswer}
+            className="flex items-center gap-2 px-3 py-2 text-sm text-white bg-primary-600 rounded-lg hover:bg-primary-500 disabled:opacity-50 transition-colors"
+          >
+            <Send className="w-4 h-4" />
+            {busy === 'answer' ? 'Evaluating...' : 'Submit answer'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function Report({ report }) {
+  const recommendation = RECOMMENDATIONS[report.recommendation] || RECOMMENDATIONS.no_hire
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-dark-card border border-dark-border rounded-xl p-4 space-y-4">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <p className="text-sm text-slate-400">{report.summary}</p>
+            <p className="text-xs text-slate-500 mt-1">Overall {report.overallScore}/100</p>
+          </div>
+          <span className={`px-3 py-1 text-sm font-semibold rounded-lg border ${recommendation.style}`}>
+            {recommendation.label}
+          </span>
+        </div>
+
+        <div className="grid sm:grid-cols-2 gap-3">
+          {DIMENSIONS.map(({ id, label }) => (
+            <div key={id}>
+              <div className="flex items-center justify-between text-xs mb-1">
+                <span className="text-slate-300">{label}</span>
+                <span className="text-slate-500">{report.dimensions[id].score}/100 · rating {report.dimensions[id].rating}/4</span>
+              </div>
+              <div className="h-2 bg-dark-bg rounded-full overflow-hidden">
+                <div className="h-full bg-primary-500 transition-all" style={{ width: `${report.dimensions[id].score}%` }} />
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {(report.strengths.length > 0 || report.concerns.length > 0) && (
+          <div className="grid sm:grid-cols-2 gap-4 text-xs">
+            <ul className="space-y-1">
+              {report.strengths.map((strength) => (
+                <li key={strength} className="flex items-start gap-1.5 text-green-400">
+                  <ThumbsUp className="w-3.5 h-3.5 flex-shrink-0 mt-0.5" />
+                  {strength}
+                </li>
+              ))}
+            </ul>
+            <ul className="space-y-1">
+              {report.concerns.map((concern) => (
+                <li key={concern} className="flex items-start gap-1.5 text-yellow-400">
+                  <AlertTriangle className="w-3.5 h-3.5 flex-shrink-0 mt-0.5" />
+                  {concern}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-dark-card border border-dark-border rounded-xl divide-y divide-dark-border">
+        {report.questions.map((question, i) => {
+          const status = QUESTION_STATUS[question.status] || { icon: XCircle, color: 'text-slate-500', label: question.status }
+          const StatusIcon = status.icon
+
+          return (
+            <div key={`${question.problemId}-${i}`} className="p-4 space-y-1">
+              <div className="flex items-center justify-between gap-3">
+                <div className="flex items-center gap-2 flex-wrap">
+                  <span title={status.label}>
+                    <StatusIcon className={`w-4 h-4 ${status.color}`} />
+                  </span>
+                  <span className="text-sm text-slate-200">{question.title}</span>
+                  <span className={`text-xs px-1.5 py-0.5 rounded border ${DIFFICULTY_STYLES[question.difficulty] || DIFFICULTY_STYLES.Medium}`}>
+                    {question.difficulty}
+                  </span>
+                </div>
+                <span className="text-xs text-slate-500 flex-shrink-0">
+                  {formatClock(question.timeUsedSeconds)} of {formatClock(question.timeLimitSeconds)}
+                  {question.score !== null && ` · ${question.score}/${question.maxScore}`}
+                  {question.tests && ` · ${question.tests.passed}/${question.tests.total} tests`}
+                </span>
+              </div>
+              <p className="text-xs text-slate-500">
+                {DIMENSIONS.map(({ id, label }) => `${label} ${question.scores[id]}`).join(' · ')}
+              </p>
+              {question.syntaxErrors > 0 && (
+                <p className="text-xs text-red-400">Code had {question.syntaxErrors} syntax error{question.syntaxErrors === 1 ? '' : 's'}</p>
+              )}
+              {question.claimedComplexity && (
+                <p className="text-xs text-slate-500">
+                  Stated {question.claimedComplexity}{question.actualComplexity && `, expected ${question.actualComplexity}`}
+                </p>
+              )}
+              {question.suggestions.length > 0 && (
+                <ul className="list-disc list-inside text-xs text-slate-400">
+                  {question.suggestions.map((suggestion) => (
+                    <li key={suggestion}>{suggestion}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+function MockInterviewPage() {
+  const [interview, setInterview] = useState(null)
+  const [history, setHistory] = useState([])
+  const [busy, setBusy] = useState('load')
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    run('load', async () => {
+      const { interviews } = await fetchMockInterviews()
+      setHistory(interviews)
+      const current = interviews.find((i) => i.status === 'in_progress')
+      if (current) {
+        setInterview((await fetchMockInterview(current.id)).interview)
+      }
+    })
+  }, [])
+
+  const run = async (action, task) => {
+    setBusy(action)
+    setError(null)
+    try {
+      await task()
+    } catch (err) {
+      setError(err.message || 'Request failed')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const refreshHistory = async () => {
+    setHistory((await fetchMockInterviews()).interviews)
+  }
+
+  const handleStart = (settings) => run('start', async () => {
+    setInterview((await startMockInterview(settings)).interview)
+    await refreshHistory()
+  })
+
+  const reload = (id = interview.id) => run('load', async () => {
+    setInterview((await fetchMockInterview(id)).interview)
+    await refreshHistory()
+  })
+
+  const handleAnswer = (answer) => run('answer', async () => {
+    try {
+      setInterview((await answerMockInterview(interview.id, answer)).interview)
+    } catch (err) {
+      // Too late for this question - show where the interview is now
+      if (err.status === 409) {
+        setInterview((await fetchMockInterview(interview.id)).interview)
+      }
+      throw err
+    }
+    await refreshHistory()
+  })
+
+  const handleFinish = () => run('finish', async () => {
+    setInterview((await finishMockInterview(interview.id)).interview)
+    await refreshHistory()
+  })
+
+  if (busy === 'load' && !interview && history.length === 0) {
+    return <p className="text-slate-400 text-center py-12">Loading mock interviews<span className="loading-dots"></span></p>
+  }
+
+  const inProgress = interview?.status === 'in_progress'
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-bold text-slate-200 flex items-center gap-2">
+          <Timer className="w-6 h-6 text-primary-400" />
+          Mock Interview
+        </h2>
+        {interview && (
+          <div className="flex gap-2">
+            <button
+              onClick={() => reload()}
+              className="p-2 text-slate-400 hover:text-white hover:bg-dark-card rounded-lg transition-colors"
+              title="Refresh"
+            >
+              <RefreshCcw className={`w-4 h-4 ${busy === 'load' ? 'animate-spin' : ''}`} />
+            </button>
+            {!inProgress && (
+              <button
+                onClick={() => setInterview(null)}
+                className="flex items-center gap-2 px-3 py-2 text-sm text-white bg-primary-600 rounded-lg hover:bg-primary-500 transition-colors"
+              >
+                <Play className="w-4 h-4" />
+                New interview
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-500/10 border border-red-500/30 rounded-lg">
+          <p className="text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+
+      {!interview && <SetupForm onStart={handleStart} busy={busy === 'start'} />}
+
+      {inProgress && interview.current && (
+        <ActiveQuestion
+          key={`${interview.id}-${interview.current.index}`}
+          interview={interview}
+          onAnswer={handleAnswer}
+          onFinish={handleFinish}
+          onExpire={() => reload()}
+          busy={busy}
+        />
+      )}
+
+      {interview?.report && <Report report={interview.report} />}
+
+      {!inProgress && history.length > 0 && (
+        <div className="bg-dark-card border border-dark-border rounded-xl p-4">
+          <h3 className="text-sm font-semibold text-slate-400 mb-2">Past interviews</h3>
+          <ul className="divide-y divide-dark-border">
+            {history.map((item) => (
+              <li key={item.id}>
+                <button
+                  onClick={() => reload(item.id)}
+                  className={`w-full flex items-center justify-between gap-3 py-2 text-left text-xs hover:text-white transition-colors ${
+                    item.id === interview?.id ? 'text-primary-400' : 'text-slate-400'
+                  }`}
+                >
+                  <span className="truncate">
+                    {new Date(item.createdAt).toLocaleString()} · {item.questions.join(', ')}
+                  </span>
+                  <span className="flex-shrink-0">
+                    {item.recommendation
+                      ? `${RECOMMENDATIONS[item.recommendation]?.label || item.recommendation} · ${item.overallScore}/100`
+                      : 'In progress'}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MockInterviewPage
@@ -8,7 +8,15 @@ const EXAMPLE_PROBLEMS = [
   "Find all permutations of a string",
 ]
 
-function ProblemInput({ value, onChange, onSubmit, loading, disabled }) {
+const LANGUAGES = [
+  { value: 'java', label: 'Java' },
+  { value: 'python', label: 'Python' },
+  { value: 'cpp', label: 'C++' },
+  { value: 'javascript', label: 'JavaScript' },
+  { value: 'go', label: 'Go' },
+]
+
+function ProblemInput({ value, onChange, language, onLanguageChange, onSubmit, loading, disabled }) {
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && e.ctrlKey) {
       onSubmit()
@@ -44,23 +52,39 @@ function ProblemInput({ value, onChange, onSubmit, loading, disabled }) {
               Press <kbd className="px-1.5 py-0.5 bg-dark-surface rounded text-slate-400">Ctrl</kbd> + <kbd className="px-1.5 py-0.5 bg-dark-surface rounded text-slate-400">Enter</kbd> to submit
             </p>
             
-            <button
-              onClick={onSubmit}
-              disabled={loading || disabled || !value.trim()}
-              className="flex items-center gap-2 px-6 py-2.5 bg-gradient-to-r from-primary-500 to-accent-500 text-white font-medium rounded-lg hover:from-primary-600 hover:to-accent-600 focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-bg disabled:opacity-50 disabled:cursor-not-allowed transition-all"
-            >
-              {loading ? (
-                <>
-                  <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-                  Analyzing...
-                </>
-              ) : (
-                <>
-                  <Send className="w-4 h-4" />
-                  Analyze Problem
-                </>
-              )}
-            </button>
+            <div className="flex items-center gap-3">
+              <select
+                value={language}
+                onChange={(e) => onLanguageChange(e.target.value)}
+                disabled={loading || disabled}
+                title="Solution language"
+                className="px-3 py-2.5 text-sm bg-dark-bg border border-dark-border rounded-lg text-slate-300 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 disabled:opacity-50 transition-colors"
+              >
+                {LANGUAGES.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+
+              <button
+                onClick={onSubmit}
+                disabled={loading || disabled || !value.trim()}
+                className="flex items-center gap-2 px-6 py-2.5 bg-gradient-to-r from-primary-500 to-accent-500 text-white font-medium rounded-lg hover:from-primary-600 hover:to-accent-600 focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 focus:ring-offset-dark-bg disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+              >
+                {loading ? (
+                  <>
+                    <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                    Analyzing...
+                  </>
+                ) : (
+                  <>
+                    <Send className="w-4 h-4" />
+                    Analyze Problem
+                  </>
+                )}
+              </button>
+            </div>
           </div>
         </div>
       </div>
@@ -0,0 +1,301 @@
+import { useState, useEffect } from 'react'
+import {
+  Flame,
+  Trophy,
+  Target,
+  BarChart3,
+  TrendingUp,
+  TrendingDown,
+  Minus,
+  AlertTriangle,
+  Activity,
+  RefreshCcw
+} from 'lucide-react'
+import { fetchProgress } from '../services/api'
+
+const TREND_RANGES = [7, 30, 90]
+
+const LEVEL_STYLES = {
+  mastered: { label: 'Mastered', bar: 'bg-green-500', badge: 'text-green-400 bg-green-500/10 border-green-500/30' },
+  proficient: { label: 'Proficient', bar: 'bg-primary-500', badge: 'text-primary-400 bg-primary-500/10 border-primary-500/30' },
+  learning: { label: 'Learning', bar: 'bg-yellow-500', badge: 'text-yellow-400 bg-yellow-500/10 border-yellow-500/30' },
+  exploring: { label: 'Analyzed only', bar: 'bg-slate-500', badge: 'text-slate-400 bg-slate-500/10 border-slate-500/30' },
+  not_started: { label: 'Not started', bar: 'bg-slate-600', badge: 'text-slate-500 bg-slate-500/5 border-dark-border' },
+}
+
+const WEAKNESS_REASONS = {
+  low_scores: 'Recent scores are below 60%',
+  declining: 'Scores have been dropping',
+  few_problems: 'Good scores, but too few problems solved',
+}
+
+// "DynamicProgramming" -> "Dynamic Programming"
+function topicLabel(topic) {
+  return topic.replace(/([a-z])([A-Z])/g, '$1 $2')
+}
+
+function StatCard({ icon: Icon, label, value, hint, color }) {
+  return (
+    <div className="bg-dark-card border border-dark-border rounded-xl p-4">
+      <div className="flex items-center gap-2 text-sm text-slate-400">
+        <Icon className={`w-4 h-4 ${color}`} />
+        {label}
+      </div>
+      <p className="text-2xl font-bold text-slate-100 mt-2">{value}</p>
+      {hint && <p className="text-xs text-slate-500 mt-1">{hint}</p>}
+    </div>
+  )
+}
+
+const TREND_ICONS = {
+  improving: { icon: TrendingUp, label: 'Improving', color: 'text-green-400' },
+  declining: { icon: TrendingDown, label: 'Declining', color: 'text-red-400' },
+  steady: { icon: Minus, label: 'Steady', color: 'text-slate-400' },
+}
+
+function TrendIcon({ trend }) {
+  const config = TREND_ICONS[trend]
+  if (!config) return null
+
+  const Icon = config.icon
+  return (
+    <span title={config.label}>
+      <Icon className={`w-4 h-4 ${config.color}`} />
+    </span>
+  )
+}
+
+// Daily average scores as a line over a 0-100% scale
+function ScoreChart({ points }) {
+  if (points.length === 0) {
+    return <p className="text-sm text-slate-500 py-8 text-center">No evaluations in this period</p>
+  }
+
+  const width = 600
+  const height = 160
+  const x = (i) => (points.length === 1 ? width / 2 : (i / (points.length - 1)) * width)
+  const y = (score) => height - (score / 100) * height
+  const line = points.map((point, i) => `${x(i)},${y(point.averageScore)}`).join(' ')
+
+  return (
+    <div>
+      <svg viewBox={`-8 -8 ${width + 16} ${height + 16}`} className="w-full h-40">
+        {[0, 50, 100].map((score) => (
+          <line key={score} x1={0} x2={width} y1={y(score)} y2={y(score)} className="stroke-dark-border" strokeDasharray="4 4" />
+        ))}
+        <polyline points={line} fill="none" className="stroke-primary-400" strokeWidth={2} />
+        {points.map((point, i) => (
+          <circle key={point.date} cx={x(i)} cy={y(point.averageScore)} r={4} className="fill-primary-400">
+            <title>{`${point.date}: ${point.averageScore}% (${point.evaluations} evaluation${point.evaluations === 1 ? '' : 's'})`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-slate-500 mt-1">
+        <span>{points[0].date}</span>
+        {points.length > 1 && <span>{points[points.length - 1].date}</span>}
+      </div>
+    </div>
+  )
+}
+
+function TopicRow({ topic }) {
+  const style = LEVEL_STYLES[topic.level] || LEVEL_STYLES.not_started
+
+  return (
+    <div className="py-3 border-b border-dark-border last:border-0">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2 min-w-0">
+          <span className="text-sm text-slate-200 truncate">{topicLabel(topic.topic)}</span>
+          <TrendIcon trend={topic.trend} />
+        </div>
+        <div className="flex items-center gap-3 flex-shrink-0">
+          <span className="text-xs text-slate-500">
+            {topic.evaluated} solved · {topic.analyzed} analyzed
+          </span>
+          <span className={`text-xs px-2 py-0.5 rounded border ${style.badge}`}>{style.label}</span>
+        </div>
+      </div>
+      <div className="flex items-center gap-3 mt-2">
+        <div className="flex-1 h-2 bg-dark-bg rounded-full overflow-hidden">
+          <div className={`h-full ${style.bar} transition-all`} style={{ width: `${topic.mastery}%` }} />
+        </div>
+        <span className="text-xs text-slate-400 w-10 text-right">{topic.mastery}%</span>
+      </div>
+    </div>
+  )
+}
+
+function ProgressPage() {
+  const [days, setDays] = useState(30)
+  const [progress, setProgress] = useState(null)
+  const [storage, setStorage] = useState(true)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadProgress(days)
+  }, [days])
+
+  const loadProgress = async (range) => {
+    setLoading(true)
+    setError(null)
+    try {
+      const data = await fetchProgress({ days: range })
+      setProgress(data.progress)
+      setStorage(data.storage)
+    } catch (err) {
+      setError(err.message || 'Failed to load progress')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (loading && !progress) {
+    return <p className="text-slate-400 text-center py-12">Loading progress<span className="loading-dots"></span></p>
+  }
+
+  if (error) {
+    return (
+      <div className="p-4 bg-red-500/10 border border-red-500/30 rounded-lg">
+        <p className="text-red-400">{error}</p>
+      </div>
+    )
+  }
+
+  const { summary, streak, topics, weakTopics, scoreTrend, recentActivity } = progress
+  // Practiced topics first, strongest first; untouched ones keep their catalogue order
+  const sortedTopics = [...topics].sort((a, b) =>
+    (b.evaluated + b.analyzed > 0) - (a.evaluated + a.analyzed > 0) || b.mastery - a.mastery
+  )
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-bold text-slate-200 flex items-center gap-2">
+          <BarChart3 className="w-6 h-6 text-primary-400" />
+          Your Progress
+        </h2>
+        <button
+          onClick={() => loadProgress(days)}
+          className="p-2 text-slate-400 hover:text-white hover:bg-dark-card rounded-lg transition-colors"
+          title="Refresh"
+        >
+          <RefreshCcw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {!storage && (
+        <div className="p-4 bg-yellow-500/10 border border-yellow-500/30 rounded-lg text-sm text-yellow-400">
+          History storage is disabled on this server, so progress is not being recorded.
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        <StatCard
+          icon={Flame}
+          label="Current streak"
+          value={`${streak.current} day${streak.current === 1 ? '' : 's'}`}
+          hint={streak.current > 0 && !streak.activeToday ? 'Practice today to keep it going' : null}
+          color="text-orange-400"
+        />
+        <StatCard icon={Trophy} label="Longest streak" value={`${streak.longest} day${streak.longest === 1 ? '' : 's'}`} color="text-yellow-400" />
+        <StatCard
+          icon={Target}
+          label="Problems solved"
+          value={summary.problemsEvaluated}
+          hint={`${summary.problemsAnalyzed} analyzed`}
+          color="text-green-400"
+        />
+        <StatCard
+          icon={Activity}
+          label="Average score"
+          value={summary.averageScore === null ? '-' : `${summary.averageScore}%`}
+          hint={`${summary.evaluations} evaluation${summary.evaluations === 1 ? '' : 's'}`}
+          color="text-primary-400"
+        />
+      </div>
+
+      <div className="bg-dark-card border border-dark-border rounded-xl p-4">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-slate-200">Score trend</h3>
+          <div className="flex gap-1">
+            {TREND_RANGES.map((range) => (
+              <button
+                key={range}
+                onClick={() => setDays(range)}
+                className={`px-2.5 py-1 text-xs rounded-lg border transition-colors ${
+                  days === range
+                    ? 'text-primary-400 border-primary-500/50 bg-primary-500/10'
+                    : 'text-slate-400 border-dark-border hover:text-white'
+                }`}
+              >
+                {range}d
+              </button>
+            ))}
+          </div>
+        </div>
+        <ScoreChart points={scoreTrend} />
+      </div>
+
+      <div className="grid lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 bg-dark-card border border-dark-border rounded-xl p-4">
+          <h3 className="text-lg font-semibold text-slate-200 mb-2">Topic mastery</h3>
+          {sortedTopics.map((topic) => (
+            <TopicRow key={topic.topic} topic={topic} />
+          ))}
+        </div>
+
+        <div className="space-y-6">
+          <div className="bg-dark-card border border-dark-border rounded-xl p-4">
+            <h3 className="text-lg font-semibold text-slate-200 mb-3 flex items-center gap-2">
+              <AlertTriangle className="w-5 h-5 text-yellow-400" />
+              Weak topics
+            </h3>
+            {weakTopics.length === 0 ? (
+              <p className="text-sm text-slate-500">
+                {summary.evaluations === 0 ? 'Evaluate a few solutions to find your weak spots' : 'Nothing stands out - keep going!'}
+              </p>
+            ) : (
+              <ul className="space-y-3">
+                {weakTopics.map((weak) => (
+                  <li key={weak.topic}>
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm text-slate-200">{topicLabel(weak.topic)}</span>
+                      <span className="text-xs text-slate-400">{weak.mastery}%</span>
+                    </div>
+                    <p className="text-xs text-slate-500">{WEAKNESS_REASONS[weak.reason]}</p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="bg-dark-card border border-dark-border rounded-xl p-4">
+            <h3 className="text-lg font-semibold text-slate-200 mb-3">Recent activity</h3>
+            {recentActivity.length === 0 ? (
+              <p className="text-sm text-slate-500">No practice recorded yet</p>
+            ) : (
+              <ul className="space-y-2">
+                {recentActivity.map((activity, i) => (
+                  <li key={`${activity.createdAt}-${i}`} className="flex items-start justify-between gap-2">
+                    <div className="min-w-0">
+                      <p className="text-sm text-slate-300 truncate">{activity.title}</p>
+                      <p className="text-xs text-slate-500">
+                        {activity.kind === 'evaluation' ? 'Evaluated' : 'Analyzed'} · {new Date(activity.createdAt).toLocaleDateString()}
+                      </p>
+                    </div>
+                    {activity.score !== null && (
+                      <span className="text-xs text-slate-400 flex-shrink-0">{activity.score}/{activity.maxScore}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ProgressPage
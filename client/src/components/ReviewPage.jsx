@@ -0,0 +1,152 @@
+import { useState, useEffect } from 'react'
+import { CalendarCheck, Clock, Play, RefreshCcw, CheckCircle } from 'lucide-react'
+import InterviewPanel from './InterviewPanel'
+import { fetchDueReviews } from '../services/api'
+
+const DIFFICULTY_STYLES = {
+  Easy: 'text-green-400 bg-green-500/10 border-green-500/30',
+  Medium: 'text-yellow-400 bg-yellow-500/10 border-yellow-500/30',
+  Hard: 'text-red-400 bg-red-500/10 border-red-500/30',
+}
+
+function dueLabel(review) {
+  if (review.overdueDays === 0) return 'Due today'
+  return `${review.overdueDays} day${review.overdueDays === 1 ? '' : 's'} overdue`
+}
+
+function ReviewCard({ review, onStart }) {
+  return (
+    <div className="bg-dark-card border border-dark-border rounded-xl p-4 flex items-center justify-between gap-4">
+      <div className="min-w-0">
+        <div className="flex items-center gap-2">
+          <h3 className="text-slate-200 font-medium truncate">{review.title}</h3>
+          <span className={`text-xs px-2 py-0.5 rounded border ${DIFFICULTY_STYLES[review.difficulty] || DIFFICULTY_STYLES.Medium}`}>
+            {review.difficulty}
+          </span>
+        </div>
+        <p className="text-xs text-slate-500 mt-1">
+          {dueLabel(review)} · last score {review.lastScore}/{review.maxScore} on {review.lastReviewed} · {review.reviews} review{review.reviews === 1 ? '' : 's'}
+        </p>
+        {review.tags.length > 0 && (
+          <div className="flex flex-wrap gap-1 mt-2">
+            {review.tags.map((tag) => (
+              <span key={tag} className="text-xs px-1.5 py-0.5 bg-dark-bg text-slate-400 rounded">{tag}</span>
+            ))}
+          </div>
+        )}
+      </div>
+      <button
+        onClick={() => onStart(review)}
+        className="flex items-center gap-2 px-3 py-2 text-sm text-white bg-primary-600 rounded-lg hover:bg-primary-500 transition-colors flex-shrink-0"
+      >
+        <Play className="w-4 h-4" />
+        Start interview
+      </button>
+    </div>
+  )
+}
+
+function ReviewPage() {
+  const [reviews, setReviews] = useState(null)
+  const [active, setActive] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadReviews()
+  }, [])
+
+  const loadReviews = async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      const data = await fetchDueReviews()
+      setReviews(data)
+    } catch (err) {
+      setError(err.message || 'Failed to load reviews')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (active) {
+    return (
+      <InterviewPanel
+        problem={{ id: active.problemId, title: active.title, problem: active.problem }}
+        onClose={() => {
+          setActive(null)
+          loadReviews()
+        }}
+      />
+    )
+  }
+
+  if (loading && !reviews) {
+    return <p className="text-slate-400 text-center py-12">Loading reviews<span className="loading-dots"></span></p>
+  }
+
+  if (error) {
+    return (
+      <div className="p-4 bg-red-500/10 border border-red-500/30 rounded-lg">
+        <p className="text-red-400">{error}</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-xl font-bold text-slate-200 flex items-center gap-2">
+            <CalendarCheck className="w-6 h-6 text-primary-400" />
+            Today&apos;s reviews
+          </h2>
+          <p className="text-xs text-slate-500 mt-1">
+            {reviews.scheduled} problem{reviews.scheduled === 1 ? '' : 's'} in rotation · scheduled from your evaluation scores
+          </p>
+        </div>
+        <button
+          onClick={loadReviews}
+          className="p-2 text-slate-400 hover:text-white hover:bg-dark-card rounded-lg transition-colors"
+          title="Refresh"
+        >
+          <RefreshCcw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {reviews.due.length === 0 ? (
+        <div className="bg-dark-card border border-dark-border rounded-xl p-8 text-center">
+          <CheckCircle className="w-10 h-10 text-primary-400 mx-auto mb-3" />
+          <p className="text-slate-300">
+            {reviews.scheduled === 0 ? 'Evaluate solutions to problems from the bank to schedule reviews' : 'All caught up for today'}
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {reviews.due.map((review) => (
+            <ReviewCard key={review.problemId} review={review} onStart={setActive} />
+          ))}
+        </div>
+      )}
+
+      {reviews.upcoming.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-slate-400 mb-2 flex items-center gap-2">
+            <Clock className="w-4 h-4" />
+            Coming up
+          </h3>
+          <ul className="bg-dark-card border border-dark-border rounded-xl divide-y divide-dark-border">
+            {reviews.upcoming.map((review) => (
+              <li key={review.problemId} className="flex items-center justify-between px-4 py-2 text-sm">
+                <span className="text-slate-300">{review.title}</span>
+                <span className="text-slate-500">{review.dueDate}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReviewPage
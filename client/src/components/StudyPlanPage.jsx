@@ -0,0 +1,361 @@
+import { useState, useEffect } from 'react'
+import {
+  ListChecks,
+  RefreshCcw,
+  Shuffle,
+  Plus,
+  Play,
+  CheckCircle,
+  Circle,
+  AlertTriangle,
+  XCircle
+} from 'lucide-react'
+import InterviewPanel from './InterviewPanel'
+import {
+  createStudyPlan,
+  fetchStudyPlans,
+  fetchStudyPlan,
+  rebalanceStudyPlan,
+  fetchProblem
+} from '../services/api'
+
+const TOPICS = [
+  'Array', 'String', 'LinkedList', 'Stack', 'Queue', 'Tree', 'Graph', 'DynamicProgramming', 'Greedy', 'Backtracking',
+  'BinarySearch', 'TwoPointers', 'SlidingWindow', 'HashMap', 'Heap', 'Trie', 'UnionFind', 'BitManipulation', 'Math', 'Recursion',
+]
+
+const DIFFICULTY_STYLES = {
+  Easy: 'text-green-400 bg-green-500/10 border-green-500/30',
+  Medium: 'text-yellow-400 bg-yellow-500/10 border-yellow-500/30',
+  Hard: 'text-red-400 bg-red-500/10 border-red-500/30',
+}
+
+const STATUS_ICONS = {
+  completed: { icon: CheckCircle, color: 'text-green-400', label: 'Completed' },
+  attempted: { icon: XCircle, color: 'text-yellow-400', label: 'Attempted - score below 60%' },
+  overdue: { icon: AlertTriangle, color: 'text-red-400', label: 'Overdue' },
+  pending: { icon: Circle, color: 'text-slate-500', label: 'To do' },
+}
+
+const KIND_LABELS = {
+  learn: 'New',
+  review: 'Review',
+  practice: 'Extra practice',
+}
+
+// "DynamicProgramming" -> "Dynamic Programming"
+function topicLabel(topic) {
+  return topic.replace(/([a-z])([A-Z])/g, '$1 $2')
+}
+
+function PlanForm({ onCreate, onCancel, busy }) {
+  const [weeks, setWeeks] = useState(4)
+  const [hoursPerDay, setHoursPerDay] = useState(1.5)
+  const [company, setCompany] = useState('')
+  const [weakTopics, setWeakTopics] = useState([])
+
+  const toggleTopic = (topic) => {
+    setWeakTopics((prev) => (prev.includes(topic) ? prev.filter((t) => t !== topic) : [...prev, topic]))
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onCreate({
+      weeks: Number(weeks),
+      hoursPerDay: Number(hoursPerDay),
+      ...(company.trim() && { company: company.trim() }),
+      ...(weakTopics.length > 0 && { weakTopics }),
+    })
+  }
+
+  const inputClass = 'w-full px-3 py-2 bg-dark-bg border border-dark-border rounded-lg text-slate-200 text-sm focus:outline-none focus:border-primary-500'
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-dark-card border border-dark-border rounded-xl p-4 space-y-4">
+      <div className="grid sm:grid-cols-3 gap-4">
+        <label className="text-sm text-slate-400 space-y-1">
+          <span>Weeks available</span>
+          <input type="number" min={1} max={26} value={weeks} onChange={(e) => setWeeks(e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-sm text-slate-400 space-y-1">
+          <span>Hours per day</span>
+          <input type="number" min={0.5} max={12} step={0.5} value={hoursPerDay} onChange={(e) => setHoursPerDay(e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-sm text-slate-400 space-y-1">
+          <span>Target company (optional)</span>
+          <input type="text" value={company} onChange={(e) => setCompany(e.target.value)} placeholder="e.g. Google" className={inputClass} />
+        </label>
+      </div>
+
+      <div>
+        <p className="text-sm text-slate-400">Weak topics</p>
+        <p className="text-xs text-slate-500 mb-2">Leave empty to use the weak topics from your progress.</p>
+        <div className="flex flex-wrap gap-1.5">
+          {TOPICS.map((topic) => (
+            <button
+              key={topic}
+              type="button"
+              onClick={() => toggleTopic(topic)}
+              className={`px-2 py-1 text-xs rounded-lg border transition-colors ${
+                weakTopics.includes(topic)
+                  ? 'text-primary-400 border-primary-500/50 bg-primary-500/10'
+                  : 'text-slate-400 border-dark-border hover:text-white'
+              }`}
+            >
+              {topicLabel(topic)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-3 py-2 text-sm text-slate-400 hover:text-white transition-colors">
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={busy}
+          className="flex items-center gap-2 px-3 py-2 text-sm text-white bg-primary-600 rounded-lg hover:bg-primary-500 disabled:opacity-50 transition-colors"
+        >
+          <ListChecks className="w-4 h-4" />
+          {busy ? 'Building plan...' : 'Build plan'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+function PlanItem({ item, onPractice }) {
+  const status = STATUS_ICONS[item.status] || STATUS_ICONS.pending
+  const StatusIcon = status.icon
+
+  return (
+    <li className="flex items-start justify-between gap-3 py-2">
+      <div className="flex items-start gap-2 min-w-0">
+        <span title={status.label} className="mt-0.5">
+          <StatusIcon className={`w-4 h-4 ${status.color}`} />
+        </span>
+        <div className="min-w-0">
+          <div className="flex items-center gap-2 flex-wrap">
+            <span className="text-sm text-slate-200">{item.title}</span>
+            <span className={`text-xs px-1.5 py-0.5 rounded border ${DIFFICULTY_STYLES[item.difficulty] || DIFFICULTY_STYLES.Medium}`}>
+              {item.difficulty}
+            </span>
+            <span className="text-xs text-slate-500">{KIND_LABELS[item.kind] || item.kind} · {item.minutes} min</span>
+            {item.score !== null && <span className="text-xs text-slate-400">{item.score}%</span>}
+          </div>
+          {item.reason && <p className="text-xs text-slate-500 mt-0.5">{item.reason}</p>}
+          {item.prerequisites.length > 0 && (
+            <p className="text-xs text-slate-600 mt-0.5">
+              After: {item.prerequisites.map((pre) => `${pre.title} (${topicLabel(pre.topic)})`).join(', ')}
+            </p>
+          )}
+        </div>
+      </div>
+      {item.status !== 'completed' && (
+        <button
+          onClick={() => onPractice(item)}
+          className="flex items-center gap-1 px-2 py-1 text-xs text-slate-300 border border-dark-border rounded-lg hover:border-primary-500/50 transition-colors flex-shrink-0"
+        >
+          <Play className="w-3 h-3" />
+          Practice
+        </button>
+      )}
+    </li>
+  )
+}
+
+function StudyPlanPage() {
+  const [plan, setPlan] = useState(null)
+  const [creating, setCreating] = useState(false)
+  const [active, setActive] = useState(null)
+  const [notice, setNotice] = useState(null)
+  const [busy, setBusy] = useState('load')
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    run('load', async () => {
+      const { plans } = await fetchStudyPlans()
+      const current = plans.find((p) => p.status === 'active')
+      if (current) {
+        setPlan((await fetchStudyPlan(current.id)).plan)
+      } else {
+        setCreating(true)
+      }
+    })
+  }, [])
+
+  const run = async (action, task) => {
+    setBusy(action)
+    setError(null)
+    try {
+      await task()
+    } catch (err) {
+      setError(err.message || 'Request failed')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleCreate = (target) => run('create', async () => {
+    const data = await createStudyPlan(target)
+    setPlan(data.plan)
+    setCreating(false)
+    setNotice(null)
+  })
+
+  const handleRebalance = () => run('rebalance', async () => {
+    const data = await rebalanceStudyPlan(plan.id)
+    setPlan(data.plan)
+    setNotice(data.changed ? 'Plan re-balanced around your latest scores.' : 'Nothing to change - the plan is on track.')
+  })
+
+  const reload = () => run('load', async () => {
+    setPlan((await fetchStudyPlan(plan.id)).plan)
+  })
+
+  const handlePractice = (item) => run('practice', async () => {
+    const { problem } = await fetchProblem(item.problemId)
+    setActive(problem)
+  })
+
+  if (active) {
+    return (
+      <InterviewPanel
+        problem={active}
+        onClose={() => {
+          setActive(null)
+          reload()
+        }}
+      />
+    )
+  }
+
+  if (busy === 'load' && !plan) {
+    return <p className="text-slate-400 text-center py-12">Loading study plan<span className="loading-dots"></span></p>
+  }
+
+  const upcomingDays = plan ? plan.days.filter((day) => day.date >= plan.today || day.items.some((item) => item.status !== 'completed')) : []
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-bold text-slate-200 flex items-center gap-2">
+          <ListChecks className="w-6 h-6 text-primary-400" />
+          Study Plan
+        </h2>
+        {plan && !creating && (
+          <div className="flex gap-2">
+            <button
+              onClick={reload}
+              className="p-2 text-slate-400 hover:text-white hover:bg-dark-card rounded-lg transition-colors"
+              title="Refresh"
+            >
+              <RefreshCcw className={`w-4 h-4 ${busy === 'load' ? 'animate-spin' : ''}`} />
+            </button>
+            <button
+              onClick={handleRebalance}
+              disabled={Boolean(busy)}
+              className="flex items-center gap-2 px-3 py-2 text-sm text-slate-300 border border-dark-border rounded-lg hover:border-primary-500/50 disabled:opacity-50 transition-colors"
+            >
+              <Shuffle className="w-4 h-4" />
+              {busy === 'rebalance' ? 'Re-balancing...' : 'Re-balance'}
+            </button>
+            <button
+              onClick={() => setCreating(true)}
+              className="flex items-center gap-2 px-3 py-2 text-sm text-white bg-primary-600 rounded-lg hover:bg-primary-500 transition-colors"
+            >
+              <Plus className="w-4 h-4" />
+              New plan
+            </button>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-500/10 border border-red-500/30 rounded-lg">
+          <p className="text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+
+      {creating && (
+        <PlanForm onCreate={handleCreate} onCancel={plan ? () => setCreating(false) : null} busy={busy === 'create'} />
+      )}
+
+      {plan && !creating && (
+        <>
+          <div className="bg-dark-card border border-dark-border rounded-xl p-4 space-y-3">
+            <div className="flex items-center justify-between gap-4 text-sm">
+              <p className="text-slate-300">
+                {plan.target.weeks} week{plan.target.weeks === 1 ? '' : 's'} · {plan.target.hoursPerDay} h/day
+                {plan.target.company && ` · ${plan.target.company}`} · {plan.target.startDate} to {plan.target.endDate}
+              </p>
+              <span className={plan.progress.onTrack ? 'text-green-400' : 'text-red-400'}>
+                {plan.progress.onTrack ? 'On track' : `${plan.progress.overdue} overdue`}
+              </span>
+            </div>
+            <div className="flex items-center gap-3">
+              <div className="flex-1 h-2 bg-dark-bg rounded-full overflow-hidden">
+                <div className="h-full bg-primary-500 transition-all" style={{ width: `${plan.progress.percent}%` }} />
+              </div>
+              <span className="text-xs text-slate-400">{plan.progress.completed}/{plan.progress.total} done</span>
+            </div>
+            {plan.target.weakTopics.length > 0 && (
+              <p className="text-xs text-slate-500">
+                Focus: {plan.target.weakTopics.map(topicLabel).join(', ')}
+                {plan.target.weakTopicsSource === 'progress' && ' (from your progress)'}
+              </p>
+            )}
+            {notice && <p className="text-xs text-primary-400">{notice}</p>}
+          </div>
+
+          <div className="space-y-3">
+            {upcomingDays.map((day) => (
+              <div key={day.date} className="bg-dark-card border border-dark-border rounded-xl px-4 py-3">
+                <div className="flex items-center justify-between">
+                  <h3 className={`text-sm font-semibold ${day.date === plan.today ? 'text-primary-400' : 'text-slate-300'}`}>
+                    {day.date === plan.today ? 'Today' : day.date}
+                  </h3>
+                  <span className="text-xs text-slate-500">{day.items.length > 0 ? `${day.minutes} min` : 'Rest day'}</span>
+                </div>
+                {day.items.length > 0 && (
+                  <ul className="divide-y divide-dark-border">
+                    {day.items.map((item, i) => (
+                      <PlanItem key={`${item.problemId}-${item.kind}-${i}`} item={item} onPractice={handlePractice} />
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {plan.unscheduled.length > 0 && (
+            <div className="p-4 bg-yellow-500/10 border border-yellow-500/30 rounded-lg text-sm text-yellow-400">
+              No time left for: {plan.unscheduled.map((item) => item.title).join(', ')}
+            </div>
+          )}
+
+          {plan.changes.length > 0 && (
+            <div className="bg-dark-card border border-dark-border rounded-xl p-4">
+              <h3 className="text-sm font-semibold text-slate-400 mb-2">Adjustments</h3>
+              <ul className="space-y-1 text-xs text-slate-500">
+                {[...plan.changes].reverse().map((change) => (
+                  <li key={change.at}>
+                    {new Date(change.at).toLocaleDateString()}:
+                    {change.mastered.length > 0 && ` mastered ${change.mastered.map(topicLabel).join(', ')} (${change.removed.length} dropped);`}
+                    {change.struggling.length > 0 && ` extra practice for ${change.struggling.map(topicLabel).join(', ')};`}
+                    {change.rescheduled > 0 && ` ${change.rescheduled} rescheduled`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default StudyPlanPage
@@ -1,39 +1,327 @@
 const API_BASE = '/api'
+const TOKEN_KEY = 'codementor-token'
 
-export async function analyzeProgram(problem) {
+export function getToken() {
+  return localStorage.getItem(TOKEN_KEY)
+}
+
+export function setToken(token) {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token)
+  } else {
+    localStorage.removeItem(TOKEN_KEY)
+  }
+}
+
+function authHeaders() {
+  const token = getToken()
+  return token ? { 'Authorization': `Bearer ${token}` } : {}
+}
+
+/**
+ * Build an Error from a failed response, keeping the HTTP status
+ */
+async function responseError(response) {
+  const body = await response.json().catch(() => ({}))
+  const error = new Error(body.error?.message || body.error || `Server error: ${response.status}`)
+  error.status = response.status
+  return error
+}
+
+/**
+ * Send a JSON request to the API and return the parsed response
+ */
+async function apiRequest(path, { method = 'GET', body } = {}) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...authHeaders(),
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  })
+
+  if (!response.ok) {
+    throw await responseError(response)
+  }
+
+  return response.json()
+}
+
+async function authRequest(path, username, password) {
+  const response = await fetch(`${API_BASE}/auth/${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ username, password }),
+  })
+
+  if (!response.ok) {
+    throw await responseError(response)
+  }
+
+  const data = await response.json()
+  setToken(data.token)
+  return data.user
+}
+
+export function login(username, password) {
+  return authRequest('login', username, password)
+}
+
+export function register(username, password) {
+  return authRequest('register', username, password)
+}
+
+export function logout() {
+  setToken(null)
+}
+
+/**
+ * Resolve the signed-in user.
+ * Returns { user } when signed in, { user: null, authRequired: true } when a login is
+ * needed, and { user: null, authRequired: false } when the server has auth disabled.
+ */
+export async function fetchCurrentUser() {
+  const response = await fetch(`${API_BASE}/auth/me`, { headers: authHeaders() })
+
+  if (response.status === 401) {
+    setToken(null)
+    return { user: null, authRequired: true }
+  }
+  if (response.status === 404) {
+    return { user: null, authRequired: false }
+  }
+  if (!response.ok) {
+    throw await responseError(response)
+  }
+
+  const data = await response.json()
+  return { user: data.user, authRequired: true }
+}
+
+export async function analyzeProgram(problem, options = {}) {
   const response = await fetch(`${API_BASE}/analyze`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
+      ...authHeaders(),
     },
-    body: JSON.stringify({ problem }),
+    body: JSON.stringify({ problem, options }),
   })
 
   if (!response.ok) {
-    const error = await response.json().catch(() => ({}))
-    throw new Error(error.error || `Server error: ${response.status}`)
+    throw await responseError(response)
   }
 
   return response.json()
 }
 
-export async function evaluateSolution(problem, solution) {
+/**
+ * Parse Server-Sent Event frames out of a buffered chunk of text.
+ * Returns the complete events and whatever partial frame is left over.
+ */
+function parseEventFrames(buffer) {
+  const frames = buffer.split('\n\n')
+  const rest = frames.pop()
+
+  const events = frames.map((frame) => {
+    let event = 'message'
+    const data = []
+    for (const line of frame.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim()
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim())
+    }
+    return { event, data: data.length ? JSON.parse(data.join('\n')) : null }
+  })
+
+  return { events, rest }
+}
+
+/**
+ * Analyze a problem and receive the answer progressively.
+ * Handlers: onMeta, onQueue, onSources, onToken, onSection. Resolves with the final payload.
+ * onQueue(position) reports the place in the server's LLM queue, 0 once generation starts.
+ * options are sent as the request's options (e.g. { language: 'python' }).
+ */
+export async function streamAnalysis(problem, { onMeta, onQueue, onSources, onToken, onSection, signal } = {}, options = {}) {
+  const response = await fetch(`${API_BASE}/analyze`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+      ...authHeaders(),
+    },
+    body: JSON.stringify({ problem, options }),
+    signal,
+  })
+
+  if (!response.ok) {
+    throw await responseError(response)
+  }
+
+  // Older servers ignore the Accept header and answer with plain JSON
+  if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+    return response.json()
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+    const { events, rest } = parseEventFrames(buffer)
+    buffer = rest
+
+    for (const { event, data } of events) {
+      switch (event) {
+        case 'meta':
+          onMeta?.(data)
+          break
+        case 'queue':
+          onQueue?.(data.position)
+          break
+        case 'sources':
+          onSources?.(data.sources)
+          break
+        case 'token':
+          onToken?.(data.text)
+          break
+        case 'section':
+          onSection?.(data.field, data.value)
+          break
+        case 'error':
+          throw new Error(data?.message || 'Analysis failed')
+        case 'done':
+          return data
+        default:
+          break
+      }
+    }
+  }
+
+  throw new Error('Connection closed before the analysis finished')
+}
+
+/**
+ * Score a solution. options: { problemId?, language? }
+ */
+export async function evaluateSolution(problem, code, options = {}) {
   const response = await fetch(`${API_BASE}/evaluate`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
+      ...authHeaders(),
     },
-    body: JSON.stringify({ problem, solution }),
+    body: JSON.stringify({ problem, code, options }),
   })
 
   if (!response.ok) {
-    const error = await response.json().catch(() => ({}))
-    throw new Error(error.error || `Server error: ${response.status}`)
+    throw await responseError(response)
   }
 
   return response.json()
 }
 
+/**
+ * Per-topic mastery, streaks and score trend of the signed-in user.
+ * Streak days follow the browser's timezone.
+ */
+export function fetchProgress({ days = 30 } = {}) {
+  const params = new URLSearchParams({ days: String(days) })
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone
+  if (timezone) params.set('timezone', timezone)
+
+  return apiRequest(`/progress?${params}`)
+}
+
+/**
+ * Open an interview session on a problem; the first interviewer message is in
+ * structured_response.guidance
+ */
+export function startInterview(problem) {
+  return apiRequest('/analyze', { method: 'POST', body: { problem, mode: 'interview' } })
+}
+
+export function respondToInterview(sessionId, message) {
+  return apiRequest(`/analyze/session/${encodeURIComponent(sessionId)}/respond`, { method: 'POST', body: { message } })
+}
+
+export function revealInterviewSolution(sessionId) {
+  return apiRequest(`/analyze/session/${encodeURIComponent(sessionId)}/reveal`, { method: 'POST', body: {} })
+}
+
+export function endInterview(sessionId) {
+  return apiRequest(`/analyze/session/${encodeURIComponent(sessionId)}`, { method: 'DELETE' })
+}
+
+/**
+ * Problems due for spaced-repetition review today (in the browser's timezone)
+ */
+export function fetchDueReviews() {
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone
+  return apiRequest(`/review/due${timezone ? `?timezone=${encodeURIComponent(timezone)}` : ''}`)
+}
+
+export function fetchProblem(id) {
+  return apiRequest(`/problems/${encodeURIComponent(id)}`)
+}
+
+/**
+ * Build a day-by-day study plan; it replaces the active plan and its days follow the
+ * browser's timezone.
+ * target: { weeks, hoursPerDay, company?, weakTopics? }
+ */
+export function createStudyPlan(target) {
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone
+  return apiRequest('/study-plan', { method: 'POST', body: { ...target, ...(timezone && { timezone }) } })
+}
+
+export function fetchStudyPlans() {
+  return apiRequest('/study-plan')
+}
+
+export function fetchStudyPlan(id) {
+  return apiRequest(`/study-plan/${id}`)
+}
+
+export function rebalanceStudyPlan(id) {
+  return apiRequest(`/study-plan/${id}/rebalance`, { method: 'POST', body: {} })
+}
+
+/**
+ * Start a timed mock interview; the first question's countdown starts right away.
+ * settings: { questions?, minutesPerQuestion?, difficulty?, company? }
+ */
+export function startMockInterview(settings) {
+  return apiRequest('/mock-interview', { method: 'POST', body: settings })
+}
+
+export function fetchMockInterviews() {
+  return apiRequest('/mock-interview')
+}
+
+export function fetchMockInterview(id) {
+  return apiRequest(`/mock-interview/${encodeURIComponent(id)}`)
+}
+
+/**
+ * Answer the current question; code is evaluated before the next question starts
+ * answer: { explanation?, code?, language? }
+ */
+export function answerMockInterview(id, answer) {
+  return apiRequest(`/mock-interview/${encodeURIComponent(id)}/answer`, { method: 'POST', body: answer })
+}
+
+export function finishMockInterview(id) {
+  return apiRequest(`/mock-interview/${encodeURIComponent(id)}/finish`, { method: 'POST', body: {} })
+}
+
 export async function checkHealth() {
   const response = await fetch('/health')
   return response.ok
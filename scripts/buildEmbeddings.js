@@ -1,7 +1,8 @@
 /**
  * Build Embeddings Script
  * 
- * Generates embeddings for the DSA dataset using sentence-transformers
+ * Generates embeddings for the DSA dataset with the configured EMBEDDING_PROVIDER
+ * (sentence-transformers via Python, or the server's in-process ONNX / Ollama providers)
  */
 
 import fs from 'fs/promises';
@@ -10,6 +11,7 @@ import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import os from 'os';
+import embeddingService from '../server/services/embeddingService.js';
 
 // Load environment variables
 dotenv.config();
@@ -20,6 +22,7 @@ const __dirname = path.dirname(__filename);
 const DATASET_PATH = path.join(__dirname, '../data/dsa_problems.json');
 const OUTPUT_PATH = path.join(__dirname, '../data/embeddings.json');
 const MODEL = process.env.EMBEDDING_MODEL || 'all-MiniLM-L6-v2';
+const PROVIDER = (process.env.EMBEDDING_PROVIDER || 'python').toLowerCase();
 
 console.log('╔═══════════════════════════════════════════════════════════╗');
 console.log('║           CodeMentor LLM - Embedding Generator            ║');
@@ -38,6 +41,16 @@ function documentToText(doc) {
 }
 
 async function generateEmbeddings(texts) {
+  if (PROVIDER !== 'python') {
+    console.log(`Generating embeddings for ${texts.length} texts with the ${PROVIDER} provider...`);
+    const embeddings = await embeddingService.embedBatch(texts);
+    // Ollama vectors would not match queries embedded with the configured model
+    if (embeddingService.activeProvider !== PROVIDER) {
+      throw new Error(`The ${PROVIDER} provider failed and embeddings fell back to Ollama`);
+    }
+    return embeddings;
+  }
+
   // Use temp files to avoid command line argument issues
   const tempDir = os.tmpdir();
   const inputFile = path.join(tempDir, `embeddings_input_${Date.now()}.json`);
@@ -174,13 +187,19 @@ Summary:
   - Embeddings: ${embeddings.length}
   - Dimension: ${embeddings[0]?.length || 'N/A'}
   - Model: ${MODEL}
+  - Provider: ${PROVIDER}
   - Output: ${OUTPUT_PATH}
 `);
     
   } catch (error) {
     console.error('\n❌ Error generating embeddings:', error.message);
-    console.error('\nMake sure you have Python installed with sentence-transformers:');
-    console.error('  pip install sentence-transformers');
+    if (PROVIDER === 'python') {
+      console.error('\nMake sure you have Python installed with sentence-transformers:');
+      console.error('  pip install sentence-transformers');
+    } else {
+      console.error('\nMake sure the ONNX model is downloaded (see "Embeddings" in the README)');
+      console.error('or set EMBEDDING_PROVIDER=python');
+    }
     process.exit(1);
   }
 }
@@ -6,21 +6,50 @@
  */
 
 import ragPipeline from '../rag/ragPipeline.js';
-import ollamaService from '../services/ollamaService.js';
-import { asyncHandler, validateRequired, APIError } from '../utils/errorHandler.js';
+import llmService from '../services/llmService.js';
+import interviewModeService from '../services/interviewModeService.js';
+import storageService from '../services/storageService.js';
+import progressService from '../services/progressService.js';
+import { asyncHandler, validateRequired, APIError, pipelineError } from '../utils/errorHandler.js';
+import { wantsEventStream, openEventStream, createStreamHandlers, sendResult, disconnectSignal } from '../utils/sse.js';
+import { parseHistoryQuery } from '../utils/historyQuery.js';
+import { getUserId } from '../utils/authMiddleware.js';
+import { validateRetrievalOptions, validateRetrievalFilters } from '../utils/retrievalOptions.js';
 import logger from '../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
-
-// Session storage for interview mode
-const interviewSessions = new Map();
+import { INTERVIEW_MODE, SOLUTION_LANGUAGES } from '../utils/constants.js';
 
 // Valid modes
 const VALID_MODES = ['quick', 'detailed', 'interview'];
 
+// Values of options.cache: 'bypass' skips the response cache lookup and stores a fresh analysis
+const CACHE_OPTIONS = ['default', 'bypass'];
+
+/**
+ * Find an interview session that belongs to the caller
+ * Sessions of other users are reported as missing
+ */
+function findOwnedSession(req, sessionId, { includeEnded = false } = {}) {
+  const session = interviewModeService.getSession(sessionId) ||
+    (includeEnded ? interviewModeService.getStoredSession(sessionId) : null);
+  const userId = getUserId(req);
+  
+  if (!session || (userId !== undefined && session.userId !== userId)) {
+    return null;
+  }
+  
+  return session;
+}
+
 /**
  * Analyze a DSA problem
  * POST /api/analyze
  * Body: { problem: string, mode?: 'quick'|'detailed'|'interview', options?: object }
+ * options.retrieval: { denseWeight?, keywordWeight?, rrfK? } tunes hybrid retrieval
+ * options.filters: { difficulty?, tags?, companies? } restricts retrieved problems
+ * options.cache: 'default' | 'bypass' - whether a cached analysis may be returned
+ * options.language: 'java' (default) | 'python' | 'cpp' | 'javascript' | 'go' - solution language
+ * Send "Accept: text/event-stream" to receive sources, token, section and done events
  */
 export const analyzeProblem = asyncHandler(async (req, res) => {
   const { problem, mode = 'detailed', options = {} } = req.body;
@@ -32,12 +61,34 @@ export const analyzeProblem = asyncHandler(async (req, res) => {
     throw new APIError('Problem description must be at least 10 characters', 400);
   }
   
+  validateRetrievalOptions(options.retrieval);
+  validateRetrievalFilters(options.filters);
+  
+  if (options.cache !== undefined && !CACHE_OPTIONS.includes(options.cache)) {
+    throw new APIError(`options.cache must be one of: ${CACHE_OPTIONS.join(', ')}`, 400);
+  }
+  
+  if (options.language !== undefined && !Object.hasOwn(SOLUTION_LANGUAGES, options.language)) {
+    throw new APIError(`options.language must be one of: ${Object.keys(SOLUTION_LANGUAGES).join(', ')}`, 400);
+  }
+  
   // Validate mode
   const effectiveMode = VALID_MODES.includes(mode) ? mode : 'detailed';
   
   const requestId = uuidv4();
   logger.info(`[${requestId}] Analyzing problem (mode: ${effectiveMode}): ${problem.substring(0, 100)}...`);
   
+  // Fail fast with a 503 while the LLM is known to be down (before any SSE headers go out)
+  llmService.assertAvailable();
+  
+  // Switch to Server-Sent Events if requested
+  const stream = wantsEventStream(req) ? openEventStream(req, res) : null;
+  const streamHandlers = stream && createStreamHandlers(stream);
+  stream?.send('meta', { requestId, mode: effectiveMode });
+  
+  // Queued or running LLM work is cancelled when the client goes away
+  const signal = stream?.signal ?? disconnectSignal(res);
+  
   // Check for interview mode (via mode param or keyword)
   const isInterviewMode = effectiveMode === 'interview' || problem.toLowerCase().includes(
     process.env.INTERVIEW_MODE_KEYWORD?.toLowerCase() || 'interview mode'
@@ -45,45 +96,53 @@ export const analyzeProblem = asyncHandler(async (req, res) => {
   
   // Handle interview mode session
   if (isInterviewMode && !options.revealSolution) {
-    const sessionId = options.sessionId || uuidv4();
+    // Get or create session (never take over a session ID that belongs to someone else)
+    const existing = options.sessionId && findOwnedSession(req, options.sessionId);
+    const idTaken = options.sessionId && !existing && interviewModeService.getStoredSession(options.sessionId);
+    const session = existing ||
+      interviewModeService.createSession(problem, (!idTaken && options.sessionId) || uuidv4(), getUserId(req));
+    
+    // Open (or re-open) the conversation at the current phase;
+    // phases advance only through candidate answers to /respond
+    const result = await ragPipeline.analyzeProblem(session.problem, {
+      ...options,
+      mode: 'interview',
+      phase: session.phase,
+      signal
+    }, streamHandlers);
     
-    // Get or create session
-    let session = interviewSessions.get(sessionId);
-    if (!session) {
-      session = {
-        id: sessionId,
-        problem: problem.replace(/interview mode/gi, '').trim(),
-        phase: 'initial',
-        interactions: 0,
-        startedAt: new Date().toISOString()
-      };
-      interviewSessions.set(sessionId, session);
+    if (result.unavailable) {
+      throw pipelineError(result);
     }
     
-    // Update session phase based on interactions
-    session.interactions++;
-    if (session.interactions >= 3) {
-      session.phase = 'reveal';
-    } else if (session.interactions === 2) {
-      session.phase = 'approach';
-    } else {
-      session.phase = 'understanding';
+    if (result.success) {
+      interviewModeService.addResponse(session.id, result.structured_response.guidance);
+      storageService.saveAnalysis({
+        userId: getUserId(req),
+        requestId,
+        sessionId: session.id,
+        mode: 'interview',
+        problem: session.problem,
+        structuredResponse: result.structured_response,
+        sources: result.sources,
+        metadata: result.metadata
+      });
+      
+      // A session counts as practice once, when it starts
+      if (!existing) {
+        await progressService.recordAnalysis({ userId: getUserId(req), problem: session.problem, sources: result.sources });
+      }
     }
     
-    // Analyze with interview mode
-    const result = await ragPipeline.analyzeProblem(problem, {
-      ...options,
-      mode: 'interview',
-      phase: session.phase
-    });
+    const status = interviewModeService.getSessionStatus(session.id);
     
-    return res.json({
+    return sendResult(res, stream, {
       success: result.success,
       requestId,
-      sessionId,
+      sessionId: session.id,
       mode: 'interview',
-      phase: session.phase,
-      interactionsRemaining: Math.max(0, 3 - session.interactions),
+      phase: status.phase,
+      interactionsRemaining: status.interactionsRemaining,
       structured_response: result.structured_response,
       sources: result.sources,
       metadata: result.metadata
@@ -93,16 +152,28 @@ export const analyzeProblem = asyncHandler(async (req, res) => {
   // Standard analysis with mode
   const result = await ragPipeline.analyzeProblem(problem, {
     ...options,
-    mode: effectiveMode
-  });
+    mode: effectiveMode,
+    signal
+  }, streamHandlers);
   
   if (!result.success) {
-    throw new APIError(result.error || 'Analysis failed', 500);
+    throw pipelineError(result, 'Analysis failed');
   }
   
   logger.info(`[${requestId}] Analysis completed in ${result.metadata.duration_ms}ms (${effectiveMode} mode)`);
   
-  res.json({
+  storageService.saveAnalysis({
+    userId: getUserId(req),
+    requestId,
+    mode: effectiveMode,
+    problem,
+    structuredResponse: result.structured_response,
+    sources: result.sources,
+    metadata: result.metadata
+  });
+  await progressService.recordAnalysis({ userId: getUserId(req), problem, sources: result.sources });
+  
+  sendResult(res, stream, {
     success: true,
     requestId,
     mode: effectiveMode,
@@ -119,7 +190,26 @@ export const analyzeProblem = asyncHandler(async (req, res) => {
 export const getSessionStatus = asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
   
-  const session = interviewSessions.get(sessionId);
+  const status = findOwnedSession(req, sessionId) && interviewModeService.getSessionStatus(sessionId);
+  
+  if (!status) {
+    throw new APIError('Session not found', 404);
+  }
+  
+  res.json({
+    success: true,
+    session: status
+  });
+});
+
+/**
+ * Get interview conversation transcript (also available after the session has ended)
+ * GET /api/analyze/session/:sessionId/history
+ */
+export const getSessionHistory = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+  
+  const session = findOwnedSession(req, sessionId, { includeEnded: true });
   
   if (!session) {
     throw new APIError('Session not found', 404);
@@ -127,13 +217,114 @@ export const getSessionStatus = asyncHandler(async (req, res) => {
   
   res.json({
     success: true,
-    session: {
-      id: session.id,
-      phase: session.phase,
-      interactions: session.interactions,
-      interactionsRemaining: Math.max(0, 3 - session.interactions),
-      startedAt: session.startedAt
-    }
+    sessionId,
+    problem: session.problem,
+    phase: session.phase,
+    active: Boolean(interviewModeService.getSession(sessionId)),
+    history: session.history.map(h => ({
+      role: h.role,
+      content: h.content,
+      timestamp: h.timestamp
+    }))
+  });
+});
+
+/**
+ * Get stored analysis history
+ * GET /api/analyze/history
+ * Query: { page?, limit?, mode?, sessionId?, q?, from?, to? }
+ */
+export const getAnalysisHistory = asyncHandler(async (req, res) => {
+  const { mode, sessionId } = req.query;
+  
+  if (mode && ![...VALID_MODES, 'reveal'].includes(mode)) {
+    throw new APIError(`Invalid mode filter: ${mode}`, 400);
+  }
+  
+  const { items, pagination } = storageService.listAnalyses({
+    ...parseHistoryQuery(req.query),
+    userId: getUserId(req),
+    mode,
+    sessionId
+  });
+  
+  res.json({
+    success: true,
+    storage: storageService.isAvailable(),
+    history: items,
+    pagination
+  });
+});
+
+/**
+ * Send the candidate's answer to the interviewer
+ * POST /api/analyze/session/:sessionId/respond
+ * Body: { message: string }
+ */
+export const respondToInterview = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+  const { message } = req.body;
+  
+  validateRequired(req.body, ['message']);
+  
+  if (typeof message !== 'string') {
+    throw new APIError('Message must be a string', 400);
+  }
+  
+  const session = findOwnedSession(req, sessionId);
+  
+  if (!session) {
+    throw new APIError('Session not found', 404);
+  }
+  
+  if (session.phase === INTERVIEW_MODE.PHASES.REVEAL) {
+    throw new APIError('Interview has reached the reveal phase. Request the solution via /reveal', 409);
+  }
+  
+  const requestId = uuidv4();
+  const answer = message.trim();
+  const previousPhase = session.phase;
+  logger.info(`[${requestId}] Interview answer for session ${sessionId} (phase: ${previousPhase})`);
+  
+  // The answer is only recorded once the interviewer has responded, so a failed turn can be retried
+  const history = [
+    ...interviewModeService.getConversationHistory(sessionId),
+    { role: 'user', content: answer }
+  ];
+  
+  const result = await ragPipeline.continueInterview(session.problem, history, previousPhase, {
+    signal: disconnectSignal(res)
+  });
+  
+  if (!result.success) {
+    throw pipelineError(result, 'Interviewer failed to respond');
+  }
+  
+  interviewModeService.updateSession(sessionId, answer, result.decision);
+  interviewModeService.addResponse(sessionId, result.reply);
+  
+  const status = interviewModeService.getSessionStatus(sessionId);
+  
+  logger.info(`[${requestId}] Interviewer decision: ${result.decision} (${result.decisionSource}), phase ${previousPhase} -> ${status.phase}`);
+  
+  res.json({
+    success: true,
+    requestId,
+    sessionId,
+    mode: 'interview',
+    previousPhase,
+    phase: status.phase,
+    advanced: status.phase !== previousPhase,
+    decision: result.decision,
+    interactions: status.interactions,
+    interactionsRemaining: status.interactionsRemaining,
+    structured_response: {
+      mode: 'interview',
+      guidance: result.reply,
+      phase: status.phase
+    },
+    sources: result.sources,
+    metadata: result.metadata
   });
 });
 
@@ -144,28 +335,37 @@ export const getSessionStatus = asyncHandler(async (req, res) => {
 export const revealSolution = asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
   
-  const session = interviewSessions.get(sessionId);
-  
-  if (!session) {
+  if (!findOwnedSession(req, sessionId)) {
     throw new APIError('Session not found', 404);
   }
   
   // Force reveal mode
-  session.phase = 'reveal';
+  const session = interviewModeService.revealSolution(sessionId);
   
   const result = await ragPipeline.analyzeProblem(session.problem, {
-    revealSolution: true
+    revealSolution: true,
+    signal: disconnectSignal(res)
   });
   
-  // Clean up session
-  interviewSessions.delete(sessionId);
-  
   if (!result.success) {
-    throw new APIError(result.error || 'Failed to reveal solution', 500);
+    throw pipelineError(result, 'Failed to reveal solution');
   }
   
+  // Keep the solution in the transcript; the session expires on its own or via DELETE
+  interviewModeService.addResponse(sessionId, result.raw_response);
+  storageService.saveAnalysis({
+    userId: getUserId(req),
+    sessionId,
+    mode: 'reveal',
+    problem: session.problem,
+    structuredResponse: result.structured_response,
+    sources: result.sources,
+    metadata: result.metadata
+  });
+  
   res.json({
     success: true,
+    sessionId,
     mode: 'reveal',
     structured_response: result.structured_response,
     sources: result.sources,
@@ -180,11 +380,11 @@ export const revealSolution = asyncHandler(async (req, res) => {
 export const endSession = asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
   
-  const existed = interviewSessions.delete(sessionId);
+  const session = findOwnedSession(req, sessionId) && interviewModeService.endSession(sessionId);
   
   res.json({
     success: true,
-    message: existed ? 'Session ended' : 'Session not found'
+    message: session ? 'Session ended' : 'Session not found'
   });
 });
 
@@ -198,6 +398,6 @@ export const getStatus = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     status,
-    activeSessions: interviewSessions.size
+    activeSessions: interviewModeService.getActiveSessionCount()
   });
 });
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { TWO_SUM, startApi } from '../test/offlineSetup.js';
+
+const { default: analyzeRoutes } = await import('../routes/analyzeRoutes.js');
+
+describe('analyzeController with the mock provider', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi(analyzeRoutes);
+  });
+
+  afterAll(() => api.close());
+
+  it('analyzes a problem and stores it in the history', async () => {
+    const { status, body } = await api.request('POST', '/analyze', { problem: TWO_SUM });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, mode: 'detailed', metadata: { model: 'mock' } });
+    expect(body.structured_response.optimized).toContain('HashMap');
+
+    const history = await api.request('GET', '/analyze/history');
+
+    expect(history.status).toBe(200);
+    expect(history.body.history.map(item => item.requestId)).toContain(body.requestId);
+  });
+
+  it('streams sections and a done event over SSE', async () => {
+    const { status, text } = await api.request('POST', '/analyze', { problem: TWO_SUM }, { Accept: 'text/event-stream' });
+
+    expect(status).toBe(200);
+    expect(text).toContain('event: section');
+    expect(text).toContain('event: done');
+  });
+
+  it('rejects short problems and unknown languages', async () => {
+    const short = await api.request('POST', '/analyze', { problem: 'too short' });
+    const language = await api.request('POST', '/analyze', { problem: TWO_SUM, options: { language: 'cobol' } });
+
+    expect(short.status).toBe(400);
+    expect(language.status).toBe(400);
+    expect(language.body.error.message).toContain('options.language must be one of');
+  });
+
+  it('runs an interview session that advances on a substantive answer', async () => {
+    const opened = await api.request('POST', '/analyze', { problem: TWO_SUM, mode: 'interview' });
+
+    expect(opened.status).toBe(200);
+    expect(opened.body.structured_response.guidance).toContain('What are the input constraints?');
+
+    const answer = await api.request('POST', `/analyze/session/${opened.body.sessionId}/respond`, {
+      message: 'The array can hold negative numbers and exactly one pair adds up to the target'
+    });
+
+    expect(answer.status).toBe(200);
+    expect(answer.body).toMatchObject({ success: true, decision: 'advance', advanced: true });
+  });
+});
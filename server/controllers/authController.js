@@ -0,0 +1,106 @@
+/**
+ * Auth Controller
+ * 
+ * Handles registration, login and API key management
+ */
+
+import authService from '../services/authService.js';
+import storageService from '../services/storageService.js';
+import { asyncHandler, validateRequired, APIError } from '../utils/errorHandler.js';
+
+/**
+ * Register a new user
+ * POST /api/auth/register
+ * Body: { username: string, password: string }
+ */
+export const register = asyncHandler(async (req, res) => {
+  validateRequired(req.body, ['username', 'password']);
+  
+  const { user, token, expiresIn } = await authService.register(req.body.username, req.body.password);
+  
+  res.status(201).json({
+    success: true,
+    user,
+    token,
+    expiresIn
+  });
+});
+
+/**
+ * Log in and receive a JWT
+ * POST /api/auth/login
+ * Body: { username: string, password: string }
+ */
+export const login = asyncHandler(async (req, res) => {
+  validateRequired(req.body, ['username', 'password']);
+  
+  const { user, token, expiresIn } = await authService.login(req.body.username, req.body.password);
+  
+  res.json({
+    success: true,
+    user,
+    token,
+    expiresIn
+  });
+});
+
+/**
+ * Get the authenticated user
+ * GET /api/auth/me
+ */
+export const getCurrentUser = asyncHandler(async (req, res) => {
+  const user = storageService.findUserById(req.user.id);
+  
+  if (!user) {
+    throw new APIError('User no longer exists', 401);
+  }
+  
+  res.json({
+    success: true,
+    user,
+    authMethod: req.user.authMethod
+  });
+});
+
+/**
+ * Create an API key for the authenticated user
+ * POST /api/auth/api-keys
+ * Body: { name?: string }
+ */
+export const createApiKey = asyncHandler(async (req, res) => {
+  const apiKey = authService.createApiKey(req.user.id, req.body.name);
+  
+  res.status(201).json({
+    success: true,
+    apiKey,
+    message: 'Store this key now - it cannot be shown again'
+  });
+});
+
+/**
+ * List the authenticated user's API keys
+ * GET /api/auth/api-keys
+ */
+export const listApiKeys = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    apiKeys: storageService.listApiKeys(req.user.id)
+  });
+});
+
+/**
+ * Revoke one of the authenticated user's API keys
+ * DELETE /api/auth/api-keys/:keyId
+ */
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const keyId = parseInt(req.params.keyId);
+  
+  if (!Number.isInteger(keyId) || !storageService.revokeApiKey(req.user.id, keyId)) {
+    throw new APIError('API key not found', 404);
+  }
+  
+  res.json({
+    success: true,
+    message: 'API key revoked'
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { TWO_SUM, TWO_SUM_JAVA, startApi } from '../test/offlineSetup.js';
+
+Object.assign(process.env, { AUTH_ENABLED: 'true', JWT_SECRET: 'auth-spec-secret', JWT_EXPIRES_IN: '1h' });
+
+const { default: authRoutes } = await import('../routes/authRoutes.js');
+const { default: analyzeRoutes } = await import('../routes/analyzeRoutes.js');
+const { default: evaluateRoutes } = await import('../routes/evaluateRoutes.js');
+const { default: studyPlanRoutes } = await import('../routes/studyPlanRoutes.js');
+const { default: mockInterviewRoutes } = await import('../routes/mockInterviewRoutes.js');
+const { default: storageService } = await import('../services/storageService.js');
+
+describe('authentication with auth enabled', () => {
+  let api;
+  let alice;
+  let bob;
+
+  const as = user => ({ Authorization: `Bearer ${user.token}` });
+
+  beforeAll(async () => {
+    api = await startApi(authRoutes, analyzeRoutes, evaluateRoutes, studyPlanRoutes, mockInterviewRoutes);
+    alice = (await api.request('POST', '/auth/register', { username: 'alice', password: 'correct horse' })).body;
+    bob = (await api.request('POST', '/auth/register', { username: 'bob', password: 'battery staple' })).body;
+  });
+
+  afterAll(() => api.close());
+
+  describe('credentials', () => {
+    it('requires credentials outside the public paths', async () => {
+      const history = await api.request('GET', '/evaluate/history');
+      const login = await api.request('POST', '/auth/login', { username: 'alice', password: 'correct horse' });
+      const root = await api.request('GET', '/', undefined, { Authorization: 'Bearer not-a-token' });
+
+      expect(history.status).toBe(401);
+      expect(history.body.error.message).toBe('Authentication required');
+      expect(login.status).toBe(200);
+      expect(login.body.user).toMatchObject({ id: alice.user.id, username: 'alice' });
+      // Public paths pass through even with a bad credential; no route serves / here
+      expect(root.status).toBe(404);
+    });
+
+    it('accepts JWTs signed with the server secret only while they are valid', async () => {
+      const sign = (secret, options = {}) => jwt.sign({ username: 'alice' }, secret, { subject: String(alice.user.id), ...options });
+      const me = token => api.request('GET', '/auth/me', undefined, { Authorization: `Bearer ${token}` });
+
+      const valid = await me(alice.token);
+      const forged = await me(sign('some-other-secret'));
+      const expired = await me(sign('auth-spec-secret', { expiresIn: -10 }));
+      const tampered = await me(`${alice.token.slice(0, -2)}xx`);
+
+      expect(valid.body).toMatchObject({ user: { id: alice.user.id, username: 'alice' }, authMethod: 'jwt' });
+      expect([forged.status, expired.status, tampered.status]).toEqual([401, 401, 401]);
+      expect(forged.body.error.message).toBe('Invalid or expired credentials');
+    });
+
+    it('rejects a wrong password without saying which part was wrong', async () => {
+      const wrongPassword = await api.request('POST', '/auth/login', { username: 'alice', password: 'battery staple' });
+      const unknownUser = await api.request('POST', '/auth/login', { username: 'carol', password: 'correct horse' });
+
+      expect([wrongPassword.status, unknownUser.status]).toEqual([401, 401]);
+      expect(wrongPassword.body.error.message).toBe(unknownUser.body.error.message);
+    });
+  });
+
+  describe('API keys', () => {
+    it('stores only a hash of the key and authenticates with it', async () => {
+      const { body } = await api.request('POST', '/auth/api-keys', { name: 'ci' }, as(alice));
+      const { key } = body.apiKey;
+      const stored = storageService.db.prepare('SELECT * FROM api_keys WHERE id = ?').get(body.apiKey.id);
+
+      expect(key).toMatch(/^cm_/);
+      expect(stored.key_hash).toBe(crypto.createHash('sha256').update(key).digest('hex'));
+      expect(Object.values(stored)).not.toContain(key);
+
+      const me = await api.request('GET', '/auth/me', undefined, { 'X-API-Key': key });
+      const bearer = await api.request('GET', '/auth/me', undefined, { Authorization: `Bearer ${key}` });
+
+      expect(me.body).toMatchObject({ user: { username: 'alice' }, authMethod: 'api_key' });
+      expect(bearer.body.authMethod).toBe('api_key');
+    });
+
+    it('stops accepting a key once it is revoked, and only by its owner', async () => {
+      const { body } = await api.request('POST', '/auth/api-keys', { name: 'laptop' }, as(alice));
+      const { id, key } = body.apiKey;
+
+      const byBob = await api.request('DELETE', `/auth/api-keys/${id}`, undefined, as(bob));
+      const stillValid = await api.request('GET', '/auth/me', undefined, { 'X-API-Key': key });
+      const byAlice = await api.request('DELETE', `/auth/api-keys/${id}`, undefined, as(alice));
+      const revoked = await api.request('GET', '/auth/me', undefined, { 'X-API-Key': key });
+
+      expect(byBob.status).toBe(404);
+      expect(stillValid.status).toBe(200);
+      expect(byAlice.status).toBe(200);
+      expect(revoked.status).toBe(401);
+    });
+  });
+
+  describe('records of other users', () => {
+    it('keeps evaluation history per user', async () => {
+      const evaluated = await api.request('POST', '/evaluate', { problem: TWO_SUM, code: TWO_SUM_JAVA }, as(alice));
+
+      const own = await api.request('GET', '/evaluate/history', undefined, as(alice));
+      const other = await api.request('GET', '/evaluate/history', undefined, as(bob));
+
+      expect(evaluated.status).toBe(200);
+      expect(own.body.history.map(item => item.requestId)).toEqual([evaluated.body.requestId]);
+      expect(other.body.history).toEqual([]);
+      expect(other.body.pagination.total).toBe(0);
+    });
+
+    it('hides study plans of other users', async () => {
+      const created = await api.request('POST', '/study-plan', { weeks: 1, hoursPerDay: 1 }, as(alice));
+      const { id } = created.body.plan;
+
+      const read = await api.request('GET', `/study-plan/${id}`, undefined, as(bob));
+      const rebalanced = await api.request('POST', `/study-plan/${id}/rebalance`, undefined, as(bob));
+      const deleted = await api.request('DELETE', `/study-plan/${id}`, undefined, as(bob));
+      const listed = await api.request('GET', '/study-plan', undefined, as(bob));
+      const own = await api.request('GET', `/study-plan/${id}`, undefined, as(alice));
+
+      expect(created.status).toBe(201);
+      expect([read.status, rebalanced.status, deleted.status]).toEqual([404, 404, 404]);
+      expect(listed.body.plans).toEqual([]);
+      expect(own.status).toBe(200);
+    });
+
+    it('hides mock interviews of other users', async () => {
+      const started = await api.request('POST', '/mock-interview', { questions: 2 }, as(alice));
+      const { id } = started.body.interview;
+
+      const read = await api.request('GET', `/mock-interview/${id}`, undefined, as(bob));
+      const answered = await api.request('POST', `/mock-interview/${id}/answer`, { explanation: 'Use a hash map of complements' }, as(bob));
+      const listed = await api.request('GET', '/mock-interview', undefined, as(bob));
+      const own = await api.request('GET', `/mock-interview/${id}`, undefined, as(alice));
+
+      expect(started.status).toBe(201);
+      expect([read.status, answered.status]).toEqual([404, 404]);
+      expect(listed.body.interviews).toEqual([]);
+      expect(own.body.interview.current.index).toBe(0);
+    });
+
+    it('hides interview mode sessions of other users', async () => {
+      const opened = await api.request('POST', '/analyze', { problem: TWO_SUM, mode: 'interview' }, as(alice));
+      const { sessionId } = opened.body;
+
+      const status = await api.request('GET', `/analyze/session/${sessionId}`, undefined, as(bob));
+      const responded = await api.request('POST', `/analyze/session/${sessionId}/respond`, { message: 'The array can hold negative numbers' }, as(bob));
+      const history = await api.request('GET', `/analyze/session/${sessionId}/history`, undefined, as(bob));
+      const ended = await api.request('DELETE', `/analyze/session/${sessionId}`, undefined, as(bob));
+      const own = await api.request('GET', `/analyze/session/${sessionId}`, undefined, as(alice));
+
+      expect(opened.status).toBe(200);
+      expect([status.status, responded.status, history.status]).toEqual([404, 404, 404]);
+      expect(ended.body.message).toBe('Session not found');
+      // Still open for its owner
+      expect(own.status).toBe(200);
+    });
+
+    it('scopes analysis history and storage queries to the user', async () => {
+      const own = await api.request('GET', '/analyze/history', undefined, as(alice));
+      const other = await api.request('GET', '/analyze/history', undefined, as(bob));
+
+      expect(own.body.history.length).toBeGreaterThan(0);
+      expect(other.body.history).toEqual([]);
+      expect(storageService.listEvaluations({ userId: bob.user.id }).items).toEqual([]);
+      expect(storageService.listEvaluations({ userId: alice.user.id }).items).toHaveLength(1);
+    });
+  });
+});
@@ -5,14 +5,26 @@
  */
 
 import ragPipeline from '../rag/ragPipeline.js';
-import { asyncHandler, validateRequired, APIError } from '../utils/errorHandler.js';
+import llmService from '../services/llmService.js';
+import storageService from '../services/storageService.js';
+import progressService from '../services/progressService.js';
+import studyPlanService from '../services/studyPlanService.js';
+import syntaxService from '../services/syntaxService.js';
+import complexityAnalyzer from '../services/complexityAnalyzer.js';
+import complexityProfiler, { MIN_SIZE } from '../services/complexityProfiler.js';
+import { asyncHandler, validateRequired, APIError, pipelineError } from '../utils/errorHandler.js';
+import { wantsEventStream, openEventStream, createStreamHandlers, sendResult, disconnectSignal } from '../utils/sse.js';
+import { parseHistoryQuery, parseNumber } from '../utils/historyQuery.js';
+import { getUserId } from '../utils/authMiddleware.js';
 import logger from '../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
-import { SCORING } from '../utils/constants.js';
+import { SCORING, SOLUTION_LANGUAGES } from '../utils/constants.js';
 
 /**
  * Evaluate user's code solution
  * POST /api/evaluate
+ * Body: { problem: string, code: string, options?: { problemId?, language?, execute? } }
+ * Send "Accept: text/event-stream" to receive execution, token and done events
  */
 export const evaluateCode = asyncHandler(async (req, res) => {
   const { problem, code, options = {} } = req.body;
@@ -28,41 +40,67 @@ export const evaluateCode = asyncHandler(async (req, res) => {
     throw new APIError('Code must be at least 10 characters', 400);
   }
   
+  if (options.language !== undefined && !Object.hasOwn(SOLUTION_LANGUAGES, options.language)) {
+    throw new APIError(`options.language must be one of: ${Object.keys(SOLUTION_LANGUAGES).join(', ')}`, 400);
+  }
+  
   const requestId = uuidv4();
   logger.info(`[${requestId}] Evaluating code for: ${problem.substring(0, 50)}...`);
   
+  // Fail fast with a 503 while the LLM is known to be down (before any SSE headers go out)
+  llmService.assertAvailable();
+  
+  // Switch to Server-Sent Events if requested
+  const stream = wantsEventStream(req) ? openEventStream(req, res) : null;
+  stream?.send('meta', { requestId });
+  
   // Run evaluation
-  const result = await ragPipeline.evaluateCode(problem, code, options);
+  const result = await ragPipeline.evaluateCode(
+    problem,
+    code,
+    { ...options, signal: stream ? undefined : disconnectSignal(res) },
+    stream && createStreamHandlers(stream)
+  );
   
   if (!result.success) {
-    throw new APIError(result.error || 'Evaluation failed', 500);
+    throw pipelineError(result, 'Evaluation failed');
   }
   
   // Calculate overall assessment
   const evaluation = result.evaluation;
   const totalScore = evaluation.score || 0;
   
-  let grade, message;
-  if (totalScore >= 9) {
-    grade = 'Excellent';
-    message = 'Outstanding solution! Interview-ready quality.';
-  } else if (totalScore >= 7) {
-    grade = 'Good';
-    message = 'Solid solution with minor improvements possible.';
-  } else if (totalScore >= 5) {
-    grade = 'Fair';
-    message = 'Acceptable solution but needs improvement in some areas.';
-  } else if (totalScore >= 3) {
-    grade = 'Needs Improvement';
-    message = 'Solution has significant issues that need addressing.';
-  } else {
-    grade = 'Insufficient';
-    message = 'Solution requires major revision.';
-  }
+  const { grade, message } = SCORING.GRADES.find(entry => totalScore >= entry.minScore);
   
   logger.info(`[${requestId}] Evaluation completed. Score: ${totalScore}/10 (${grade})`);
   
-  res.json({
+  const execution = result.execution || { executed: false, reason: 'No test cases for this problem' };
+  
+  storageService.saveEvaluation({
+    userId: getUserId(req),
+    requestId,
+    problem,
+    problemId: execution.problemId ?? options.problemId,
+    language: options.language,
+    code,
+    score: totalScore,
+    maxScore: SCORING.MAX_SCORE,
+    grade,
+    breakdown: evaluation.breakdown,
+    suggestions: evaluation.suggestions || [],
+    execution,
+    metadata: result.metadata
+  });
+  await progressService.recordEvaluation({
+    userId: getUserId(req),
+    problem,
+    problemId: execution.problemId ?? options.problemId,
+    score: totalScore,
+    maxScore: SCORING.MAX_SCORE
+  });
+  await studyPlanService.rebalanceActive(getUserId(req));
+  
+  sendResult(res, stream, {
     success: true,
     requestId,
     score: totalScore,
@@ -72,145 +110,136 @@ export const evaluateCode = asyncHandler(async (req, res) => {
     breakdown: evaluation.breakdown,
     suggestions: evaluation.suggestions || [],
     optimal_solution_hint: evaluation.optimal_solution_hint || '',
+    execution,
+    ...(result.complexity && { complexity: result.complexity }),
     metadata: result.metadata
   });
 });
 
 /**
- * Quick code syntax check
+ * Code syntax check with a real parser
  * POST /api/evaluate/syntax
+ * Body: { code: string, language?: 'java'|'python'|'cpp'|'javascript'|'go' }
  */
 export const checkSyntax = asyncHandler(async (req, res) => {
   const { code, language = 'java' } = req.body;
   
   validateRequired(req.body, ['code']);
   
-  // Basic syntax validation for Java
-  const issues = [];
-  
-  if (language.toLowerCase() === 'java') {
-    // Check for common Java syntax issues
-    const lines = code.split('\n');
-    
-    let braceCount = 0;
-    let parenCount = 0;
-    
-    lines.forEach((line, idx) => {
-      // Count braces
-      braceCount += (line.match(/{/g) || []).length;
-      braceCount -= (line.match(/}/g) || []).length;
-      
-      // Count parentheses
-      parenCount += (line.match(/\(/g) || []).length;
-      parenCount -= (line.match(/\)/g) || []).length;
-      
-      // Check for common issues
-      if (line.includes(';;')) {
-        issues.push({ line: idx + 1, message: 'Double semicolon detected' });
-      }
-      
-      // Check for unclosed string literals
-      const quotes = (line.match(/"/g) || []).length;
-      if (quotes % 2 !== 0 && !line.trim().startsWith('//')) {
-        issues.push({ line: idx + 1, message: 'Unclosed string literal' });
-      }
-    });
-    
-    if (braceCount !== 0) {
-      issues.push({ message: `Unbalanced braces: ${braceCount > 0 ? 'missing }' : 'extra }'}` });
-    }
-    
-    if (parenCount !== 0) {
-      issues.push({ message: `Unbalanced parentheses: ${parenCount > 0 ? 'missing )' : 'extra )'}` });
-    }
-    
-    // Check for main method
-    if (!code.includes('public static void main') && !code.includes('public ') && !code.includes('class ')) {
-      issues.push({ message: 'No class or method definition found' });
-    }
+  if (typeof code !== 'string') {
+    throw new APIError('Code must be a string', 400);
   }
   
+  const result = await syntaxService.check(code, language);
+  
   res.json({
     success: true,
-    language,
-    valid: issues.length === 0,
-    issues
+    ...result
   });
 });
 
 /**
  * Get complexity analysis for code
  * POST /api/evaluate/complexity
+ * Body: { code: string, language?: 'java'|'python'|'cpp'|'javascript'|'go' }
+ * Estimates come from the syntax tree, per method, with the lines they are based on
  */
 export const analyzeComplexity = asyncHandler(async (req, res) => {
   const { code, language = 'java' } = req.body;
   
   validateRequired(req.body, ['code']);
   
-  // Pattern-based complexity estimation
-  const analysis = {
-    estimatedTime: 'O(n)',
-    estimatedSpace: 'O(1)',
-    confidence: 'medium',
-    indicators: []
-  };
-  
-  // Time complexity indicators
-  if (code.includes('for') && code.match(/for.*for/s)) {
-    analysis.estimatedTime = 'O(n²)';
-    analysis.indicators.push('Nested loops detected - likely O(n²)');
+  if (typeof code !== 'string') {
+    throw new APIError('Code must be a string', 400);
   }
   
-  if (code.includes('while') && code.match(/while.*while/s)) {
-    analysis.estimatedTime = 'O(n²)';
-    analysis.indicators.push('Nested while loops detected - likely O(n²)');
-  }
+  const complexity = await complexityAnalyzer.analyze(code, language);
+  
+  res.json({
+    success: true,
+    complexity
+  });
+});
+
+// Largest input size a measurement may go up to
+const MAX_PROFILE_SIZE = 1 << 22;
+
+/**
+ * Measure complexity by timing the code on random inputs of doubling size
+ * POST /api/evaluate/complexity/empirical
+ * Body: { code: string, language?: 'java', problemId?, method?, params?: string[], options?: { maxSize?, claimed? } }
+ * The method to call comes from method/params, the problem's test suite or the code itself
+ */
+export const measureComplexity = asyncHandler(async (req, res) => {
+  const { code, language = 'java', problemId, method, params, options = {} } = req.body;
   
-  if (code.includes('Arrays.sort') || code.includes('Collections.sort')) {
-    if (analysis.estimatedTime === 'O(1)' || analysis.estimatedTime === 'O(n)') {
-      analysis.estimatedTime = 'O(n log n)';
-    }
-    analysis.indicators.push('Sorting operation - O(n log n)');
+  validateRequired(req.body, ['code']);
+  
+  if (typeof code !== 'string' || code.trim().length < 10) {
+    throw new APIError('Code must be at least 10 characters', 400);
   }
   
-  // Recursion detection
-  const methodMatch = code.match(/\b(\w+)\s*\([^)]*\)\s*{[^}]*\1\s*\(/s);
-  if (methodMatch) {
-    analysis.indicators.push('Recursion detected - complexity depends on recursion depth');
-    analysis.confidence = 'low';
+  if (String(language).toLowerCase() !== 'java') {
+    throw new APIError('Runtime measurement is only available for Java', 400);
   }
   
-  // Space complexity indicators
-  if (code.includes('new int[') || code.includes('new Integer[') || code.includes('new ArrayList')) {
-    analysis.estimatedSpace = 'O(n)';
-    analysis.indicators.push('Array/List allocation detected');
+  if (method !== undefined && (typeof method !== 'string' || (params !== undefined && !Array.isArray(params)))) {
+    throw new APIError('"method" must be a string and "params" an array of Java types', 400);
   }
   
-  if (code.includes('HashMap') || code.includes('HashSet')) {
-    analysis.estimatedSpace = 'O(n)';
-    analysis.indicators.push('Hash structure detected - O(n) space');
+  const { maxSize, claimed } = options;
+  if (maxSize !== undefined && (!Number.isInteger(maxSize) || maxSize < MIN_SIZE * 8 || maxSize > MAX_PROFILE_SIZE)) {
+    throw new APIError(`"options.maxSize" must be an integer between ${MIN_SIZE * 8} and ${MAX_PROFILE_SIZE}`, 400);
   }
   
-  if (code.includes('new int[n][n]') || code.includes('new int[m][n]')) {
-    analysis.estimatedSpace = 'O(n²)';
-    analysis.indicators.push('2D array detected - O(n²) space');
+  if (claimed !== undefined && typeof claimed !== 'string') {
+    throw new APIError('"options.claimed" must be a string such as "O(n log n)"', 400);
   }
   
+  const empirical = await complexityProfiler.profile(code, {
+    problemId: parseNumber(problemId, 'problemId', { integer: true }),
+    method,
+    params,
+    maxSize,
+    claimed
+  });
+  
   res.json({
     success: true,
-    complexity: analysis
+    empirical
   });
 });
 
 /**
- * Get evaluation history (mock implementation)
+ * Get stored evaluation history
  * GET /api/evaluate/history
+ * Query: { page?, limit?, problemId?, grade?, verdict?, language?, minScore?, maxScore?, q?, from?, to? }
  */
 export const getHistory = asyncHandler(async (req, res) => {
-  // This would typically fetch from a database
+  const { grade, verdict, language } = req.query;
+  
+  const minScore = parseNumber(req.query.minScore, 'minScore');
+  const maxScore = parseNumber(req.query.maxScore, 'maxScore');
+  
+  if (minScore !== undefined && maxScore !== undefined && minScore > maxScore) {
+    throw new APIError('"minScore" must not exceed "maxScore"', 400);
+  }
+  
+  const { items, pagination } = storageService.listEvaluations({
+    ...parseHistoryQuery(req.query),
+    userId: getUserId(req),
+    problemId: parseNumber(req.query.problemId, 'problemId', { integer: true }),
+    grade,
+    verdict,
+    language,
+    minScore,
+    maxScore
+  });
+  
   res.json({
     success: true,
-    message: 'Evaluation history feature - implement with database storage',
-    history: []
+    storage: storageService.isAvailable(),
+    history: items,
+    pagination
   });
 });
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { TWO_SUM, TWO_SUM_JAVA, startApi } from '../test/offlineSetup.js';
+
+const { default: evaluateRoutes } = await import('../routes/evaluateRoutes.js');
+
+describe('evaluateController with the mock provider', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi(evaluateRoutes);
+  });
+
+  afterAll(() => api.close());
+
+  it('grades the code and stores it in the history', async () => {
+    const { status, body } = await api.request('POST', '/evaluate', { problem: TWO_SUM, code: TWO_SUM_JAVA });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, score: 7, maxScore: 10, grade: 'Good' });
+    expect(body.breakdown.time_complexity.detected).toBe('O(n)');
+
+    const history = await api.request('GET', '/evaluate/history');
+
+    expect(history.status).toBe(200);
+    expect(history.body.history.map(item => item.requestId)).toContain(body.requestId);
+  });
+
+  it('reports code that does not parse as a 422 with the issues', async () => {
+    const { status, body } = await api.request('POST', '/evaluate', {
+      problem: TWO_SUM,
+      code: 'class Solution { public int[] twoSum(int[] nums, int target) { return new int[0]; '
+    });
+
+    expect(status).toBe(422);
+    expect(body.error.details.issues.length).toBeGreaterThan(0);
+  });
+
+  it('rejects code that is too short and unknown languages', async () => {
+    const short = await api.request('POST', '/evaluate', { problem: TWO_SUM, code: 'int x;' });
+    const language = await api.request('POST', '/evaluate', {
+      problem: TWO_SUM,
+      code: TWO_SUM_JAVA,
+      options: { language: 'cobol' }
+    });
+
+    expect(short.status).toBe(400);
+    expect(language.status).toBe(400);
+    expect(language.body.error.message).toContain('options.language must be one of');
+  });
+
+  it('checks syntax without calling the LLM', async () => {
+    const { status, body } = await api.request('POST', '/evaluate/syntax', { code: TWO_SUM_JAVA });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, valid: true });
+  });
+});
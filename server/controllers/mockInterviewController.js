@@ -0,0 +1,201 @@
+/**
+ * Mock Interview Controller
+ *
+ * Handles timed mock interviews: starting, answering questions and the final report
+ */
+
+import mockInterviewService from '../services/mockInterviewService.js';
+import ragPipeline from '../rag/ragPipeline.js';
+import llmService from '../services/llmService.js';
+import progressService from '../services/progressService.js';
+import storageService from '../services/storageService.js';
+import studyPlanService from '../services/studyPlanService.js';
+import { asyncHandler, APIError, pipelineError } from '../utils/errorHandler.js';
+import { disconnectSignal } from '../utils/sse.js';
+import { parseNumber } from '../utils/historyQuery.js';
+import { getUserId } from '../utils/authMiddleware.js';
+import { v4 as uuidv4 } from 'uuid';
+import { DIFFICULTY_LEVELS, MOCK_INTERVIEW, SCORING, SOLUTION_LANGUAGES } from '../utils/constants.js';
+
+/**
+ * Start a mock interview; the first question's countdown starts right away
+ * POST /api/mock-interview
+ * Body: { questions?, minutesPerQuestion?, difficulty?, company? }
+ */
+export const startMockInterview = asyncHandler(async (req, res) => {
+  const { difficulty, company } = req.body;
+  const questions = parseNumber(req.body.questions, 'questions', { integer: true }) ?? MOCK_INTERVIEW.MIN_QUESTIONS;
+  const minutesPerQuestion = parseNumber(req.body.minutesPerQuestion, 'minutesPerQuestion', { integer: true });
+  
+  if (questions < MOCK_INTERVIEW.MIN_QUESTIONS || questions > MOCK_INTERVIEW.MAX_QUESTIONS) {
+    throw new APIError(
+      `"questions" must be between ${MOCK_INTERVIEW.MIN_QUESTIONS} and ${MOCK_INTERVIEW.MAX_QUESTIONS}`,
+      400
+    );
+  }
+  if (minutesPerQuestion !== undefined &&
+    (minutesPerQuestion < MOCK_INTERVIEW.MIN_MINUTES || minutesPerQuestion > MOCK_INTERVIEW.MAX_MINUTES)) {
+    throw new APIError(
+      `"minutesPerQuestion" must be between ${MOCK_INTERVIEW.MIN_MINUTES} and ${MOCK_INTERVIEW.MAX_MINUTES}`,
+      400
+    );
+  }
+  if (difficulty !== undefined && difficulty !== null && !Object.values(DIFFICULTY_LEVELS).includes(difficulty)) {
+    throw new APIError(`"difficulty" must be one of: ${Object.values(DIFFICULTY_LEVELS).join(', ')}`, 400);
+  }
+  if (company !== undefined && company !== null && (typeof company !== 'string' || !company.trim())) {
+    throw new APIError('"company" must be a non-empty string', 400);
+  }
+  
+  const interview = await mockInterviewService.start(getUserId(req), {
+    difficulty: difficulty || undefined,
+    company: company?.trim() || undefined,
+    questions,
+    minutesPerQuestion
+  });
+  
+  res.status(201).json({
+    success: true,
+    interview
+  });
+});
+
+/**
+ * List the caller's mock interviews, newest first
+ * GET /api/mock-interview
+ */
+export const listMockInterviews = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    interviews: mockInterviewService.list(getUserId(req))
+  });
+});
+
+/**
+ * Get a mock interview: the current question while in progress, the report once completed
+ * GET /api/mock-interview/:id
+ */
+export const getMockInterview = asyncHandler(async (req, res) => {
+  const interview = mockInterviewService.get(req.params.id, getUserId(req));
+  
+  if (!interview) {
+    throw new APIError('Mock interview not found', 404);
+  }
+  
+  res.json({
+    success: true,
+    interview
+  });
+});
+
+/**
+ * Answer the current question with an approach explanation, code or both
+ * POST /api/mock-interview/:id/answer
+ * Body: { explanation?, code?, language? }
+ */
+export const answerMockInterview = asyncHandler(async (req, res) => {
+  const { explanation = '', code = '', language = 'java' } = req.body;
+  
+  if (typeof explanation !== 'string' || typeof code !== 'string' || typeof language !== 'string') {
+    throw new APIError('"explanation", "code" and "language" must be strings', 400);
+  }
+  if (!Object.hasOwn(SOLUTION_LANGUAGES, language)) {
+    throw new APIError(`"language" must be one of: ${Object.keys(SOLUTION_LANGUAGES).join(', ')}`, 400);
+  }
+  if (!explanation.trim() && !code.trim()) {
+    throw new APIError('Provide an explanation of your approach, code or both', 400);
+  }
+  if (code.trim() && code.trim().length < 10) {
+    throw new APIError('Code must be at least 10 characters', 400);
+  }
+  
+  // Fail fast with a 503 while the LLM is known to be down, before the answer is claimed
+  if (code.trim()) {
+    llmService.assertAvailable();
+  }
+  
+  const userId = getUserId(req);
+  const claim = mockInterviewService.claimAnswer(req.params.id, userId);
+  if (!claim) {
+    throw new APIError('Mock interview not found', 404);
+  }
+  
+  const { interview, question, submittedAt } = claim;
+  let evaluation = null;
+  let updated;
+  try {
+    if (code.trim()) {
+      evaluation = await ragPipeline.evaluateCode(question.problem, code, {
+        problemId: question.problemId,
+        language,
+        signal: disconnectSignal(res)
+      });
+      
+      // Code that does not parse is still an answer; anything else leaves the question open
+      if (!evaluation.success && !evaluation.syntaxErrors) {
+        throw pipelineError(evaluation, 'Evaluation failed');
+      }
+    }
+    
+    updated = mockInterviewService.submitAnswer(interview, question, {
+      explanation: explanation.trim(),
+      code,
+      language,
+      submittedAt,
+      evaluation
+    });
+  } finally {
+    mockInterviewService.release(interview.id);
+  }
+  
+  if (evaluation?.success) {
+    const score = Math.min(SCORING.MAX_SCORE, evaluation.evaluation.score || 0);
+    
+    // Stored like a POST /api/evaluate result, so it shows in the history and is scheduled for review
+    storageService.saveEvaluation({
+      userId,
+      requestId: uuidv4(),
+      problem: question.problem,
+      problemId: question.problemId,
+      language,
+      code,
+      score,
+      maxScore: SCORING.MAX_SCORE,
+      grade: SCORING.GRADES.find(entry => score >= entry.minScore).grade,
+      breakdown: evaluation.evaluation.breakdown,
+      suggestions: evaluation.evaluation.suggestions || [],
+      execution: evaluation.execution || { executed: false, reason: 'No test cases for this problem' },
+      metadata: { ...evaluation.metadata, mockInterviewId: interview.id }
+    });
+    await progressService.recordEvaluation({
+      userId,
+      problem: question.problem,
+      problemId: question.problemId,
+      score,
+      maxScore: SCORING.MAX_SCORE
+    });
+    await studyPlanService.rebalanceActive(userId);
+  }
+  
+  res.json({
+    success: true,
+    interview: updated
+  });
+});
+
+/**
+ * End a mock interview early and get its report; unanswered questions are skipped
+ * POST /api/mock-interview/:id/finish
+ */
+export const finishMockInterview = asyncHandler(async (req, res) => {
+  const interview = mockInterviewService.finish(req.params.id, getUserId(req));
+  
+  if (!interview) {
+    throw new APIError('Mock interview not found', 404);
+  }
+  
+  res.json({
+    success: true,
+    interview
+  });
+});
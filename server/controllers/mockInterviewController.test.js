@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { TWO_SUM_JAVA, startApi } from '../test/offlineSetup.js';
+
+const { default: mockInterviewRoutes } = await import('../routes/mockInterviewRoutes.js');
+const { default: evaluateRoutes } = await import('../routes/evaluateRoutes.js');
+const { default: reviewRoutes } = await import('../routes/reviewRoutes.js');
+
+describe('mockInterviewController with the mock provider', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi(mockInterviewRoutes, evaluateRoutes, reviewRoutes);
+  });
+
+  afterAll(() => api.close());
+
+  it('rejects answers in unknown languages and keeps the question open', async () => {
+    const started = await api.request('POST', '/mock-interview', { questions: 2 });
+    const { id } = started.body.interview;
+
+    const answer = await api.request('POST', `/mock-interview/${id}/answer`, {
+      code: 'class Solution { int solve() { return 0; } }',
+      language: 'cobol'
+    });
+    const interview = await api.request('GET', `/mock-interview/${id}`);
+
+    expect(started.status).toBe(201);
+    expect(answer.status).toBe(400);
+    expect(answer.body.error.message).toContain('"language" must be one of');
+    expect(interview.body.interview.status).toBe('in_progress');
+    expect(interview.body.interview.current).toMatchObject({ index: 0 });
+  });
+
+  it('stores evaluated answers in the evaluation history and the review schedule', async () => {
+    const started = await api.request('POST', '/mock-interview', { questions: 2 });
+    const { id, current } = started.body.interview;
+
+    const answer = await api.request('POST', `/mock-interview/${id}/answer`, {
+      explanation: 'Keep a map from value to index and look up each complement',
+      code: TWO_SUM_JAVA,
+      language: 'java'
+    });
+    const history = await api.request('GET', `/evaluate/history?problemId=${current.problemId}`);
+    const reviews = await api.request('GET', '/review/due');
+
+    expect(answer.status).toBe(200);
+    expect(history.body.history).toHaveLength(1);
+    expect(history.body.history[0]).toMatchObject({ problemId: current.problemId, language: 'java', score: 7, grade: 'Good' });
+    expect([...reviews.body.due, ...reviews.body.upcoming].map(card => card.problemId)).toContain(current.problemId);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Problem Controller
+ *
+ * Handles problem bank listing and curation
+ */
+
+import problemService from '../services/problemService.js';
+import { asyncHandler, APIError } from '../utils/errorHandler.js';
+import { parseNumber } from '../utils/historyQuery.js';
+import { validateRetrievalFilters } from '../utils/retrievalOptions.js';
+import { isCurator } from '../utils/authMiddleware.js';
+
+/**
+ * Split a comma-separated query value into a list
+ */
+function parseList(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  return [].concat(value).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Hidden test cases are only shown to curators
+ */
+function present(problem, curator) {
+  if (curator || !problem.tests) {
+    return problem;
+  }
+  
+  return {
+    ...problem,
+    tests: { ...problem.tests, cases: problem.tests.cases.filter(testCase => !testCase.hidden) }
+  };
+}
+
+/**
+ * List problems
+ * GET /api/problems
+ * Query: { difficulty?, tags?, companies?, q?, page?, limit? } - list values are comma-separated
+ */
+export const listProblems = asyncHandler(async (req, res) => {
+  const filters = {
+    difficulty: parseList(req.query.difficulty),
+    tags: parseList(req.query.tags),
+    companies: parseList(req.query.companies)
+  };
+  validateRetrievalFilters(filters);
+  
+  const page = parseNumber(req.query.page, 'page', { integer: true });
+  const limit = parseNumber(req.query.limit, 'limit', { integer: true });
+  
+  if ((page !== undefined && page < 1) || (limit !== undefined && limit < 1)) {
+    throw new APIError('"page" and "limit" must be positive integers', 400);
+  }
+  
+  const { items, pagination } = await problemService.list({
+    ...filters,
+    search: typeof req.query.q === 'string' && req.query.q.trim() ? req.query.q.trim() : undefined,
+    page,
+    limit
+  });
+  const curator = isCurator(req);
+  
+  res.json({
+    success: true,
+    problems: items.map(problem => present(problem, curator)),
+    pagination
+  });
+});
+
+/**
+ * Get a single problem
+ * GET /api/problems/:id
+ */
+export const getProblem = asyncHandler(async (req, res) => {
+  const problem = await problemService.get(req.params.id);
+  
+  if (!problem) {
+    throw new APIError('Problem not found', 404);
+  }
+  
+  res.json({
+    success: true,
+    problem: present(problem, isCurator(req))
+  });
+});
+
+/**
+ * Add a problem to the bank and the live search index
+ * POST /api/problems
+ * Body: { title, problem, difficulty, tags?, approach?, complexity?, company_tags?, hints?, tests? }
+ */
+export const createProblem = asyncHandler(async (req, res) => {
+  const problem = await problemService.create(req.body);
+  
+  res.status(201).json({
+    success: true,
+    problem
+  });
+});
+
+/**
+ * Replace a problem and re-index it
+ * PUT /api/problems/:id
+ * Body: same as POST
+ */
+export const updateProblem = asyncHandler(async (req, res) => {
+  const problem = await problemService.update(req.params.id, req.body);
+  
+  res.json({
+    success: true,
+    problem
+  });
+});
+
+/**
+ * Remove a problem from the bank and the search index
+ * DELETE /api/problems/:id
+ */
+export const deleteProblem = asyncHandler(async (req, res) => {
+  const problem = await problemService.remove(req.params.id);
+  
+  res.json({
+    success: true,
+    message: `Deleted problem ${problem.id}`
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Progress Controller
+ *
+ * Handles practice progress: per-topic mastery, streaks and score trends
+ */
+
+import progressService, { DEFAULT_TREND_DAYS } from '../services/progressService.js';
+import storageService from '../services/storageService.js';
+import { asyncHandler, APIError } from '../utils/errorHandler.js';
+import { parseNumber } from '../utils/historyQuery.js';
+import { getUserId } from '../utils/authMiddleware.js';
+
+// Longest score trend that can be requested
+const MAX_TREND_DAYS = 365;
+
+/**
+ * Get the caller's progress
+ * GET /api/progress
+ * Query: { days?, timezone? } - days of score trend (default 30), IANA timezone for streaks (default UTC)
+ */
+export const getProgress = asyncHandler(async (req, res) => {
+  const days = parseNumber(req.query.days, 'days', { integer: true }) ?? DEFAULT_TREND_DAYS;
+  
+  if (days < 1 || days > MAX_TREND_DAYS) {
+    throw new APIError(`"days" must be between 1 and ${MAX_TREND_DAYS}`, 400);
+  }
+  
+  const timezone = typeof req.query.timezone === 'string' && req.query.timezone.trim()
+    ? req.query.timezone.trim()
+    : 'UTC';
+  
+  const progress = progressService.getProgress(getUserId(req), { days, timezone });
+  
+  res.json({
+    success: true,
+    storage: storageService.isAvailable(),
+    progress
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Review Controller
+ *
+ * Handles the spaced-repetition review queue
+ */
+
+import reviewScheduler from '../services/reviewScheduler.js';
+import storageService from '../services/storageService.js';
+import { asyncHandler, APIError } from '../utils/errorHandler.js';
+import { parseNumber } from '../utils/historyQuery.js';
+import { getUserId } from '../utils/authMiddleware.js';
+
+/**
+ * Get problems due for review
+ * GET /api/review/due
+ * Query: { timezone?, limit? } - due dates are calendar days in the IANA timezone (default UTC)
+ */
+export const getDueReviews = asyncHandler(async (req, res) => {
+  const limit = parseNumber(req.query.limit, 'limit', { integer: true });
+  
+  if (limit !== undefined && limit < 1) {
+    throw new APIError('"limit" must be a positive integer', 400);
+  }
+  
+  const timezone = typeof req.query.timezone === 'string' && req.query.timezone.trim()
+    ? req.query.timezone.trim()
+    : 'UTC';
+  
+  const reviews = await reviewScheduler.getDue(getUserId(req), { timezone, limit });
+  
+  res.json({
+    success: true,
+    storage: storageService.isAvailable(),
+    ...reviews
+  });
+});
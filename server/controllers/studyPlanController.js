@@ -0,0 +1,159 @@
+/**
+ * Study Plan Controller
+ *
+ * Handles personalized study plans: creation, tracking and re-balancing
+ */
+
+import studyPlanService, { PLAN_LIMITS } from '../services/studyPlanService.js';
+import { tagsToTopics } from '../services/progressService.js';
+import { asyncHandler, validateRequired, APIError } from '../utils/errorHandler.js';
+import { parseNumber } from '../utils/historyQuery.js';
+import { getUserId } from '../utils/authMiddleware.js';
+import { createDayKey } from '../utils/dayKeys.js';
+import { DSA_CATEGORIES } from '../utils/constants.js';
+
+/**
+ * Plan id from the route, as a positive integer
+ */
+function parsePlanId(req) {
+  const id = parseNumber(req.params.id, 'id', { integer: true });
+  
+  if (!(id > 0)) {
+    throw new APIError('Study plan not found', 404);
+  }
+  
+  return id;
+}
+
+/**
+ * Weak topics as DSA_CATEGORIES names; tag spellings like "binary-search" are accepted
+ */
+function parseWeakTopics(weakTopics) {
+  if (weakTopics === undefined || weakTopics === null) {
+    return undefined;
+  }
+  if (!Array.isArray(weakTopics)) {
+    throw new APIError('"weakTopics" must be an array of topics', 400);
+  }
+  
+  return [...new Set(weakTopics.map(topic => {
+    const [category] = tagsToTopics([topic]);
+    if (!category) {
+      throw new APIError(`Unknown topic: ${topic}`, 400, { topics: DSA_CATEGORIES });
+    }
+    return category;
+  }))];
+}
+
+/**
+ * Create a study plan (replaces the caller's active plan)
+ * POST /api/study-plan
+ * Body: { weeks, hoursPerDay, company?, weakTopics?, startDate?, timezone? }
+ */
+export const createStudyPlan = asyncHandler(async (req, res) => {
+  validateRequired(req.body, ['weeks', 'hoursPerDay']);
+  
+  const { company, startDate } = req.body;
+  const weeks = parseNumber(req.body.weeks, 'weeks', { integer: true });
+  const hoursPerDay = parseNumber(req.body.hoursPerDay, 'hoursPerDay');
+  
+  if (weeks < 1 || weeks > PLAN_LIMITS.MAX_WEEKS) {
+    throw new APIError(`"weeks" must be between 1 and ${PLAN_LIMITS.MAX_WEEKS}`, 400);
+  }
+  if (hoursPerDay < PLAN_LIMITS.MIN_HOURS_PER_DAY || hoursPerDay > PLAN_LIMITS.MAX_HOURS_PER_DAY) {
+    throw new APIError(
+      `"hoursPerDay" must be between ${PLAN_LIMITS.MIN_HOURS_PER_DAY} and ${PLAN_LIMITS.MAX_HOURS_PER_DAY}`,
+      400
+    );
+  }
+  if (company !== undefined && company !== null && (typeof company !== 'string' || !company.trim())) {
+    throw new APIError('"company" must be a non-empty string', 400);
+  }
+  // Date.parse rolls days past the end of the month over ('2025-02-31' is March 3rd), so compare the round trip
+  if (startDate !== undefined && (typeof startDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(startDate) ||
+    Number.isNaN(Date.parse(`${startDate}T00:00:00Z`)) || new Date(`${startDate}T00:00:00Z`).toISOString().slice(0, 10) !== startDate)) {
+    throw new APIError('"startDate" must be a date like 2025-01-31', 400);
+  }
+  
+  const timezone = typeof req.body.timezone === 'string' && req.body.timezone.trim()
+    ? req.body.timezone.trim()
+    : 'UTC';
+  createDayKey(timezone);
+  
+  const plan = await studyPlanService.create(getUserId(req), {
+    company: company?.trim() || undefined,
+    weeks,
+    hoursPerDay,
+    weakTopics: parseWeakTopics(req.body.weakTopics),
+    startDate,
+    timezone
+  });
+  
+  res.status(201).json({
+    success: true,
+    plan
+  });
+});
+
+/**
+ * List the caller's study plans, newest first
+ * GET /api/study-plan
+ */
+export const listStudyPlans = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    plans: studyPlanService.list(getUserId(req))
+  });
+});
+
+/**
+ * Get a study plan with the status of each item
+ * GET /api/study-plan/:id
+ */
+export const getStudyPlan = asyncHandler(async (req, res) => {
+  const plan = studyPlanService.get(parsePlanId(req), getUserId(req));
+  
+  if (!plan) {
+    throw new APIError('Study plan not found', 404);
+  }
+  
+  res.json({
+    success: true,
+    plan
+  });
+});
+
+/**
+ * Re-balance a study plan against current progress
+ * POST /api/study-plan/:id/rebalance
+ */
+export const rebalanceStudyPlan = asyncHandler(async (req, res) => {
+  const result = await studyPlanService.rebalance(parsePlanId(req), getUserId(req));
+  
+  if (!result) {
+    throw new APIError('Study plan not found', 404);
+  }
+  
+  res.json({
+    success: true,
+    changed: result.changed,
+    plan: result.plan
+  });
+});
+
+/**
+ * Delete a study plan
+ * DELETE /api/study-plan/:id
+ */
+export const deleteStudyPlan = asyncHandler(async (req, res) => {
+  const id = parsePlanId(req);
+  
+  if (!studyPlanService.remove(id, getUserId(req))) {
+    throw new APIError('Study plan not found', 404);
+  }
+  
+  res.json({
+    success: true,
+    message: `Deleted study plan ${id}`
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { startApi } from '../test/offlineSetup.js';
+
+const { default: studyPlanRoutes } = await import('../routes/studyPlanRoutes.js');
+
+describe('studyPlanController with the mock provider', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi(studyPlanRoutes);
+  });
+
+  afterAll(() => api.close());
+
+  it('rejects start dates that are not on the calendar', async () => {
+    for (const startDate of ['2025-02-31', '2025-04-31', '2025-02-29', '2025-13-01', '2025-1-05']) {
+      const { status, body } = await api.request('POST', '/study-plan', { weeks: 1, hoursPerDay: 1, startDate });
+
+      expect([startDate, status]).toEqual([startDate, 400]);
+      expect(body.error.message).toBe('"startDate" must be a date like 2025-01-31');
+    }
+  });
+
+  it('starts the plan on a valid start date', async () => {
+    const { status, body } = await api.request('POST', '/study-plan', { weeks: 1, hoursPerDay: 1, startDate: '2024-02-29' });
+
+    expect(status).toBe(201);
+    expect(body.plan.target).toMatchObject({ startDate: '2024-02-29', endDate: '2024-03-06' });
+    expect(body.plan.days[0].date).toBe('2024-02-29');
+  });
+});
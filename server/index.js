@@ -24,9 +24,19 @@ dotenv.config({ path: path.join(projectRoot, '.env') });
 import analyzeRoutes from './routes/analyzeRoutes.js';
 import evaluateRoutes from './routes/evaluateRoutes.js';
 import healthRoutes from './routes/healthRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import problemRoutes from './routes/problemRoutes.js';
+import progressRoutes from './routes/progressRoutes.js';
+import reviewRoutes from './routes/reviewRoutes.js';
+import studyPlanRoutes from './routes/studyPlanRoutes.js';
+import mockInterviewRoutes from './routes/mockInterviewRoutes.js';
+import { authenticate } from './utils/authMiddleware.js';
 import { errorHandler, notFoundHandler } from './utils/errorHandler.js';
 import logger from './utils/logger.js';
 import { initializeRAG } from './rag/ragPipeline.js';
+import storageService from './services/storageService.js';
+import embeddingService from './services/embeddingService.js';
+import llmService from './services/llmService.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -46,8 +56,8 @@ app.use(helmet({
 }));
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 // Rate limiting
@@ -72,9 +82,16 @@ app.use(morgan('combined', {
   stream: { write: (message) => logger.http(message.trim()) }
 }));
 
-// API Routes
+// API Routes (everything under /api except login/registration requires a JWT or API key)
+app.use('/api', authenticate);
+app.use('/api', authRoutes);
 app.use('/api', analyzeRoutes);
 app.use('/api', evaluateRoutes);
+app.use('/api', problemRoutes);
+app.use('/api', progressRoutes);
+app.use('/api', reviewRoutes);
+app.use('/api', studyPlanRoutes);
+app.use('/api', mockInterviewRoutes);
 app.use('/health', healthRoutes);
 
 // Serve static files from client build folder
@@ -88,8 +105,15 @@ app.get('/api', (req, res) => {
     version: '1.0.0',
     description: 'DSA Interview Trainer with RAG-powered LLM',
     endpoints: {
+      register: 'POST /api/auth/register',
+      login: 'POST /api/auth/login',
       analyze: 'POST /api/analyze',
       evaluate: 'POST /api/evaluate',
+      problems: 'GET /api/problems',
+      progress: 'GET /api/progress',
+      reviews: 'GET /api/review/due',
+      studyPlan: 'POST /api/study-plan',
+      mockInterview: 'POST /api/mock-interview',
       health: 'GET /health'
     }
   });
@@ -132,6 +156,9 @@ async function startServer() {
     await initializeRAG();
     logger.info('RAG pipeline initialized successfully');
 
+    // Open the history database up front so migrations run before the first request
+    storageService.isAvailable();
+
     app.listen(PORT, () => {
       logger.info(`
 ╔═══════════════════════════════════════════════════════════╗
@@ -140,7 +167,7 @@ async function startServer() {
 ║                                                           ║
 ║   URL: http://localhost:${PORT}                             ║
 ║   Environment: ${process.env.NODE_ENV || 'development'}                          ║
-║   LLM Model: ${process.env.OLLAMA_MODEL || 'llama3:8b-instruct-q4_K_M'}                ║
+║   LLM: ${llmService.getProviderName()} / ${llmService.getConfig().model}                ║
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
       `);
@@ -154,11 +181,15 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  storageService.close();
+  embeddingService.close();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully...');
+  storageService.close();
+  embeddingService.close();
   process.exit(0);
 });
 
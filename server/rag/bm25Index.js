@@ -0,0 +1,123 @@
+/**
+ * BM25 Keyword Index
+ *
+ * In-memory lexical index used next to FAISS so exact terms
+ * ("LRU", "Kadane", "trie") are found even when embeddings miss them
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'each', 'for', 'from',
+  'given', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'return',
+  'such', 'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was', 'we',
+  'what', 'when', 'which', 'with', 'you', 'your'
+]);
+
+/**
+ * Split text into lowercase terms without stop words
+ * Plural "s" is dropped so "arrays" matches "array"
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term && !STOP_WORDS.has(term))
+    .map(term => (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+}
+
+export class BM25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.clear();
+  }
+
+  /**
+   * Remove all documents
+   */
+  clear() {
+    this.termFrequencies = [];
+    this.documentLengths = [];
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+    this.averageLength = 0;
+  }
+
+  /**
+   * Build the index from document texts (positions match the FAISS document order)
+   */
+  build(texts) {
+    this.clear();
+    texts.forEach(text => this.add(text));
+  }
+
+  /**
+   * Append one document
+   */
+  add(text) {
+    const terms = tokenize(text);
+    const frequencies = new Map();
+
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    for (const term of frequencies.keys()) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+
+    this.termFrequencies.push(frequencies);
+    this.documentLengths.push(terms.length);
+
+    this.totalLength += terms.length;
+    this.averageLength = this.totalLength / this.documentLengths.length;
+  }
+
+  /**
+   * Inverse document frequency (Lucene variant, never negative)
+   */
+  idf(term) {
+    const n = this.documentFrequency.get(term) || 0;
+    const total = this.termFrequencies.length;
+    return Math.log(1 + (total - n + 0.5) / (n + 0.5));
+  }
+
+  /**
+   * Score every document against the query
+   * Returns [{ index, score }] sorted by score, only documents that match at least one term
+   */
+  search(query, k = 10) {
+    const queryTerms = [...new Set(tokenize(query))];
+
+    if (queryTerms.length === 0 || this.termFrequencies.length === 0) {
+      return [];
+    }
+
+    const scores = [];
+
+    this.termFrequencies.forEach((frequencies, index) => {
+      const lengthNorm = 1 - this.b + this.b * (this.documentLengths[index] / (this.averageLength || 1));
+      let score = 0;
+
+      for (const term of queryTerms) {
+        const tf = frequencies.get(term);
+        if (tf) {
+          score += this.idf(term) * (tf * (this.k1 + 1)) / (tf + this.k1 * lengthNorm);
+        }
+      }
+
+      if (score > 0) {
+        scores.push({ index, score });
+      }
+    });
+
+    return scores
+      .sort((x, y) => y.score - x.score)
+      .slice(0, k);
+  }
+
+  /**
+   * Number of indexed documents
+   */
+  get size() {
+    return this.termFrequencies.length;
+  }
+}
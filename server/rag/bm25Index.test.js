@@ -0,0 +1,74 @@
+import { describe, it, expect } from '@jest/globals';
+import { BM25Index, tokenize } from './bm25Index.js';
+
+describe('tokenize', () => {
+  it('lowercases, drops stop words and plural "s"', () => {
+    expect(tokenize('Given the Arrays of Numbers, return pairs')).toEqual(['array', 'number', 'pair']);
+  });
+
+  it('keeps double "s" and short terms', () => {
+    expect(tokenize('class bus gas')).toEqual(['class', 'bus', 'gas']);
+  });
+});
+
+describe('BM25Index', () => {
+  const documents = [
+    'Two Sum: find two numbers in an array that add up to a target using a hash map',
+    'LRU Cache: design a least recently used cache with a hash map and a doubly linked list',
+    'Maximum Subarray: Kadane algorithm finds the largest sum of a contiguous subarray',
+    'Reverse Linked List: reverse a singly linked list in place'
+  ];
+
+  const build = () => {
+    const index = new BM25Index();
+    index.build(documents);
+    return index;
+  };
+
+  it('ranks documents by how well they match the query', () => {
+    const results = build().search('linked list');
+
+    expect(results.map(result => result.index)).toEqual([3, 1]);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  it('finds exact rare terms', () => {
+    expect(build().search('kadane')).toEqual([{ index: 2, score: expect.any(Number) }]);
+  });
+
+  it('weights rare terms above common ones', () => {
+    const index = build();
+    const [common] = index.search('hash');
+    const [rare] = index.search('lru');
+
+    expect(index.idf('lru')).toBeGreaterThan(index.idf('hash'));
+    expect(rare.score).toBeGreaterThan(common.score);
+  });
+
+  it('favours shorter documents for the same term frequency', () => {
+    const index = new BM25Index();
+    index.build(['graph', 'graph with many other unrelated words in it']);
+
+    expect(index.search('graph').map(result => result.index)).toEqual([0, 1]);
+  });
+
+  it('limits results to k and skips documents without a match', () => {
+    const index = build();
+
+    expect(index.search('sum', 1)).toHaveLength(1);
+    expect(index.search('trie')).toEqual([]);
+    expect(index.search('the of')).toEqual([]);
+  });
+
+  it('appends documents and clears the index', () => {
+    const index = build();
+    index.add('Implement Trie: prefix tree with insert and search');
+
+    expect(index.size).toBe(5);
+    expect(index.search('trie')[0].index).toBe(4);
+
+    index.clear();
+    expect(index.size).toBe(0);
+    expect(index.search('trie')).toEqual([]);
+  });
+});
@@ -11,20 +11,32 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import logger from '../utils/logger.js';
 import embeddingService from '../services/embeddingService.js';
+import { BM25Index } from './bm25Index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Initial over-fetch when a metadata filter may discard some hits
+const FILTER_OVERFETCH_FACTOR = 4;
+
 class FAISSService {
   constructor() {
     this.index = null;
     this.documents = [];
+    this.embeddings = []; // Raw vectors, parallel to documents
     this.dimension = parseInt(process.env.EMBEDDING_DIMENSION) || 384;
     this.indexPath = process.env.FAISS_INDEX_PATH || path.join(__dirname, '../../data/faiss.index');
     this.embeddingsPath = process.env.EMBEDDINGS_PATH || path.join(__dirname, '../../data/embeddings.json');
     this.topK = parseInt(process.env.RAG_TOP_K) || 5;
     this.similarityThreshold = parseFloat(process.env.RAG_SIMILARITY_THRESHOLD) || 0.7;
+    // Keyword index over the same documentToText output, kept in step with the FAISS index
+    this.keywordIndex = new BM25Index({
+      k1: parseFloat(process.env.BM25_K1) || 1.2,
+      b: parseFloat(process.env.BM25_B) || 0.75
+    });
     this.isInitialized = false;
+    // Bumped on every committed change, so results derived from the index can tell they are stale
+    this.revision = 0;
   }
 
   /**
@@ -40,6 +52,8 @@ class FAISSService {
         logger.info('Creating new FAISS index');
         this.index = new IndexFlatIP(this.dimension); // Inner Product for cosine similarity
         this.documents = [];
+        this.embeddings = [];
+        this.keywordIndex.clear();
       }
       
       this.isInitialized = true;
@@ -51,6 +65,8 @@ class FAISSService {
       // Create empty index as fallback
       this.index = new IndexFlatIP(this.dimension);
       this.documents = [];
+      this.embeddings = [];
+      this.keywordIndex.clear();
       this.isInitialized = true;
       return false;
     }
@@ -76,14 +92,10 @@ class FAISSService {
         return false;
       }
       
-      // Recreate index from embeddings
-      this.index = new IndexFlatIP(this.dimension);
+      this.embeddings = embeddings;
       
-      // Add all embeddings to index
-      for (const embedding of embeddings) {
-        const normalized = this.normalizeVector(embedding);
-        this.index.add(normalized);
-      }
+      // Recreate vector and keyword indexes from embeddings
+      this.rebuildIndexes();
       
       logger.info(`Loaded ${this.documents.length} documents from disk`);
       return true;
@@ -95,14 +107,29 @@ class FAISSService {
     }
   }
 
+  /**
+   * Rebuild the vector and keyword indexes from documents and embeddings
+   * (FAISS flat indexes have no stable ids, so removals rebuild from scratch)
+   */
+  rebuildIndexes() {
+    this.index = new IndexFlatIP(this.dimension);
+    
+    for (const embedding of this.embeddings) {
+      this.index.add(this.normalizeVector(embedding));
+    }
+    
+    this.keywordIndex.build(this.documents.map(doc => this.documentToText(doc)));
+  }
+
   /**
    * Save index to disk
+   * Written to a temp file and renamed, so readers never see a partial file
    */
-  async saveIndex(embeddings) {
+  async saveIndex() {
     try {
       const data = {
         documents: this.documents,
-        embeddings: embeddings,
+        embeddings: this.embeddings,
         metadata: {
           dimension: this.dimension,
           model: embeddingService.getModel(),
@@ -115,7 +142,9 @@ class FAISSService {
       await fs.mkdir(path.dirname(this.embeddingsPath), { recursive: true });
       
       // Save embeddings JSON
-      await fs.writeFile(this.embeddingsPath, JSON.stringify(data, null, 2));
+      const tempPath = `${this.embeddingsPath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.rename(tempPath, this.embeddingsPath);
       
       logger.info(`Saved ${this.documents.length} documents to disk`);
       return true;
@@ -133,8 +162,6 @@ class FAISSService {
       await this.initialize();
     }
 
-    const embeddings = [];
-    
     for (let i = 0; i < documents.length; i++) {
       const doc = documents[i];
       
@@ -149,8 +176,9 @@ class FAISSService {
       
       // Add to index
       this.index.add(normalized);
+      this.keywordIndex.add(text);
       this.documents.push(doc);
-      embeddings.push(embedding);
+      this.embeddings.push(embedding);
       
       if ((i + 1) % 10 === 0) {
         logger.info(`Indexed ${i + 1}/${documents.length} documents`);
@@ -158,16 +186,91 @@ class FAISSService {
     }
     
     // Save to disk
-    await this.saveIndex(embeddings);
+    await this.saveIndex();
+    this.revision++;
     
     logger.info(`Added ${documents.length} documents to FAISS index`);
     return true;
   }
 
+  /**
+   * Insert or replace a single document (matched by id) in the live index
+   * Changes are rolled back if the index cannot be saved
+   */
+  async upsertDocument(doc) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    // Embed before touching the index so a failed embedding changes nothing
+    const embedding = await embeddingService.embed(this.documentToText(doc));
+    const position = this.documents.findIndex(d => d.id === doc.id);
+    const previous = { documents: this.documents, embeddings: this.embeddings };
+
+    if (position === -1) {
+      this.documents = [...this.documents, doc];
+      this.embeddings = [...this.embeddings, embedding];
+      this.index.add(this.normalizeVector(embedding));
+      this.keywordIndex.add(this.documentToText(doc));
+    } else {
+      this.documents = this.documents.map((d, i) => (i === position ? doc : d));
+      this.embeddings = this.embeddings.map((e, i) => (i === position ? embedding : e));
+      this.rebuildIndexes();
+    }
+
+    await this._commit(previous);
+
+    logger.info(`${position === -1 ? 'Added' : 'Updated'} document ${doc.id} in FAISS index`);
+    return position === -1 ? 'added' : 'updated';
+  }
+
+  /**
+   * Remove a document by id from the live index
+   * Returns false if no document has that id
+   */
+  async removeDocument(id) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const position = this.documents.findIndex(d => d.id === id);
+    if (position === -1) {
+      return false;
+    }
+
+    const previous = { documents: this.documents, embeddings: this.embeddings };
+
+    this.documents = this.documents.filter((_, i) => i !== position);
+    this.embeddings = this.embeddings.filter((_, i) => i !== position);
+    this.rebuildIndexes();
+
+    await this._commit(previous);
+
+    logger.info(`Removed document ${id} from FAISS index`);
+    return true;
+  }
+
+  /**
+   * Persist a live change, restoring the previous state if saving fails
+   */
+  async _commit(previous) {
+    if (await this.saveIndex()) {
+      this.revision++;
+      return;
+    }
+
+    this.documents = previous.documents;
+    this.embeddings = previous.embeddings;
+    this.rebuildIndexes();
+
+    throw new Error('Failed to save FAISS index');
+  }
+
   /**
    * Search for similar documents
+   * options.filter: optional document predicate (see metadataFilter.js)
    */
-  async search(query, k = null) {
+  async search(query, k = null, { filter = null } = {}) {
     if (!this.isInitialized) {
       await this.initialize();
     }
@@ -184,26 +287,40 @@ class FAISSService {
       const queryEmbedding = await embeddingService.embed(query);
       const normalizedQuery = this.normalizeVector(queryEmbedding);
       
-      // Search FAISS index
-      const result = this.index.search(normalizedQuery, k);
+      // Search FAISS index; with a filter, over-fetch and widen until k documents match
+      let fetchK = filter ? Math.min(k * FILTER_OVERFETCH_FACTOR, this.documents.length) : k;
+      let matches;
       
-      // Format results
-      const results = [];
-      for (let i = 0; i < result.labels.length; i++) {
-        const idx = result.labels[i];
-        const score = result.distances[i];
+      for (;;) {
+        const result = this.index.search(normalizedQuery, fetchK);
         
-        logger.info(`Search result ${i}: idx=${idx}, score=${score.toFixed(4)}, title=${this.documents[idx]?.title || 'N/A'}`);
+        matches = [];
+        for (let i = 0; i < result.labels.length; i++) {
+          const idx = result.labels[i];
+          
+          if (idx >= 0 && idx < this.documents.length && (!filter || filter(this.documents[idx]))) {
+            matches.push({ idx, score: result.distances[i] });
+          }
+        }
         
-        if (idx >= 0 && idx < this.documents.length) {
-          results.push({
-            document: this.documents[idx],
-            score: score,
-            rank: i + 1
-          });
+        if (!filter || matches.length >= k || fetchK >= this.documents.length) {
+          break;
         }
+        fetchK = Math.min(fetchK * 2, this.documents.length);
       }
       
+      // Format results
+      const results = matches.slice(0, k).map(({ idx, score }, i) => {
+        logger.info(`Search result ${i}: idx=${idx}, score=${score.toFixed(4)}, title=${this.documents[idx]?.title || 'N/A'}`);
+        
+        return {
+          document: this.documents[idx],
+          index: idx,
+          score: score,
+          rank: i + 1
+        };
+      });
+      
       // Filter by similarity threshold (lowered from 0.7 to 0.3 for better recall)
       const threshold = this.similarityThreshold;
       const filtered = results.filter(r => r.score >= threshold);
@@ -218,7 +335,35 @@ class FAISSService {
   }
 
   /**
-   * Convert document to text for embedding
+   * Keyword (BM25) search over the same documents as the vector index
+   * options.filter: optional document predicate (see metadataFilter.js)
+   */
+  async keywordSearch(query, k = null, { filter = null } = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    k = Math.min(k || this.topK, this.documents.length);
+
+    // BM25 scores every document anyway, so filtering the full ranking is cheap
+    const hits = filter
+      ? this.keywordIndex.search(query, this.documents.length).filter(hit => filter(this.documents[hit.index])).slice(0, k)
+      : this.keywordIndex.search(query, k);
+
+    const results = hits.map((hit, i) => ({
+      document: this.documents[hit.index],
+      index: hit.index,
+      score: hit.score,
+      rank: i + 1
+    }));
+
+    logger.info(`Keyword search found ${results.length} matching documents`);
+
+    return results;
+  }
+
+  /**
+   * Convert document to text for embedding and keyword indexing
    */
   documentToText(doc) {
     const parts = [];
@@ -253,6 +398,8 @@ class FAISSService {
       dimension: this.dimension,
       topK: this.topK,
       similarityThreshold: this.similarityThreshold,
+      keywordIndexSize: this.keywordIndex.size,
+      revision: this.revision,
       indexPath: this.indexPath
     };
   }
@@ -263,6 +410,9 @@ class FAISSService {
   async reset() {
     this.index = new IndexFlatIP(this.dimension);
     this.documents = [];
+    this.embeddings = [];
+    this.keywordIndex.clear();
+    this.revision++;
     
     try {
       await fs.unlink(this.indexPath);
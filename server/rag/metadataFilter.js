@@ -0,0 +1,50 @@
+/**
+ * Metadata Filters
+ *
+ * Restrict retrieval to problems matching difficulty, tags and companies.
+ * Values within a field are alternatives (OR); different fields must all match (AND).
+ */
+
+/**
+ * Normalize a filter value or document tag for comparison
+ * "Dynamic Programming", "dynamic_programming" and "dynamic-programming" are equal
+ */
+export function normalizeTag(value) {
+  return String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Accept a single value or a list
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).map(normalizeTag).filter(Boolean);
+}
+
+/**
+ * Build a document predicate from { difficulty?, tags?, companies? }
+ * Returns null when no filter is set
+ */
+export function createDocumentFilter(filters) {
+  if (!filters) {
+    return null;
+  }
+
+  const difficulties = toList(filters.difficulty);
+  const tags = toList(filters.tags);
+  const companies = toList(filters.companies);
+
+  if (difficulties.length === 0 && tags.length === 0 && companies.length === 0) {
+    return null;
+  }
+
+  const matchesAny = (wanted, values) =>
+    wanted.length === 0 || (values || []).some(value => wanted.includes(normalizeTag(value)));
+
+  return (doc) =>
+    (difficulties.length === 0 || (doc.difficulty && difficulties.includes(normalizeTag(doc.difficulty)))) &&
+    matchesAny(tags, doc.tags) &&
+    matchesAny(companies, doc.company_tags);
+}
@@ -10,17 +10,43 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import logger from '../utils/logger.js';
 import faissService from './faissService.js';
+import { createDocumentFilter } from './metadataFilter.js';
 import embeddingService from '../services/embeddingService.js';
-import ollamaService from '../services/ollamaService.js';
+import llmService from '../services/llmService.js';
+import codeExecutionService from '../services/codeExecutionService.js';
+import syntaxService from '../services/syntaxService.js';
+import complexityAnalyzer, { sameComplexity } from '../services/complexityAnalyzer.js';
+import problemService from '../services/problemService.js';
+import { ResponseCache } from '../services/responseCache.js';
+import {
+  SCORING,
+  INTERVIEW_MODE,
+  LLM_PRIORITIES,
+  RESPONSE_FIELDS,
+  LEGACY_CODE_FIELD,
+  DEFAULT_SOLUTION_LANGUAGE
+} from '../utils/constants.js';
 import { 
   generateAnalysisPrompt, 
   generateInterviewPrompt,
+  generateInterviewFollowUpPrompt,
+  parseInterviewReply,
   generateEvaluationPrompt,
+  generateAnalysisRepairPrompt,
   parseStructuredResponse,
+  finalizeCodeSection,
   parseEvaluationResponse,
-  SYSTEM_PROMPT,
-  INTERVIEW_MODE_PROMPT 
+  createSectionStreamParser,
+  getAnalysisSystemPrompt,
+  INTERVIEW_MODE_PROMPT,
+  PROMPT_VERSION
 } from '../services/promptTemplates.js';
+import {
+  ANALYSIS_RESPONSE_SCHEMA,
+  parseAnalysisJson,
+  validateAnalysis,
+  createJsonSectionStreamParser
+} from '../services/analysisSchema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -30,18 +56,24 @@ function getModeConfig(mode) {
   const configs = {
     quick: {
       maxTokens: parseInt(process.env.LLM_QUICK_MAX_TOKENS) || 600,
+      timeoutMs: parseInt(process.env.LLM_QUICK_TIMEOUT_MS) || 60000,
+      priority: LLM_PRIORITIES.HIGH,
       temperature: 0.2,
       topK: 1,
       contextFormat: 'minimal'
     },
     detailed: {
       maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 1200,
+      timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 300000,
+      priority: LLM_PRIORITIES.NORMAL,
       temperature: 0.3,
       topK: parseInt(process.env.RAG_TOP_K) || 2,
       contextFormat: 'full'
     },
     interview: {
       maxTokens: 600,
+      timeoutMs: parseInt(process.env.LLM_QUICK_TIMEOUT_MS) || 60000,
+      priority: LLM_PRIORITIES.HIGH,
       temperature: 0.5,
       topK: 2,
       contextFormat: 'hints'
@@ -50,12 +82,158 @@ function getModeConfig(mode) {
   return configs[mode] || configs.detailed;
 }
 
+/**
+ * Error for a failed LLM call, keeping outage and cancellation details for the response status
+ */
+function llmFailure(llmResult) {
+  const error = new Error(llmResult.error);
+  if (llmResult.unavailable) {
+    error.unavailable = true;
+    error.retryAfter = llmResult.retryAfter;
+  }
+  error.aborted = llmResult.aborted || false;
+  return error;
+}
+
+// Signals used when the LLM does not return a phase decision
+const GIVE_UP_PATTERN = /\b(give up|show (me )?the (solution|answer)|reveal|i'?m stuck|no idea)\b/i;
+const PHASE_SIGNALS = {
+  [INTERVIEW_MODE.PHASES.UNDERSTANDING]: /\b(input|output|return|constraint|edge case|empty|null|duplicate|negative|sorted|example)s?\b/i,
+  [INTERVIEW_MODE.PHASES.APPROACH]: /\b(hash ?(map|set|table)|map|set|stack|queue|heap|priority queue|sort(ing|ed)?|two[- ]pointers?|binary search|sliding window|dynamic programming|dp|memo(ize|ization)?|greedy|bfs|dfs|recurs(ion|ive)|brute force|iterate|loop|trie|union[- ]find|graph)\b/i,
+  [INTERVIEW_MODE.PHASES.OPTIMIZATION]: /(O\([^)]*\)|\b(time|space) complexity\b|\b(linear|logarithmic|quadratic|constant) (time|space)\b)/i
+};
+
+/**
+ * Fallback phase decision from the content of the candidate's answer
+ */
+function assessAnswerHeuristically(message, phase) {
+  if (GIVE_UP_PATTERN.test(message)) {
+    return 'reveal';
+  }
+  
+  const signal = PHASE_SIGNALS[phase];
+  const substantive = message.trim().split(/\s+/).length >= 8;
+  
+  return signal && substantive && signal.test(message) ? 'advance' : 'stay';
+}
+
+/**
+ * Fold sandbox test results into the LLM evaluation so correctness is a verdict
+ */
+function applyExecutionResults(evaluation, execution) {
+  const breakdown = evaluation.breakdown || {};
+  const correctness = breakdown.correctness || {};
+  const maxCorrectness = SCORING.WEIGHTS.CORRECTNESS;
+
+  const ratio = execution.total > 0 ? execution.passed / execution.total : 0;
+  const failures = execution.results
+    .filter(r => !r.passed)
+    .map(r => ({
+      index: r.index,
+      status: r.status,
+      // Hidden cases report only their status, never their data
+      ...(!r.hidden && {
+        input: r.input,
+        expected: r.expected,
+        actual: r.actual
+      }),
+      ...(r.error && { error: r.error })
+    }));
+
+  breakdown.correctness = {
+    ...correctness,
+    score: Math.round(maxCorrectness * ratio * 10) / 10,
+    llm_score: correctness.score,
+    verdict: execution.verdict,
+    tests: {
+      passed: execution.passed,
+      total: execution.total,
+      runtime_ms: execution.runtime_ms,
+      failures,
+      ...(execution.compileError && { compile_error: execution.compileError })
+    }
+  };
+
+  evaluation.breakdown = breakdown;
+  const total = Object.values(breakdown).reduce((sum, item) => sum + (Number(item?.score) || 0), 0);
+  evaluation.score = Math.min(SCORING.MAX_SCORE, Math.round(total * 10) / 10);
+
+  return evaluation;
+}
+
+/**
+ * Record next to the LLM's detected complexities what static analysis estimates and whether they agree
+ */
+function applyComplexityAnalysis(evaluation, complexity) {
+  const breakdown = evaluation.breakdown || {};
+  const estimates = {
+    time_complexity: complexity.estimatedTime,
+    space_complexity: complexity.estimatedSpace
+  };
+
+  for (const [field, estimate] of Object.entries(estimates)) {
+    if (breakdown[field]) {
+      breakdown[field].static_analysis = {
+        estimate,
+        agrees: breakdown[field].detected ? sameComplexity(breakdown[field].detected, estimate) : null
+      };
+    }
+  }
+
+  return evaluation;
+}
+
+/**
+ * Merge ranked result lists with weighted reciprocal rank fusion
+ * lists: [{ name, weight, results: [{ index, document, score }] }]
+ * Fused scores are scaled to 0-1, where 1 means ranked first in every weighted list
+ */
+function reciprocalRankFusion(lists, rrfK) {
+  const fused = new Map();
+  const activeLists = lists.filter(list => list.weight > 0);
+  
+  for (const { name, weight, results } of activeLists) {
+    results.forEach((result, position) => {
+      const entry = fused.get(result.index) || { document: result.document, score: 0, scores: {} };
+      entry.score += weight / (rrfK + position + 1);
+      entry.scores[name] = result.score;
+      fused.set(result.index, entry);
+    });
+  }
+  
+  const bestPossible = activeLists.reduce((sum, list) => sum + list.weight, 0) / (rrfK + 1);
+  
+  return [...fused.values()]
+    .map(entry => ({ ...entry, score: bestPossible > 0 ? entry.score / bestPossible : 0 }))
+    .sort((a, b) => b.score - a.score);
+}
+
 class RAGPipeline {
   constructor() {
     this.datasetPath = process.env.DATASET_PATH || path.join(__dirname, '../../data/dsa_problems.json');
     this.isInitialized = false;
     this.topK = parseInt(process.env.RAG_TOP_K) || 2;
     this.chunkSize = parseInt(process.env.RAG_CHUNK_SIZE) || 500;
+    this.responseCache = new ResponseCache({
+      maxEntries: parseInt(process.env.RESPONSE_CACHE_SIZE) || 200,
+      ttlMs: parseInt(process.env.RESPONSE_CACHE_TTL_MS) || 24 * 60 * 60 * 1000
+    });
+  }
+
+  /**
+   * Hybrid retrieval settings, overridable per request via options.retrieval
+   */
+  getRetrievalConfig(overrides = {}) {
+    const envNumber = (name, fallback) => {
+      const value = parseFloat(process.env[name]);
+      return Number.isFinite(value) ? value : fallback;
+    };
+    
+    return {
+      denseWeight: overrides.denseWeight ?? envNumber('RAG_DENSE_WEIGHT', 1),
+      keywordWeight: overrides.keywordWeight ?? envNumber('RAG_KEYWORD_WEIGHT', 1),
+      rrfK: overrides.rrfK ?? envNumber('RAG_RRF_K', 60)
+    };
   }
 
   /**
@@ -75,12 +253,12 @@ class RAGPipeline {
         await this.loadDataset();
       }
       
-      // Verify Ollama connection
-      const ollamaHealth = await ollamaService.healthCheck();
-      if (!ollamaHealth.available) {
-        logger.warn('Ollama is not available. LLM features will be limited.');
+      // Verify LLM connection
+      const llmHealth = await llmService.healthCheck();
+      if (!llmHealth.available) {
+        logger.warn(`LLM provider (${llmHealth.provider}) is not available. LLM features will be limited.`);
       } else {
-        logger.info(`Ollama connected. Available models: ${ollamaHealth.models.join(', ')}`);
+        logger.info(`LLM provider (${llmHealth.provider}) connected. Available models: ${llmHealth.models.join(', ')}`);
       }
       
       this.isInitialized = true;
@@ -124,15 +302,60 @@ class RAGPipeline {
     }
   }
 
+  /**
+   * Get all problems from the dataset (kept current by the problem bank API)
+   */
+  async getProblems() {
+    return problemService.getAll();
+  }
+
+  /**
+   * Find the test suite for a problem by id or by title mentioned in the text
+   */
+  async findTestSuite(problem, options = {}) {
+    const problems = await this.getProblems();
+    let match = null;
+
+    if (options.problemId !== undefined) {
+      match = problems.find(p => String(p.id) === String(options.problemId));
+    } else {
+      const text = problem.toLowerCase();
+      match = problems
+        .filter(p => p.title && text.includes(p.title.toLowerCase()))
+        .sort((a, b) => b.title.length - a.title.length)[0];
+    }
+
+    if (!match || !match.tests) {
+      return null;
+    }
+
+    return { problemId: match.id, title: match.title, suite: match.tests };
+  }
+
   /**
    * Retrieve relevant context for a query with configurable format
+   * Dense (FAISS) and keyword (BM25) results are merged with reciprocal rank fusion
    */
   async retrieveContext(query, options = {}) {
     try {
       const topK = options.topK || this.topK;
       const contextFormat = options.contextFormat || 'full';
+      const { denseWeight, keywordWeight, rrfK } = this.getRetrievalConfig(options.retrieval);
+      const filter = createDocumentFilter(options.filters);
       
-      const results = await faissService.search(query, topK);
+      // Fusion needs deeper candidate lists than the final top K
+      const candidates = Math.max(topK * 4, 10);
+      const [denseResults, keywordResults] = await Promise.all([
+        denseWeight > 0 ? faissService.search(query, candidates, { filter }) : [],
+        keywordWeight > 0 ? faissService.keywordSearch(query, candidates, { filter }) : []
+      ]);
+      
+      const results = reciprocalRankFusion([
+        { name: 'dense', weight: denseWeight, results: denseResults },
+        { name: 'keyword', weight: keywordWeight, results: keywordResults }
+      ], rrfK).slice(0, topK);
+      
+      logger.info(`Hybrid retrieval: ${denseResults.length} dense + ${keywordResults.length} keyword candidates -> ${results.length} results`);
       
       if (results.length === 0) {
         logger.info('No relevant context found');
@@ -177,8 +400,11 @@ class RAGPipeline {
         sources: results.map(r => ({
           title: r.document.title,
           score: r.score,
+          dense_score: r.scores.dense ?? null,
+          keyword_score: r.scores.keyword ?? null,
           difficulty: r.document.difficulty,
-          tags: r.document.tags
+          tags: r.document.tags,
+          companies: r.document.company_tags || []
         }))
       };
     } catch (error) {
@@ -192,8 +418,12 @@ class RAGPipeline {
 
   /**
    * Analyze a DSA problem with RAG - supports quick/detailed/interview modes
+   * Pass streamHandlers { onToken, onSection, onSources, onQueue, signal } to stream the generation
+   * options.signal cancels a non-streamed request (e.g. when the client disconnects)
+   * Full analyses are cached (metadata.cached); options.cache = 'bypass' forces a fresh generation
+   * options.language picks the solution language (a SOLUTION_LANGUAGES key, default java)
    */
-  async analyzeProblem(problem, options = {}) {
+  async analyzeProblem(problem, options = {}, streamHandlers = null) {
     const startTime = Date.now();
     console.time('total');
     
@@ -212,35 +442,107 @@ class RAGPipeline {
       // Use mode-specific config
       const effectiveConfig = isInterviewMode ? getModeConfig('interview') : modeConfig;
       
+      // Guidance is free text; full analyses are requested as schema-checked JSON unless disabled
+      const isGuidance = isInterviewMode && !options.revealSolution;
+      const structuredOutput = !isGuidance && process.env.LLM_STRUCTURED_OUTPUT !== 'false';
+      const language = options.language || DEFAULT_SOLUTION_LANGUAGE;
+      
+      // Guidance depends on the conversation so only full analyses are cached
+      const cacheKey = !isGuidance && process.env.RESPONSE_CACHE_ENABLED !== 'false'
+        ? this.responseCacheKey(problem, {
+          mode: isInterviewMode ? 'interview' : mode,
+          structured: structuredOutput,
+          language,
+          retrieval: this.getRetrievalConfig(options.retrieval),
+          filters: options.filters || null
+        })
+        : null;
+      
+      if (cacheKey && options.cache !== 'bypass') {
+        const cached = this.responseCache.get(cacheKey);
+        if (cached) {
+          console.timeEnd('total');
+          logger.info(`Serving cached analysis from ${new Date(cached.cachedAt).toISOString()} (mode: ${mode})`);
+          return this.replayCachedAnalysis(cached, { isInterviewMode, mode, startTime }, streamHandlers);
+        }
+      }
+      
       // Retrieve relevant context with mode-specific settings
       const { context, sources } = await this.retrieveContext(problem, {
         topK: effectiveConfig.topK,
-        contextFormat: effectiveConfig.contextFormat
+        contextFormat: effectiveConfig.contextFormat,
+        retrieval: options.retrieval,
+        filters: options.filters
       });
       
       logger.info(`Retrieved ${sources.length} relevant documents (mode: ${mode})`);
+      streamHandlers?.onSources?.(sources);
       
       // Generate appropriate prompt
       let systemPrompt, userPrompt;
       
-      if (isInterviewMode && !options.revealSolution) {
+      if (isGuidance) {
         systemPrompt = INTERVIEW_MODE_PROMPT;
         userPrompt = generateInterviewPrompt(problem, context, options.phase || 'initial');
       } else {
-        systemPrompt = SYSTEM_PROMPT;
-        userPrompt = generateAnalysisPrompt(problem, context);
+        systemPrompt = getAnalysisSystemPrompt({ structured: structuredOutput, language });
+        userPrompt = generateAnalysisPrompt(problem, context, { structured: structuredOutput, language });
       }
       
       // Generate response from LLM with mode-specific settings
       console.time('llm');
-      const llmResult = await ollamaService.chat(systemPrompt, userPrompt, {
+      const llmOptions = {
         temperature: effectiveConfig.temperature,
-        maxTokens: effectiveConfig.maxTokens
-      });
+        maxTokens: effectiveConfig.maxTokens,
+        timeout: effectiveConfig.timeoutMs,
+        priority: effectiveConfig.priority,
+        signal: streamHandlers?.signal || options.signal,
+        onQueuePosition: streamHandlers?.onQueue,
+        ...(structuredOutput && { format: ANALYSIS_RESPONSE_SCHEMA })
+      };
+      
+      // Track streamed sections so fields recovered after a repair are still sent once
+      const emittedSections = new Set();
+      // Code arrives as plain text and is sent as { language, source } plus the legacy java_code
+      const onSection = streamHandlers?.onSection && !isGuidance
+        ? (field, value) => {
+          emittedSections.add(field);
+          if (field !== RESPONSE_FIELDS.CODE) {
+            streamHandlers.onSection(field, value);
+            return;
+          }
+          const sections = finalizeCodeSection({ [field]: value }, language);
+          streamHandlers.onSection(field, sections[field]);
+          if (sections[LEGACY_CODE_FIELD]) {
+            streamHandlers.onSection(LEGACY_CODE_FIELD, sections[LEGACY_CODE_FIELD]);
+          }
+        }
+        : null;
+      
+      let llmResult;
+      if (streamHandlers) {
+        let sectionParser = null;
+        if (onSection) {
+          sectionParser = structuredOutput
+            ? createJsonSectionStreamParser(onSection)
+            : createSectionStreamParser(onSection, language);
+        }
+        
+        llmResult = await llmService.chatStream(systemPrompt, userPrompt, llmOptions, (token, text) => {
+          streamHandlers.onToken?.(token);
+          sectionParser?.push(text);
+        });
+        
+        if (llmResult.success) {
+          sectionParser?.flush(llmResult.response);
+        }
+      } else {
+        llmResult = await llmService.chat(systemPrompt, userPrompt, llmOptions);
+      }
       console.timeEnd('llm');
       
       if (!llmResult.success) {
-        throw new Error(llmResult.error);
+        throw llmFailure(llmResult);
       }
       
       const duration = Date.now() - startTime;
@@ -249,38 +551,69 @@ class RAGPipeline {
       
       // Parse structured response
       let structuredResponse;
-      if (isInterviewMode && !options.revealSolution) {
+      let outputFormat = 'markdown';
+      let rawResponse = llmResult.response;
+      if (isGuidance) {
         // In interview mode, return raw response for guiding questions
         structuredResponse = {
           mode: 'interview',
           guidance: llmResult.response,
           phase: options.phase || 'initial'
         };
+      } else if (structuredOutput) {
+        ({ sections: structuredResponse, outputFormat, rawResponse } = await this.resolveStructuredAnalysis(
+          systemPrompt, userPrompt, llmResult.response, llmOptions, language
+        ));
       } else {
-        structuredResponse = parseStructuredResponse(llmResult.response);
+        structuredResponse = parseStructuredResponse(llmResult.response, language);
       }
       
-      return {
-        success: true,
-        isInterviewMode,
-        mode,
+      if (onSection) {
+        Object.entries(structuredResponse)
+          .filter(([field, value]) => !emittedSections.has(field) && (Array.isArray(value) ? value.length > 0 : Boolean(value)))
+          .forEach(([field, value]) => onSection(field, value));
+      }
+      
+      if (!isGuidance) {
+        structuredResponse = finalizeCodeSection(structuredResponse, language);
+      }
+      
+      const analysis = {
         structured_response: structuredResponse,
-        raw_response: llmResult.response,
+        raw_response: rawResponse,
         sources: sources,
         metadata: {
           duration_ms: duration,
           model: llmResult.metadata.model,
           context_documents: sources.length,
+          ...(!isGuidance && { output_format: outputFormat, language }),
+          ...(options.filters && { filters: options.filters }),
+          queue_wait_ms: llmResult.metadata.queue_wait_ms,
           tokens_generated: llmResult.metadata.eval_count,
-          tokens_per_second: llmResult.metadata.tokens_per_second
+          tokens_per_second: llmResult.metadata.tokens_per_second,
+          ...(!isGuidance && { cached: false })
         }
       };
+      
+      // A markdown fallback after failed JSON output is not worth keeping for later requests
+      if (cacheKey && !(structuredOutput && outputFormat === 'markdown')) {
+        this.responseCache.set(cacheKey, analysis);
+      }
+      
+      return {
+        success: true,
+        isInterviewMode,
+        mode,
+        ...analysis
+      };
     } catch (error) {
       console.timeEnd('total');
       logger.error('Problem analysis failed:', error);
       return {
         success: false,
         error: error.message,
+        ...(error.unavailable && { unavailable: true, retryAfter: error.retryAfter }),
+        ...(error.aborted && { aborted: true }),
         metadata: {
           duration_ms: Date.now() - startTime
         }
@@ -288,35 +621,275 @@ class RAGPipeline {
     }
   }
 
+  /**
+   * Response cache key; the model, prompt version and index revision are part of it so changing
+   * any of them (including live problem bank edits) never serves answers generated under the old setup
+   */
+  responseCacheKey(problem, settings) {
+    return ResponseCache.key(problem, {
+      ...settings,
+      provider: llmService.getProviderName(),
+      model: llmService.getConfig().model,
+      promptVersion: PROMPT_VERSION,
+      indexRevision: faissService.revision
+    });
+  }
+
+  /**
+   * Build the result for a cache hit, sending the stored sources, text and sections to stream handlers
+   */
+  replayCachedAnalysis({ value, cachedAt }, { isInterviewMode, mode, startTime }, streamHandlers) {
+    if (streamHandlers) {
+      streamHandlers.onSources?.(value.sources);
+      streamHandlers.onToken?.(value.raw_response);
+      Object.entries(value.structured_response)
+        .filter(([field, fieldValue]) => field === RESPONSE_FIELDS.CODE
+          ? Boolean(fieldValue.source)
+          : Array.isArray(fieldValue) ? fieldValue.length > 0 : Boolean(fieldValue))
+        .forEach(([field, fieldValue]) => streamHandlers.onSection?.(field, fieldValue));
+    }
+    
+    return {
+      success: true,
+      isInterviewMode,
+      mode,
+      ...value,
+      metadata: {
+        ...value.metadata,
+        duration_ms: Date.now() - startTime,
+        generation_ms: value.metadata.duration_ms,
+        queue_wait_ms: 0,
+        cached: true,
+        cached_at: new Date(cachedAt).toISOString()
+      }
+    };
+  }
+
+  /**
+   * Response cache hit/miss statistics
+   */
+  getResponseCacheStats() {
+    return {
+      enabled: process.env.RESPONSE_CACHE_ENABLED !== 'false',
+      ...this.responseCache.getStats()
+    };
+  }
+
+  /**
+   * Validate a JSON analysis against the schema, asking the model to repair it once
+   * Falls back to the markdown section parser, keeping any valid JSON fields
+   * Resolves to { sections, outputFormat: 'json' | 'json_repaired' | 'markdown', rawResponse }
+   */
+  async resolveStructuredAnalysis(systemPrompt, userPrompt, response, llmOptions, language = DEFAULT_SOLUTION_LANGUAGE) {
+    const { sections, errors } = parseAnalysisJson(response);
+    if (errors.length === 0) {
+      return { sections, outputFormat: 'json', rawResponse: response };
+    }
+    
+    logger.warn(`Structured analysis failed validation (${errors.join('; ')}), asking for a repair`);
+    const repair = await llmService.chat(systemPrompt, generateAnalysisRepairPrompt(errors), {
+      ...llmOptions,
+      history: [
+        { role: 'user', content: userPrompt },
+        { role: 'assistant', content: response }
+      ]
+    });
+    
+    let merged = sections;
+    if (repair.success) {
+      merged = { ...sections, ...parseAnalysisJson(repair.response).sections };
+      if (validateAnalysis(merged).errors.length === 0) {
+        return { sections: merged, outputFormat: 'json_repaired', rawResponse: repair.response };
+      }
+    } else {
+      logger.warn(`Analysis repair request failed: ${repair.error}`);
+    }
+    
+    logger.warn('Structured analysis still invalid, falling back to markdown parsing');
+    return {
+      sections: { ...parseStructuredResponse(response, language), ...merged },
+      outputFormat: 'markdown',
+      rawResponse: response
+    };
+  }
+
+  /**
+   * Continue an interview conversation with the candidate's latest answer
+   * History must end with the candidate's message; signal cancels the turn
+   */
+  async continueInterview(problem, history, phase, { signal } = {}) {
+    const startTime = Date.now();
+    
+    try {
+      const config = getModeConfig('interview');
+      const { context, sources } = await this.retrieveContext(problem, {
+        topK: config.topK,
+        contextFormat: config.contextFormat
+      });
+      
+      const messages = history.map(h => ({ role: h.role, content: h.content }));
+      const latest = messages.pop();
+      
+      const systemPrompt = generateInterviewFollowUpPrompt(problem, context, phase);
+      const llmResult = await llmService.chat(systemPrompt, latest.content, {
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
+        timeout: config.timeoutMs,
+        priority: config.priority,
+        signal,
+        history: messages
+      });
+      
+      if (!llmResult.success) {
+        throw llmFailure(llmResult);
+      }
+      
+      const { reply, decision } = parseInterviewReply(llmResult.response);
+      
+      return {
+        success: true,
+        reply,
+        decision: decision || assessAnswerHeuristically(latest.content, phase),
+        decisionSource: decision ? 'llm' : 'heuristic',
+        sources,
+        metadata: {
+          duration_ms: Date.now() - startTime,
+          model: llmResult.metadata.model,
+          tokens_generated: llmResult.metadata.eval_count
+        }
+      };
+    } catch (error) {
+      logger.error('Interview turn failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        ...(error.unavailable && { unavailable: true, retryAfter: error.retryAfter }),
+        ...(error.aborted && { aborted: true }),
+        metadata: {
+          duration_ms: Date.now() - startTime
+        }
+      };
+    }
+  }
+
+  /**
+   * Static complexity estimate, or null for unsupported languages or when analysis fails
+   */
+  async analyzeComplexity(code, language) {
+    if (!syntaxService.resolveLanguage(language)) {
+      return null;
+    }
+    
+    try {
+      return await complexityAnalyzer.analyze(code, language);
+    } catch (error) {
+      logger.warn(`Complexity analysis failed: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Evaluate user's code solution
+   * Pass streamHandlers { onToken, onQueue, signal } to stream the LLM review
+   * options.signal cancels a non-streamed request
+   * Code with syntax errors fails with syntaxErrors (line/column diagnostics) before any other work
    */
-  async evaluateCode(problem, code, options = {}) {
+  async evaluateCode(problem, code, options = {}, streamHandlers = null) {
     const startTime = Date.now();
     
     try {
+      // Code that does not parse is reported before spending a test run or an LLM call
+      const language = options.language || 'java';
+      if (syntaxService.resolveLanguage(language)) {
+        const syntax = await syntaxService.check(code, language);
+        if (!syntax.valid) {
+          logger.info(`Skipping evaluation: ${syntax.issues.length} syntax error(s) in ${syntax.language} code`);
+          return {
+            success: false,
+            error: 'Code has syntax errors',
+            language: syntax.language,
+            syntaxErrors: syntax.issues,
+            metadata: {
+              duration_ms: Date.now() - startTime
+            }
+          };
+        }
+      }
+      
+      // Run the code against the problem's test cases when we have them
+      let execution = null;
+      const testSuite = options.execute === false ? null : await this.findTestSuite(problem, options);
+      
+      if (testSuite) {
+        logger.info(`Running ${testSuite.suite.cases.length} test cases for "${testSuite.title}"`);
+        execution = await codeExecutionService.runTests(code, testSuite.suite, {
+          language: options.language
+        });
+        
+        if (execution.executed) {
+          // Attach case data so failures can be reported (hidden ones are stripped later)
+          execution.results.forEach(r => {
+            r.input = testSuite.suite.cases[r.index].input;
+            r.expected = testSuite.suite.cases[r.index].expected;
+          });
+        } else {
+          logger.warn(`Test execution skipped: ${execution.reason}`);
+        }
+        
+        streamHandlers?.onExecution?.(execution.executed
+          ? { executed: true, verdict: execution.verdict, passed: execution.passed, total: execution.total }
+          : { executed: false, reason: execution.reason });
+      }
+      
       // Generate evaluation prompt
-      const prompt = generateEvaluationPrompt(problem, code);
+      const prompt = generateEvaluationPrompt(problem, code, execution?.executed ? execution : null, language);
       
       // Generate evaluation from LLM
-      const llmResult = await ollamaService.generate(prompt, {
+      const llmOptions = {
         temperature: 0.3, // Lower temperature for more consistent evaluation
-        maxTokens: 2048
-      });
+        maxTokens: 2048,
+        timeout: getModeConfig('detailed').timeoutMs,
+        priority: LLM_PRIORITIES.NORMAL,
+        signal: streamHandlers?.signal || options.signal,
+        onQueuePosition: streamHandlers?.onQueue
+      };
+      
+      const llmResult = streamHandlers
+        ? await llmService.generateStream(prompt, llmOptions, token => streamHandlers.onToken?.(token))
+        : await llmService.generate(prompt, llmOptions);
       
       if (!llmResult.success) {
-        throw new Error(llmResult.error);
+        throw llmFailure(llmResult);
       }
       
       // Parse evaluation response
       const evaluation = parseEvaluationResponse(llmResult.response);
       
+      if (execution?.executed) {
+        applyExecutionResults(evaluation, execution);
+      }
+      
+      // Cross-check the LLM's complexity claims against the syntax tree
+      const complexity = await this.analyzeComplexity(code, language);
+      if (complexity) {
+        applyComplexityAnalysis(evaluation, complexity);
+      }
+      
       return {
         success: true,
         evaluation,
+        complexity,
+        execution: execution && {
+          executed: execution.executed,
+          problemId: testSuite.problemId,
+          ...(execution.executed
+            ? { verdict: execution.verdict, passed: execution.passed, total: execution.total, wall_time_ms: execution.wall_time_ms }
+            : { reason: execution.reason })
+        },
         metadata: {
           duration_ms: Date.now() - startTime,
-          model: llmResult.metadata.model
+          model: llmResult.metadata.model,
+          queue_wait_ms: llmResult.metadata.queue_wait_ms
         }
       };
     } catch (error) {
@@ -324,6 +897,8 @@ class RAGPipeline {
       return {
         success: false,
         error: error.message,
+        ...(error.unavailable && { unavailable: true, retryAfter: error.retryAfter }),
+        ...(error.aborted && { aborted: true }),
         evaluation: {
           score: 0,
           message: 'Evaluation failed'
@@ -345,7 +920,9 @@ class RAGPipeline {
       initialized: this.isInitialized,
       faiss: faissStats,
       embeddingModel: embeddingService.getModel(),
-      llmModel: ollamaService.getConfig().model,
+      embeddingProvider: embeddingService.getProvider(),
+      llmProvider: llmService.getProviderName(),
+      llmModel: llmService.getConfig().model,
       topK: this.topK
     };
   }
@@ -356,6 +933,8 @@ class RAGPipeline {
   async rebuildIndex() {
     await faissService.reset();
     await this.loadDataset();
+    // Cached analyses were built from the old index
+    this.responseCache.clear();
   }
 }
 
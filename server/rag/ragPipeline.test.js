@@ -0,0 +1,140 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { TWO_SUM, TWO_SUM_JAVA } from '../test/offlineSetup.js';
+
+const { default: ragPipeline } = await import('./ragPipeline.js');
+const { default: faissService } = await import('./faissService.js');
+const { default: embeddingService } = await import('../services/embeddingService.js');
+const { generateEvaluationPrompt } = await import('../services/promptTemplates.js');
+
+describe('ragPipeline.analyzeProblem with the mock provider', () => {
+  it('returns the fixture analysis as structured sections', async () => {
+    const result = await ragPipeline.analyzeProblem(TWO_SUM, { mode: 'detailed' });
+
+    expect(result.success).toBe(true);
+    expect(result.metadata).toMatchObject({ model: 'mock', language: 'java', output_format: 'json' });
+    expect(result.structured_response.optimized).toContain('HashMap');
+    expect(result.structured_response.time_complexity).toContain('O(n)');
+    expect(result.structured_response.edge_cases).toContain('Duplicate values such as [3, 3]');
+    expect(result.structured_response.java_code).toContain('seen.containsKey(complement)');
+  });
+
+  it('uses the fixture code of the requested language', async () => {
+    const result = await ragPipeline.analyzeProblem(TWO_SUM, { mode: 'detailed', language: 'python' });
+
+    expect(result.success).toBe(true);
+    expect(result.structured_response.code).toMatchObject({ language: 'python' });
+    expect(result.structured_response.code.source).toContain('def twoSum');
+  });
+
+  it('streams tokens and sections', async () => {
+    const tokens = [];
+    const sections = [];
+    const result = await ragPipeline.analyzeProblem(TWO_SUM, { mode: 'detailed' }, {
+      onToken: token => tokens.push(token),
+      onSection: field => sections.push(field)
+    });
+
+    expect(result.success).toBe(true);
+    expect(tokens.join('')).toBe(result.raw_response);
+    expect(sections).toEqual(expect.arrayContaining(['understanding', 'optimized', 'dry_run']));
+  });
+
+  it('opens interview mode with guidance instead of a solution', async () => {
+    const result = await ragPipeline.analyzeProblem(TWO_SUM, { mode: 'interview' });
+
+    expect(result.success).toBe(true);
+    expect(result.isInterviewMode).toBe(true);
+    expect(result.structured_response.guidance).toContain('What are the input constraints?');
+  });
+});
+
+describe('ragPipeline response cache', () => {
+  it('stops serving cached analyses once the index changes', async () => {
+    process.env.RESPONSE_CACHE_ENABLED = 'true';
+    const saveIndex = jest.spyOn(faissService, 'saveIndex').mockResolvedValue(true);
+    const embed = jest.spyOn(embeddingService, 'embed').mockResolvedValue(new Array(faissService.dimension).fill(0.1));
+
+    try {
+      const fresh = await ragPipeline.analyzeProblem(TWO_SUM, { mode: 'quick' });
+      const repeated = await ragPipeline.analyzeProblem(TWO_SUM, { mode: 'quick' });
+
+      expect(fresh.metadata.cached).toBe(false);
+      expect(repeated.metadata.cached).toBe(true);
+
+      // A curator edit reaches the index through upsertDocument/removeDocument
+      await faissService.upsertDocument({ id: 'cache-spec', title: 'Cache Spec', problem: 'Added while cached' });
+      const afterAdd = await ragPipeline.analyzeProblem(TWO_SUM, { mode: 'quick' });
+      await faissService.removeDocument('cache-spec');
+      const afterRemove = await ragPipeline.analyzeProblem(TWO_SUM, { mode: 'quick' });
+
+      expect(afterAdd.metadata.cached).toBe(false);
+      expect(afterRemove.metadata.cached).toBe(false);
+    } finally {
+      process.env.RESPONSE_CACHE_ENABLED = 'false';
+      ragPipeline.responseCache.clear();
+      saveIndex.mockRestore();
+      embed.mockRestore();
+    }
+  });
+});
+
+describe('ragPipeline.evaluateCode with the mock provider', () => {
+  it('scores the code and cross-checks complexity with the syntax tree', async () => {
+    const result = await ragPipeline.evaluateCode(TWO_SUM, TWO_SUM_JAVA, { problemId: 1 });
+
+    expect(result.success).toBe(true);
+    expect(result.evaluation.score).toBe(7);
+    expect(result.evaluation.breakdown.time_complexity).toMatchObject({
+      detected: 'O(n)',
+      static_analysis: { estimate: 'O(n)', agrees: true }
+    });
+    expect(result.evaluation.optimal_solution_hint).toBe('A HashMap from value to index finds each complement in O(1)');
+    expect(result.complexity).toMatchObject({ estimatedTime: 'O(n)', estimatedSpace: 'O(n)' });
+    expect(result.execution).toMatchObject({ executed: false });
+  });
+
+  it('flags nested loops', async () => {
+    const bruteForce = `class Solution {
+    public int[] twoSum(int[] nums, int target) {
+        for (int i = 0; i < nums.length; i++) {
+            for (int j = i + 1; j < nums.length; j++) {
+                if (nums[i] + nums[j] == target) return new int[] { i, j };
+            }
+        }
+        return new int[0];
+    }
+}`;
+    const result = await ragPipeline.evaluateCode(TWO_SUM, bruteForce, { execute: false });
+
+    expect(result.success).toBe(true);
+    expect(result.evaluation.breakdown.time_complexity.detected).toBe('O(n^2)');
+    expect(result.evaluation.suggestions).toContain('Replace the nested loop with a hash-based lookup');
+  });
+
+  it('reports syntax errors without calling the LLM', async () => {
+    const result = await ragPipeline.evaluateCode(TWO_SUM, 'class Solution { int x( { }', {});
+
+    expect(result.success).toBe(false);
+    expect(result.language).toBe('java');
+    expect(result.syntaxErrors.length).toBeGreaterThan(0);
+  });
+
+  it('fences the code with its own language', async () => {
+    const python = `class Solution:
+    def twoSum(self, nums, target):
+        seen = {}
+        for i, num in enumerate(nums):
+            if target - num in seen:
+                return [seen[target - num], i]
+            seen[num] = i
+        return []`;
+
+    expect(generateEvaluationPrompt(TWO_SUM, python, null, 'python')).toContain(`\`\`\`python\n${python}\n\`\`\``);
+    expect(generateEvaluationPrompt(TWO_SUM, TWO_SUM_JAVA)).toContain('```java\n');
+
+    const result = await ragPipeline.evaluateCode(TWO_SUM, python, { language: 'python' });
+
+    expect(result.success).toBe(true);
+    expect(result.evaluation.score).toBe(7);
+  });
+});
@@ -8,6 +8,9 @@ import { Router } from 'express';
 import {
   analyzeProblem,
   getSessionStatus,
+  getSessionHistory,
+  getAnalysisHistory,
+  respondToInterview,
   revealSolution,
   endSession,
   getStatus
@@ -18,36 +21,59 @@ const router = Router();
 /**
  * @route   POST /api/analyze
  * @desc    Analyze a DSA problem
- * @access  Public
- * @body    { problem: string, options?: object }
+ * @access  Private
+ * @body    { problem: string, mode?: string, options?: { retrieval?, filters?: { difficulty?, tags?, companies? } } }
  */
 router.post('/analyze', analyzeProblem);
 
+/**
+ * @route   GET /api/analyze/history
+ * @desc    Get stored analyses (paginated)
+ * @access  Private
+ * @query   { page?, limit?, mode?, sessionId?, q?, from?, to? }
+ */
+router.get('/analyze/history', getAnalysisHistory);
+
 /**
  * @route   GET /api/analyze/status
  * @desc    Get RAG pipeline status
- * @access  Public
+ * @access  Private
  */
 router.get('/analyze/status', getStatus);
 
 /**
  * @route   GET /api/analyze/session/:sessionId
  * @desc    Get interview session status
- * @access  Public
+ * @access  Private
  */
 router.get('/analyze/session/:sessionId', getSessionStatus);
 
+/**
+ * @route   GET /api/analyze/session/:sessionId/history
+ * @desc    Get interview conversation transcript
+ * @access  Private
+ */
+router.get('/analyze/session/:sessionId/history', getSessionHistory);
+
+/**
+ * @route   POST /api/analyze/session/:sessionId/respond
+ * @desc    Send the candidate's answer to the interviewer
+ * @access  Private
+ * @body    { message: string }
+ */
+router.post('/analyze/session/:sessionId/respond', respondToInterview);
+
 /**
  * @route   POST /api/analyze/session/:sessionId/reveal
  * @desc    Reveal solution for interview session
- * @access  Public
+ * @access  Private
  */
 router.post('/analyze/session/:sessionId/reveal', revealSolution);
 
 /**
  * @route   DELETE /api/analyze/session/:sessionId
  * @desc    End interview session
- * @access  Public
+ * @access  Private
  */
 router.delete('/analyze/session/:sessionId', endSession);
 
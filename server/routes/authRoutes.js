@@ -0,0 +1,65 @@
+/**
+ * Auth Routes
+ * 
+ * Routes for user accounts and API keys
+ */
+
+import { Router } from 'express';
+import {
+  register,
+  login,
+  getCurrentUser,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+} from '../controllers/authController.js';
+import { requireUser } from '../utils/authMiddleware.js';
+
+const router = Router();
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Create a user account
+ * @access  Public
+ * @body    { username: string, password: string }
+ */
+router.post('/auth/register', register);
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Log in and receive a JWT
+ * @access  Public
+ * @body    { username: string, password: string }
+ */
+router.post('/auth/login', login);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the authenticated user
+ * @access  Private
+ */
+router.get('/auth/me', requireUser, getCurrentUser);
+
+/**
+ * @route   POST /api/auth/api-keys
+ * @desc    Create an API key
+ * @access  Private
+ * @body    { name?: string }
+ */
+router.post('/auth/api-keys', requireUser, createApiKey);
+
+/**
+ * @route   GET /api/auth/api-keys
+ * @desc    List API keys
+ * @access  Private
+ */
+router.get('/auth/api-keys', requireUser, listApiKeys);
+
+/**
+ * @route   DELETE /api/auth/api-keys/:keyId
+ * @desc    Revoke an API key
+ * @access  Private
+ */
+router.delete('/auth/api-keys/:keyId', requireUser, revokeApiKey);
+
+export default router;
@@ -9,6 +9,7 @@ import {
   evaluateCode,
   checkSyntax,
   analyzeComplexity,
+  measureComplexity,
   getHistory
 } from '../controllers/evaluateController.js';
 
@@ -16,32 +17,41 @@ const router = Router();
 
 /**
  * @route   POST /api/evaluate
- * @desc    Evaluate user's code solution
- * @access  Public
- * @body    { problem: string, code: string, options?: object }
+ * @desc    Evaluate user's code solution (runs test cases when the problem has them)
+ * @access  Private
+ * @body    { problem: string, code: string, options?: { problemId?, language?, execute? } }
  */
 router.post('/evaluate', evaluateCode);
 
 /**
  * @route   POST /api/evaluate/syntax
  * @desc    Quick syntax check
- * @access  Public
+ * @access  Private
  * @body    { code: string, language?: string }
  */
 router.post('/evaluate/syntax', checkSyntax);
 
 /**
  * @route   POST /api/evaluate/complexity
- * @desc    Analyze code complexity
- * @access  Public
+ * @desc    Estimate complexity per method from the syntax tree
+ * @access  Private
  * @body    { code: string, language?: string }
  */
 router.post('/evaluate/complexity', analyzeComplexity);
 
+/**
+ * @route   POST /api/evaluate/complexity/empirical
+ * @desc    Measure complexity by timing the code on growing inputs (Java sandbox)
+ * @access  Private
+ * @body    { code: string, language?: 'java', problemId?, method?, params?, options?: { maxSize?, claimed? } }
+ */
+router.post('/evaluate/complexity/empirical', measureComplexity);
+
 /**
  * @route   GET /api/evaluate/history
- * @desc    Get evaluation history
- * @access  Public
+ * @desc    Get stored evaluations (paginated)
+ * @access  Private
+ * @query   { page?, limit?, problemId?, grade?, verdict?, language?, minScore?, maxScore?, q?, from?, to? }
  */
 router.get('/evaluate/history', getHistory);
 
@@ -3,8 +3,10 @@
  */
 
 import { Router } from 'express';
-import ollamaService from '../services/ollamaService.js';
+import llmService from '../services/llmService.js';
 import ragPipeline from '../rag/ragPipeline.js';
+import storageService from '../services/storageService.js';
+import embeddingService from '../services/embeddingService.js';
 
 const router = Router();
 
@@ -28,18 +30,37 @@ router.get('/', async (req, res) => {
  * @access  Public
  */
 router.get('/detailed', async (req, res) => {
-  const ollamaHealth = await ollamaService.healthCheck();
+  const llmHealth = await llmService.healthCheck();
+  const llmCircuit = llmService.getCircuitState();
   const ragStatus = ragPipeline.getStatus();
+  const storageStatus = storageService.getStatus();
+  const embeddingCacheStats = embeddingService.getCacheStats();
+  const responseCacheStats = ragPipeline.getResponseCacheStats();
   
   const components = {
     server: { status: 'healthy' },
-    ollama: {
-      status: ollamaHealth.available ? 'healthy' : 'unhealthy',
-      details: ollamaHealth
+    llm: {
+      // A reachable provider with an open circuit is recovering: calls fail fast until a trial succeeds
+      status: !llmHealth.available ? 'unhealthy' : llmCircuit.state === 'closed' ? 'healthy' : 'degraded',
+      details: { ...llmHealth, circuit: llmCircuit, queue: llmService.getQueueStats() }
     },
     rag: {
       status: ragStatus.initialized ? 'healthy' : 'degraded',
       details: ragStatus
+    },
+    storage: {
+      // Disabled storage is a configuration choice, not a fault
+      status: storageStatus.available || !storageStatus.enabled ? 'healthy' : 'degraded',
+      details: storageStatus
+    },
+    embeddingCache: {
+      // Without its disk store the cache still works, but vectors are lost on restart
+      status: embeddingCacheStats.error ? 'degraded' : 'healthy',
+      details: embeddingCacheStats
+    },
+    responseCache: {
+      status: 'healthy',
+      details: responseCacheStats
     }
   };
   
@@ -0,0 +1,55 @@
+/**
+ * Mock Interview Routes
+ *
+ * Routes for timed multi-question mock interviews
+ */
+
+import { Router } from 'express';
+import {
+  startMockInterview,
+  listMockInterviews,
+  getMockInterview,
+  answerMockInterview,
+  finishMockInterview
+} from '../controllers/mockInterviewController.js';
+
+const router = Router();
+
+/**
+ * @route   POST /api/mock-interview
+ * @desc    Pick 2-3 problems by difficulty and company and start the first countdown
+ * @access  Private
+ * @body    { questions?, minutesPerQuestion?, difficulty?, company? }
+ */
+router.post('/mock-interview', startMockInterview);
+
+/**
+ * @route   GET /api/mock-interview
+ * @desc    List mock interviews with their recommendation
+ * @access  Private
+ */
+router.get('/mock-interview', listMockInterviews);
+
+/**
+ * @route   GET /api/mock-interview/:id
+ * @desc    Get a mock interview: the current question and its remaining time, or the final report
+ * @access  Private
+ */
+router.get('/mock-interview/:id', getMockInterview);
+
+/**
+ * @route   POST /api/mock-interview/:id/answer
+ * @desc    Answer the current question (evaluates the code) and move on to the next one
+ * @access  Private
+ * @body    { explanation?, code?, language? }
+ */
+router.post('/mock-interview/:id/answer', answerMockInterview);
+
+/**
+ * @route   POST /api/mock-interview/:id/finish
+ * @desc    End the interview early and build its report
+ * @access  Private
+ */
+router.post('/mock-interview/:id/finish', finishMockInterview);
+
+export default router;
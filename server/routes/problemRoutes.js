@@ -0,0 +1,57 @@
+/**
+ * Problem Routes
+ *
+ * Routes for browsing and curating the problem bank
+ */
+
+import { Router } from 'express';
+import {
+  listProblems,
+  getProblem,
+  createProblem,
+  updateProblem,
+  deleteProblem
+} from '../controllers/problemController.js';
+import { requireCurator } from '../utils/authMiddleware.js';
+
+const router = Router();
+
+/**
+ * @route   GET /api/problems
+ * @desc    List problems (hidden test cases are omitted for non-curators)
+ * @access  Private
+ * @query   { difficulty?, tags?, companies?, q?, page?, limit? }
+ */
+router.get('/problems', listProblems);
+
+/**
+ * @route   GET /api/problems/:id
+ * @desc    Get a single problem
+ * @access  Private
+ */
+router.get('/problems/:id', getProblem);
+
+/**
+ * @route   POST /api/problems
+ * @desc    Add a problem and index it for retrieval
+ * @access  Curators
+ * @body    { title, problem, difficulty, tags?, approach?, complexity?, company_tags?, hints?, tests? }
+ */
+router.post('/problems', requireCurator, createProblem);
+
+/**
+ * @route   PUT /api/problems/:id
+ * @desc    Replace a problem and re-index it
+ * @access  Curators
+ * @body    { title, problem, difficulty, tags?, approach?, complexity?, company_tags?, hints?, tests? }
+ */
+router.put('/problems/:id', requireCurator, updateProblem);
+
+/**
+ * @route   DELETE /api/problems/:id
+ * @desc    Remove a problem from the bank and the index
+ * @access  Curators
+ */
+router.delete('/problems/:id', requireCurator, deleteProblem);
+
+export default router;
@@ -0,0 +1,20 @@
+/**
+ * Progress Routes
+ *
+ * Routes for practice progress tracking
+ */
+
+import { Router } from 'express';
+import { getProgress } from '../controllers/progressController.js';
+
+const router = Router();
+
+/**
+ * @route   GET /api/progress
+ * @desc    Per-topic mastery, weak topics, streaks and score trend of the caller
+ * @access  Private
+ * @query   { days?, timezone? }
+ */
+router.get('/progress', getProgress);
+
+export default router;
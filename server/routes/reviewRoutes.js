@@ -0,0 +1,20 @@
+/**
+ * Review Routes
+ *
+ * Routes for spaced-repetition reviews of solved problems
+ */
+
+import { Router } from 'express';
+import { getDueReviews } from '../controllers/reviewController.js';
+
+const router = Router();
+
+/**
+ * @route   GET /api/review/due
+ * @desc    Problems due for review today (SM-2 over past evaluation scores)
+ * @access  Private
+ * @query   { timezone?, limit? }
+ */
+router.get('/review/due', getDueReviews);
+
+export default router;
@@ -0,0 +1,54 @@
+/**
+ * Study Plan Routes
+ *
+ * Routes for personalized day-by-day study plans
+ */
+
+import { Router } from 'express';
+import {
+  createStudyPlan,
+  listStudyPlans,
+  getStudyPlan,
+  rebalanceStudyPlan,
+  deleteStudyPlan
+} from '../controllers/studyPlanController.js';
+
+const router = Router();
+
+/**
+ * @route   POST /api/study-plan
+ * @desc    Build a day-by-day plan from the problem bank (archives the previous active plan)
+ * @access  Private
+ * @body    { weeks, hoursPerDay, company?, weakTopics?, startDate?, timezone? }
+ */
+router.post('/study-plan', createStudyPlan);
+
+/**
+ * @route   GET /api/study-plan
+ * @desc    List study plans with their progress
+ * @access  Private
+ */
+router.get('/study-plan', listStudyPlans);
+
+/**
+ * @route   GET /api/study-plan/:id
+ * @desc    Get a study plan with the status of each item
+ * @access  Private
+ */
+router.get('/study-plan/:id', getStudyPlan);
+
+/**
+ * @route   POST /api/study-plan/:id/rebalance
+ * @desc    Drop mastered topics, add practice for struggling ones and reschedule open items from today
+ * @access  Private
+ */
+router.post('/study-plan/:id/rebalance', rebalanceStudyPlan);
+
+/**
+ * @route   DELETE /api/study-plan/:id
+ * @desc    Delete a study plan
+ * @access  Private
+ */
+router.delete('/study-plan/:id', deleteStudyPlan);
+
+export default router;
@@ -0,0 +1,210 @@
+/**
+ * Analysis Response Schema
+ *
+ * JSON schema for structured analyses (one key per RESPONSE_FIELDS entry),
+ * the validator that checks model output against it, and an incremental
+ * parser that reports fields while the JSON is still streaming in.
+ */
+
+import { RESPONSE_FIELDS } from '../utils/constants.js';
+
+// Fields returned as bullet lists; every other field is free text
+const LIST_FIELDS = new Set([
+  RESPONSE_FIELDS.EDGE_CASES,
+  RESPONSE_FIELDS.FOLLOW_UP_QUESTIONS,
+  RESPONSE_FIELDS.COMMON_MISTAKES,
+  RESPONSE_FIELDS.VARIATIONS
+]);
+
+const FIELDS = Object.values(RESPONSE_FIELDS);
+
+/**
+ * Schema passed to providers that support constrained decoding
+ */
+export const ANALYSIS_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: Object.fromEntries(FIELDS.map(field => [
+    field,
+    LIST_FIELDS.has(field)
+      ? { type: 'array', items: { type: 'string' } }
+      : { type: 'string' }
+  ])),
+  required: FIELDS,
+  additionalProperties: false
+};
+
+/**
+ * Check one field value; returns [normalizedValue, error]
+ */
+function validateField(field, value) {
+  if (value === undefined || value === null) {
+    return [null, `${field} is missing`];
+  }
+
+  if (LIST_FIELDS.has(field)) {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      return [null, `${field} must be an array of strings`];
+    }
+    const items = value.map(item => item.trim()).filter(item => item.length > 0);
+    return items.length > 0 ? [items, null] : [null, `${field} must not be empty`];
+  }
+
+  if (typeof value !== 'string') {
+    return [null, `${field} must be a string`];
+  }
+
+  let text = value.trim();
+  if (field === RESPONSE_FIELDS.CODE) {
+    // Models often wrap the code in a fence even inside JSON
+    text = text.replace(/^```[\w+#-]*\s*\n?/, '').replace(/\n?```$/, '').trim();
+  }
+  return text ? [text, null] : [null, `${field} must not be empty`];
+}
+
+/**
+ * Validate parsed output against the schema
+ * Returns { sections, errors }: sections holds every valid field, errors lists the problems
+ */
+export function validateAnalysis(data) {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return { sections: {}, errors: ['response must be a JSON object'] };
+  }
+
+  const sections = {};
+  const errors = [];
+
+  for (const field of FIELDS) {
+    const [value, error] = validateField(field, data[field]);
+    if (error) {
+      errors.push(error);
+    } else {
+      sections[field] = value;
+    }
+  }
+
+  return { sections, errors };
+}
+
+/**
+ * Parse and validate a complete JSON analysis
+ */
+export function parseAnalysisJson(llmResponse) {
+  const text = (llmResponse || '').trim()
+    .replace(/^```(?:json)?\s*/, '')
+    .replace(/```$/, '');
+  const start = text.indexOf('{');
+
+  if (start === -1) {
+    return { sections: {}, errors: ['response is not a JSON object'] };
+  }
+
+  try {
+    return validateAnalysis(JSON.parse(text.slice(start, text.lastIndexOf('}') + 1)));
+  } catch (error) {
+    // Keep the fields that were complete before the JSON broke off (e.g. truncated output)
+    const partial = validateAnalysis(Object.fromEntries(completedEntries(text.slice(start))));
+    return { sections: partial.sections, errors: [`invalid JSON: ${error.message}`, ...partial.errors] };
+  }
+}
+
+/**
+ * Index just past the JSON value starting at position i, or -1 if it is not complete yet
+ */
+function scanValue(text, i) {
+  if (text[i] === '"') {
+    for (let j = i + 1; j < text.length; j++) {
+      if (text[j] === '\\') j++;
+      else if (text[j] === '"') return j + 1;
+    }
+    return -1;
+  }
+
+  if (text[i] === '[' || text[i] === '{') {
+    let depth = 0;
+    for (let j = i; j < text.length; j++) {
+      if (text[j] === '"') {
+        j = scanValue(text, j);
+        if (j === -1) return -1;
+        j--;
+      } else if (text[j] === '[' || text[j] === '{') {
+        depth++;
+      } else if (text[j] === ']' || text[j] === '}') {
+        depth--;
+        if (depth === 0) return j + 1;
+      }
+    }
+    return -1;
+  }
+
+  // Numbers, booleans and null end at the next delimiter
+  const match = text.slice(i).match(/^[^,}\]\s]+(?=[,}\]\s])/);
+  return match ? i + match[0].length : -1;
+}
+
+/**
+ * Top-level key/value pairs of a (possibly truncated) JSON object that are fully received
+ */
+function completedEntries(text) {
+  const entries = [];
+  let i = text.indexOf('{');
+  if (i === -1) return entries;
+  i++;
+
+  while (i < text.length) {
+    while (/[\s,]/.test(text[i] || '')) i++;
+    if (text[i] !== '"') break;
+
+    const keyEnd = scanValue(text, i);
+    if (keyEnd === -1) break;
+    const colon = text.slice(keyEnd).match(/^\s*:\s*/);
+    if (!colon || keyEnd + colon[0].length >= text.length) break;
+
+    const valueStart = keyEnd + colon[0].length;
+    const valueEnd = scanValue(text, valueStart);
+    if (valueEnd === -1) break;
+
+    try {
+      entries.push([JSON.parse(text.slice(i, keyEnd)), JSON.parse(text.slice(valueStart, valueEnd))]);
+    } catch {
+      break;
+    }
+    i = valueEnd;
+  }
+
+  return entries;
+}
+
+/**
+ * Incremental parser for streamed JSON analyses, with the same push/flush
+ * interface as createSectionStreamParser. onSection(field, value) is called
+ * once per field as soon as its value has been received and is valid.
+ */
+export function createJsonSectionStreamParser(onSection) {
+  const emitted = new Set();
+  let scannedLength = 0;
+
+  const emit = (llmResponse) => {
+    for (const [field, value] of completedEntries(llmResponse)) {
+      if (!FIELDS.includes(field) || emitted.has(field)) continue;
+
+      const [normalized, error] = validateField(field, value);
+      if (!error) {
+        emitted.add(field);
+        onSection(field, normalized);
+      }
+    }
+  };
+
+  return {
+    push(llmResponse) {
+      // A value can only have completed if a closing quote or bracket arrived
+      const added = llmResponse.slice(scannedLength);
+      scannedLength = llmResponse.length;
+      if (/["\]}]/.test(added)) {
+        emit(llmResponse);
+      }
+    },
+
+    flush: emit
+  };
+}
@@ -0,0 +1,211 @@
+/**
+ * Auth Service
+ *
+ * Local user accounts, password hashing, JWT issuing and per-user API keys
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import storageService from './storageService.js';
+import { APIError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const API_KEY_PREFIX = 'cm_';
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+class AuthService {
+  constructor() {
+    this._initialized = false;
+  }
+
+  /**
+   * Lazy initialization - load config when first used
+   */
+  _ensureInitialized() {
+    if (!this._initialized) {
+      this.enabled = process.env.AUTH_ENABLED !== 'false';
+      this.allowRegistration = process.env.AUTH_ALLOW_REGISTRATION !== 'false';
+      this.tokenExpiresIn = process.env.JWT_EXPIRES_IN || '7d';
+      this.jwtSecret = process.env.JWT_SECRET;
+
+      if (this.enabled && !this.jwtSecret) {
+        // Tokens stay valid only until the next restart; API keys are unaffected
+        this.jwtSecret = crypto.randomBytes(32).toString('hex');
+        logger.warn('JWT_SECRET is not set - using a random secret, issued tokens will not survive a restart');
+      }
+
+      this._initialized = true;
+      logger.info(`AuthService initialized: enabled=${this.enabled}, registration=${this.allowRegistration}`);
+    }
+  }
+
+  /**
+   * Check whether /api routes require authentication
+   */
+  isEnabled() {
+    this._ensureInitialized();
+    return this.enabled;
+  }
+
+  /**
+   * Accounts live in the history database
+   */
+  _requireStorage() {
+    if (!storageService.isAvailable()) {
+      throw new APIError('Authentication requires storage (check STORAGE_ENABLED and DATABASE_PATH)', 503);
+    }
+  }
+
+  /**
+   * Hash a password with a random salt
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+  }
+
+  /**
+   * Check a password against a stored hash in constant time
+   */
+  async verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = (stored || '').split('$');
+
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+      return false;
+    }
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Register a new user and return a token for them
+   */
+  async register(username, password) {
+    this._ensureInitialized();
+    this._requireStorage();
+
+    if (!this.allowRegistration) {
+      throw new APIError('Registration is disabled on this server', 403);
+    }
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new APIError('Username must be 3-32 characters: letters, digits, "_", "." or "-"', 400);
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new APIError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+    const passwordHash = await this.hashPassword(password);
+    let user;
+
+    try {
+      user = storageService.createUser(username, passwordHash);
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw new APIError('Username is already taken', 409);
+      }
+      throw error;
+    }
+    logger.info(`Registered user: ${user.username} (${user.id})`);
+
+    return { user, ...this.issueToken(user) };
+  }
+
+  /**
+   * Log in with username and password
+   */
+  async login(username, password) {
+    this._ensureInitialized();
+    this._requireStorage();
+
+    const user = typeof username === 'string' ? storageService.findUserByUsername(username) : null;
+    const valid = user && typeof password === 'string' && await this.verifyPassword(password, user.passwordHash);
+
+    if (!valid) {
+      throw new APIError('Invalid username or password', 401);
+    }
+
+    const publicUser = { id: user.id, username: user.username, createdAt: user.createdAt };
+    return { user: publicUser, ...this.issueToken(publicUser) };
+  }
+
+  /**
+   * Issue a signed JWT for a user
+   */
+  issueToken(user) {
+    this._ensureInitialized();
+
+    const token = jwt.sign({ username: user.username }, this.jwtSecret, {
+      subject: String(user.id),
+      expiresIn: this.tokenExpiresIn
+    });
+
+    return { token, expiresIn: this.tokenExpiresIn };
+  }
+
+  /**
+   * Generate a new API key; the plain key is only returned here
+   */
+  createApiKey(userId, name = 'default') {
+    this._requireStorage();
+
+    if (typeof name !== 'string' || !name.trim() || name.length > 64) {
+      throw new APIError('API key name must be 1-64 characters', 400);
+    }
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = storageService.createApiKey(userId, {
+      name: name.trim(),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      keyHash: this._hashApiKey(key)
+    });
+
+    logger.info(`Created API key ${record.id} for user ${userId}`);
+
+    return { ...record, key };
+  }
+
+  /**
+   * API keys are random, so a plain SHA-256 is enough to store them
+   */
+  _hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Resolve a bearer credential (JWT or API key) to a user
+   * Returns null if the credential is invalid
+   */
+  authenticate(credential) {
+    this._ensureInitialized();
+
+    if (!credential) {
+      return null;
+    }
+
+    if (credential.startsWith(API_KEY_PREFIX)) {
+      if (!storageService.isAvailable()) {
+        return null;
+      }
+      const user = storageService.findUserByApiKeyHash(this._hashApiKey(credential));
+      return user && { id: user.id, username: user.username, authMethod: 'api_key', apiKeyId: user.apiKeyId };
+    }
+
+    try {
+      const payload = jwt.verify(credential, this.jwtSecret);
+      return { id: parseInt(payload.sub), username: payload.username, authMethod: 'jwt' };
+    } catch {
+      return null;
+    }
+  }
+}
+
+const authService = new AuthService();
+
+export default authService;
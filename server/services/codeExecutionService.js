@@ -0,0 +1,771 @@
+/**
+ * Code Execution Service
+ *
+ * Compiles and runs candidate solutions against problem test cases
+ * in a resource-limited child process (time, CPU, memory, processes, file size),
+ * without network access and with a private root that only holds the system
+ * directories, the JDK and the run's work directory
+ */
+
+import { spawn, spawnSync } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { accessSync, constants as fsConstants, mkdirSync, mkdtempSync, realpathSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from '../utils/logger.js';
+import {
+  resultMarker,
+  generateHarness,
+  generateTimingHarness,
+  prepareSolutionSource,
+  isSupportedType
+} from './javaHarness.js';
+
+// Supported comparison modes for expected vs actual output
+const COMPARE_MODES = ['exact', 'unordered', 'approx'];
+
+// Keep the JVM's own reservations small so the address-space limit is mostly heap
+const JVM_RESERVATION_ARGS = [
+  '-XX:CompressedClassSpaceSize=64m',
+  '-XX:ReservedCodeCacheSize=64m',
+  '-XX:MaxMetaspaceSize=128m',
+  '-XX:MaxDirectMemorySize=64m'
+];
+// javac heap cap
+const COMPILER_MEMORY_MB = 512;
+
+// Mounted read-only into the sandbox next to the JDK; symlinks (merged /usr) are recreated as links
+const SYSTEM_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/libx32', '/etc/ld.so.cache'];
+
+/**
+ * Runs inside the new mount and PID namespaces:
+ * sh -c SCRIPT sandbox <root> <workDir> <writable 0|1> <scratchMb> <read-only paths...> -- <command...>
+ * Builds a tmpfs root holding read-only binds of the given paths, the work dir (read-only unless
+ * writable), a size-capped /tmp, /proc of the new PID namespace and a few device nodes, then
+ * chroots into it and runs the command from the work dir. Nothing else of the host is visible.
+ */
+const SANDBOX_ROOT_SCRIPT = `set -e
+root=$1 work=$2 writable=$3 scratch_mb=$4
+shift 4
+mount -t tmpfs -o mode=755 sandbox "$root"
+while [ "$1" != -- ]; do
+  mkdir -p "$root$(dirname "$1")"
+  if [ -L "$1" ]; then
+    ln -s "$(readlink "$1")" "$root$1"
+  elif [ -d "$1" ]; then
+    mkdir "$root$1"
+    mount --bind "$1" "$root$1"
+    mount -o remount,bind,ro "$root$1"
+  elif [ -e "$1" ]; then
+    touch "$root$1"
+    mount --bind "$1" "$root$1"
+    mount -o remount,bind,ro "$root$1"
+  fi
+  shift
+done
+shift
+mkdir -p "$root/dev" "$root/proc" "$root/tmp"
+mount -t tmpfs -o "size=\${scratch_mb}m,mode=1777" scratch "$root/tmp"
+mkdir -p "$root$work"
+mount --bind "$work" "$root$work"
+[ "$writable" = 1 ] || mount -o remount,bind,ro "$root$work"
+mount -t proc proc "$root/proc" 2>/dev/null || true
+for dev in null zero random urandom; do
+  touch "$root/dev/$dev"
+  mount --bind "/dev/$dev" "$root/dev/$dev"
+done
+mount -o remount,ro "$root"
+exec chroot "$root" sh -c 'cd "$0" && exec "$@"' "$work" "$@"`;
+
+// Namespaces of a sandboxed process: no network, its own mounts and PID 1 (killing it ends the rest)
+const NAMESPACE_ARGS = ['--user', '--map-root-user', '--net', '--mount', '--pid', '--fork', '--kill-child'];
+
+/**
+ * Absolute real path of a command (searched on PATH unless it contains a slash), or null
+ */
+function resolveExecutable(command) {
+  const candidates = command.includes('/')
+    ? [command]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, command));
+
+  for (const candidate of candidates) {
+    try {
+      accessSync(candidate, fsConstants.X_OK);
+      return realpathSync(candidate);
+    } catch {
+      // Not here
+    }
+  }
+  return null;
+}
+
+class CodeExecutionService {
+  constructor() {
+    this._initialized = false;
+    this.isolation = null;
+    this.javacAvailable = undefined;
+  }
+
+  /**
+   * Lazy initialization - load config when first used
+   */
+  _ensureInitialized() {
+    if (!this._initialized) {
+      this.enabled = process.env.SANDBOX_ENABLED !== 'false';
+      this.timeoutMs = parseInt(process.env.SANDBOX_TIMEOUT_MS) || 10000;
+      this.compileTimeoutMs = parseInt(process.env.SANDBOX_COMPILE_TIMEOUT_MS) || 30000;
+      this.memoryMb = parseInt(process.env.SANDBOX_MEMORY_MB) || 256;
+      this.cpuSeconds = parseInt(process.env.SANDBOX_CPU_SECONDS) || 10;
+      this.profileTimeoutMs = parseInt(process.env.SANDBOX_PROFILE_TIMEOUT_MS) || 30000;
+      this.maxOutputBytes = parseInt(process.env.SANDBOX_MAX_OUTPUT_BYTES) || 1024 * 1024;
+      this.addressSpaceOverheadMb = parseInt(process.env.SANDBOX_ADDRESS_SPACE_OVERHEAD_MB) || 1536;
+      this.maxProcesses = parseInt(process.env.SANDBOX_MAX_PROCESSES) || 128;
+      this.maxFileMb = parseInt(process.env.SANDBOX_MAX_FILE_MB) || 16;
+      this.requireIsolation = process.env.SANDBOX_REQUIRE_ISOLATION !== 'false';
+      this.javacPath = process.env.JAVAC_PATH || 'javac';
+      this.javaPath = process.env.JAVA_PATH || 'java';
+      this._initialized = true;
+      logger.info(`CodeExecutionService initialized: enabled=${this.enabled}, timeout=${this.timeoutMs}ms, memory=${this.memoryMb}MB`);
+    }
+  }
+
+  /**
+   * Detect whether the host can sandbox processes (Linux namespaces, a private root + rlimits)
+   */
+  detectIsolation() {
+    if (this.isolation) {
+      return this.isolation;
+    }
+    this._ensureInitialized();
+
+    const probe = (cmd, args) => {
+      try {
+        return spawnSync(cmd, args, { timeout: 5000 }).status === 0;
+      } catch {
+        return false;
+      }
+    };
+
+    // Build a private root around an empty work dir, exactly as runSandboxed does
+    const probeFilesystem = () => {
+      const dir = mkdtempSync(path.join(os.tmpdir(), 'codementor-probe-'));
+      try {
+        mkdirSync(path.join(dir, 'root'));
+        mkdirSync(path.join(dir, 'work'));
+        return probe('unshare', this.isolationArgs(path.join(dir, 'root'), path.join(dir, 'work'), 'true', []));
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    };
+
+    const isLinux = process.platform === 'linux';
+    this.isolation = {
+      network: isLinux && probe('unshare', ['--user', '--map-root-user', '--net', 'true']),
+      filesystem: isLinux && probeFilesystem(),
+      rlimits: isLinux && probe('prlimit', [...this.rlimitArgs(1, this.memoryMb), '--', 'true'])
+    };
+
+    if (!this.isIsolated()) {
+      logger.warn(this.requireIsolation
+        ? 'Sandbox isolation unavailable (unshare --net --mount --pid / prlimit): code execution is disabled'
+        : 'Sandbox isolation unavailable: SANDBOX_REQUIRE_ISOLATION=false runs code without full namespace isolation or resource limits');
+    }
+
+    return this.isolation;
+  }
+
+  /**
+   * Whether every part of the sandbox is available
+   */
+  isIsolated() {
+    const { network, filesystem, rlimits } = this.detectIsolation();
+    return network && filesystem && rlimits;
+  }
+
+  /**
+   * Real paths of javac and java plus the directories the JDK needs; only these (and
+   * SYSTEM_PATHS) are visible in the sandbox, so links like /etc/alternatives/java are resolved here
+   */
+  locateJdk() {
+    if (this.jdk) {
+      return this.jdk;
+    }
+
+    const javac = resolveExecutable(this.javacPath);
+    const java = resolveExecutable(this.javaPath);
+    const homes = [javac, java].filter(Boolean).map(binary => path.dirname(path.dirname(binary)));
+    const paths = new Set(homes);
+
+    // Distribution packages link the JDK's configuration (lib/jvm.cfg, lib/security) from /etc
+    for (const home of homes) {
+      try {
+        paths.add(path.dirname(realpathSync(path.join(home, 'lib', 'jvm.cfg'))));
+      } catch {
+        // Configuration lives inside the JDK
+      }
+    }
+    if (process.env.JAVA_HOME) {
+      paths.add(process.env.JAVA_HOME);
+    }
+
+    this.jdk = { javac: javac || this.javacPath, java: java || this.javaPath, paths: [...paths] };
+    return this.jdk;
+  }
+
+  /**
+   * prlimit arguments: CPU seconds (soft limit raises SIGXCPU so CPU exhaustion is distinguishable
+   * from other kills), address space (JVM heap plus room for the JVM itself), processes and threads,
+   * and the size of any file written
+   */
+  rlimitArgs(cpuSeconds, memoryMb) {
+    return [
+      `--cpu=${cpuSeconds}:${cpuSeconds + 1}`,
+      `--as=${(memoryMb + this.addressSpaceOverheadMb) * 1024 * 1024}`,
+      `--nproc=${this.maxProcesses}`,
+      `--fsize=${this.maxFileMb * 1024 * 1024}`
+    ];
+  }
+
+  /**
+   * unshare arguments that run command inside new namespaces and a private root (see SANDBOX_ROOT_SCRIPT)
+   * rootDir is an empty directory to mount the root on; workDir is writable only when asked
+   */
+  isolationArgs(rootDir, workDir, command, args, { writable = false } = {}) {
+    // Paths inside another listed path are already visible
+    const readOnly = [...SYSTEM_PATHS, ...this.locateJdk().paths]
+      .filter((dir, index, all) => all.indexOf(dir) === index &&
+        !all.some(other => other !== dir && dir.startsWith(other + '/')));
+
+    return [
+      ...NAMESPACE_ARGS, '--',
+      'sh', '-c', SANDBOX_ROOT_SCRIPT, 'sandbox',
+      rootDir, workDir, writable ? '1' : '0', String(this.maxFileMb),
+      ...readOnly, '--',
+      command, ...args
+    ];
+  }
+
+  /**
+   * Check whether code execution is possible for a language
+   */
+  isAvailable(language = 'java') {
+    this._ensureInitialized();
+
+    if (!this.enabled) {
+      return { available: false, reason: 'Code execution is disabled (SANDBOX_ENABLED=false)' };
+    }
+
+    if (language.toLowerCase() !== 'java') {
+      return { available: false, reason: `Code execution is not supported for ${language}` };
+    }
+
+    if (this.requireIsolation && !this.isIsolated()) {
+      return { available: false, reason: 'Code execution unavailable: this host cannot isolate the sandbox (unshare --net --mount --pid and prlimit are required)' };
+    }
+
+    if (this.javacAvailable === undefined) {
+      const javac = spawnSync(this.javacPath, ['-version'], { timeout: 10000 });
+      this.javacAvailable = !javac.error && javac.status === 0;
+    }
+    if (!this.javacAvailable) {
+      return { available: false, reason: `Java compiler not found (${this.javacPath})` };
+    }
+
+    return { available: true };
+  }
+
+  /**
+   * Validate a problem's test suite definition
+   */
+  validateSuite(suite) {
+    const errors = [];
+
+    if (!suite || typeof suite !== 'object') {
+      return ['Test suite must be an object'];
+    }
+    if (!suite.method || !/^[A-Za-z_$][\w$]*$/.test(suite.method)) {
+      errors.push('tests.method must be a valid method name');
+    }
+    if (!Array.isArray(suite.params)) {
+      errors.push('tests.params must be an array of Java types');
+    } else {
+      suite.params
+        .filter(type => typeof type !== 'string' || !isSupportedType(type))
+        .forEach(type => errors.push(`Unsupported parameter type: ${type}`));
+    }
+    if (suite.compare && !COMPARE_MODES.includes(suite.compare)) {
+      errors.push(`tests.compare must be one of: ${COMPARE_MODES.join(', ')}`);
+    }
+    if (!Array.isArray(suite.cases) || suite.cases.length === 0) {
+      errors.push('tests.cases must be a non-empty array');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Run a candidate solution against a test suite
+   */
+  async runTests(code, suite, options = {}) {
+    this._ensureInitialized();
+    const language = (options.language || 'java').toLowerCase();
+
+    const availability = this.isAvailable(language);
+    if (!availability.available) {
+      return { executed: false, language, reason: availability.reason };
+    }
+
+    const suiteErrors = this.validateSuite(suite);
+    if (suiteErrors.length > 0) {
+      logger.warn(`Invalid test suite: ${suiteErrors.join('; ')}`);
+      return { executed: false, language, reason: `Invalid test suite: ${suiteErrors.join('; ')}` };
+    }
+
+    const prepared = prepareSolutionSource(code);
+    if (prepared.error) {
+      return this.buildVerdict(suite, { compileError: prepared.error });
+    }
+
+    try {
+      const { compileError, run } = await this.compileAndRun(prepared.source, generateHarness(suite), {
+        timeoutMs: this.timeoutMs,
+        cpuSeconds: this.cpuSeconds,
+        // Single JVM for all cases; C1 only, since each case runs once
+        jvmArgs: ['-XX:TieredStopAtLevel=1']
+      });
+      return this.buildVerdict(suite, { compileError, run });
+    } catch (error) {
+      logger.error('Code execution failed:', error.message);
+      return { executed: false, language, reason: error.message };
+    }
+  }
+
+  /**
+   * Time a solution method on random inputs of growing size
+   * signature: { method, params }; options: { sizes, sizeLimitMs }
+   * Resolves to { executed, samples: [{ size, status, time_ns, min_ns, runs, threw? }], wall_time_ms }
+   * or { executed: false, reason } / { executed: true, compileError }
+   */
+  async measureRuntime(code, signature, options = {}) {
+    this._ensureInitialized();
+
+    const availability = this.isAvailable('java');
+    if (!availability.available) {
+      return { executed: false, reason: availability.reason };
+    }
+
+    const unsupported = (signature.params || []).filter(type => typeof type !== 'string' || !isSupportedType(type));
+    if (!signature.method || !/^[A-Za-z_$][\w$]*$/.test(signature.method) || unsupported.length > 0) {
+      return {
+        executed: false,
+        reason: unsupported.length > 0
+          ? `Cannot generate inputs for parameter type: ${unsupported.join(', ')}`
+          : 'A valid method name is required'
+      };
+    }
+
+    const prepared = prepareSolutionSource(code);
+    if (prepared.error) {
+      return { executed: true, compileError: prepared.error };
+    }
+
+    // Stop starting new sizes early enough to report before the process limit
+    const budgetMs = Math.max(1000, this.profileTimeoutMs - 5000);
+    const harness = generateTimingHarness(signature, {
+      sizes: options.sizes,
+      sizeLimitMs: options.sizeLimitMs || 2000,
+      budgetMs
+    });
+
+    try {
+      const { compileError, run } = await this.compileAndRun(prepared.source, harness, {
+        timeoutMs: this.profileTimeoutMs,
+        // The JIT and GC threads use CPU time alongside the measured code
+        cpuSeconds: Math.ceil(this.profileTimeoutMs / 1000) * 2
+      });
+      if (compileError) {
+        return { executed: true, compileError };
+      }
+
+      const samples = run.results;
+      if (samples.length === 0) {
+        return { executed: false, reason: run.timedOut ? 'Timed out before the first measurement' : this.summarizeCrash(run) };
+      }
+
+      return { executed: true, samples, wall_time_ms: run.duration_ms };
+    } catch (error) {
+      logger.error('Runtime measurement failed:', error.message);
+      return { executed: false, reason: error.message };
+    }
+  }
+
+  /**
+   * Write Solution.java and Main.java to a temp dir, compile them and run Main
+   * Resolves to { compileError } or { run } with the harness's entries in run.results
+   */
+  async compileAndRun(source, harness, { timeoutMs, cpuSeconds, jvmArgs = [] }) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codementor-run-'));
+
+    try {
+      await fs.writeFile(path.join(workDir, 'Solution.java'), source, 'utf-8');
+      await fs.writeFile(path.join(workDir, 'Main.java'), harness, 'utf-8');
+
+      const jdk = this.locateJdk();
+
+      // Compile (the only step that may write to the work dir); annotation processors would run code
+      const compile = await this.runSandboxed(jdk.javac, [
+        `-J-Xmx${COMPILER_MEMORY_MB}m`,
+        '-J-XX:+UseSerialGC',
+        ...JVM_RESERVATION_ARGS.map(arg => `-J${arg}`),
+        '-nowarn', '-proc:none', '-d', workDir,
+        path.join(workDir, 'Solution.java'),
+        path.join(workDir, 'Main.java')
+      ], {
+        cwd: workDir,
+        timeoutMs: this.compileTimeoutMs,
+        cpuSeconds: Math.ceil(this.compileTimeoutMs / 1000),
+        memoryMb: COMPILER_MEMORY_MB,
+        writable: true
+      });
+
+      if (compile.timedOut || compile.exitCode !== 0) {
+        return {
+          compileError: compile.timedOut
+            ? 'Compilation timed out'
+            : this.cleanCompilerOutput(compile.stderr || compile.stdout, workDir)
+        };
+      }
+
+      // Only result lines carrying this run's nonce come from the harness
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const run = await this.runSandboxed(jdk.java, [
+        `-Xmx${this.memoryMb}m`,
+        '-Xss64m',
+        '-XX:+UseSerialGC',
+        ...JVM_RESERVATION_ARGS,
+        ...jvmArgs,
+        '-cp', workDir,
+        'Main'
+      ], { cwd: workDir, timeoutMs, cpuSeconds, memoryMb: this.memoryMb, input: `${nonce}\n` });
+
+      return { run: { ...run, results: this.parseResultLines(run.stdout, nonce) } };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * JSON entries from the harness's output lines marked with the run's nonce
+   */
+  parseResultLines(stdout, nonce) {
+    const marker = resultMarker(nonce);
+    const entries = [];
+    for (const line of stdout.split('\n')) {
+      if (!line.startsWith(marker)) continue;
+      try {
+        entries.push(JSON.parse(line.slice(marker.length)));
+      } catch {
+        // Ignore malformed lines
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Spawn a process in options.cwd (the work dir) with time, CPU, address-space, process,
+   * file-size and output limits, inside its own namespaces and private root
+   * options.memoryMb is the JVM heap; the address-space limit adds room for the JVM itself
+   * options.writable lets the process write to the work dir
+   * options.input is written to the process's stdin
+   */
+  async runSandboxed(command, args, options = {}) {
+    const isolation = this.detectIsolation();
+    let cmd = command;
+    let cmdArgs = args;
+
+    if (isolation.rlimits) {
+      cmdArgs = [...this.rlimitArgs(options.cpuSeconds || this.cpuSeconds, options.memoryMb || this.memoryMb), '--', cmd, ...cmdArgs];
+      cmd = 'prlimit';
+    }
+
+    let rootDir = null;
+    if (isolation.filesystem) {
+      rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codementor-root-'));
+      cmdArgs = this.isolationArgs(rootDir, options.cwd, cmd, cmdArgs, { writable: options.writable });
+      cmd = 'unshare';
+    } else if (isolation.network) {
+      cmdArgs = ['--user', '--map-root-user', '--net', '--', cmd, ...cmdArgs];
+      cmd = 'unshare';
+    }
+
+    try {
+      return await this._spawnLimited(cmd, cmdArgs, options);
+    } finally {
+      if (rootDir) {
+        // The root was only mounted inside the sandbox's namespace, so this is an empty dir
+        await fs.rm(rootDir, { recursive: true, force: true }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Spawn a process group with the wall-clock and output limits
+   */
+  _spawnLimited(cmd, cmdArgs, options) {
+    return new Promise((resolve) => {
+      const startTime = Date.now();
+      const proc = spawn(cmd, cmdArgs, {
+        cwd: options.cwd,
+        detached: true,
+        env: {
+          PATH: process.env.PATH,
+          HOME: options.cwd,
+          // glibc reserves 64 MB of address space per malloc arena
+          MALLOC_ARENA_MAX: '2',
+          ...(process.env.JAVA_HOME && { JAVA_HOME: process.env.JAVA_HOME })
+        }
+      });
+
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+      let outputExceeded = false;
+
+      const killTree = () => {
+        try {
+          process.kill(-proc.pid, 'SIGKILL');
+        } catch {
+          proc.kill('SIGKILL');
+        }
+      };
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        killTree();
+      }, options.timeoutMs || this.timeoutMs);
+
+      const collect = (stream, chunk) => {
+        if (stdout.length + stderr.length > this.maxOutputBytes) {
+          outputExceeded = true;
+          killTree();
+          return;
+        }
+        if (stream === 'stdout') {
+          stdout += chunk.toString();
+        } else {
+          stderr += chunk.toString();
+        }
+      };
+
+      // The process may exit without reading its input
+      proc.stdin.on('error', () => {});
+      proc.stdin.end(options.input);
+
+      proc.stdout.on('data', (data) => collect('stdout', data));
+      proc.stderr.on('data', (data) => collect('stderr', data));
+
+      proc.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        resolve({
+          exitCode,
+          signal,
+          stdout,
+          stderr,
+          timedOut,
+          outputExceeded,
+          duration_ms: Date.now() - startTime
+        });
+      });
+
+      proc.on('error', (error) => {
+        clearTimeout(timer);
+        resolve({
+          exitCode: -1,
+          stdout,
+          stderr: error.message,
+          timedOut: false,
+          outputExceeded: false,
+          duration_ms: Date.now() - startTime
+        });
+      });
+    });
+  }
+
+  /**
+   * Build the execution verdict from compile/run output
+   */
+  buildVerdict(suite, { compileError = null, run = null }) {
+    const total = suite.cases.length;
+
+    if (compileError) {
+      return {
+        executed: true,
+        language: 'java',
+        verdict: 'compile_error',
+        compileError,
+        passed: 0,
+        total,
+        runtime_ms: 0,
+        results: []
+      };
+    }
+
+    const reported = new Map(run.results.map(entry => [entry.index, entry]));
+
+    const results = suite.cases.map((testCase, index) => {
+      const entry = reported.get(index);
+      const result = {
+        index,
+        hidden: Boolean(testCase.hidden),
+        passed: false
+      };
+
+      if (!entry) {
+        if (run.timedOut || run.signal === 'SIGXCPU') {
+          result.status = 'time_limit_exceeded';
+        } else if (run.outputExceeded) {
+          result.status = 'output_limit_exceeded';
+        } else {
+          result.status = 'runtime_error';
+          result.error = this.summarizeCrash(run);
+        }
+      } else if (entry.status === 'error') {
+        result.status = /OutOfMemoryError/.test(entry.error) ? 'memory_limit_exceeded' : 'runtime_error';
+        result.error = entry.error;
+        result.time_ms = entry.time_ns / 1e6;
+      } else {
+        result.passed = this.compareOutput(entry.output, testCase.expected, suite.compare);
+        result.status = result.passed ? 'passed' : 'wrong_answer';
+        result.actual = entry.output;
+        result.time_ms = entry.time_ns / 1e6;
+      }
+
+      return result;
+    });
+
+    const passed = results.filter(r => r.passed).length;
+    const runtime = results.reduce((sum, r) => sum + (r.time_ms || 0), 0);
+
+    return {
+      executed: true,
+      language: 'java',
+      verdict: this.overallVerdict(results),
+      passed,
+      total,
+      runtime_ms: Math.round(runtime * 100) / 100,
+      wall_time_ms: run.duration_ms,
+      results
+    };
+  }
+
+  /**
+   * Pick the most significant verdict across test results
+   */
+  overallVerdict(results) {
+    const order = [
+      'time_limit_exceeded',
+      'memory_limit_exceeded',
+      'output_limit_exceeded',
+      'runtime_error',
+      'wrong_answer'
+    ];
+
+    for (const status of order) {
+      if (results.some(r => r.status === status)) {
+        return status;
+      }
+    }
+
+    return 'accepted';
+  }
+
+  /**
+   * Compare actual output to expected output
+   */
+  compareOutput(actual, expected, mode = 'exact') {
+    if (mode === 'unordered') {
+      return this.deepEqual(this.canonicalize(actual), this.canonicalize(expected));
+    }
+    if (mode === 'approx') {
+      return this.deepEqual(actual, expected, 1e-5);
+    }
+    return this.deepEqual(actual, expected);
+  }
+
+  /**
+   * Sort arrays recursively so element order does not matter
+   */
+  canonicalize(value) {
+    if (!Array.isArray(value)) {
+      return value;
+    }
+    return value
+      .map(v => this.canonicalize(v))
+      .sort((a, b) => {
+        const left = JSON.stringify(a);
+        const right = JSON.stringify(b);
+        return left < right ? -1 : left > right ? 1 : 0;
+      });
+  }
+
+  /**
+   * Structural equality with optional numeric tolerance
+   */
+  deepEqual(a, b, tolerance = 0) {
+    if (typeof a === 'number' && typeof b === 'number') {
+      return tolerance > 0 ? Math.abs(a - b) <= tolerance : a === b;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every((v, i) => this.deepEqual(v, b[i], tolerance));
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length &&
+        keys.every(k => this.deepEqual(a[k], b[k], tolerance));
+    }
+    return a === b;
+  }
+
+  /**
+   * Strip temp paths from compiler output
+   */
+  cleanCompilerOutput(output, workDir) {
+    return output
+      .split(workDir + path.sep).join('')
+      .trim()
+      .substring(0, 2000);
+  }
+
+  /**
+   * Describe a crash that produced no result line
+   */
+  summarizeCrash(run) {
+    if (run.signal) {
+      return `Process terminated by ${run.signal}`;
+    }
+    const firstLine = (run.stderr || '').trim().split('\n')[0];
+    return firstLine || `Process exited with code ${run.exitCode}`;
+  }
+
+  /**
+   * Get current configuration
+   */
+  getConfig() {
+    this._ensureInitialized();
+    return {
+      enabled: this.enabled,
+      timeoutMs: this.timeoutMs,
+      memoryMb: this.memoryMb,
+      cpuSeconds: this.cpuSeconds,
+      maxProcesses: this.maxProcesses,
+      maxFileMb: this.maxFileMb,
+      requireIsolation: this.requireIsolation,
+      isolation: this.detectIsolation()
+    };
+  }
+}
+
+const codeExecutionService = new CodeExecutionService();
+
+export default codeExecutionService;
@@ -0,0 +1,198 @@
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+
+Object.assign(process.env, {
+  LOG_LEVEL: 'error',
+  SANDBOX_ENABLED: 'true',
+  SANDBOX_REQUIRE_ISOLATION: 'true'
+});
+
+const { default: codeExecutionService } = await import('./codeExecutionService.js');
+const { resultMarker, generateHarness } = await import('./javaHarness.js');
+
+const suite = {
+  method: 'twoSum',
+  params: ['int[]', 'int'],
+  returns: 'int[]',
+  compare: 'unordered',
+  cases: [
+    { input: [[2, 7, 11, 15], 9], expected: [0, 1] },
+    { input: [[3, 2, 4], 6], expected: [1, 2] },
+    { input: [[3, 3], 6], expected: [0, 1], hidden: true }
+  ]
+};
+
+const solution = `class Solution {
+    public int[] twoSum(int[] nums, int target) {
+        return new int[] { 0, 1 };
+    }
+}`;
+
+const ok = (index, output) => ({ index, status: 'ok', time_ns: 2e6, output });
+const run = (results, extra = {}) => ({ exitCode: 0, signal: null, stdout: '', stderr: '', timedOut: false, outputExceeded: false, duration_ms: 120, results, ...extra });
+
+describe('codeExecutionService.compareOutput', () => {
+  it('compares exactly by default', () => {
+    expect(codeExecutionService.compareOutput([0, 1], [0, 1])).toBe(true);
+    expect(codeExecutionService.compareOutput([1, 0], [0, 1])).toBe(false);
+    expect(codeExecutionService.compareOutput({ a: [1], b: 'x' }, { b: 'x', a: [1] })).toBe(true);
+    expect(codeExecutionService.compareOutput(1, '1')).toBe(false);
+  });
+
+  it('ignores element order at every depth when unordered', () => {
+    expect(codeExecutionService.compareOutput([1, 0], [0, 1], 'unordered')).toBe(true);
+    expect(codeExecutionService.compareOutput([[2, 1], [4, 3]], [[3, 4], [1, 2]], 'unordered')).toBe(true);
+    expect(codeExecutionService.compareOutput([1, 1, 2], [1, 2, 2], 'unordered')).toBe(false);
+  });
+
+  it('allows a small numeric tolerance when approx', () => {
+    expect(codeExecutionService.compareOutput([0.333333], [1 / 3], 'approx')).toBe(true);
+    expect(codeExecutionService.compareOutput(2.5001, 2.5, 'approx')).toBe(false);
+    expect(codeExecutionService.compareOutput(0.333333, 1 / 3)).toBe(false);
+  });
+});
+
+describe('codeExecutionService.buildVerdict', () => {
+  it('accepts a run whose outputs all match', () => {
+    const verdict = codeExecutionService.buildVerdict(suite, { run: run([ok(0, [1, 0]), ok(1, [1, 2]), ok(2, [0, 1])]) });
+
+    expect(verdict).toMatchObject({ executed: true, verdict: 'accepted', passed: 3, total: 3, runtime_ms: 6, wall_time_ms: 120 });
+    expect(verdict.results[2]).toMatchObject({ index: 2, hidden: true, passed: true, status: 'passed' });
+  });
+
+  it('reports wrong answers and runtime errors per case', () => {
+    const verdict = codeExecutionService.buildVerdict(suite, {
+      run: run([
+        ok(0, [0, 1]),
+        ok(1, [0, 2]),
+        { index: 2, status: 'error', time_ns: 1e6, error: 'java.lang.ArrayIndexOutOfBoundsException: 2' }
+      ])
+    });
+
+    expect(verdict).toMatchObject({ verdict: 'runtime_error', passed: 1 });
+    expect(verdict.results.map(result => result.status)).toEqual(['passed', 'wrong_answer', 'runtime_error']);
+    expect(verdict.results[1]).toMatchObject({ actual: [0, 2] });
+  });
+
+  it('tells memory errors apart from other exceptions', () => {
+    const verdict = codeExecutionService.buildVerdict(suite, {
+      run: run([ok(0, [0, 1]), ok(1, [1, 2]), { index: 2, status: 'error', time_ns: 0, error: 'java.lang.OutOfMemoryError: Java heap space' }])
+    });
+
+    expect(verdict.verdict).toBe('memory_limit_exceeded');
+  });
+
+  it('blames cases without a result line on the way the process ended', () => {
+    const cpu = codeExecutionService.buildVerdict(suite, { run: run([ok(0, [0, 1])], { signal: 'SIGXCPU' }) });
+    const output = codeExecutionService.buildVerdict(suite, { run: run([ok(0, [0, 1])], { outputExceeded: true, signal: 'SIGKILL' }) });
+    const crash = codeExecutionService.buildVerdict(suite, { run: run([], { exitCode: 1, stderr: 'Exception in thread "main" java.lang.StackOverflowError\n\tat Solution' }) });
+
+    expect(cpu.results.map(result => result.status)).toEqual(['passed', 'time_limit_exceeded', 'time_limit_exceeded']);
+    expect(output.verdict).toBe('output_limit_exceeded');
+    expect(crash.results[0]).toMatchObject({ status: 'runtime_error', error: 'Exception in thread "main" java.lang.StackOverflowError' });
+  });
+
+  it('reports compile errors without results', () => {
+    expect(codeExecutionService.buildVerdict(suite, { compileError: 'Solution.java:3: error: missing return statement' }))
+      .toMatchObject({ verdict: 'compile_error', passed: 0, total: 3, results: [] });
+  });
+});
+
+describe('codeExecutionService.overallVerdict', () => {
+  it('picks the most significant status', () => {
+    const statuses = (...list) => list.map(status => ({ status }));
+
+    expect(codeExecutionService.overallVerdict(statuses('passed', 'passed'))).toBe('accepted');
+    expect(codeExecutionService.overallVerdict(statuses('wrong_answer', 'runtime_error'))).toBe('runtime_error');
+    expect(codeExecutionService.overallVerdict(statuses('wrong_answer', 'memory_limit_exceeded', 'time_limit_exceeded'))).toBe('time_limit_exceeded');
+    expect(codeExecutionService.overallVerdict(statuses('output_limit_exceeded', 'runtime_error'))).toBe('output_limit_exceeded');
+  });
+});
+
+describe('codeExecutionService result lines', () => {
+  it('keeps only lines marked with the run nonce', () => {
+    const stdout = [
+      `${resultMarker('abc')}{"index":0,"status":"ok","output":[0,1]}`,
+      `${resultMarker('forged')}{"index":1,"status":"ok","output":[1,2]}`,
+      '@@CODEMENTOR_RESULT@@{"index":2,"status":"ok","output":[0,1]}',
+      `${resultMarker('abc')}not json`,
+      `  ${resultMarker('abc')}{"index":3,"status":"ok","output":[]}`
+    ].join('\n');
+
+    expect(codeExecutionService.parseResultLines(stdout, 'abc')).toEqual([{ index: 0, status: 'ok', output: [0, 1] }]);
+  });
+
+  it('has the harness read the nonce from stdin instead of embedding it', () => {
+    const harness = generateHarness(suite);
+
+    expect(harness).toContain('readNonce()');
+    expect(harness).not.toMatch(/@@CODEMENTOR_RESULT:[0-9a-f]+@@/);
+  });
+});
+
+describe('codeExecutionService.runTests with a stubbed sandbox', () => {
+  let runSandboxed;
+
+  beforeEach(() => {
+    codeExecutionService._ensureInitialized();
+    codeExecutionService.isolation = { network: true, filesystem: true, rlimits: true };
+    codeExecutionService.javacAvailable = true;
+    codeExecutionService.jdk = { javac: 'javac', java: 'java', paths: [] };
+  });
+
+  afterEach(() => {
+    runSandboxed.mockRestore();
+    codeExecutionService.isolation = null;
+    codeExecutionService.javacAvailable = undefined;
+    codeExecutionService.jdk = undefined;
+  });
+
+  /**
+   * Stub the compiler (exit 0) and the run, whose stdout is built from the nonce it receives
+   */
+  function stubSandbox(stdoutFor) {
+    runSandboxed = jest.spyOn(codeExecutionService, 'runSandboxed')
+      .mockResolvedValueOnce(run([]))
+      .mockImplementationOnce(async (command, args, options) => run([], { stdout: stdoutFor(options.input.trim()) }));
+  }
+
+  it('ignores result lines printed by the submission under another nonce', async () => {
+    stubSandbox(nonce => [
+      `${resultMarker('0'.repeat(32))}{"index":0,"status":"ok","time_ns":1,"output":[0,1]}`,
+      `${resultMarker('0'.repeat(32))}{"index":1,"status":"ok","time_ns":1,"output":[1,2]}`,
+      `${resultMarker(nonce)}{"index":0,"status":"ok","time_ns":1000,"output":[0,1]}`,
+      `${resultMarker(nonce)}{"index":1,"status":"ok","time_ns":1000,"output":[3,3]}`
+    ].join('\n'));
+
+    const verdict = await codeExecutionService.runTests(solution, suite);
+
+    expect(verdict).toMatchObject({ executed: true, verdict: 'runtime_error', passed: 1, total: 3 });
+    expect(verdict.results.map(result => result.status)).toEqual(['passed', 'wrong_answer', 'runtime_error']);
+  });
+
+  it('compiles with a writable work dir and runs with a fresh nonce on stdin', async () => {
+    const nonces = [];
+    stubSandbox(nonce => {
+      nonces.push(nonce);
+      return [0, 1, 2].map(index => `${resultMarker(nonce)}{"index":${index},"status":"ok","time_ns":1,"output":${JSON.stringify(suite.cases[index].expected)}}`).join('\n');
+    });
+
+    const verdict = await codeExecutionService.runTests(solution, suite);
+    const [[javac, , compileOptions], [java, , runOptions]] = runSandboxed.mock.calls;
+
+    expect(verdict).toMatchObject({ verdict: 'accepted', passed: 3 });
+    expect(nonces[0]).toMatch(/^[0-9a-f]{32}$/);
+    expect([javac, compileOptions.writable]).toEqual(['javac', true]);
+    expect([java, runOptions.writable]).toEqual(['java', undefined]);
+  });
+
+  it('refuses to run when any part of the isolation is missing', async () => {
+    runSandboxed = jest.spyOn(codeExecutionService, 'runSandboxed');
+    codeExecutionService.isolation = { network: true, filesystem: false, rlimits: true };
+
+    const verdict = await codeExecutionService.runTests(solution, suite);
+
+    expect(verdict).toMatchObject({ executed: false });
+    expect(verdict.reason).toContain('cannot isolate the sandbox');
+    expect(runSandboxed).not.toHaveBeenCalled();
+  });
+});
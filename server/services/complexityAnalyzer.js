@@ -0,0 +1,600 @@
+/**
+ * Complexity Analyzer
+ *
+ * Estimates time and space complexity per method from the tree-sitter syntax tree:
+ * loop nesting depth (constant-bounded and halving loops are told apart), the shape
+ * of recursion (linear, binary search, divide and conquer, memoized, exponential),
+ * calls to other methods in the same file and library calls with a known cost
+ * (sorting, binary search, heap and ordered-collection operations). Every estimate
+ * lists the lines it is based on.
+ */
+
+import syntaxService from './syntaxService.js';
+
+// Node types per grammar
+const FUNCTION_TYPES = {
+  java: ['method_declaration', 'constructor_declaration'],
+  python: ['function_definition'],
+  cpp: ['function_definition'],
+  javascript: ['function_declaration', 'generator_function_declaration', 'method_definition', 'function', 'function_expression', 'arrow_function'],
+  go: ['function_declaration', 'method_declaration', 'func_literal']
+};
+
+const LOOP_TYPES = {
+  java: ['for_statement', 'enhanced_for_statement', 'while_statement', 'do_statement'],
+  python: ['for_statement', 'while_statement', 'list_comprehension', 'set_comprehension', 'dictionary_comprehension', 'generator_expression'],
+  cpp: ['for_statement', 'for_range_loop', 'while_statement', 'do_statement'],
+  javascript: ['for_statement', 'for_in_statement', 'while_statement', 'do_statement'],
+  go: ['for_statement']
+};
+
+const CALL_TYPES = {
+  java: ['method_invocation'],
+  python: ['call'],
+  cpp: ['call_expression'],
+  javascript: ['call_expression'],
+  go: ['call_expression']
+};
+
+// Complexities are { n, log, exp }: n^n * log^log, or exponential
+const CONSTANT = { n: 0, log: 0, exp: false };
+const LOGARITHMIC = { n: 0, log: 1, exp: false };
+const LINEAR = { n: 1, log: 0, exp: false };
+const EXPONENTIAL = { n: 0, log: 0, exp: true };
+
+const SUPERSCRIPTS = { 2: '²', 3: '³' };
+
+// Library calls with a known cost, matched against the full callee (e.g. "Arrays.sort")
+const LIBRARY_CALLS = [
+  {
+    pattern: /(^|[.:])(sort|sorted|stable_sort|sortBy)$|^sort\.(Ints|Strings|Float64s|Slice|SliceStable|Sort|Stable)$/,
+    cost: { n: 1, log: 1, exp: false },
+    reason: 'sorting'
+  },
+  {
+    pattern: /(^|[.:])(binarySearch|binary_search|lower_bound|upper_bound|equal_range|bisect|bisect_left|bisect_right|insort|insort_left|insort_right)$|^sort\.Search\w*$/,
+    cost: LOGARITHMIC,
+    reason: 'binary search'
+  },
+  {
+    pattern: /(^|[.:])(heappush|heappop|heappushpop|heapreplace|push_heap|pop_heap)$|^heap\.(Push|Pop|Fix|Remove)$/,
+    cost: LOGARITHMIC,
+    reason: 'heap operation'
+  },
+  {
+    pattern: /(^|[.:])(heapify|make_heap)$|^heap\.Init$/,
+    cost: LINEAR,
+    reason: 'heap construction'
+  }
+];
+
+// Variables holding heaps or balanced trees, whose updates and lookups take O(log n)
+const ORDERED_DECLARATIONS = [
+  /\b(?:PriorityQueue|TreeMap|TreeSet|priority_queue|multiset|multimap|(?<!unordered_)set|(?<!unordered_)map)\b\s*(?:<[^;{}()]*>)?\s*&?\s*([A-Za-z_]\w*)/g,
+  /\b([A-Za-z_]\w*)\s*=\s*new\s+(?:PriorityQueue|TreeMap|TreeSet)\b/g
+];
+const ORDERED_OPERATIONS = new Set([
+  'add', 'offer', 'poll', 'remove', 'push', 'pop', 'insert', 'erase', 'put', 'get', 'containsKey', 'contains',
+  'floor', 'ceiling', 'higher', 'lower', 'floorKey', 'ceilingKey', 'higherKey', 'lowerKey', 'pollFirst', 'pollLast',
+  'find', 'count', 'lower_bound', 'upper_bound'
+]);
+
+// A loop over literals only, e.g. for (int i = 0; i < 26; i++) or for i in range(26)
+const LITERAL = String.raw`(?:-?\d+|'.')`;
+const CONSTANT_INIT = new RegExp(String.raw`(?<![<>=!])=\s*${LITERAL}\s*;`);
+const CONSTANT_CONDITION = new RegExp(String.raw`(?:<=?|>=?|!=)\s*${LITERAL}\s*;`);
+const CONSTANT_RANGE = /\brange\(\s*-?\d+\s*(,\s*-?\d+\s*){0,2}\)/;
+
+// Updates that halve or double a variable; the loop is logarithmic when it updates its own condition variable
+const HALVING_UPDATES = [
+  /([A-Za-z_]\w*)\s*(?:\/\/?|>>|\*|<<)=\s*\d+/g,
+  /([A-Za-z_]\w*)\s*=\s*\1\s*(?:\/\/?|>>|\*|<<)\s*\d+/g,
+  /([A-Za-z_]\w*)\s*=\s*mid\b/g
+];
+
+// Recursive call arguments that split the input in half
+const HALVING_ARGUMENT = /\/\/?\s*2\b|>>\s*1\b|\bmid\b/;
+// Recursive call arguments that descend into child nodes
+const CHILD_ARGUMENT = /(\.|->)(left|right|next|children|child)\b/;
+// Tables of solved subproblems, or marking visited cells in place (grid flood fill)
+const MEMO_PATTERN = /\b(memo|cache|dp|visited|seen)\w*\b|\w+\s*\[[^\]]+\]\s*\[[^\]]+\]\s*=(?!=)/i;
+const MEMO_DECORATOR = /@(functools\.)?(lru_cache|cache)\b/;
+// Arguments like i + 1 or j - 1, one per dimension of the memoized state
+const STEP_ARGUMENT = /\b([A-Za-z_]\w*)\s*[-+]\s*\d+\b/g;
+
+// Allocations whose size depends on the input, checked line by line in a method body
+const SPACE_PATTERNS = [
+  {
+    pattern: /new\s+\w+\s*\[[^\]]*[A-Za-z_][^\]]*\]\s*\[[^\]]*[A-Za-z_][^\]]*\]|vector\s*<\s*vector\s*<|make\(\s*\[\]\[\]|\[\s*\[.*\bfor\b.*\]\s*for\b|\[\s*\[[^\]]*\]\s*\*\s*[A-Za-z_]\w*\s+for\b|Array\.from\(.*(new Array|Array\(|=>\s*\[)/,
+    cost: { n: 2, log: 0, exp: false },
+    reason: '2D table'
+  },
+  {
+    pattern: /new\s+\w+\s*\[[^\]]*[A-Za-z_][^\]]*\]|new\s+(ArrayList|LinkedList|HashMap|HashSet|LinkedHashMap|TreeMap|TreeSet|PriorityQueue|ArrayDeque|Stack|StringBuilder|Map|Set|Array)\b|\b(vector|unordered_map|unordered_set|map|set|multiset|deque|queue|stack|priority_queue)\s*<|\b(dict|set|list|defaultdict|Counter|deque|OrderedDict)\(|\[[^\]]*\]\s*\*\s*[A-Za-z_]|\bmake\(|=\s*\[\s*\]/,
+    cost: LINEAR,
+    reason: 'collection or array sized by the input'
+  }
+];
+
+// Evidence lines kept per method
+const MAX_EVIDENCE = 10;
+
+function multiply(a, b) {
+  return { n: a.n + b.n, log: a.log + b.log, exp: a.exp || b.exp };
+}
+
+function compare(a, b) {
+  if (a.exp !== b.exp) {
+    return a.exp ? 1 : -1;
+  }
+  return a.n - b.n || a.log - b.log;
+}
+
+function largest(costs) {
+  return costs.reduce((max, cost) => (compare(cost, max) > 0 ? cost : max), CONSTANT);
+}
+
+/**
+ * Big-O notation for a complexity, e.g. "O(n log n)" or "O(n²)"
+ */
+export function formatComplexity({ n, log, exp }) {
+  if (exp) {
+    return 'O(2^n)';
+  }
+
+  const parts = [];
+  if (n > 0) {
+    parts.push(n === 1 ? 'n' : `n${SUPERSCRIPTS[n] || `^${n}`}`);
+  }
+  if (log > 0) {
+    parts.push(log === 1 ? 'log n' : `log^${log} n`);
+  }
+  return `O(${parts.join(' ') || '1'})`;
+}
+
+/**
+ * Read Big-O notation as written by people or models ("O(n^2)", "O(m * n)", "O(V + E)")
+ * Every variable counts as n; returns null when the text has no O(...)
+ */
+export function parseComplexity(text) {
+  const match = /O\s*\(((?:[^()]|\([^()]*\))*)\)/i.exec(String(text || ''));
+  if (!match) {
+    return null;
+  }
+
+  let body = match[1].toLowerCase().replace(/\s+/g, '').replace(/²/g, '^2').replace(/³/g, '^3');
+  if (/\^[a-z]|[a-z]!/.test(body)) {
+    return EXPONENTIAL;
+  }
+
+  const log = /log/.test(body) ? 1 : 0;
+  body = body.replace(/log[_\d]*(\([^)]*\)|[a-z])?/g, '');
+
+  // The largest term of a sum; each variable in a product adds to the power
+  const n = Math.max(0, ...body.split('+').map(term =>
+    [...term.matchAll(/[a-z](?:\^(\d+))?/g)].reduce((power, factor) => power + (factor[1] ? Number(factor[1]) : 1), 0)
+  ));
+
+  return { n, log, exp: false };
+}
+
+/**
+ * Whether two Big-O strings describe the same growth; null if either cannot be read
+ */
+export function sameComplexity(a, b) {
+  const left = parseComplexity(a);
+  const right = parseComplexity(b);
+  return left && right ? compare(left, right) === 0 : null;
+}
+
+function lineOf(node) {
+  return node.startPosition.row + 1;
+}
+
+function lastSegment(text) {
+  return text.split(/\.|::|->/).pop().trim();
+}
+
+/**
+ * Name a function is called by; anonymous functions bound to a variable take its name
+ */
+function functionName(node, language) {
+  if (language === 'cpp') {
+    let declarator = node.childForFieldName('declarator');
+    // Unwrap pointer and reference declarators
+    while (declarator && declarator.type !== 'function_declarator') {
+      declarator = declarator.childForFieldName('declarator');
+    }
+    const name = declarator?.childForFieldName('declarator')?.text;
+    return name ? lastSegment(name) : null;
+  }
+
+  const name = node.childForFieldName('name')?.text;
+  if (name) {
+    return name;
+  }
+
+  let parent = node.parent;
+  if (parent?.type === 'expression_list') {
+    parent = parent.parent;
+  }
+
+  switch (parent?.type) {
+  case 'variable_declarator':
+    return parent.childForFieldName('name')?.text || null;
+  case 'assignment_expression':
+  case 'assignment_statement':
+  case 'short_var_declaration':
+    return lastSegment(parent.childForFieldName('left')?.text || '') || null;
+  case 'pair':
+    return parent.childForFieldName('key')?.text || null;
+  default:
+    return null;
+  }
+}
+
+/**
+ * Callee of a call node: { callee, receiver, name, args }
+ */
+function callTarget(node, language) {
+  const args = node.childForFieldName('arguments')?.text || '';
+
+  if (language === 'java') {
+    const receiver = node.childForFieldName('object')?.text ?? null;
+    const name = node.childForFieldName('name')?.text || '';
+    return { callee: receiver ? `${receiver}.${name}` : name, receiver, name, args };
+  }
+
+  const callee = node.childForFieldName('function')?.text || '';
+  const name = lastSegment(callee);
+  const receiver = callee.length > name.length ? callee.slice(0, callee.length - name.length).replace(/(\.|::|->)$/, '') : null;
+  return { callee, receiver, name, args };
+}
+
+/**
+ * Text of a loop without its body, e.g. "for (int i = 0; i < n; i++)"
+ */
+function loopHeader(node) {
+  const body = node.childForFieldName('body');
+  return body ? node.children.filter(child => child.id !== body.id).map(child => child.text).join(' ') : node.text;
+}
+
+/**
+ * Cost of one loop: { kind: 'constant'|'halving'|'linear', cost }
+ */
+function classifyLoop(node, language) {
+  const header = loopHeader(node);
+
+  if ((CONSTANT_INIT.test(header) && CONSTANT_CONDITION.test(header)) || CONSTANT_RANGE.test(header)) {
+    return { kind: 'constant', cost: CONSTANT };
+  }
+
+  // Updates in the loop itself, not in loops nested inside it
+  let text = node.text;
+  for (const inner of node.descendantsOfType(LOOP_TYPES[language])) {
+    if (inner.id !== node.id) {
+      text = text.replace(inner.text, '');
+    }
+  }
+
+  const conditionVariables = new Set(header.match(/[A-Za-z_]\w*/g) || []);
+  const halving = HALVING_UPDATES.some(pattern =>
+    [...text.matchAll(pattern)].some(match => conditionVariables.has(match[1]))
+  );
+
+  return halving ? { kind: 'halving', cost: LOGARITHMIC } : { kind: 'linear', cost: LINEAR };
+}
+
+function loopReason(kind, depth) {
+  if (kind === 'constant') {
+    return 'loop with a constant bound';
+  }
+  if (kind === 'halving') {
+    return 'loop that halves its range';
+  }
+  return depth > 1 ? `loop nested ${depth} deep` : 'loop over the input';
+}
+
+/**
+ * Whether a recursive call is the whole value of a return statement (so only one such call runs per level)
+ */
+function isReturnedCall(node) {
+  let parent = node.parent;
+  if (parent?.type === 'expression_list') {
+    parent = parent.parent;
+  }
+  return parent?.type === 'return_statement';
+}
+
+/**
+ * Variables that partition the input between recursive calls (mid, a quicksort pivot):
+ * assigned in the method and passed as v, v - 1 or v + 1 to more than one call
+ */
+function hasSplitPoint(selfCalls, bodyText) {
+  const uses = new Map();
+  selfCalls.forEach((call, index) => {
+    for (const [, name] of call.args.matchAll(/\b([A-Za-z_]\w*)\b(?!\s*[.([])/g)) {
+      uses.set(name, (uses.get(name) || new Set()).add(index));
+    }
+  });
+
+  return [...uses].some(([name, calls]) =>
+    calls.size > 1 && new RegExp(String.raw`\b${name}\s*:?=(?!=)`).test(bodyText) &&
+    selfCalls.some(call => new RegExp(String.raw`\b${name}\s*[-+]\s*1\b`).test(call.args))
+  );
+}
+
+/**
+ * Recursion shape and its cost, given the work done per call
+ */
+function classifyRecursion(selfCalls, work, method) {
+  const bodyText = method.body.text;
+  const branching = selfCalls.some(call => call.inLoop)
+    ? Infinity
+    : selfCalls.every(call => call.returned) ? 1 : selfCalls.length;
+  const halving = selfCalls.some(call => HALVING_ARGUMENT.test(call.args)) || hasSplitPoint(selfCalls, bodyText);
+  const memoized = method.memoized || MEMO_PATTERN.test(bodyText);
+
+  if (branching === 1) {
+    return halving
+      ? {
+        kind: 'logarithmic',
+        time: work.n === 0 ? { ...work, log: work.log + 1 } : work,
+        depth: LOGARITHMIC,
+        reason: 'one recursive call on half of the input'
+      }
+      : {
+        kind: 'linear',
+        time: multiply(LINEAR, work),
+        depth: LINEAR,
+        reason: 'one recursive call per level on a slightly smaller input'
+      };
+  }
+
+  if (memoized) {
+    const steps = new Set(selfCalls.flatMap(call => [...call.args.matchAll(STEP_ARGUMENT)].map(match => match[1])));
+    const states = { n: Math.min(3, Math.max(1, steps.size)), log: 0, exp: false };
+    return {
+      kind: 'memoized',
+      time: multiply(states, work),
+      depth: LINEAR,
+      reason: `memoized recursion - each of ${formatComplexity(states)} states is solved once`
+    };
+  }
+
+  if (halving) {
+    // Master theorem for T(n) = 2T(n/2) + work
+    const time = work.n === 0 ? LINEAR : work.n === 1 ? { ...work, log: work.log + 1 } : work;
+    return { kind: 'divide_and_conquer', time, depth: LOGARITHMIC, reason: 'divide and conquer - recursive calls on halves of the input' };
+  }
+
+  if (selfCalls.some(call => CHILD_ARGUMENT.test(call.args))) {
+    return {
+      kind: 'tree_traversal',
+      time: multiply(LINEAR, work),
+      depth: LINEAR,
+      reason: 'recursion into child nodes - each node is visited once'
+    };
+  }
+
+  return {
+    kind: 'exponential',
+    time: EXPONENTIAL,
+    depth: LINEAR,
+    reason: branching === Infinity
+      ? 'backtracking - recursive call inside a loop without memoization'
+      : `${selfCalls.length} recursive calls per level without memoization`
+  };
+}
+
+/**
+ * Analysis of one parsed file; methods are analyzed on demand so callers can use their callees' cost
+ */
+class FileAnalysis {
+  constructor(root, language) {
+    this.language = language;
+    this.loopTypes = new Set(LOOP_TYPES[language]);
+    this.callTypes = new Set(CALL_TYPES[language]);
+    this.functionTypes = new Set(FUNCTION_TYPES[language]);
+    this.results = new Map();
+    this.orderedCollections = new Set(ORDERED_DECLARATIONS.flatMap(pattern => [...root.text.matchAll(pattern)].map(match => match[1])));
+
+    this.methods = new Map();
+    for (const node of root.descendantsOfType(FUNCTION_TYPES[language])) {
+      const name = functionName(node, language);
+      const body = node.childForFieldName('body');
+      if (name && body && !this.methods.has(name)) {
+        this.methods.set(name, {
+          name,
+          node,
+          body,
+          memoized: node.parent?.type === 'decorated_definition' && MEMO_DECORATOR.test(node.parent.text)
+        });
+      }
+    }
+
+    // Scripts without functions are analyzed as a whole
+    if (this.methods.size === 0) {
+      this.methods.set('(top level)', { name: '(top level)', node: root, body: root, memoized: false });
+    }
+  }
+
+  /**
+   * Named functions are analyzed separately; anonymous ones (lambdas, callbacks) count as part of their parent
+   */
+  isSeparateFunction(node) {
+    return this.functionTypes.has(node.type) && functionName(node, this.language) !== null;
+  }
+
+  /**
+   * Cost of a library call, or null if the callee is unknown
+   */
+  libraryCost(target) {
+    const known = LIBRARY_CALLS.find(call => call.pattern.test(target.callee));
+    if (known) {
+      return known;
+    }
+    if (target.receiver && this.orderedCollections.has(target.receiver) && ORDERED_OPERATIONS.has(target.name)) {
+      return { cost: LOGARITHMIC, reason: 'heap or ordered collection operation' };
+    }
+    return null;
+  }
+
+  analyze(name) {
+    if (this.results.has(name)) {
+      return this.results.get(name);
+    }
+
+    // Marks the method as in progress, so mutual recursion is detected instead of looping
+    this.results.set(name, null);
+    const result = this.analyzeMethod(this.methods.get(name));
+    this.results.set(name, result);
+    return result;
+  }
+
+  analyzeMethod(method) {
+    const candidates = [];
+    const selfCalls = [];
+    const space = [];
+    let mutual = null;
+
+    const visitCall = (node, factor, inLoop) => {
+      const target = callTarget(node, this.language);
+      const ownReceiver = target.receiver === null || target.receiver === 'this' || target.receiver === 'self';
+
+      if (ownReceiver && target.name === method.name) {
+        selfCalls.push({ line: lineOf(node), args: target.args, inLoop, returned: isReturnedCall(node) });
+        return;
+      }
+
+      const library = this.libraryCost(target);
+      if (library) {
+        const cost = multiply(factor, library.cost);
+        candidates.push({ cost, line: lineOf(node), reason: `${target.callee}(): ${library.reason}${inLoop ? ' inside a loop' : ''} - ${formatComplexity(cost)}` });
+        return;
+      }
+
+      if (ownReceiver && this.methods.has(target.name)) {
+        const callee = this.analyze(target.name);
+        if (!callee) {
+          mutual = mutual || { line: lineOf(node), reason: `mutual recursion through ${target.name}()` };
+          return;
+        }
+        // Memoized states (or visited marks) are shared between calls, so repeated calls are amortized
+        const amortized = inLoop && callee.summary.recursion === 'memoized';
+        const cost = amortized ? largest([factor, callee.cost]) : multiply(factor, callee.cost);
+        const context = amortized ? ' inside a loop, amortized over shared memoized states' : inLoop ? ' inside a loop' : '';
+        candidates.push({ cost, line: lineOf(node), reason: `calls ${target.name}() ${formatComplexity(callee.cost)}${context} - ${formatComplexity(cost)}` });
+      }
+    };
+
+    const visit = (node, factor, depth, inLoop) => {
+      for (const child of node.namedChildren) {
+        if (this.isSeparateFunction(child)) {
+          continue;
+        }
+
+        if (this.loopTypes.has(child.type)) {
+          const loop = classifyLoop(child, this.language);
+          const cost = multiply(factor, loop.cost);
+          const loopDepth = depth + (loop.kind === 'constant' ? 0 : 1);
+          candidates.push({ cost, line: lineOf(child), reason: `${loopReason(loop.kind, loopDepth)} - ${formatComplexity(cost)}` });
+          visit(child, cost, loopDepth, true);
+          continue;
+        }
+
+        if (this.callTypes.has(child.type)) {
+          visitCall(child, factor, inLoop);
+        }
+        visit(child, factor, depth, inLoop);
+      }
+    };
+
+    visit(method.body, CONSTANT, 0, false);
+
+    const work = largest(candidates.map(candidate => candidate.cost));
+    const recursion = selfCalls.length > 0 ? classifyRecursion(selfCalls, work, method) : null;
+    const time = recursion ? recursion.time : work;
+
+    // Evidence for the estimate: the recursion, then whatever dominates the work per call
+    const evidence = [];
+    if (recursion) {
+      evidence.push({ line: selfCalls[0].line, kind: 'time', reason: `${recursion.reason} - ${formatComplexity(time)}` });
+    }
+    if (mutual) {
+      evidence.push({ line: mutual.line, kind: 'time', reason: mutual.reason });
+    }
+    candidates
+      .filter(candidate => compare(candidate.cost, work) === 0 && compare(work, CONSTANT) > 0)
+      .forEach(candidate => evidence.push({ line: candidate.line, kind: 'time', reason: candidate.reason }));
+
+    const bodyLine = lineOf(method.body);
+    method.body.text.split('\n').forEach((text, index) => {
+      const allocation = SPACE_PATTERNS.find(entry => entry.pattern.test(text));
+      if (allocation) {
+        space.push({ cost: allocation.cost, line: bodyLine + index, reason: `${allocation.reason} - ${formatComplexity(allocation.cost)}` });
+      }
+    });
+    if (recursion) {
+      space.push({ cost: recursion.depth, line: selfCalls[0].line, reason: `recursion depth - ${formatComplexity(recursion.depth)}` });
+    }
+
+    const spaceCost = largest(space.map(entry => entry.cost));
+    space
+      .filter(entry => compare(entry.cost, spaceCost) === 0 && compare(spaceCost, CONSTANT) > 0)
+      .forEach(entry => evidence.push({ line: entry.line, kind: 'space', reason: entry.reason }));
+
+    return {
+      cost: time,
+      spaceCost,
+      summary: {
+        name: method.name,
+        line: lineOf(method.node),
+        time: formatComplexity(time),
+        space: formatComplexity(spaceCost),
+        recursion: mutual ? 'mutual' : recursion?.kind || null,
+        evidence: evidence.slice(0, MAX_EVIDENCE)
+      }
+    };
+  }
+}
+
+class ComplexityAnalyzer {
+  /**
+   * Estimate complexity per method and for the whole file
+   * Returns { language, estimatedTime, estimatedSpace, confidence, methods, indicators }
+   */
+  async analyze(code, language) {
+    const { language: key, tree } = await syntaxService.parse(code, language);
+
+    try {
+      const file = new FileAnalysis(tree.rootNode, key);
+      const results = [...file.methods.keys()].map(name => file.analyze(name));
+      const methods = results.map(result => result.summary).sort((a, b) => a.line - b.line);
+
+      let confidence = 'high';
+      if (tree.rootNode.hasError() || methods.some(method => method.recursion === 'exponential' || method.recursion === 'mutual')) {
+        confidence = 'low';
+      } else if (methods.some(method => method.recursion)) {
+        confidence = 'medium';
+      }
+
+      return {
+        language: key,
+        estimatedTime: formatComplexity(largest(results.map(result => result.cost))),
+        estimatedSpace: formatComplexity(largest(results.map(result => result.spaceCost))),
+        confidence,
+        methods,
+        indicators: methods.flatMap(method =>
+          method.evidence.map(item => `${method.name}: ${item.reason} (line ${item.line})`)
+        )
+      };
+    } finally {
+      tree.delete();
+    }
+  }
+}
+
+const complexityAnalyzer = new ComplexityAnalyzer();
+
+export default complexityAnalyzer;
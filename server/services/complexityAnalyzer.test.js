@@ -0,0 +1,226 @@
+import { describe, it, expect } from '@jest/globals';
+
+process.env.LOG_LEVEL = 'error';
+
+const { default: complexityAnalyzer, formatComplexity, parseComplexity, sameComplexity } = await import('./complexityAnalyzer.js');
+
+/**
+ * Estimate of the method with this name
+ */
+async function method(code, name, language = 'java') {
+  const analysis = await complexityAnalyzer.analyze(code, language);
+  return analysis.methods.find(entry => entry.name === name);
+}
+
+describe('complexityAnalyzer loops', () => {
+  it('adds sequential loops instead of multiplying them', async () => {
+    const result = await method(`class Solution {
+    public int sum(int[] nums) {
+        int total = 0;
+        for (int i = 0; i < nums.length; i++) {
+            total += nums[i];
+        }
+        for (int j = 0; j < nums.length; j++) {
+            total -= nums[j] / 2;
+        }
+        return total;
+    }
+}`, 'sum');
+
+    expect(result.time).toBe('O(n)');
+    expect(result.evidence.map(item => item.line)).toEqual([4, 7]);
+  });
+
+  it('multiplies nested loops', async () => {
+    const result = await method(`class Solution {
+    public int pairs(int[] nums) {
+        int count = 0;
+        for (int i = 0; i < nums.length; i++) {
+            for (int j = i + 1; j < nums.length; j++) {
+                if (nums[i] == nums[j]) count++;
+            }
+        }
+        return count;
+    }
+}`, 'pairs');
+
+    expect(result.time).toBe('O(n²)');
+    expect(result.evidence[0].reason).toBe('loop nested 2 deep - O(n²)');
+  });
+
+  it('does not count loops with a constant bound or that halve their range', async () => {
+    const result = await method(`class Solution {
+    public int count(String s, int n) {
+        int[] freq = new int[26];
+        for (int c = 0; c < 26; c++) {
+            for (int k = n; k > 0; k /= 2) {
+                freq[c]++;
+            }
+        }
+        return freq[0];
+    }
+}`, 'count');
+
+    expect(result).toMatchObject({ time: 'O(log n)', space: 'O(1)' });
+  });
+});
+
+describe('complexityAnalyzer recursion', () => {
+  it('recognizes divide and conquer', async () => {
+    const result = await method(`class Solution {
+    void mergeSort(int[] a, int lo, int hi) {
+        if (hi - lo < 2) return;
+        int mid = (lo + hi) / 2;
+        mergeSort(a, lo, mid);
+        mergeSort(a, mid, hi);
+        int[] merged = new int[hi - lo];
+        for (int i = lo; i < hi; i++) {
+            merged[i - lo] = a[i];
+        }
+    }
+}`, 'mergeSort');
+
+    expect(result).toMatchObject({ recursion: 'divide_and_conquer', time: 'O(n log n)', space: 'O(n)' });
+  });
+
+  it('recognizes binary search by recursion', async () => {
+    const result = await method(`class Solution {
+    int find(int[] a, int lo, int hi, int target) {
+        if (lo > hi) return -1;
+        int mid = lo + (hi - lo) / 2;
+        if (a[mid] == target) return mid;
+        if (a[mid] < target) return find(a, mid + 1, hi, target);
+        return find(a, lo, mid - 1, target);
+    }
+}`, 'find');
+
+    expect(result).toMatchObject({ recursion: 'logarithmic', time: 'O(log n)', space: 'O(log n)' });
+  });
+
+  it('counts one state per memoized dimension', async () => {
+    const result = await method(`class Solution {
+    int[][] memo;
+    int paths(int i, int j) {
+        if (i == 0 || j == 0) return 1;
+        if (memo[i][j] != 0) return memo[i][j];
+        return memo[i][j] = paths(i - 1, j) + paths(i, j - 1);
+    }
+}`, 'paths');
+
+    expect(result).toMatchObject({ recursion: 'memoized', time: 'O(n²)' });
+  });
+
+  it('treats Python functions decorated with lru_cache as memoized', async () => {
+    const result = await method(`from functools import lru_cache
+
+@lru_cache(maxsize=None)
+def climb(n):
+    if n < 2:
+        return 1
+    return climb(n - 1) + climb(n - 2)
+`, 'climb', 'python');
+
+    expect(result).toMatchObject({ recursion: 'memoized', time: 'O(n)' });
+  });
+
+  it('reports branching recursion without memoization as exponential', async () => {
+    const analysis = await complexityAnalyzer.analyze(`class Solution {
+    int fib(int n) {
+        if (n < 2) return n;
+        return fib(n - 1) + fib(n - 2);
+    }
+}`, 'java');
+
+    expect(analysis).toMatchObject({ estimatedTime: 'O(2^n)', confidence: 'low' });
+    expect(analysis.methods[0].recursion).toBe('exponential');
+  });
+});
+
+describe('complexityAnalyzer library calls', () => {
+  it('charges O(n log n) for sorting', async () => {
+    const result = await method(`class Solution {
+    public int maxGap(int[] nums) {
+        Arrays.sort(nums);
+        int best = 0;
+        for (int i = 1; i < nums.length; i++) {
+            best = Math.max(best, nums[i] - nums[i - 1]);
+        }
+        return best;
+    }
+}`, 'maxGap');
+
+    expect(result.time).toBe('O(n log n)');
+    expect(result.evidence[0].reason).toBe('Arrays.sort(): sorting - O(n log n)');
+  });
+
+  it('charges O(log n) for binary search, times the loop around it', async () => {
+    const result = await method(`class Solution {
+    public int count(int[] sorted, int[] queries) {
+        int found = 0;
+        for (int q : queries) {
+            if (Arrays.binarySearch(sorted, q) >= 0) found++;
+        }
+        return found;
+    }
+}`, 'count');
+
+    expect(result.time).toBe('O(n log n)');
+    expect(result.evidence[0].reason).toBe('Arrays.binarySearch(): binary search inside a loop - O(n log n)');
+  });
+
+  it('charges O(log n) for operations on a PriorityQueue variable', async () => {
+    const result = await method(`class Solution {
+    public int kthLargest(int[] nums, int k) {
+        PriorityQueue<Integer> heap = new PriorityQueue<>();
+        for (int num : nums) {
+            heap.offer(num);
+            if (heap.size() > k) heap.poll();
+        }
+        return heap.peek();
+    }
+}`, 'kthLargest');
+
+    expect(result).toMatchObject({ time: 'O(n log n)', space: 'O(n)' });
+    expect(result.evidence.map(item => item.reason)).toContain('heap.offer(): heap or ordered collection operation inside a loop - O(n log n)');
+  });
+
+  it('adds the cost of helper methods in the same file', async () => {
+    const analysis = await complexityAnalyzer.analyze(`class Solution {
+    public int solve(int[] nums) {
+        int total = 0;
+        for (int i = 0; i < nums.length; i++) {
+            total += scan(nums);
+        }
+        return total;
+    }
+    int scan(int[] nums) {
+        int max = 0;
+        for (int num : nums) max = Math.max(max, num);
+        return max;
+    }
+}`, 'java');
+
+    expect(analysis.estimatedTime).toBe('O(n²)');
+    expect(analysis.methods.map(entry => [entry.name, entry.time])).toEqual([['solve', 'O(n²)'], ['scan', 'O(n)']]);
+  });
+});
+
+describe('parseComplexity and sameComplexity', () => {
+  it('reads Big-O as people write it', () => {
+    expect(formatComplexity(parseComplexity('O(n^2)'))).toBe('O(n²)');
+    expect(formatComplexity(parseComplexity('Time: O(m * n)'))).toBe('O(n²)');
+    expect(formatComplexity(parseComplexity('O(V + E)'))).toBe('O(n)');
+    expect(formatComplexity(parseComplexity('O(n log(n))'))).toBe('O(n log n)');
+    expect(formatComplexity(parseComplexity('O(2^n)'))).toBe('O(2^n)');
+    expect(parseComplexity('linear')).toBeNull();
+  });
+
+  it('compares the growth of two descriptions', () => {
+    expect(sameComplexity('O(N)', 'Time: O(n), Space: O(1)')).toBe(true);
+    expect(sameComplexity('O(n * log2(n))', 'O(n log n)')).toBe(true);
+    expect(sameComplexity('O(n)', 'O(n log n)')).toBe(false);
+    expect(sameComplexity('O(n²)', 'O(n^2)')).toBe(true);
+    expect(sameComplexity('O(n!)', 'O(2^n)')).toBe(true);
+    expect(sameComplexity('fast', 'O(1)')).toBeNull();
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Complexity Profiler
+ *
+ * Measures how a solution's running time grows. The sandbox times the method on
+ * random inputs of doubling size, and the timings are fitted against every class in
+ * COMPLEXITY_TYPES as t = a + b * f(n), weighting each point by its relative error.
+ * The best fit and its margin over the runner-up give the empirical complexity and
+ * a confidence.
+ */
+
+import codeExecutionService from './codeExecutionService.js';
+import problemService from './problemService.js';
+import syntaxService from './syntaxService.js';
+import { prepareSolutionSource } from './javaHarness.js';
+import { sameComplexity } from './complexityAnalyzer.js';
+import { APIError } from '../utils/errorHandler.js';
+import { COMPLEXITY_TYPES } from '../utils/constants.js';
+import logger from '../utils/logger.js';
+
+export const MIN_SIZE = 16;
+export const DEFAULT_MAX_SIZE = 1 << 20;
+
+// Runs of one size taking longer than this end the measurement
+const SIZE_LIMIT_MS = 2000;
+// Points needed before a curve fit means anything
+const MIN_POINTS = 4;
+// A fit within this much of the best one is as good; the simpler class wins
+const TIE_RATIO = 1.1;
+const TIE_MARGIN = 0.005;
+// Doubling n multiplied the time by more than 2^this: faster than any polynomial we fit
+const SUPERPOLYNOMIAL_EXPONENT = 4;
+
+function factorial(n) {
+  let product = 1;
+  for (let i = 2; i <= n && Number.isFinite(product); i++) {
+    product *= i;
+  }
+  return product;
+}
+
+// Growth functions in order of increasing complexity
+const GROWTH_FUNCTIONS = [
+  [COMPLEXITY_TYPES.CONSTANT, () => 1],
+  [COMPLEXITY_TYPES.LOGARITHMIC, n => Math.log2(n)],
+  [COMPLEXITY_TYPES.LINEAR, n => n],
+  [COMPLEXITY_TYPES.LINEARITHMIC, n => n * Math.log2(n)],
+  [COMPLEXITY_TYPES.QUADRATIC, n => n ** 2],
+  [COMPLEXITY_TYPES.CUBIC, n => n ** 3],
+  [COMPLEXITY_TYPES.EXPONENTIAL, n => 2 ** n],
+  [COMPLEXITY_TYPES.FACTORIAL, factorial]
+];
+
+/**
+ * Weighted least squares fit of t = a + b * f(n) with a, b >= 0 and weights 1/t²
+ * Returns { a, b, error } where error is the RMS relative error, or null if f overflows
+ */
+function fitCurve(points, growth) {
+  const values = points.map(point => growth(point.size));
+  if (!values.every(Number.isFinite)) {
+    return null;
+  }
+
+  let s = 0, sf = 0, st = 0, sff = 0, sft = 0;
+  points.forEach((point, i) => {
+    const w = 1 / point.time ** 2;
+    s += w;
+    sf += w * values[i];
+    st += w * point.time;
+    sff += w * values[i] ** 2;
+    sft += w * values[i] * point.time;
+  });
+
+  const determinant = s * sff - sf * sf;
+  let b = Math.abs(determinant) > 1e-12 * s * sff ? (s * sft - sf * st) / determinant : 0;
+  let a = (st - b * sf) / s;
+
+  if (b < 0) {
+    b = 0;
+    a = st / s;
+  } else if (a < 0) {
+    a = 0;
+    b = sft / sff;
+  }
+
+  const squares = points.reduce((sum, point, i) => sum + ((point.time - a - b * values[i]) / point.time) ** 2, 0);
+  const growthShare = (b * (Math.max(...values) - Math.min(...values))) / Math.max(...points.map(point => point.time));
+
+  return { a, b, error: Math.sqrt(squares / points.length), growthShare };
+}
+
+/**
+ * Best-fitting growth class for { size, time } points
+ * Returns { complexity, confidence, fits: [{ complexity, error }] } or null with too few points
+ */
+export function fitGrowth(points) {
+  if (points.length < MIN_POINTS) {
+    return null;
+  }
+
+  const fits = GROWTH_FUNCTIONS
+    .map(([complexity, growth], order) => ({ complexity, order, ...fitCurve(points, growth) }))
+    .filter(fit => fit.error !== undefined);
+
+  const best = Math.min(...fits.map(fit => fit.error));
+  const chosen = fits.find(fit => fit.error <= best * TIE_RATIO + TIE_MARGIN);
+
+  // Classes whose growth term barely moves the curve are the constant fit again, not rivals
+  const rivals = fits.filter(fit => fit !== chosen && fit.order !== 0 && fit.growthShare >= 0.1);
+  const runnerUp = rivals.length > 0 ? Math.min(...rivals.map(fit => fit.error)) : Infinity;
+  const margin = runnerUp / Math.max(chosen.error, 0.01);
+
+  let confidence = 'low';
+  if (margin >= 2 && points.length >= 6) {
+    confidence = 'high';
+  } else if (margin >= 1.3) {
+    confidence = 'medium';
+  }
+
+  return {
+    complexity: chosen.complexity,
+    confidence,
+    fits: fits
+      .map(fit => ({ complexity: fit.complexity, order: fit.order, error: Math.round(fit.error * 1000) / 1000 }))
+      .sort((x, y) => x.error - y.error || x.order - y.order)
+      .map(({ complexity, error }) => ({ complexity, error }))
+  };
+}
+
+/**
+ * Method name and parameter types of the solution's entry point
+ * The first public method of Solution, or its first method if none is public
+ */
+async function inferSignature(code) {
+  const prepared = prepareSolutionSource(code);
+  if (prepared.error) {
+    throw new APIError(prepared.error, 400);
+  }
+
+  const { tree } = await syntaxService.parse(prepared.source, 'java');
+
+  try {
+    const solution = tree.rootNode.descendantsOfType('class_declaration')
+      .find(node => node.childForFieldName('name')?.text === 'Solution');
+    const methods = (solution?.childForFieldName('body')?.namedChildren || [])
+      .filter(node => node.type === 'method_declaration');
+    const method = methods.find(node => /\bpublic\b/.test(node.namedChildren.find(child => child.type === 'modifiers')?.text || '')) ||
+      methods[0];
+
+    if (!method) {
+      return null;
+    }
+
+    const params = method.childForFieldName('parameters').namedChildren
+      .filter(node => node.type === 'formal_parameter' || node.type === 'spread_parameter')
+      .map(node => {
+        if (node.type === 'spread_parameter') {
+          return node.text;
+        }
+        // int nums[] declares the brackets on the name
+        const dimensions = node.childForFieldName('dimensions')?.text || '';
+        return `${node.childForFieldName('type').text}${dimensions.replace(/\s+/g, '')}`;
+      });
+
+    return { method: method.childForFieldName('name').text, params };
+  } finally {
+    tree.delete();
+  }
+}
+
+class ComplexityProfiler {
+  /**
+   * Signature to call: explicit method/params, then the problem's test suite, then the code itself
+   */
+  async resolveSignature(code, { method, params, problemId } = {}) {
+    if (method) {
+      return { method, params: params || [] };
+    }
+
+    if (problemId !== undefined) {
+      const problem = await problemService.get(problemId);
+      if (!problem) {
+        throw new APIError(`Problem ${problemId} not found`, 404);
+      }
+      if (problem.tests?.method) {
+        return { method: problem.tests.method, params: problem.tests.params || [] };
+      }
+    }
+
+    const signature = await inferSignature(code);
+    if (!signature) {
+      throw new APIError('Could not find a method to measure; pass "method" and "params"', 400);
+    }
+    return signature;
+  }
+
+  /**
+   * Time the solution on growing inputs and fit the growth curve
+   * options: { method?, params?, problemId?, maxSize?, claimed? }
+   */
+  async profile(code, options = {}) {
+    const signature = await this.resolveSignature(code, options);
+
+    const sizes = [];
+    for (let size = MIN_SIZE; size <= (options.maxSize || DEFAULT_MAX_SIZE); size *= 2) {
+      sizes.push(size);
+    }
+
+    logger.info(`Measuring ${signature.method}(${signature.params.join(', ')}) at ${sizes.length} sizes up to ${sizes[sizes.length - 1]}`);
+    const measurement = await codeExecutionService.measureRuntime(code, signature, { sizes, sizeLimitMs: SIZE_LIMIT_MS });
+
+    if (!measurement.executed) {
+      const unsupported = /Cannot generate inputs|valid method name/.test(measurement.reason);
+      throw new APIError(`Runtime measurement unavailable: ${measurement.reason}`, unsupported ? 400 : 503);
+    }
+    if (measurement.compileError) {
+      throw new APIError('Code does not compile', 422, { compileError: measurement.compileError });
+    }
+
+    const finished = measurement.samples.filter(sample => sample.status === 'ok');
+    const stopped = measurement.samples.find(sample => sample.status !== 'ok') || null;
+    const points = finished.map(sample => ({ size: sample.size, time: Math.max(sample.time_ns, 1) }));
+
+    let result = fitGrowth(points);
+
+    // Time exploded between the last finished size and the one that timed out;
+    // a clean fit over many sizes outweighs a single slow run
+    const last = finished[finished.length - 1];
+    if (stopped?.status === 'timeout' && last && result?.confidence !== 'high') {
+      const exponent = Math.log((SIZE_LIMIT_MS * 1e6) / points[points.length - 1].time) / Math.log(stopped.size / last.size);
+      if (exponent > SUPERPOLYNOMIAL_EXPONENT) {
+        result = {
+          complexity: COMPLEXITY_TYPES.EXPONENTIAL,
+          confidence: exponent >= 2 * SUPERPOLYNOMIAL_EXPONENT ? 'medium' : 'low',
+          fits: result?.fits || []
+        };
+      }
+    }
+
+    return {
+      method: signature.method,
+      params: signature.params,
+      complexity: result?.complexity || null,
+      confidence: result?.confidence || null,
+      ...(!result && { reason: `Only ${finished.length} input sizes finished; at least ${MIN_POINTS} are needed to fit a curve` }),
+      samples: measurement.samples
+        .filter(sample => sample.time_ns !== undefined)
+        .map(sample => ({
+          size: sample.size,
+          time_ms: Math.round(sample.time_ns / 1000) / 1000,
+          runs: sample.runs,
+          ...(sample.threw && { threw: sample.threw })
+        })),
+      stoppedAt: stopped && {
+        size: stopped.size,
+        reason: stopped.status,
+        ...(stopped.threw && { threw: stopped.threw })
+      },
+      fits: result?.fits || [],
+      ...(options.claimed && {
+        claimed: options.claimed,
+        matchesClaim: result ? sameComplexity(options.claimed, result.complexity) : null
+      }),
+      wall_time_ms: measurement.wall_time_ms
+    };
+  }
+}
+
+const complexityProfiler = new ComplexityProfiler();
+
+export default complexityProfiler;
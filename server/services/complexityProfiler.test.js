@@ -0,0 +1,124 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import '../test/offlineSetup.js';
+
+const { default: complexityProfiler, fitGrowth } = await import('./complexityProfiler.js');
+const { default: codeExecutionService } = await import('./codeExecutionService.js');
+
+const SIZES = [16, 32, 64, 128, 256, 512, 1024, 2048];
+
+/**
+ * { size, time } points for a growth function, alternately 0.3% above and below it
+ */
+function series(growth, sizes = SIZES, noise = 0.003) {
+  return sizes.map((size, i) => ({ size, time: growth(size) * (1 + (i % 2 ? noise : -noise)) }));
+}
+
+describe('fitGrowth', () => {
+  it('needs at least four points', () => {
+    expect(fitGrowth(series(n => n, SIZES.slice(0, 3)))).toBeNull();
+  });
+
+  it('recognizes constant time', () => {
+    const result = fitGrowth(series(() => 5000));
+
+    expect(result).toMatchObject({ complexity: 'O(1)', confidence: 'high' });
+  });
+
+  it('recognizes n log n growth', () => {
+    const result = fitGrowth(series(n => 200 * n * Math.log2(n) + 1e4));
+
+    expect(result).toMatchObject({ complexity: 'O(n log n)', confidence: 'high' });
+    expect(result.fits[0]).toEqual({ complexity: 'O(n log n)', error: 0.003 });
+  });
+
+  it('recognizes quadratic growth', () => {
+    const result = fitGrowth(series(n => 3 * n * n + 1e5));
+
+    expect(result).toMatchObject({ complexity: 'O(n²)', confidence: 'high' });
+    expect(result.fits.map(fit => fit.complexity).slice(0, 2)).toEqual(['O(n²)', 'O(n³)']);
+  });
+
+  it('recognizes exponential growth', () => {
+    const result = fitGrowth(series(n => 50 * 2 ** n, [10, 11, 12, 13, 14, 15, 16], 0));
+
+    expect(result).toMatchObject({ complexity: 'O(2^n)', confidence: 'high' });
+  });
+
+  it('is only medium confident with fewer than six points', () => {
+    expect(fitGrowth(series(n => 100 * n, SIZES.slice(0, 4), 0))).toMatchObject({ complexity: 'O(n)', confidence: 'medium' });
+  });
+
+  it('prefers the simpler class when a more complex one fits only slightly better', () => {
+    // Between n and n log n, leaning towards n log n
+    const result = fitGrowth(series(n => 45 * n + 5 * n * Math.log2(n) + 2e4, SIZES, 0));
+
+    expect(result.fits.map(fit => fit.complexity).slice(0, 2)).toEqual(['O(n log n)', 'O(n)']);
+    expect(result).toMatchObject({ complexity: 'O(n)', confidence: 'low' });
+  });
+
+  it('does not count classes whose growth term is negligible as rivals', () => {
+    // Every class fits flat timings with error 0, but only as the constant fit again
+    const result = fitGrowth(SIZES.map(size => ({ size, time: 5000 })));
+
+    expect(result.fits.every(fit => fit.error === 0)).toBe(true);
+    expect(result).toMatchObject({ complexity: 'O(1)', confidence: 'high' });
+  });
+});
+
+describe('complexityProfiler.profile', () => {
+  let measureRuntime;
+
+  afterEach(() => {
+    measureRuntime.mockRestore();
+  });
+
+  /**
+   * Stub the sandbox to report these timings, then a timeout at the next size
+   */
+  function measure(times, { timeout = true } = {}) {
+    const sizes = SIZES.slice(0, times.length + 1);
+    const samples = times.map((time_ns, i) => ({ size: sizes[i], status: 'ok', time_ns, runs: 1 }));
+    if (timeout) {
+      samples.push({ size: sizes[times.length], status: 'timeout' });
+    }
+    measureRuntime = jest.spyOn(codeExecutionService, 'measureRuntime')
+      .mockResolvedValue({ executed: true, samples, wall_time_ms: 100 });
+
+    return complexityProfiler.profile('class Solution {}', { method: 'solve', params: ['int[]'] });
+  }
+
+  it('reports exponential growth when the time explodes past the last size', async () => {
+    // 1 ms at n = 128, then over 2 s at n = 256: doubling n multiplied the time by 2^11
+    const result = await measure([15625, 62500, 250000, 1e6]);
+
+    expect(result).toMatchObject({ complexity: 'O(2^n)', confidence: 'medium', stoppedAt: { size: 256, reason: 'timeout' } });
+    expect(result.fits[0].complexity).toBe('O(n²)');
+  });
+
+  it('is less confident when the jump is only just superpolynomial', async () => {
+    // 20 ms at n = 128: 2^6.6
+    const result = await measure([312500, 1.25e6, 5e6, 2e7]);
+
+    expect(result).toMatchObject({ complexity: 'O(2^n)', confidence: 'low' });
+  });
+
+  it('keeps the fit when the timeout is consistent with it', async () => {
+    // 1.5 s at n = 128: the next size exceeding 2 s fits quadratic growth
+    const result = await measure([23437500, 93750000, 375000000, 1.5e9]);
+
+    expect(result).toMatchObject({ complexity: 'O(n²)', confidence: 'medium' });
+  });
+
+  it('keeps a high-confidence fit over many sizes', async () => {
+    const result = await measure(series(n => 3 * n * n + 1e5, SIZES.slice(0, 7)).map(point => point.time));
+
+    expect(result).toMatchObject({ complexity: 'O(n²)', confidence: 'high', stoppedAt: { size: 2048 } });
+  });
+
+  it('explains when too few sizes finished to fit a curve', async () => {
+    const result = await measure([1e6, 4e6], { timeout: false });
+
+    expect(result).toMatchObject({ complexity: null, confidence: null });
+    expect(result.reason).toBe('Only 2 input sizes finished; at least 4 are needed to fit a curve');
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Embedding Cache
+ *
+ * Bounded in-memory LRU of embedding vectors with an optional SQLite store on
+ * disk, so vectors survive restarts. Keys hash the model, dimension and text,
+ * so switching EMBEDDING_MODEL never returns vectors from another model.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import logger from '../utils/logger.js';
+
+// Disk pruning is checked every this many writes
+const PRUNE_INTERVAL = 100;
+
+export class EmbeddingCache {
+  constructor({ maxEntries = 1000, persistPath = null, maxDiskEntries = 50000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.persistPath = persistPath;
+    this.maxDiskEntries = maxDiskEntries;
+    this.entries = new Map();
+    this.db = null;
+    this.persistError = null;
+    this._writesSincePrune = 0;
+    this.stats = { hits: 0, diskHits: 0, misses: 0, evictions: 0 };
+
+    if (persistPath) {
+      this._openStore();
+    }
+  }
+
+  /**
+   * Cache key for a text embedded by a given model
+   */
+  static key(model, dimension, text) {
+    return crypto.createHash('sha256')
+      .update(`${model}\u0000${dimension}\u0000${text}`)
+      .digest('hex');
+  }
+
+  _openStore() {
+    try {
+      fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+      this.db = new Database(this.persistPath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS embeddings (
+          key TEXT PRIMARY KEY,
+          model TEXT NOT NULL,
+          vector BLOB NOT NULL,
+          last_used_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_embeddings_last_used_at ON embeddings(last_used_at);
+      `);
+      this.statements = {
+        get: this.db.prepare('SELECT vector FROM embeddings WHERE key = ?'),
+        touch: this.db.prepare('UPDATE embeddings SET last_used_at = ? WHERE key = ?'),
+        put: this.db.prepare('INSERT OR REPLACE INTO embeddings (key, model, vector, last_used_at) VALUES (?, ?, ?, ?)'),
+        count: this.db.prepare('SELECT COUNT(*) AS n FROM embeddings'),
+        prune: this.db.prepare(`DELETE FROM embeddings WHERE key IN (
+          SELECT key FROM embeddings ORDER BY last_used_at ASC LIMIT ?
+        )`)
+      };
+      logger.info(`Embedding cache persisted at ${this.persistPath}`);
+    } catch (error) {
+      // The in-memory cache still works without the disk store
+      this.persistError = error.message;
+      this.db = null;
+      logger.error(`Could not open embedding cache at ${this.persistPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up a vector; returns undefined on a miss
+   */
+  get(key) {
+    const cached = this.entries.get(key);
+
+    if (cached) {
+      // Move to the most recently used position
+      this.entries.delete(key);
+      this.entries.set(key, cached);
+      this.stats.hits++;
+      return cached;
+    }
+
+    const stored = this._read(key);
+    if (stored) {
+      this._remember(key, stored);
+      this.stats.diskHits++;
+      return stored;
+    }
+
+    this.stats.misses++;
+    return undefined;
+  }
+
+  /**
+   * Store a vector in memory and on disk
+   */
+  set(key, vector, model) {
+    this._remember(key, vector);
+
+    if (!this.db) {
+      return;
+    }
+
+    try {
+      const blob = Buffer.from(new Float32Array(vector).buffer);
+      this.statements.put.run(key, model, blob, Date.now());
+      this._prune();
+    } catch (error) {
+      logger.warn(`Embedding cache write failed: ${error.message}`);
+    }
+  }
+
+  _read(key) {
+    if (!this.db) {
+      return undefined;
+    }
+
+    try {
+      const row = this.statements.get.get(key);
+      if (!row) {
+        return undefined;
+      }
+      this.statements.touch.run(Date.now(), key);
+      const floats = new Float32Array(row.vector.buffer, row.vector.byteOffset, row.vector.byteLength / 4);
+      return Array.from(floats);
+    } catch (error) {
+      logger.warn(`Embedding cache read failed: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  _remember(key, vector) {
+    this.entries.set(key, vector);
+
+    // Map iteration order is insertion order, so the first key is the least recently used
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Drop the least recently used rows once the store grows past its limit
+   */
+  _prune() {
+    if (++this._writesSincePrune < PRUNE_INTERVAL) {
+      return;
+    }
+    this._writesSincePrune = 0;
+
+    const excess = this.statements.count.get().n - this.maxDiskEntries;
+    if (excess > 0) {
+      this.statements.prune.run(excess);
+      logger.info(`Pruned ${excess} entries from the embedding cache`);
+    }
+  }
+
+  /**
+   * Remove every entry, in memory and on disk
+   */
+  clear() {
+    this.entries.clear();
+    if (this.db) {
+      this.db.exec('DELETE FROM embeddings');
+    }
+  }
+
+  /**
+   * Hit/miss counters and sizes
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.diskHits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round(((this.stats.hits + this.stats.diskHits) / lookups) * 1000) / 1000 : null,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      persistent: Boolean(this.db),
+      ...(this.db && { diskEntries: this.statements.count.get().n, path: this.persistPath }),
+      ...(this.persistError && { error: this.persistError })
+    };
+  }
+
+  /**
+   * Close the disk store (on shutdown)
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
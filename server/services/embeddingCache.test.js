@@ -0,0 +1,107 @@
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.LOG_LEVEL = 'error';
+
+const { EmbeddingCache } = await import('./embeddingCache.js');
+
+describe('EmbeddingCache in memory', () => {
+  it('evicts the least recently used vector once full', () => {
+    const cache = new EmbeddingCache({ maxEntries: 2 });
+
+    cache.set('a', [1], 'model');
+    cache.set('b', [2], 'model');
+    cache.get('a');
+    cache.set('c', [3], 'model');
+
+    expect([...cache.entries.keys()]).toEqual(['a', 'c']);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, evictions: 1, size: 2, hitRate: 0.5, persistent: false });
+  });
+
+  it('keys vectors by model and dimension as well as the text', () => {
+    const key = EmbeddingCache.key('all-MiniLM-L6-v2', 384, 'two sum');
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(EmbeddingCache.key('all-MiniLM-L6-v2', 384, 'two sum')).toBe(key);
+    expect(EmbeddingCache.key('ollama/nomic-embed-text', 384, 'two sum')).not.toBe(key);
+    expect(EmbeddingCache.key('all-MiniLM-L6-v2', 768, 'two sum')).not.toBe(key);
+  });
+});
+
+describe('EmbeddingCache on disk', () => {
+  let dir;
+  let caches;
+
+  const open = options => {
+    const cache = new EmbeddingCache({ persistPath: path.join(dir, 'embedding-cache.db'), ...options });
+    caches.push(cache);
+    return cache;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codementor-embeddings-'));
+    caches = [];
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    caches.forEach(cache => cache.close());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps vectors across restarts as float32', () => {
+    open().set('two-sum', [0.1, -0.5, 2], 'all-MiniLM-L6-v2');
+
+    const restarted = open();
+    const vector = restarted.get('two-sum');
+
+    expect(vector).toHaveLength(3);
+    expect(vector[0]).toBeCloseTo(0.1, 6);
+    expect(vector.slice(1)).toEqual([-0.5, 2]);
+    // Read once from disk, then served from memory
+    expect(restarted.get('two-sum')).toBe(vector);
+    expect(restarted.getStats()).toMatchObject({ hits: 1, diskHits: 1, misses: 0, diskEntries: 1, persistent: true });
+  });
+
+  it('prunes the least recently used rows past maxDiskEntries', () => {
+    jest.useFakeTimers({ now: 0 });
+    const cache = open({ maxEntries: 1, maxDiskEntries: 3 });
+    // Pruning is checked on the 100th write
+    for (let i = 0; i < 99; i++) {
+      jest.setSystemTime(i);
+      cache.set(`k${i}`, [i], 'model');
+    }
+    jest.setSystemTime(1000);
+    cache.get('k0');
+    jest.setSystemTime(1001);
+    cache.set('k99', [99], 'model');
+
+    const keys = cache.db.prepare('SELECT key FROM embeddings ORDER BY key').all().map(row => row.key);
+
+    expect(keys).toEqual(['k0', 'k98', 'k99']);
+  });
+
+  it('empties both stores on clear', () => {
+    const cache = open();
+    cache.set('two-sum', [1, 2], 'model');
+
+    cache.clear();
+
+    expect(cache.get('two-sum')).toBeUndefined();
+    expect(cache.getStats()).toMatchObject({ size: 0, diskEntries: 0 });
+  });
+
+  it('works in memory when the store cannot be opened', () => {
+    const blocker = path.join(dir, 'not-a-directory');
+    fs.writeFileSync(blocker, '');
+
+    const cache = new EmbeddingCache({ persistPath: path.join(blocker, 'embedding-cache.db') });
+    cache.set('two-sum', [1, 2], 'model');
+
+    expect(cache.get('two-sum')).toEqual([1, 2]);
+    expect(cache.getStats()).toMatchObject({ persistent: false, error: expect.stringContaining('not-a-directory') });
+  });
+});
@@ -1,8 +1,11 @@
 /**
  * Embedding Service
  * 
- * Handles text embedding generation using sentence-transformers via a Python subprocess
- * or falls back to Ollama embeddings
+ * Handles text embedding generation with a configurable provider (EMBEDDING_PROVIDER):
+ * - python: sentence-transformers via a Python subprocess (default)
+ * - onnx: in-process ONNX runtime with a local sentence-transformers model
+ * - ollama: Ollama embeddings API
+ * The onnx and python providers fall back to Ollama if they fail
  */
 
 import { spawn } from 'child_process';
@@ -12,15 +15,19 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import logger from '../utils/logger.js';
 import ollamaService from './ollamaService.js';
+import { OnnxEmbedder } from './onnxEmbedder.js';
+import { EmbeddingCache } from './embeddingCache.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const EMBEDDING_PROVIDERS = ['onnx', 'python', 'ollama'];
+const ONNX_BATCH_SIZE = 16;
+const OLLAMA_EMBEDDING_MODEL = 'nomic-embed-text';
+
 class EmbeddingService {
   constructor() {
     this._initialized = false;
-    this.usePython = true; // Try Python first, fallback to Ollama
-    this.cache = new Map();
   }
 
   /**
@@ -31,8 +38,34 @@ class EmbeddingService {
       this.model = process.env.EMBEDDING_MODEL || 'all-MiniLM-L6-v2';
       this.dimension = parseInt(process.env.EMBEDDING_DIMENSION) || 384;
       this.pythonPath = process.env.PYTHON_PATH || 'python';
+      this.modelPath = process.env.EMBEDDING_MODEL_PATH || path.join(__dirname, '../../models', this.model);
+
+      // python stays the default: the ONNX model is not downloaded by "npm run setup"
+      this.provider = (process.env.EMBEDDING_PROVIDER || 'python').toLowerCase();
+      if (!EMBEDDING_PROVIDERS.includes(this.provider)) {
+        logger.warn(`Unknown EMBEDDING_PROVIDER "${this.provider}", using python`);
+        this.provider = 'python';
+      }
+      // Provider in use; switches to ollama if the configured one fails
+      this.activeProvider = this.provider;
+
+      if (this.provider === 'onnx') {
+        this.onnxEmbedder = new OnnxEmbedder({
+          modelPath: this.modelPath,
+          maxLength: parseInt(process.env.EMBEDDING_MAX_TOKENS) || 256
+        });
+      }
+
+      this.cache = new EmbeddingCache({
+        maxEntries: parseInt(process.env.EMBEDDING_CACHE_SIZE) || 1000,
+        persistPath: process.env.EMBEDDING_CACHE_PERSIST === 'false'
+          ? null
+          : process.env.EMBEDDING_CACHE_PATH || path.join(__dirname, '../../data/embedding-cache.db'),
+        maxDiskEntries: parseInt(process.env.EMBEDDING_CACHE_DISK_SIZE) || 50000
+      });
+
       this._initialized = true;
-      logger.info(`EmbeddingService initialized: model=${this.model}, pythonPath=${this.pythonPath}`);
+      logger.info(`EmbeddingService initialized: provider=${this.provider}, model=${this.model}`);
     }
   }
 
@@ -43,60 +76,128 @@ class EmbeddingService {
     this._ensureInitialized();
     
     // Check cache first
-    const cacheKey = this.hashText(text);
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
+    const cacheKey = this._cacheKey(text);
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return cached;
     }
 
     try {
       let embedding;
       
-      if (this.usePython) {
+      if (this.activeProvider === 'onnx') {
+        [embedding] = await this.embedWithOnnx([text]);
+      } else if (this.activeProvider === 'python') {
         embedding = await this.embedWithPython(text);
       } else {
         embedding = await this.embedWithOllama(text);
       }
       
       // Cache the result
-      this.cache.set(cacheKey, embedding);
+      this.cache.set(cacheKey, embedding, this._modelId());
       
       return embedding;
     } catch (error) {
       logger.error('Embedding generation failed:', error.message);
       
-      // Fallback to Ollama if Python fails
-      if (this.usePython) {
-        logger.info('Falling back to Ollama embeddings');
-        this.usePython = false;
-        return this.embedWithOllama(text);
+      // Fallback to Ollama if the local provider fails
+      if (this.activeProvider !== 'ollama') {
+        this._fallBackToOllama();
+        return this.embed(text);
       }
       
       throw error;
     }
   }
 
+  /**
+   * Model that produced the vectors; onnx and python run the same model,
+   * Ollama uses its own embedding model
+   */
+  _modelId() {
+    return this.activeProvider === 'ollama' ? `ollama/${OLLAMA_EMBEDDING_MODEL}` : this.model;
+  }
+
+  _cacheKey(text) {
+    return EmbeddingCache.key(this._modelId(), this.dimension, text);
+  }
+
+  /**
+   * Switch to Ollama for the rest of the process lifetime
+   */
+  _fallBackToOllama() {
+    logger.info(`Falling back from ${this.activeProvider} to Ollama embeddings`);
+    this.activeProvider = 'ollama';
+  }
+
   /**
    * Generate embeddings for multiple texts
    */
   async embedBatch(texts) {
-    if (this.usePython) {
+    this._ensureInitialized();
+
+    // Only embed texts that are not cached yet
+    const embeddings = texts.map(text => this.cache.get(this._cacheKey(text)));
+    const missing = [...new Set(texts.filter((_, i) => !embeddings[i]))];
+
+    if (missing.length === 0) {
+      return embeddings;
+    }
+
+    const generated = await this._embedBatchUncached(missing);
+    const modelId = this._modelId();
+    const byText = new Map(missing.map((text, i) => [text, generated[i]]));
+
+    missing.forEach((text, i) => this.cache.set(this._cacheKey(text), generated[i], modelId));
+
+    return texts.map((text, i) => embeddings[i] || byText.get(text));
+  }
+
+  async _embedBatchUncached(texts) {
+    if (this.activeProvider === 'onnx') {
+      try {
+        const embeddings = [];
+        for (let i = 0; i < texts.length; i += ONNX_BATCH_SIZE) {
+          embeddings.push(...await this.embedWithOnnx(texts.slice(i, i + ONNX_BATCH_SIZE)));
+        }
+        return embeddings;
+      } catch (error) {
+        logger.error('Batch embedding with ONNX failed:', error.message);
+        this._fallBackToOllama();
+      }
+    }
+
+    if (this.activeProvider === 'python') {
       try {
         return await this.embedBatchWithPython(texts);
       } catch (error) {
         logger.error('Batch embedding with Python failed:', error.message);
-        this.usePython = false;
+        this._fallBackToOllama();
       }
     }
 
     // Fallback to sequential Ollama embeddings
     const embeddings = [];
     for (const text of texts) {
-      const embedding = await this.embed(text);
-      embeddings.push(embedding);
+      embeddings.push(await this.embedWithOllama(text));
     }
     return embeddings;
   }
 
+  /**
+   * Embed texts in-process with the local ONNX model
+   */
+  async embedWithOnnx(texts) {
+    const embeddings = await this.onnxEmbedder.embed(texts);
+    
+    if (embeddings[0] && embeddings[0].length !== this.dimension && !this._dimensionWarned) {
+      this._dimensionWarned = true;
+      logger.warn(`ONNX model produced ${embeddings[0].length}-dim vectors, expected ${this.dimension} (EMBEDDING_DIMENSION)`);
+    }
+    
+    return embeddings;
+  }
+
   /**
    * Embed using Python sentence-transformers (temp file approach)
    */
@@ -240,7 +341,7 @@ print(json.dumps(embeddings))
    * Embed using Ollama
    */
   async embedWithOllama(text) {
-    const result = await ollamaService.generateEmbedding(text);
+    const result = await ollamaService.generateEmbedding(text, OLLAMA_EMBEDDING_MODEL);
     
     if (!result.success) {
       throw new Error(result.error);
@@ -275,24 +376,29 @@ print(json.dumps(embeddings))
   }
 
   /**
-   * Simple hash for caching
+   * Clear embedding cache (memory and disk)
    */
-  hashText(text) {
-    let hash = 0;
-    for (let i = 0; i < text.length; i++) {
-      const char = text.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
-    return hash.toString();
+  clearCache() {
+    this._ensureInitialized();
+    this.cache.clear();
+    logger.info('Embedding cache cleared');
   }
 
   /**
-   * Clear embedding cache
+   * Embedding cache hit/miss statistics
    */
-  clearCache() {
-    this.cache.clear();
-    logger.info('Embedding cache cleared');
+  getCacheStats() {
+    this._ensureInitialized();
+    return this.cache.getStats();
+  }
+
+  /**
+   * Close the persistent cache (on shutdown)
+   */
+  close() {
+    if (this._initialized) {
+      this.cache.close();
+    }
   }
 
   /**
@@ -310,6 +416,14 @@ print(json.dumps(embeddings))
     this._ensureInitialized();
     return this.model;
   }
+
+  /**
+   * Get the configured and currently active providers
+   */
+  getProvider() {
+    this._ensureInitialized();
+    return { configured: this.provider, active: this.activeProvider };
+  }
 }
 
 const embeddingService = new EmbeddingService();
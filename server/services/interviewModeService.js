@@ -5,6 +5,7 @@
  */
 
 import { v4 as uuidv4 } from 'uuid';
+import storageService from './storageService.js';
 import logger from '../utils/logger.js';
 import { INTERVIEW_MODE } from '../utils/constants.js';
 
@@ -14,40 +15,72 @@ class InterviewModeService {
     this.sessionTimeout = 30 * 60 * 1000; // 30 minutes
     
     // Cleanup expired sessions every 5 minutes
-    setInterval(() => this.cleanupExpiredSessions(), 5 * 60 * 1000);
+    setInterval(() => this.cleanupExpiredSessions(), 5 * 60 * 1000).unref();
   }
 
   /**
    * Create a new interview session
    */
-  createSession(problem) {
-    const sessionId = uuidv4();
+  createSession(problem, sessionId = uuidv4(), userId = null) {
     const cleanProblem = problem
-      .replace(/interview\s*mode/gi, '')
+      .replace(/interview\s*mode\s*[:-]?/gi, '')
       .trim();
     
     const session = {
       id: sessionId,
+      userId,
       problem: cleanProblem,
       phase: INTERVIEW_MODE.PHASES.UNDERSTANDING,
       interactions: 0,
-      maxInteractions: INTERVIEW_MODE.MAX_GUIDED_QUESTIONS,
+      maxInteractions: INTERVIEW_MODE.MAX_TURNS,
       startedAt: new Date(),
       lastActivity: new Date(),
       history: []
     };
     
     this.sessions.set(sessionId, session);
+    storageService.saveInterviewSession(session);
     logger.info(`Created interview session: ${sessionId}`);
     
     return session;
   }
 
+  /**
+   * Look up an active session, restoring it from storage after a restart
+   */
+  _findSession(sessionId) {
+    const active = this.sessions.get(sessionId);
+    
+    if (active) {
+      return active;
+    }
+    
+    const stored = storageService.getInterviewSession(sessionId);
+    
+    if (!stored || stored.endedAt || new Date() - stored.lastActivity > this.sessionTimeout) {
+      return undefined;
+    }
+    
+    const session = { ...stored };
+    delete session.endedAt;
+    this.sessions.set(sessionId, session);
+    logger.info(`Restored interview session from storage: ${sessionId}`);
+    
+    return session;
+  }
+
+  /**
+   * Get a transcript from memory or storage, including ended and expired sessions
+   */
+  getStoredSession(sessionId) {
+    return this.sessions.get(sessionId) || storageService.getInterviewSession(sessionId);
+  }
+
   /**
    * Get session by ID
    */
   getSession(sessionId) {
-    const session = this.sessions.get(sessionId);
+    const session = this._findSession(sessionId);
     
     if (session) {
       session.lastActivity = new Date();
@@ -57,10 +90,11 @@ class InterviewModeService {
   }
 
   /**
-   * Update session progress
+   * Update session progress after the interviewer has assessed an answer
+   * decision: 'advance' | 'stay' | 'reveal'
    */
-  updateSession(sessionId, userResponse = '') {
-    const session = this.sessions.get(sessionId);
+  updateSession(sessionId, userResponse = '', decision = 'advance') {
+    const session = this._findSession(sessionId);
     
     if (!session) {
       return null;
@@ -77,16 +111,17 @@ class InterviewModeService {
       });
     }
     
-    // Progress through phases
+    // Progress through phases based on the answer, capped by the turn limit
     const phases = Object.values(INTERVIEW_MODE.PHASES);
     const currentIndex = phases.indexOf(session.phase);
     
-    if (session.interactions >= session.maxInteractions) {
+    if (decision === 'reveal' || session.interactions >= session.maxInteractions) {
       session.phase = INTERVIEW_MODE.PHASES.REVEAL;
-    } else if (currentIndex < phases.length - 1) {
+    } else if (decision === 'advance' && currentIndex < phases.length - 1) {
       session.phase = phases[currentIndex + 1];
     }
     
+    storageService.saveInterviewSession(session);
     logger.info(`Session ${sessionId} progressed to phase: ${session.phase}`);
     
     return session;
@@ -96,7 +131,7 @@ class InterviewModeService {
    * Add LLM response to session history
    */
   addResponse(sessionId, response) {
-    const session = this.sessions.get(sessionId);
+    const session = this._findSession(sessionId);
     
     if (!session) {
       return null;
@@ -107,6 +142,7 @@ class InterviewModeService {
       content: response,
       timestamp: new Date()
     });
+    storageService.saveInterviewSession(session);
     
     return session;
   }
@@ -115,7 +151,7 @@ class InterviewModeService {
    * Force reveal solution
    */
   revealSolution(sessionId) {
-    const session = this.sessions.get(sessionId);
+    const session = this._findSession(sessionId);
     
     if (!session) {
       return null;
@@ -123,6 +159,7 @@ class InterviewModeService {
     
     session.phase = INTERVIEW_MODE.PHASES.REVEAL;
     session.lastActivity = new Date();
+    storageService.saveInterviewSession(session);
     
     logger.info(`Session ${sessionId} forced to reveal phase`);
     
@@ -133,10 +170,11 @@ class InterviewModeService {
    * End and remove session
    */
   endSession(sessionId) {
-    const session = this.sessions.get(sessionId);
+    const session = this._findSession(sessionId);
     const deleted = this.sessions.delete(sessionId);
     
     if (deleted) {
+      storageService.saveInterviewSession(session, { ended: true });
       logger.info(`Ended interview session: ${sessionId}`);
     }
     
@@ -147,7 +185,7 @@ class InterviewModeService {
    * Get session status
    */
   getSessionStatus(sessionId) {
-    const session = this.sessions.get(sessionId);
+    const session = this._findSession(sessionId);
     
     if (!session) {
       return null;
@@ -168,8 +206,8 @@ class InterviewModeService {
   /**
    * Get conversation history for context
    */
-  getConversationHistory(sessionId) {
-    const session = this.sessions.get(sessionId);
+  getConversationHistory(sessionId, { includeTimestamps = false } = {}) {
+    const session = this._findSession(sessionId);
     
     if (!session) {
       return [];
@@ -177,7 +215,8 @@ class InterviewModeService {
     
     return session.history.map(h => ({
       role: h.role,
-      content: h.content
+      content: h.content,
+      ...(includeTimestamps && { timestamp: h.timestamp })
     }));
   }
 
@@ -0,0 +1,500 @@
+/**
+ * Java Test Harness Generator
+ *
+ * Builds a Main.java that calls the candidate's Solution method for every
+ * test case and prints one JSON result line per case
+ */
+
+const RESULT_MARKER = '@@CODEMENTOR_RESULT';
+
+/**
+ * Prefix of the harness's result lines for one run. The nonce is written to the
+ * harness's stdin and read before any candidate code loads, so a submission cannot
+ * print result lines of its own.
+ */
+export function resultMarker(nonce) {
+  return `${RESULT_MARKER}:${nonce}@@`;
+}
+
+// Java: read the run's nonce from the first line of stdin
+const READ_NONCE = `  static String readNonce() throws IOException {
+    String nonce = new BufferedReader(new InputStreamReader(System.in)).readLine();
+    if (nonce == null || nonce.isEmpty()) throw new IllegalStateException("Missing result nonce");
+    return nonce;
+  }`;
+
+const PRIMITIVE_TYPES = ['int', 'long', 'double', 'float', 'boolean', 'char', 'short', 'byte'];
+
+const BOXED_TYPES = {
+  int: 'Integer',
+  long: 'Long',
+  double: 'Double',
+  float: 'Float',
+  boolean: 'Boolean',
+  char: 'Character',
+  short: 'Short',
+  byte: 'Byte'
+};
+
+/**
+ * Check whether a declared parameter type can be built from JSON
+ */
+export function isSupportedType(type) {
+  const trimmed = type.trim();
+
+  if (trimmed.endsWith('[]')) {
+    return isSupportedType(trimmed.slice(0, -2));
+  }
+
+  const listMatch = trimmed.match(/^List<(.+)>$/);
+  if (listMatch) {
+    return isSupportedType(listMatch[1]);
+  }
+
+  return PRIMITIVE_TYPES.includes(trimmed) ||
+    Object.values(BOXED_TYPES).includes(trimmed) ||
+    trimmed === 'String';
+}
+
+/**
+ * Escape a string as a Java string literal
+ */
+function javaString(value) {
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Convert a JSON value into a Java expression of the given type
+ */
+export function toJavaLiteral(value, type) {
+  const trimmed = type.trim();
+
+  if (value === null || value === undefined) {
+    if (PRIMITIVE_TYPES.includes(trimmed)) {
+      throw new Error(`null is not a valid value for ${trimmed}`);
+    }
+    return 'null';
+  }
+
+  if (trimmed.endsWith('[]')) {
+    if (!Array.isArray(value)) {
+      throw new Error(`Expected an array for ${trimmed}`);
+    }
+    const elementType = trimmed.slice(0, -2);
+    return `new ${trimmed}{${value.map(v => toJavaLiteral(v, elementType)).join(', ')}}`;
+  }
+
+  const listMatch = trimmed.match(/^List<(.+)>$/);
+  if (listMatch) {
+    if (!Array.isArray(value)) {
+      throw new Error(`Expected an array for ${trimmed}`);
+    }
+    const elementType = listMatch[1].trim();
+    if (value.length === 0) {
+      return `new ArrayList<${elementType}>()`;
+    }
+    const items = value.map(v => toJavaLiteral(v, elementType)).join(', ');
+    return `new ArrayList<${elementType}>(Arrays.<${elementType}>asList(${items}))`;
+  }
+
+  switch (trimmed) {
+  case 'int':
+  case 'Integer':
+    return String(Math.trunc(Number(value)));
+  case 'short':
+  case 'Short':
+    return `(short) ${Math.trunc(Number(value))}`;
+  case 'byte':
+  case 'Byte':
+    return `(byte) ${Math.trunc(Number(value))}`;
+  case 'long':
+  case 'Long':
+    return `${Math.trunc(Number(value))}L`;
+  case 'double':
+  case 'Double':
+    return `${Number(value)}d`;
+  case 'float':
+  case 'Float':
+    return `${Number(value)}f`;
+  case 'boolean':
+  case 'Boolean':
+    return value ? 'true' : 'false';
+  case 'char':
+  case 'Character': {
+    const ch = String(value).charAt(0);
+    return `'${ch === '\'' ? '\\\'' : javaString(ch).slice(1, -1)}'`;
+  }
+  case 'String':
+    return javaString(value);
+  default:
+    throw new Error(`Unsupported parameter type: ${trimmed}`);
+  }
+}
+
+/**
+ * Prepare the candidate's code as Solution.java
+ */
+export function prepareSolutionSource(code) {
+  if (/\bclass\s+Solution\b/.test(code)) {
+    return { source: code };
+  }
+
+  // A bare method body - wrap it in a Solution class
+  if (!/\bclass\s+\w+/.test(code)) {
+    return {
+      source: `import java.util.*;\n\nclass Solution {\n${code}\n}\n`
+    };
+  }
+
+  return {
+    error: 'Submission must declare a class named Solution'
+  };
+}
+
+/**
+ * Generate Main.java for a test suite
+ */
+export function generateHarness(suite) {
+  const params = suite.params || [];
+  const returnsVoid = suite.returns === 'void';
+  const outputParam = suite.outputParam || 0;
+
+  const caseMethods = suite.cases.map((testCase, idx) => {
+    const input = testCase.input || [];
+    const lines = params.map((type, p) => `    ${type} p${p} = ${toJavaLiteral(input[p], type)};`);
+    const args = params.map((_, p) => `p${p}`).join(', ');
+
+    if (returnsVoid) {
+      lines.push(`    new Solution().${suite.method}(${args});`);
+      lines.push(`    return p${outputParam};`);
+    } else {
+      lines.push(`    return new Solution().${suite.method}(${args});`);
+    }
+
+    return `  static Object case${idx}() throws Exception {\n${lines.join('\n')}\n  }`;
+  });
+
+  const dispatch = suite.cases
+    .map((_, idx) => `      case ${idx}: return case${idx}();`)
+    .join('\n');
+
+  return `import java.util.*;
+import java.io.*;
+
+public class Main {
+  private static final String MARKER = ${javaString(RESULT_MARKER)};
+
+${caseMethods.join('\n\n')}
+
+  static Object runCase(int index) throws Exception {
+    switch (index) {
+${dispatch}
+      default: throw new IllegalArgumentException("Unknown case " + index);
+    }
+  }
+
+  static String quote(String s) {
+    StringBuilder sb = new StringBuilder("\\"");
+    for (int i = 0; i < s.length(); i++) {
+      char c = s.charAt(i);
+      if (c == '"' || c == '\\\\') {
+        sb.append('\\\\').append(c);
+      } else if (c < 0x20) {
+        sb.append(String.format("\\\\u%04x", (int) c));
+      } else {
+        sb.append(c);
+      }
+    }
+    return sb.append('"').toString();
+  }
+
+  static String toJson(Object o) {
+    if (o == null) return "null";
+    if (o instanceof String) return quote((String) o);
+    if (o instanceof Character) return quote(String.valueOf(o));
+    if (o instanceof Boolean) return o.toString();
+    if (o instanceof Double || o instanceof Float) {
+      double d = ((Number) o).doubleValue();
+      if (Double.isNaN(d) || Double.isInfinite(d)) return quote(String.valueOf(d));
+      return String.valueOf(d);
+    }
+    if (o instanceof Number) return o.toString();
+    if (o.getClass().isArray()) {
+      StringBuilder sb = new StringBuilder("[");
+      int n = java.lang.reflect.Array.getLength(o);
+      for (int i = 0; i < n; i++) {
+        if (i > 0) sb.append(',');
+        sb.append(toJson(java.lang.reflect.Array.get(o, i)));
+      }
+      return sb.append(']').toString();
+    }
+    if (o instanceof Iterable) {
+      StringBuilder sb = new StringBuilder("[");
+      boolean first = true;
+      for (Object item : (Iterable<?>) o) {
+        if (!first) sb.append(',');
+        sb.append(toJson(item));
+        first = false;
+      }
+      return sb.append(']').toString();
+    }
+    if (o instanceof Map) {
+      StringBuilder sb = new StringBuilder("{");
+      boolean first = true;
+      for (Map.Entry<?, ?> e : ((Map<?, ?>) o).entrySet()) {
+        if (!first) sb.append(',');
+        sb.append(quote(String.valueOf(e.getKey()))).append(':').append(toJson(e.getValue()));
+        first = false;
+      }
+      return sb.append('}').toString();
+    }
+    return quote(o.toString());
+  }
+
+${READ_NONCE}
+
+  public static void main(String[] args) throws IOException {
+    // Kept local so candidate code cannot reach it
+    String marker = MARKER + ":" + readNonce() + "@@";
+    PrintStream out = System.out;
+    // Candidate output must not interleave with result lines
+    System.setOut(new PrintStream(new ByteArrayOutputStream() {
+      @Override public synchronized void write(byte[] b, int off, int len) { }
+      @Override public synchronized void write(int b) { }
+    }));
+
+    for (int i = 0; i < ${suite.cases.length}; i++) {
+      long start = System.nanoTime();
+      String line;
+      try {
+        Object result = runCase(i);
+        long elapsed = System.nanoTime() - start;
+        line = "{\\"index\\":" + i + ",\\"status\\":\\"ok\\",\\"time_ns\\":" + elapsed + ",\\"output\\":" + toJson(result) + "}";
+      } catch (Throwable t) {
+        long elapsed = System.nanoTime() - start;
+        line = "{\\"index\\":" + i + ",\\"status\\":\\"error\\",\\"time_ns\\":" + elapsed + ",\\"error\\":" + quote(t.toString()) + "}";
+      }
+      out.println(marker + line);
+      out.flush();
+    }
+  }
+}
+`;
+}
+
+// Elements of nested collections (int[][] intervals, List<List<Integer>> edges) are pairs
+const NESTED_SIZE = 2;
+const NESTED_STRING_LENGTH = 5;
+
+/**
+ * Java expression for a random scalar; values are bounded by the input size n
+ */
+function randomScalar(type, topLevel, scalarIsSize) {
+  switch (type) {
+  case 'int':
+  case 'Integer':
+    return !topLevel ? 'random.nextInt(n)' : scalarIsSize ? 'n' : '1 + random.nextInt(n)';
+  case 'long':
+  case 'Long':
+    return !topLevel ? '(long) random.nextInt(n)' : scalarIsSize ? '(long) n' : '1L + random.nextInt(n)';
+  case 'short':
+  case 'Short':
+    return scalarIsSize && topLevel ? '(short) Math.min(n, Short.MAX_VALUE)' : '(short) random.nextInt(Math.min(n, Short.MAX_VALUE))';
+  case 'byte':
+  case 'Byte':
+    return scalarIsSize && topLevel ? '(byte) Math.min(n, Byte.MAX_VALUE)' : '(byte) random.nextInt(Math.min(n, Byte.MAX_VALUE))';
+  case 'double':
+  case 'Double':
+    return 'random.nextDouble() * n';
+  case 'float':
+  case 'Float':
+    return '(float) (random.nextDouble() * n)';
+  case 'boolean':
+  case 'Boolean':
+    return 'random.nextBoolean()';
+  case 'char':
+  case 'Character':
+    return '(char) (\'a\' + random.nextInt(26))';
+  case 'String':
+    return topLevel ? 'randomString(n)' : `randomString(${NESTED_STRING_LENGTH})`;
+  default:
+    throw new Error(`Unsupported parameter type: ${type}`);
+  }
+}
+
+/**
+ * Java statements declaring `name` as a random value of the given type
+ * Top-level arrays, lists and strings have n elements, nested ones are pairs
+ */
+function randomValue(type, name, depth, scalarIsSize) {
+  const trimmed = type.trim();
+  const length = depth === 0 ? 'n' : String(NESTED_SIZE);
+  const index = `i${depth}`;
+  const element = `e${depth + 1}`;
+  const indent = lines => lines.map(line => `  ${line}`);
+
+  if (trimmed.endsWith('[]')) {
+    const elementType = trimmed.slice(0, -2);
+    const baseType = elementType.replace(/(\[\])+$/, '');
+    return [
+      `${trimmed} ${name} = new ${baseType}[${length}]${elementType.slice(baseType.length)};`,
+      `for (int ${index} = 0; ${index} < ${name}.length; ${index}++) {`,
+      ...indent(randomValue(elementType, element, depth + 1, scalarIsSize)),
+      `  ${name}[${index}] = ${element};`,
+      '}'
+    ];
+  }
+
+  const listMatch = trimmed.match(/^List<(.+)>$/);
+  if (listMatch) {
+    return [
+      `${trimmed} ${name} = new ArrayList<>();`,
+      `for (int ${index} = 0; ${index} < ${length}; ${index}++) {`,
+      ...indent(randomValue(listMatch[1], element, depth + 1, scalarIsSize)),
+      `  ${name}.add(${element});`,
+      '}'
+    ];
+  }
+
+  return [`${trimmed} ${name} = ${randomScalar(trimmed, depth === 0, scalarIsSize)};`];
+}
+
+/**
+ * Generate Main.java that times signature.method on random inputs of growing size
+ * Prints one result line per size: { size, status: 'ok'|'error'|'timeout', time_ns, min_ns, runs, threw? }
+ * A size whose runs exceed sizeLimitMs ends the run, since a busy thread cannot be stopped safely
+ */
+export function generateTimingHarness(signature, { sizes, sizeLimitMs, budgetMs, targetMs = 100, warmupRuns = 1000, maxRuns = 1000 }) {
+  const params = signature.params || [];
+  // Without a collection or string to size, scalar arguments are the size (e.g. climbStairs(int n))
+  const scalarIsSize = !params.some(type => /\[\]$|^List<|^String$/.test(type.trim()));
+  const generation = params.flatMap((type, p) => randomValue(type, `p${p}`, 0, scalarIsSize));
+  const args = params.map((_, p) => `p${p}`).join(', ');
+
+  return `import java.util.*;
+import java.io.*;
+
+public class Main {
+  private static final String MARKER = ${javaString(RESULT_MARKER)};
+  private static final int[] SIZES = {${sizes.join(', ')}};
+  private static final long SIZE_LIMIT_MS = ${sizeLimitMs}L;
+  private static final long BUDGET_NS = ${budgetMs}L * 1000000L;
+  private static final long TARGET_NS = ${targetMs}L * 1000000L;
+  private static final int WARMUP_RUNS = ${warmupRuns};
+  private static final int MAX_RUNS = ${maxRuns};
+  private static final Random random = new Random(42);
+
+  private static final long[] samples = new long[MAX_RUNS];
+  private static int runs;
+  private static Throwable failure;
+  private static Throwable thrown;
+
+  static String randomString(int length) {
+    StringBuilder sb = new StringBuilder(length);
+    for (int i = 0; i < length; i++) {
+      sb.append((char) ('a' + random.nextInt(26)));
+    }
+    return sb.toString();
+  }
+
+  // One call on fresh input of size n; input generation is not timed
+  static long measure(int n) {
+${generation.map(line => `    ${line}`).join('\n')}
+    Solution solution = new Solution();
+    thrown = null;
+    long start = System.nanoTime();
+    try {
+      solution.${signature.method}(${args});
+    } catch (Throwable t) {
+      thrown = t;
+    }
+    return System.nanoTime() - start;
+  }
+
+  // Repeat calls until TARGET_NS of wall time is spent, keeping at least three samples
+  static void profile(int n) {
+    runs = 0;
+    failure = null;
+    long started = System.nanoTime();
+    do {
+      long nanos;
+      try {
+        nanos = measure(n);
+      } catch (Throwable t) {
+        // Generating the input failed, e.g. out of memory
+        failure = t;
+        break;
+      }
+      samples[runs++] = nanos;
+      if (thrown != null && failure == null) {
+        failure = thrown;
+      }
+      if (thrown instanceof Error) {
+        break;
+      }
+      long elapsed = System.nanoTime() - started;
+      if (elapsed > SIZE_LIMIT_MS * 500000L || (elapsed >= TARGET_NS && runs >= 3)) {
+        break;
+      }
+    } while (runs < MAX_RUNS);
+  }
+
+  static boolean finishesWithin(Runnable task, long limitMs) throws InterruptedException {
+    // Large stack so deep recursion behaves like it would in a normal run
+    Thread worker = new Thread(null, task, "profile", 256L * 1024 * 1024);
+    worker.setDaemon(true);
+    worker.start();
+    worker.join(limitMs);
+    return !worker.isAlive();
+  }
+
+${READ_NONCE}
+
+  public static void main(String[] args) throws Exception {
+    // Kept local so candidate code cannot reach it
+    String marker = MARKER + ":" + readNonce() + "@@";
+    PrintStream out = System.out;
+    // Candidate output must not interleave with result lines
+    System.setOut(new PrintStream(new ByteArrayOutputStream() {
+      @Override public synchronized void write(byte[] b, int off, int len) { }
+      @Override public synchronized void write(int b) { }
+    }));
+
+    long started = System.nanoTime();
+    boolean warm = finishesWithin(() -> {
+      for (int i = 0; i < WARMUP_RUNS; i++) {
+        measure(SIZES[0]);
+      }
+    }, SIZE_LIMIT_MS);
+
+    for (int size : SIZES) {
+      if (!warm || !finishesWithin(() -> profile(size), SIZE_LIMIT_MS)) {
+        out.println(marker + "{\\"size\\":" + size + ",\\"status\\":\\"timeout\\"}");
+        break;
+      }
+
+      boolean failed = runs == 0 || failure instanceof Error;
+      String line = "{\\"size\\":" + size + ",\\"status\\":\\"" + (failed ? "error" : "ok") + "\\",\\"runs\\":" + runs;
+      if (runs > 0) {
+        long[] sorted = Arrays.copyOf(samples, runs);
+        Arrays.sort(sorted);
+        line += ",\\"time_ns\\":" + sorted[runs / 2] + ",\\"min_ns\\":" + sorted[0];
+      }
+      if (failure != null) {
+        line += ",\\"threw\\":\\"" + failure.getClass().getName() + "\\"";
+      }
+      out.println(marker + line + "}");
+      out.flush();
+
+      if (failed || System.nanoTime() - started > BUDGET_NS) {
+        break;
+      }
+    }
+
+    out.flush();
+    // A timed-out worker may still be running
+    System.exit(0);
+  }
+}
+`;
+}
@@ -0,0 +1,355 @@
+/**
+ * LLM Service
+ *
+ * Provider-neutral entry point for text generation. LLM_PROVIDER selects the backend:
+ * - ollama: local Ollama server (default)
+ * - openai: any OpenAI-compatible server (llama.cpp server, vLLM, LM Studio)
+ * - mock: deterministic canned responses for offline tests and demos
+ *
+ * Every provider implements generate, chat, generateStream, chatStream,
+ * healthCheck, listModels and getConfig. Generation methods resolve to
+ * { success, response, metadata } (or { success: false, error }) rather than throwing.
+ * options.format takes a JSON schema the response must follow (structured output).
+ *
+ * Generation calls wait in a priority queue (LLM_CONCURRENCY calls run at once,
+ * options.priority orders the rest, options.onQueuePosition reports the place in
+ * line and options.signal cancels). They are retried with exponential backoff on
+ * connection errors and 5xx responses. Repeated outages open a circuit breaker:
+ * calls then fail fast with { unavailable: true, retryAfter } until a trial call
+ * succeeds again.
+ */
+
+import ollamaService from './ollamaService.js';
+import openaiCompatibleService from './openaiCompatibleService.js';
+import mockLlmService from './mockLlmService.js';
+import { RequestQueue } from './requestQueue.js';
+import logger from '../utils/logger.js';
+import { APIError } from '../utils/errorHandler.js';
+import { LLM_PRIORITIES } from '../utils/constants.js';
+import { LLM_ERROR_TYPES, RETRYABLE_ERROR_TYPES, OUTAGE_ERROR_TYPES } from '../utils/llmErrors.js';
+
+const PROVIDERS = {
+  ollama: ollamaService,
+  openai: openaiCompatibleService,
+  mock: mockLlmService
+};
+
+// Retry-After hint when the queue is full
+const QUEUE_FULL_RETRY_AFTER_SECONDS = 5;
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Wait for ms, returning early if the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+class LLMService {
+  constructor() {
+    this._initialized = false;
+  }
+
+  /**
+   * Lazy initialization - pick the provider when first used
+   */
+  _ensureInitialized() {
+    if (!this._initialized) {
+      this.providerName = (process.env.LLM_PROVIDER || 'ollama').toLowerCase();
+
+      if (!PROVIDERS[this.providerName]) {
+        logger.warn(`Unknown LLM_PROVIDER "${this.providerName}", using ollama (available: ${Object.keys(PROVIDERS).join(', ')})`);
+        this.providerName = 'ollama';
+      }
+
+      this.provider = PROVIDERS[this.providerName];
+      const maxRetries = parseInt(process.env.LLM_MAX_RETRIES);
+      this.maxRetries = Number.isNaN(maxRetries) ? 2 : Math.max(0, maxRetries);
+      this.retryBaseDelayMs = parseInt(process.env.LLM_RETRY_DELAY_MS) || 500;
+      this.circuitThreshold = parseInt(process.env.LLM_CIRCUIT_THRESHOLD) || 5;
+      this.circuitResetMs = parseInt(process.env.LLM_CIRCUIT_RESET_MS) || 30000;
+      this.circuit = { state: CIRCUIT_STATES.CLOSED, failures: 0, openedAt: null, trialInFlight: false };
+      this.queue = new RequestQueue({
+        concurrency: parseInt(process.env.LLM_CONCURRENCY) || 1,
+        maxWaiting: parseInt(process.env.LLM_QUEUE_MAX) || 50
+      });
+      this._initialized = true;
+      logger.info(`LLMService initialized: provider=${this.providerName}, concurrency=${this.queue.concurrency}, retries=${this.maxRetries}`);
+    }
+  }
+
+  /**
+   * Name of the active provider
+   */
+  getProviderName() {
+    this._ensureInitialized();
+    return this.providerName;
+  }
+
+  /**
+   * Seconds until the open circuit allows a trial call
+   */
+  _retryAfterSeconds() {
+    const remaining = this.circuit.openedAt + this.circuitResetMs - Date.now();
+    return Math.max(1, Math.ceil(remaining / 1000));
+  }
+
+  /**
+   * Decide whether a call may go through; half-opens the circuit once the reset time has passed
+   */
+  _admit() {
+    const { circuit } = this;
+
+    if (circuit.state === CIRCUIT_STATES.OPEN && Date.now() - circuit.openedAt >= this.circuitResetMs) {
+      circuit.state = CIRCUIT_STATES.HALF_OPEN;
+      logger.info('LLM circuit half-open, allowing a trial call');
+    }
+
+    if (circuit.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+    // While half-open only one trial call is in flight at a time
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN && !circuit.trialInFlight) {
+      circuit.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  _recordSuccess() {
+    if (this.circuit.state !== CIRCUIT_STATES.CLOSED) {
+      logger.info('LLM circuit closed, provider recovered');
+    }
+    this.circuit = { state: CIRCUIT_STATES.CLOSED, failures: 0, openedAt: null, trialInFlight: false };
+  }
+
+  _recordOutage() {
+    const { circuit } = this;
+    circuit.failures++;
+    circuit.trialInFlight = false;
+
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN || circuit.failures >= this.circuitThreshold) {
+      circuit.state = CIRCUIT_STATES.OPEN;
+      circuit.openedAt = Date.now();
+      logger.warn(`LLM circuit open after ${circuit.failures} failed calls, failing fast for ${this.circuitResetMs}ms`);
+    }
+  }
+
+  _isCircuitOpen() {
+    return this.circuit.state === CIRCUIT_STATES.OPEN && Date.now() - this.circuit.openedAt < this.circuitResetMs;
+  }
+
+  _circuitOpenResult() {
+    return {
+      success: false,
+      error: `LLM provider ${this.providerName} is unavailable, retry in ${this._retryAfterSeconds()}s`,
+      errorType: LLM_ERROR_TYPES.CIRCUIT_OPEN,
+      unavailable: true,
+      retryAfter: this._retryAfterSeconds()
+    };
+  }
+
+  /**
+   * Queue a provider call; metadata.queue_wait_ms reports the time spent waiting for a slot
+   */
+  async _execute(attempt, options, onToken = null) {
+    this._ensureInitialized();
+
+    // No point waiting in line for a provider that is known to be down
+    if (this._isCircuitOpen()) {
+      return this._circuitOpenResult();
+    }
+
+    const queuedAt = Date.now();
+    let startedAt = queuedAt;
+
+    try {
+      const result = await this.queue.run(() => {
+        startedAt = Date.now();
+        return this._attempt(attempt, options, onToken);
+      }, {
+        priority: options.priority ?? LLM_PRIORITIES.NORMAL,
+        signal: options.signal,
+        onPosition: options.onQueuePosition
+      });
+
+      return { ...result, metadata: { ...result.metadata, queue_wait_ms: startedAt - queuedAt } };
+    } catch (error) {
+      if (error.code === 'ABORTED') {
+        return { success: false, error: error.message, errorType: LLM_ERROR_TYPES.ABORTED, aborted: true };
+      }
+      if (error.code === 'QUEUE_FULL') {
+        logger.warn(error.message);
+        return {
+          success: false,
+          error: error.message,
+          errorType: LLM_ERROR_TYPES.QUEUE_FULL,
+          unavailable: true,
+          retryAfter: QUEUE_FULL_RETRY_AFTER_SECONDS
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run a provider call with retries and the circuit breaker
+   * attempt(onToken) performs one call; streamed calls are only retried before their first token
+   */
+  async _attempt(attempt, options, onToken) {
+    if (!this._admit()) {
+      return this._circuitOpenResult();
+    }
+
+    // The half-open trial slot is released however the call ends, including a throwing provider
+    const trial = this.circuit.state === CIRCUIT_STATES.HALF_OPEN;
+    let streamed = false;
+    const forward = onToken && ((token, text) => {
+      streamed = true;
+      onToken(token, text);
+    });
+
+    try {
+      for (let retry = 0; ; retry++) {
+        const result = await attempt(forward);
+
+        if (result.success) {
+          this._recordSuccess();
+          return result;
+        }
+
+        if (result.aborted || !OUTAGE_ERROR_TYPES.has(result.errorType)) {
+          // The provider answered (bad request, cancelled call), so it is not down
+          return result;
+        }
+
+        const canRetry = RETRYABLE_ERROR_TYPES.has(result.errorType) && retry < this.maxRetries &&
+          this.circuit.state === CIRCUIT_STATES.CLOSED && !streamed && !options.signal?.aborted;
+
+        if (!canRetry) {
+          this._recordOutage();
+          const retryAfter = this.circuit.state === CIRCUIT_STATES.OPEN
+            ? this._retryAfterSeconds()
+            : Math.max(1, Math.ceil(this.retryBaseDelayMs / 1000));
+          return { ...result, unavailable: true, retryAfter };
+        }
+
+        const delay = this.retryBaseDelayMs * 2 ** retry;
+        logger.warn(`LLM call failed (${result.errorType}: ${result.error}), retry ${retry + 1}/${this.maxRetries} in ${delay}ms`);
+        await sleep(delay, options.signal);
+      }
+    } finally {
+      if (trial) {
+        this.circuit.trialInFlight = false;
+      }
+    }
+  }
+
+  /**
+   * Generate completion for a single prompt
+   * options.timeout (ms) limits each attempt
+   */
+  async generate(prompt, options = {}) {
+    return this._execute(() => this.provider.generate(prompt, options), options);
+  }
+
+  /**
+   * Generate with system and user prompts (options.history adds earlier turns)
+   */
+  async chat(systemPrompt, userPrompt, options = {}) {
+    return this._execute(() => this.provider.chat(systemPrompt, userPrompt, options), options);
+  }
+
+  /**
+   * Generate completion, streaming tokens to onToken(token, fullText)
+   */
+  async generateStream(prompt, options = {}, onToken = null) {
+    return this._execute(forward => this.provider.generateStream(prompt, options, forward), options, onToken);
+  }
+
+  /**
+   * Chat generation, streaming tokens to onToken(token, fullText)
+   */
+  async chatStream(systemPrompt, userPrompt, options = {}, onToken = null) {
+    return this._execute(forward => this.provider.chatStream(systemPrompt, userPrompt, options, forward), options, onToken);
+  }
+
+  /**
+   * Throw a 503 when the circuit is open, so callers can fail before starting work
+   */
+  assertAvailable() {
+    this._ensureInitialized();
+    if (this._isCircuitOpen()) {
+      throw new APIError(`LLM provider ${this.providerName} is unavailable`, 503, {
+        retryAfter: this._retryAfterSeconds()
+      });
+    }
+  }
+
+  /**
+   * Request queue load for health reporting
+   */
+  getQueueStats() {
+    this._ensureInitialized();
+    return this.queue.getStats();
+  }
+
+  /**
+   * Circuit breaker state for health reporting
+   */
+  getCircuitState() {
+    this._ensureInitialized();
+    const { state, failures, openedAt } = this.circuit;
+    return {
+      state,
+      failures,
+      threshold: this.circuitThreshold,
+      ...(state === CIRCUIT_STATES.OPEN && {
+        openedAt: new Date(openedAt).toISOString(),
+        retryAfter: this._retryAfterSeconds()
+      })
+    };
+  }
+
+  /**
+   * Check if the provider is reachable
+   */
+  async healthCheck() {
+    this._ensureInitialized();
+    const health = await this.provider.healthCheck();
+    return { provider: this.providerName, ...health };
+  }
+
+  /**
+   * List models served by the provider
+   */
+  async listModels() {
+    this._ensureInitialized();
+    return this.provider.listModels();
+  }
+
+  /**
+   * Get current configuration
+   */
+  getConfig() {
+    this._ensureInitialized();
+    return { provider: this.providerName, ...this.provider.getConfig() };
+  }
+}
+
+const llmService = new LLMService();
+
+export default llmService;
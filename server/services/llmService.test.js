@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import '../test/offlineSetup.js';
+
+Object.assign(process.env, {
+  LLM_MAX_RETRIES: '0',
+  LLM_CIRCUIT_THRESHOLD: '1',
+  LLM_CIRCUIT_RESET_MS: '50'
+});
+
+const { default: llmService } = await import('./llmService.js');
+
+const outage = { success: false, error: 'connect ECONNREFUSED', errorType: 'connection' };
+
+/**
+ * Open the circuit with one failed call and wait until it allows a trial
+ */
+async function halfOpen() {
+  llmService.provider = { generate: async () => outage };
+  await llmService.generate('ping');
+  await new Promise(resolve => setTimeout(resolve, 60));
+}
+
+describe('llmService circuit breaker', () => {
+  beforeEach(() => {
+    llmService._ensureInitialized();
+    llmService._recordSuccess();
+  });
+
+  it('opens after the failure threshold and fails fast', async () => {
+    llmService.provider = { generate: async () => outage };
+
+    const first = await llmService.generate('ping');
+    const second = await llmService.generate('ping');
+
+    expect(first).toMatchObject({ unavailable: true, errorType: 'connection' });
+    expect(second).toMatchObject({ unavailable: true, errorType: 'circuit_open' });
+  });
+
+  it('closes again when the half-open trial succeeds', async () => {
+    await halfOpen();
+    llmService.provider = { generate: async () => ({ success: true, response: 'pong' }) };
+
+    expect(await llmService.generate('ping')).toMatchObject({ success: true });
+    expect(llmService.circuit.state).toBe('closed');
+  });
+
+  it('releases the trial slot when the provider throws during the trial', async () => {
+    await halfOpen();
+    llmService.provider = {
+      generate: () => {
+        throw new Error('provider bug');
+      }
+    };
+
+    await expect(llmService.generate('ping')).rejects.toThrow('provider bug');
+    expect(llmService.circuit.trialInFlight).toBe(false);
+
+    llmService.provider = { generate: async () => ({ success: true, response: 'pong' }) };
+
+    expect(await llmService.generate('ping')).toMatchObject({ success: true });
+  });
+
+  it('releases the trial slot when the provider answers with a non-outage error', async () => {
+    await halfOpen();
+    llmService.provider = { generate: async () => ({ success: false, error: 'bad request', errorType: 'client' }) };
+
+    expect(await llmService.generate('ping')).toMatchObject({ errorType: 'client' });
+    expect(llmService.circuit.trialInFlight).toBe(false);
+  });
+});
@@ -0,0 +1,545 @@
+/**
+ * Mock Interview Service
+ *
+ * Timed mock interviews of 2-3 problem bank questions picked by difficulty and company.
+ * Each question runs against its own countdown and is answered with an approach
+ * explanation and code, which is evaluated as it comes in. Once every question is
+ * answered, timed out or skipped, the interview gets a hiring-style report scoring
+ * problem solving, communication, code quality and complexity reasoning.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import problemService from './problemService.js';
+import storageService from './storageService.js';
+import { parseComplexity, sameComplexity } from './complexityAnalyzer.js';
+import { APIError } from '../utils/errorHandler.js';
+import { MOCK_INTERVIEW, SCORING } from '../utils/constants.js';
+import logger from '../utils/logger.js';
+
+// Answers this late still count, to allow for network delay
+const GRACE_SECONDS = 15;
+// Explanations at least this long get full marks for detail
+const DETAILED_WORDS = 40;
+// Problem solving credit for naming a workable approach without writing code
+const APPROACH_ONLY_SCORE = 20;
+
+// What a clear approach explanation covers
+const EXPLANATION_SIGNALS = {
+  clarification: /\b(input|output|constraints?|edge cases?|empty|null|duplicates?|negative|assum(e|es|ing|ptions?)|clarify)\b/i,
+  approach: /\b(hash ?(map|set|table)|map|set|stack|queue|heap|priority queue|sort(ing|ed)?|two[- ]pointers?|binary search|sliding window|dynamic programming|dp|memo(ize|ization)?|greedy|bfs|dfs|recurs(ion|ive)|brute force|trie|union[- ]find|graph|prefix sums?)\b/i,
+  complexity: /(O\([^)]*\)|\b(time|space) complexity\b)/i,
+  structure: /(^|\n)\s*(\d+[.)]|[-*])\s|\b(first|then|next|finally)\b/i,
+  testing: /\b(for example|e\.g\.|example|walk(ing)? through|dry[- ]run|trace|test(s|ed|ing)?)\b/i
+};
+
+// Report dimensions with the feedback given when one is strong (>= 75) or weak (< 50)
+const DIMENSIONS = {
+  problemSolving: {
+    label: 'problem solving',
+    strength: 'Reached working solutions that handle edge cases',
+    concern: 'Solutions were incorrect, incomplete or missed edge cases'
+  },
+  communication: {
+    label: 'communication',
+    strength: 'Explained approaches clearly: constraints, the idea, the steps and an example',
+    concern: 'Explanations left out constraints, the idea behind the approach or a walkthrough'
+  },
+  codeQuality: {
+    label: 'code quality',
+    strength: 'Wrote clean, readable code',
+    concern: 'Code was hard to follow or did not parse'
+  },
+  complexityReasoning: {
+    label: 'complexity reasoning',
+    strength: 'Stated time and space complexity accurately for efficient solutions',
+    concern: 'Complexity was missing or wrong, or the solutions were not efficient'
+  }
+};
+const STRONG_SCORE = 75;
+const WEAK_SCORE = 50;
+
+// Overall score (0-100) needed for each recommendation; dimensions are rated 4-1 on the same scale
+const RECOMMENDATIONS = [
+  { min: 85, recommendation: 'strong_hire' },
+  { min: 70, recommendation: 'hire' },
+  { min: 50, recommendation: 'lean_no_hire' },
+  { min: 0, recommendation: 'no_hire' }
+];
+
+function shuffle(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Share (0-1) of a breakdown entry's maximum points
+ */
+function pointsShare(part, max) {
+  return Math.min(1, Math.max(0, (Number(part?.score) || 0) / max));
+}
+
+function rating(score) {
+  return RECOMMENDATIONS.length - RECOMMENDATIONS.findIndex(({ min }) => score >= min);
+}
+
+/**
+ * Time complexity the candidate claims: a Big-O after "time", else the first one mentioned
+ */
+export function claimedComplexity(explanation) {
+  const bigO = /O\s*\((?:[^()]|\([^()]*\))*\)/i;
+  const nearTime = new RegExp(`time[^.\\n]*?(${bigO.source})`, 'i').exec(explanation);
+  return nearTime?.[1] || bigO.exec(explanation)?.[0] || null;
+}
+
+/**
+ * One question of the report with its dimension scores (0-100)
+ * Questions that were not answered score 0 everywhere
+ */
+function reportQuestion(question) {
+  const { WEIGHTS } = SCORING;
+  const answered = question.status === 'answered';
+  const result = answered ? question.result : null;
+  const breakdown = result?.evaluated ? result.breakdown : null;
+  const explanation = answered ? question.explanation : '';
+
+  const covers = Object.keys(EXPLANATION_SIGNALS).filter(signal => EXPLANATION_SIGNALS[signal].test(explanation));
+  const words = explanation.trim() ? explanation.trim().split(/\s+/).length : 0;
+  const claimed = claimedComplexity(explanation);
+  // The candidate's own code is the reference when it was evaluated, else the bank's optimal solution
+  const actual = result?.complexity?.time || breakdown?.time_complexity?.detected || question.referenceComplexity;
+  const claimAccuracy = claimed ? (sameComplexity(claimed, actual) === false ? 0.5 : 1) : 0;
+
+  const scores = {
+    problemSolving: breakdown
+      ? Math.min(1, ((Number(breakdown.correctness?.score) || 0) + (Number(breakdown.edge_cases?.score) || 0)) /
+        (WEIGHTS.CORRECTNESS + WEIGHTS.EDGE_CASES)) * 100
+      : covers.includes('approach') ? APPROACH_ONLY_SCORE : 0,
+    communication: answered
+      ? (covers.length / Object.keys(EXPLANATION_SIGNALS).length) * 80 + Math.min(1, words / DETAILED_WORDS) * 20
+      : 0,
+    codeQuality: breakdown ? pointsShare(breakdown.code_quality, WEIGHTS.CODE_QUALITY) * 100 : 0,
+    complexityReasoning: answered
+      ? (breakdown
+        ? (pointsShare(breakdown.time_complexity, WEIGHTS.TIME_COMPLEXITY) + pointsShare(breakdown.space_complexity, WEIGHTS.SPACE_COMPLEXITY)) / 2 * 60
+        : 0) + claimAccuracy * 40
+      : 0
+  };
+
+  const end = question.submittedAt || question.endedAt;
+  return {
+    problemId: question.problemId,
+    title: question.title,
+    difficulty: question.difficulty,
+    status: question.status,
+    timeLimitSeconds: question.timeLimitSeconds,
+    timeUsedSeconds: question.status === 'timed_out'
+      ? question.timeLimitSeconds
+      : question.startedAt && end ? Math.min(question.timeLimitSeconds, Math.round((Date.parse(end) - Date.parse(question.startedAt)) / 1000)) : 0,
+    score: result?.evaluated ? result.score : null,
+    maxScore: SCORING.MAX_SCORE,
+    tests: result?.execution?.executed ? { passed: result.execution.passed, total: result.execution.total } : null,
+    syntaxErrors: result?.syntaxErrors || 0,
+    explanationCovers: covers,
+    claimedComplexity: claimed,
+    actualComplexity: actual ? formatReference(actual) : null,
+    scores: Object.fromEntries(Object.entries(scores).map(([dimension, score]) => [dimension, Math.round(score)])),
+    suggestions: result?.suggestions || []
+  };
+}
+
+/**
+ * First Big-O of a complexity description ("Time: O(n), Space: O(1)" -> "O(n)")
+ */
+function formatReference(text) {
+  return /O\s*\((?:[^()]|\([^()]*\))*\)/i.exec(text)?.[0] || text;
+}
+
+/**
+ * Hiring-style report over all questions
+ */
+export function buildReport(questions) {
+  const perQuestion = questions.map(reportQuestion);
+  const dimensions = Object.fromEntries(Object.keys(DIMENSIONS).map(dimension => {
+    const score = Math.round(average(perQuestion.map(question => question.scores[dimension])));
+    return [dimension, { score, rating: rating(score) }];
+  }));
+  const overallScore = Math.round(average(Object.values(dimensions).map(dimension => dimension.score)));
+  const { recommendation } = RECOMMENDATIONS.find(({ min }) => overallScore >= min);
+
+  const names = Object.keys(DIMENSIONS);
+  const strengths = names.filter(name => dimensions[name].score >= STRONG_SCORE).map(name => DIMENSIONS[name].strength);
+  const concerns = names.filter(name => dimensions[name].score < WEAK_SCORE).map(name => DIMENSIONS[name].concern);
+  const count = status => perQuestion.filter(question => question.status === status).length;
+  if (count('timed_out') > 0) {
+    concerns.push(`Ran out of time on ${count('timed_out')} question${count('timed_out') === 1 ? '' : 's'}`);
+  }
+  if (count('skipped') > 0) {
+    concerns.push(`Ended the interview with ${count('skipped')} question${count('skipped') === 1 ? '' : 's'} unanswered`);
+  }
+
+  const ranked = [...names].sort((a, b) => dimensions[b].score - dimensions[a].score);
+  return {
+    generatedAt: new Date().toISOString(),
+    recommendation,
+    overallScore,
+    summary: `Answered ${count('answered')} of ${questions.length} questions. ` +
+      `Strongest in ${DIMENSIONS[ranked[0]].label}, weakest in ${DIMENSIONS[ranked[ranked.length - 1]].label}.`,
+    dimensions,
+    strengths,
+    concerns,
+    questions: perQuestion
+  };
+}
+
+/**
+ * Stored result of an evaluation from ragPipeline.evaluateCode
+ */
+function toResult(evaluation) {
+  if (!evaluation.success) {
+    return { evaluated: false, language: evaluation.language, syntaxErrors: evaluation.syntaxErrors.length };
+  }
+
+  const execution = evaluation.execution;
+  return {
+    evaluated: true,
+    score: Math.min(SCORING.MAX_SCORE, evaluation.evaluation.score || 0),
+    breakdown: evaluation.evaluation.breakdown || {},
+    suggestions: evaluation.evaluation.suggestions || [],
+    execution: execution?.executed ? { executed: true, verdict: execution.verdict, passed: execution.passed, total: execution.total } : null,
+    complexity: evaluation.complexity
+      ? { time: evaluation.complexity.estimatedTime, space: evaluation.complexity.estimatedSpace }
+      : null
+  };
+}
+
+class MockInterviewService {
+  constructor() {
+    this._initialized = false;
+    // Interviews with an answer being evaluated
+    this.pending = new Set();
+  }
+
+  /**
+   * Lazy initialization - load config when first used
+   */
+  _ensureInitialized() {
+    if (!this._initialized) {
+      this.defaultMinutes = parseInt(process.env.MOCK_INTERVIEW_MINUTES) || MOCK_INTERVIEW.DEFAULT_MINUTES;
+      this._initialized = true;
+    }
+  }
+
+  _requireStorage() {
+    if (!storageService.isAvailable()) {
+      throw new APIError('Mock interviews need storage - set STORAGE_ENABLED=true', 503);
+    }
+  }
+
+  /**
+   * Questions for the interview: the requested difficulty (or easy to hard), the closest
+   * difficulty when the bank runs out, and problems the user has not evaluated before first
+   */
+  async _pickProblems(userId, { difficulty, company, count }) {
+    const problems = await problemService.getAll();
+    const pool = company ? problems.filter(p => (p.company_tags || []).includes(company)) : problems;
+    const seen = new Set(storageService.listProgressEvents({ userId })
+      .filter(event => event.kind === 'evaluation')
+      .map(event => event.problemId));
+
+    const picked = [];
+    const levels = difficulty ? Array(count).fill(difficulty) : MOCK_INTERVIEW.LADDER.slice(0, count);
+    for (const level of levels) {
+      const distance = p => Math.abs(MOCK_INTERVIEW.LADDER.indexOf(p.difficulty) - MOCK_INTERVIEW.LADDER.indexOf(level));
+      const [next] = shuffle(pool.filter(p => !picked.includes(p)))
+        .sort((a, b) => distance(a) - distance(b) || seen.has(a.id) - seen.has(b.id));
+      if (next) {
+        picked.push(next);
+      }
+    }
+
+    if (picked.length < count) {
+      throw new APIError(`Only ${picked.length} problem${picked.length === 1 ? '' : 's'} match${company ? ` company "${company}"` : ''}`, 400);
+    }
+    return picked;
+  }
+
+  /**
+   * Start the countdown of a question
+   */
+  _open(question, now) {
+    question.status = 'active';
+    question.startedAt = now.toISOString();
+    question.deadline = new Date(now.getTime() + question.timeLimitSeconds * 1000).toISOString();
+  }
+
+  _current(interview) {
+    return interview.questions.find(question => question.status === 'active') || null;
+  }
+
+  /**
+   * Move on to the next question, or complete the interview with its report
+   */
+  _advance(interview, now) {
+    const next = interview.questions.find(question => question.status === 'pending');
+
+    if (next) {
+      this._open(next, now);
+    } else {
+      interview.status = 'completed';
+      interview.completedAt = now.toISOString();
+      interview.report = buildReport(interview.questions);
+      logger.info(`Mock interview ${interview.id} completed: ${interview.report.recommendation} (${interview.report.overallScore})`);
+    }
+  }
+
+  /**
+   * Time out questions whose countdown has run out; the next question starts now
+   * Returns whether anything changed
+   */
+  _expire(interview, now = new Date()) {
+    let changed = false;
+    let current = this._current(interview);
+
+    while (interview.status === 'in_progress' && current && !this.pending.has(interview.id) &&
+      now.getTime() > Date.parse(current.deadline) + GRACE_SECONDS * 1000) {
+      current.status = 'timed_out';
+      current.endedAt = current.deadline;
+      this._advance(interview, now);
+      current = this._current(interview);
+      changed = true;
+    }
+
+    if (changed) {
+      storageService.saveMockInterview(interview);
+    }
+    return changed;
+  }
+
+  /**
+   * Interview as returned by the API; questions not reached yet stay hidden
+   */
+  _present(interview) {
+    const now = new Date();
+    const current = this._current(interview);
+    const index = interview.questions.indexOf(current);
+
+    return {
+      id: interview.id,
+      status: interview.status,
+      settings: interview.settings,
+      serverTime: now.toISOString(),
+      current: current && {
+        index,
+        problemId: current.problemId,
+        title: current.title,
+        difficulty: current.difficulty,
+        problem: current.problem,
+        timeLimitSeconds: current.timeLimitSeconds,
+        startedAt: current.startedAt,
+        deadline: current.deadline,
+        remainingSeconds: Math.max(0, Math.round((Date.parse(current.deadline) - now.getTime()) / 1000))
+      },
+      questions: interview.questions.map((question, i) => ({
+        index: i,
+        status: question.status,
+        ...(question.status !== 'pending' && { title: question.title, difficulty: question.difficulty })
+      })),
+      report: interview.report,
+      createdAt: interview.createdAt,
+      completedAt: interview.completedAt
+    };
+  }
+
+  /**
+   * Stored interview of a user; interviews of other users are reported as missing
+   */
+  _find(id, userId) {
+    this._requireStorage();
+
+    const interview = storageService.getMockInterview(id);
+    if (!interview || (userId !== undefined && interview.userId !== userId)) {
+      return null;
+    }
+    return interview;
+  }
+
+  /**
+   * Pick the questions and start the first countdown
+   * options: { difficulty?, company?, questions, minutesPerQuestion? }
+   */
+  async start(userId, { difficulty, company, questions: count, minutesPerQuestion }) {
+    this._ensureInitialized();
+    this._requireStorage();
+
+    const companyName = company ? await problemService.findCompany(company) : null;
+    if (company && !companyName) {
+      throw new APIError(`No problems in the bank are tagged with company "${company}"`, 400, {
+        companies: await problemService.listCompanies()
+      });
+    }
+
+    const minutes = minutesPerQuestion ?? this.defaultMinutes;
+    const problems = await this._pickProblems(userId, { difficulty, company: companyName, count });
+    const now = new Date();
+    const interview = {
+      id: uuidv4(),
+      userId,
+      status: 'in_progress',
+      settings: { difficulty: difficulty || null, company: companyName, questions: count, minutesPerQuestion: minutes },
+      questions: problems.map(problem => ({
+        problemId: problem.id,
+        title: problem.title,
+        difficulty: problem.difficulty,
+        problem: problem.problem,
+        referenceComplexity: parseComplexity(problem.complexity) ? problem.complexity : null,
+        timeLimitSeconds: minutes * 60,
+        status: 'pending',
+        startedAt: null,
+        deadline: null,
+        submittedAt: null,
+        explanation: '',
+        code: '',
+        language: null,
+        result: null
+      })),
+      report: null,
+      createdAt: now.toISOString(),
+      completedAt: null
+    };
+
+    this._open(interview.questions[0], now);
+    storageService.saveMockInterview(interview);
+    logger.info(`Started mock interview ${interview.id} with ${count} questions of ${minutes} min`);
+
+    return this._present(interview);
+  }
+
+  /**
+   * An interview with its current countdown applied, or null
+   */
+  get(id, userId) {
+    const interview = this._find(id, userId);
+    if (!interview) {
+      return null;
+    }
+
+    this._expire(interview);
+    return this._present(interview);
+  }
+
+  /**
+   * Summaries of a user's interviews, newest first
+   */
+  list(userId) {
+    this._requireStorage();
+
+    return storageService.listMockInterviews({ userId }).map(interview => {
+      this._expire(interview);
+      return {
+        id: interview.id,
+        status: interview.status,
+        settings: interview.settings,
+        questions: interview.questions.map(question => question.status === 'pending' ? null : question.title).filter(Boolean),
+        recommendation: interview.report?.recommendation ?? null,
+        overallScore: interview.report?.overallScore ?? null,
+        createdAt: interview.createdAt,
+        completedAt: interview.completedAt
+      };
+    });
+  }
+
+  /**
+   * Take the current question for answering; call submitAnswer or release afterwards
+   * Answers after the countdown (plus a short grace period) are refused
+   * Returns { interview, question, submittedAt }, or null
+   */
+  claimAnswer(id, userId) {
+    const interview = this._find(id, userId);
+    if (!interview) {
+      return null;
+    }
+
+    const question = this._current(interview);
+    if (this._expire(interview)) {
+      throw new APIError(`Time is up for question ${interview.questions.indexOf(question) + 1}`, 409, {
+        interview: this._present(interview)
+      });
+    }
+    if (interview.status !== 'in_progress') {
+      throw new APIError('This mock interview has ended', 409);
+    }
+    if (this.pending.has(id)) {
+      throw new APIError('An answer to this question is already being evaluated', 409);
+    }
+
+    this.pending.add(id);
+    return { interview, question, submittedAt: new Date().toISOString() };
+  }
+
+  release(id) {
+    this.pending.delete(id);
+  }
+
+  /**
+   * Record the answer to a claimed question and move on
+   * evaluation is the ragPipeline.evaluateCode result, or null when no code was given
+   */
+  submitAnswer(interview, question, { explanation, code, language, submittedAt, evaluation }) {
+    Object.assign(question, {
+      status: 'answered',
+      submittedAt,
+      explanation,
+      code,
+      language: code ? language : null,
+      result: evaluation ? toResult(evaluation) : null
+    });
+
+    this._advance(interview, new Date());
+    storageService.saveMockInterview(interview);
+    this.release(interview.id);
+
+    return this._present(interview);
+  }
+
+  /**
+   * End an interview early; unanswered questions are skipped
+   */
+  finish(id, userId) {
+    const interview = this._find(id, userId);
+    if (!interview) {
+      return null;
+    }
+
+    this._expire(interview);
+    if (interview.status !== 'in_progress') {
+      throw new APIError('This mock interview has ended', 409);
+    }
+    if (this.pending.has(id)) {
+      throw new APIError('An answer to this question is still being evaluated', 409);
+    }
+
+    const now = new Date();
+    interview.questions
+      .filter(question => question.status === 'active' || question.status === 'pending')
+      .forEach(question => {
+        question.endedAt = question.status === 'active' ? now.toISOString() : null;
+        question.status = 'skipped';
+      });
+    this._advance(interview, now);
+    storageService.saveMockInterview(interview);
+
+    return this._present(interview);
+  }
+}
+
+const mockInterviewService = new MockInterviewService();
+
+export default mockInterviewService;
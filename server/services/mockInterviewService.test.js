@@ -0,0 +1,244 @@
+import { describe, it, expect } from '@jest/globals';
+import '../test/offlineSetup.js';
+
+const { default: mockInterviewService, buildReport, claimedComplexity } = await import('./mockInterviewService.js');
+const { default: storageService } = await import('./storageService.js');
+
+const FULL_MARKS = {
+  correctness: { score: 3 },
+  edge_cases: { score: 1 },
+  code_quality: { score: 2 },
+  time_complexity: { score: 2 },
+  space_complexity: { score: 2 }
+};
+
+// Covers clarification, approach, complexity, structure and testing in over 40 words
+const THOROUGH = 'The input may be empty or hold duplicates. First I store each value in a hash map with its index, ' +
+  'then for every number I look up the complement. Walking through the example [2, 7, 11, 15] with target 9 ' +
+  'finds 7 at index 1. Time O(n) and space O(n).';
+
+/**
+ * Report question that was answered with the given explanation and evaluation breakdown
+ */
+function answered(explanation, breakdown = FULL_MARKS, time = 'O(n)') {
+  return {
+    problemId: 1,
+    title: 'Two Sum',
+    difficulty: 'Easy',
+    status: 'answered',
+    timeLimitSeconds: 1800,
+    startedAt: '2026-01-01T10:00:00.000Z',
+    submittedAt: '2026-01-01T10:12:00.000Z',
+    explanation,
+    result: { evaluated: true, score: 8, breakdown, suggestions: [], execution: null, complexity: { time, space: 'O(n)' } }
+  };
+}
+
+function unanswered(status) {
+  return { problemId: 2, title: 'Valid Parentheses', difficulty: 'Easy', status, timeLimitSeconds: 1800, explanation: '', result: null };
+}
+
+/**
+ * ID of the account with this username, created on first use
+ */
+function user(username) {
+  return (storageService.findUserByUsername(username) || storageService.createUser(username, 'not-a-hash')).id;
+}
+
+async function startInterview(username) {
+  const { id } = await mockInterviewService.start(user(username), { questions: 2, minutesPerQuestion: 5 });
+  return storageService.getMockInterview(id);
+}
+
+describe('claimedComplexity', () => {
+  it('prefers the Big-O stated next to "time"', () => {
+    expect(claimedComplexity('Space is O(n) and the time is O(n log n).')).toBe('O(n log n)');
+    expect(claimedComplexity('Time complexity: O(n * log(n))')).toBe('O(n * log(n))');
+  });
+
+  it('falls back to the first Big-O mentioned, or null', () => {
+    expect(claimedComplexity('It runs in O(n^2) with O(1) extra memory.')).toBe('O(n^2)');
+    expect(claimedComplexity('Sort it. Time is fine.\nO(n log n) overall')).toBe('O(n log n)');
+    expect(claimedComplexity('A hash map makes it fast.')).toBeNull();
+  });
+});
+
+describe('buildReport', () => {
+  it('recommends strong_hire when every dimension is full', () => {
+    const report = buildReport([answered(THOROUGH)]);
+
+    expect(report).toMatchObject({ recommendation: 'strong_hire', overallScore: 100, concerns: [] });
+    expect(report.strengths).toHaveLength(4);
+    expect(report.questions[0]).toMatchObject({
+      claimedComplexity: 'O(n)',
+      actualComplexity: 'O(n)',
+      timeUsedSeconds: 720,
+      scores: { problemSolving: 100, communication: 100, codeQuality: 100, complexityReasoning: 100 }
+    });
+  });
+
+  it('scores a shorter explanation by the signals it covers and its length', () => {
+    const report = buildReport([answered('Use a hash map, then return the pair. Time O(n).', { ...FULL_MARKS, code_quality: { score: 1 } })]);
+
+    // 3 of 5 signals (48) plus 10 of 40 words (5); overall (100 + 53 + 50 + 100) / 4
+    expect(report.dimensions).toEqual({
+      problemSolving: { score: 100, rating: 4 },
+      communication: { score: 53, rating: 2 },
+      codeQuality: { score: 50, rating: 2 },
+      complexityReasoning: { score: 100, rating: 4 }
+    });
+    expect(report).toMatchObject({ recommendation: 'hire', overallScore: 76, concerns: [] });
+    expect(report.strengths).toEqual([
+      'Reached working solutions that handle edge cases',
+      'Stated time and space complexity accurately for efficient solutions'
+    ]);
+  });
+
+  it('gives half the claim credit for a wrong complexity', () => {
+    const report = buildReport([answered(THOROUGH, FULL_MARKS, 'O(n^2)')]);
+
+    expect(report.questions[0].scores.complexityReasoning).toBe(80);
+    expect(report.questions[0].actualComplexity).toBe('O(n^2)');
+  });
+
+  it('averages unanswered questions in as zero', () => {
+    const report = buildReport([answered(THOROUGH), unanswered('skipped')]);
+
+    expect(report).toMatchObject({ recommendation: 'lean_no_hire', overallScore: 50 });
+    expect(report.concerns).toEqual(['Ended the interview with 1 question unanswered']);
+    expect(report.summary).toMatch(/^Answered 1 of 2 questions\./);
+  });
+
+  it('recommends no_hire when nothing was answered', () => {
+    const report = buildReport([unanswered('timed_out'), unanswered('timed_out')]);
+
+    expect(report).toMatchObject({ recommendation: 'no_hire', overallScore: 0, strengths: [] });
+    expect(report.concerns).toHaveLength(5);
+    expect(report.concerns[4]).toBe('Ran out of time on 2 questions');
+    expect(report.questions[0].timeUsedSeconds).toBe(1800);
+  });
+
+  it('credits naming an approach when no code was evaluated', () => {
+    const report = buildReport([{ ...answered('I would sort the array and use two pointers.'), result: null }]);
+
+    expect(report.questions[0].scores).toMatchObject({ problemSolving: 20, codeQuality: 0, complexityReasoning: 0 });
+  });
+});
+
+describe('mockInterviewService._expire', () => {
+  it('keeps the question open during the grace period', async () => {
+    const interview = await startInterview('expire-grace');
+    const deadline = Date.parse(interview.questions[0].deadline);
+
+    expect(mockInterviewService._expire(interview, new Date(deadline + 10 * 1000))).toBe(false);
+    expect(interview.questions[0].status).toBe('active');
+  });
+
+  it('times out the question after the grace period and starts the next one', async () => {
+    const interview = await startInterview('expire-next');
+    const { deadline } = interview.questions[0];
+    const now = new Date(Date.parse(deadline) + 16 * 1000);
+
+    expect(mockInterviewService._expire(interview, now)).toBe(true);
+    expect(interview.questions[0]).toMatchObject({ status: 'timed_out', endedAt: deadline });
+    expect(interview.questions[1]).toMatchObject({ status: 'active', startedAt: now.toISOString() });
+    expect(storageService.getMockInterview(interview.id).questions[0].status).toBe('timed_out');
+  });
+
+  it('completes the interview when every countdown ran out', async () => {
+    const interview = await startInterview('expire-all');
+    const later = new Date(Date.parse(interview.questions[0].deadline) + 60 * 60 * 1000);
+
+    mockInterviewService._expire(interview, later);
+    mockInterviewService._expire(interview, new Date(later.getTime() + 60 * 60 * 1000));
+
+    expect(interview.status).toBe('completed');
+    expect(interview.questions.map(question => question.status)).toEqual(['timed_out', 'timed_out']);
+    expect(interview.report.recommendation).toBe('no_hire');
+  });
+
+  it('waits while an answer is being evaluated', async () => {
+    const interview = await startInterview('expire-pending');
+    mockInterviewService.pending.add(interview.id);
+
+    try {
+      expect(mockInterviewService._expire(interview, new Date(Date.parse(interview.questions[0].deadline) + 60 * 1000))).toBe(false);
+    } finally {
+      mockInterviewService.release(interview.id);
+    }
+  });
+});
+
+describe('mockInterviewService.claimAnswer', () => {
+  it('lets one answer at a time be evaluated until it is released', async () => {
+    const { id } = await startInterview('claim-lock');
+
+    const claim = mockInterviewService.claimAnswer(id, user('claim-lock'));
+
+    expect(claim.question).toMatchObject({ status: 'active' });
+    expect(() => mockInterviewService.claimAnswer(id, user('claim-lock'))).toThrow('already being evaluated');
+    expect(() => mockInterviewService.finish(id, user('claim-lock'))).toThrow('still being evaluated');
+
+    mockInterviewService.release(id);
+    expect(mockInterviewService.claimAnswer(id, user('claim-lock')).question.problemId).toBe(claim.question.problemId);
+    mockInterviewService.release(id);
+  });
+
+  it('hides interviews of other users', async () => {
+    const { id } = await startInterview('claim-owner');
+
+    expect(mockInterviewService.claimAnswer(id, user('someone-else'))).toBeNull();
+    expect(mockInterviewService.pending.has(id)).toBe(false);
+  });
+
+  it('refuses answers once the countdown and grace period have passed', async () => {
+    const interview = await startInterview('claim-late');
+    interview.questions[0].deadline = new Date(Date.now() - 60 * 1000).toISOString();
+    storageService.saveMockInterview(interview);
+
+    expect(() => mockInterviewService.claimAnswer(interview.id, user('claim-late'))).toThrow('Time is up for question 1');
+    expect(mockInterviewService.pending.has(interview.id)).toBe(false);
+  });
+
+  it('moves on to the next question once the answer is submitted', async () => {
+    const { id } = await startInterview('claim-submit');
+    const { interview, question, submittedAt } = mockInterviewService.claimAnswer(id, user('claim-submit'));
+
+    const presented = mockInterviewService.submitAnswer(interview, question, {
+      explanation: 'Hash map of complements, time O(n).',
+      code: '',
+      language: 'java',
+      submittedAt,
+      evaluation: null
+    });
+
+    expect(presented.current.index).toBe(1);
+    expect(presented.questions[0].status).toBe('answered');
+    expect(mockInterviewService.pending.has(id)).toBe(false);
+  });
+});
+
+describe('mockInterviewService.finish', () => {
+  it('skips the remaining questions and builds the report', async () => {
+    const { id } = await startInterview('finish-early');
+    const { interview, question, submittedAt } = mockInterviewService.claimAnswer(id, user('finish-early'));
+    mockInterviewService.submitAnswer(interview, question, { explanation: THOROUGH, code: '', language: 'java', submittedAt, evaluation: null });
+
+    const finished = mockInterviewService.finish(id, user('finish-early'));
+    const stored = storageService.getMockInterview(id);
+
+    expect(finished.status).toBe('completed');
+    expect(finished.questions.map(entry => entry.status)).toEqual(['answered', 'skipped']);
+    expect(stored.questions[1].endedAt).toEqual(expect.any(String));
+    expect(finished.report.concerns).toContain('Ended the interview with 1 question unanswered');
+  });
+
+  it('refuses to finish an interview twice', async () => {
+    const { id } = await startInterview('finish-twice');
+
+    mockInterviewService.finish(id, user('finish-twice'));
+
+    expect(() => mockInterviewService.finish(id, user('finish-twice'))).toThrow('This mock interview has ended');
+    expect(mockInterviewService.finish(id, user('someone-else'))).toBeNull();
+  });
+});
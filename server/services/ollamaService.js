@@ -6,6 +6,7 @@
 
 import axios from 'axios';
 import logger from '../utils/logger.js';
+import { classifyLLMError } from '../utils/llmErrors.js';
 
 class OllamaService {
   constructor() {
@@ -30,19 +31,27 @@ class OllamaService {
     }
   }
 
+  /**
+   * List locally installed model names
+   */
+  async listModels() {
+    this._ensureInitialized();
+    const response = await this.client.get('/api/tags');
+    return (response.data.models || []).map(m => m.name);
+  }
+
   /**
    * Check if Ollama is available
    */
   async healthCheck() {
     this._ensureInitialized();
     try {
-      const response = await this.client.get('/api/tags');
-      const models = response.data.models || [];
-      const hasModel = models.some(m => m.name.includes(this.model.split(':')[0]));
+      const models = await this.listModels();
+      const hasModel = models.some(name => name.includes(this.model.split(':')[0]));
       
       return {
         available: true,
-        models: models.map(m => m.name),
+        models,
         currentModel: this.model,
         modelAvailable: hasModel
       };
@@ -65,26 +74,9 @@ class OllamaService {
     try {
       logger.info(`Generating response with model: ${this.model}`);
       
-      const requestBody = {
-        model: options.model || this.model,
-        prompt: prompt,
-        stream: false,
-        options: {
-          temperature: options.temperature || 0.7,
-          top_p: options.top_p || 0.9,
-          top_k: options.top_k || 40,
-          num_predict: options.maxTokens || 4096,
-          repeat_penalty: options.repeatPenalty || 1.1,
-          ...options.ollamaOptions
-        }
-      };
+      const requestBody = this._buildGenerateBody(prompt, options, false);
 
-      // Add system prompt if provided
-      if (options.system) {
-        requestBody.system = options.system;
-      }
-
-      const response = await this.client.post('/api/generate', requestBody);
+      const response = await this.client.post('/api/generate', requestBody, this._requestConfig(options));
       
       const duration = Date.now() - startTime;
       logger.info(`Response generated in ${duration}ms`);
@@ -108,6 +100,7 @@ class OllamaService {
       return {
         success: false,
         error: error.message,
+        errorType: classifyLLMError(error, options.signal),
         metadata: {
           duration_ms: duration,
           model: this.model
@@ -126,39 +119,9 @@ class OllamaService {
     try {
       logger.info(`Chat generation with model: ${this.model}`);
       
-      const requestBody = {
-        model: options.model || this.model,
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt
-          },
-          {
-            role: 'user',
-            content: userPrompt
-          }
-        ],
-        stream: false,
-        options: {
-          temperature: options.temperature || 0.7,
-          top_p: options.top_p || 0.9,
-          top_k: options.top_k || 40,
-          num_predict: options.maxTokens || 4096,
-          repeat_penalty: options.repeatPenalty || 1.1,
-          ...options.ollamaOptions
-        }
-      };
+      const requestBody = this._buildChatBody(systemPrompt, userPrompt, options, false);
 
-      // Add conversation history if provided
-      if (options.history && Array.isArray(options.history)) {
-        requestBody.messages = [
-          { role: 'system', content: systemPrompt },
-          ...options.history,
-          { role: 'user', content: userPrompt }
-        ];
-      }
-
-      const response = await this.client.post('/api/chat', requestBody);
+      const response = await this.client.post('/api/chat', requestBody, this._requestConfig(options));
       
       const duration = Date.now() - startTime;
       logger.info(`Chat response generated in ${duration}ms`);
@@ -188,6 +151,218 @@ class OllamaService {
       return {
         success: false,
         error: error.message,
+        errorType: classifyLLMError(error, options.signal),
+        metadata: {
+          duration_ms: duration,
+          model: this.model
+        }
+      };
+    }
+  }
+
+  /**
+   * Build sampling options shared by generate and chat
+   */
+  _buildModelOptions(options) {
+    return {
+      temperature: options.temperature || 0.7,
+      top_p: options.top_p || 0.9,
+      top_k: options.top_k || 40,
+      num_predict: options.maxTokens || 4096,
+      repeat_penalty: options.repeatPenalty || 1.1,
+      ...options.ollamaOptions
+    };
+  }
+
+  /**
+   * Per-request axios config: options.timeout overrides the default timeout
+   * (for streams it limits the wait for each chunk), options.signal cancels
+   */
+  _requestConfig(options) {
+    return {
+      timeout: options.timeout || this.timeout,
+      signal: options.signal
+    };
+  }
+
+  /**
+   * Build request body for /api/generate
+   */
+  _buildGenerateBody(prompt, options, stream) {
+    const requestBody = {
+      model: options.model || this.model,
+      prompt: prompt,
+      stream,
+      options: this._buildModelOptions(options),
+      // JSON schema for constrained (structured) output
+      ...(options.format && { format: options.format })
+    };
+
+    // Add system prompt if provided
+    if (options.system) {
+      requestBody.system = options.system;
+    }
+
+    return requestBody;
+  }
+
+  /**
+   * Build request body for /api/chat
+   */
+  _buildChatBody(systemPrompt, userPrompt, options, stream) {
+    return {
+      model: options.model || this.model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        // Add conversation history if provided
+        ...(Array.isArray(options.history) ? options.history : []),
+        { role: 'user', content: userPrompt }
+      ],
+      stream,
+      options: this._buildModelOptions(options),
+      ...(options.format && { format: options.format })
+    };
+  }
+
+  /**
+   * Post a streaming request and feed tokens to onToken as they arrive
+   * Ollama streams newline-delimited JSON objects, the last one has done=true
+   */
+  async _streamRequest(endpoint, requestBody, extractToken, onToken, options) {
+    const response = await this.client.post(endpoint, requestBody, {
+      ...this._requestConfig(options),
+      responseType: 'stream'
+    });
+
+    let text = '';
+    let buffer = '';
+    let final = {};
+
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      const data = JSON.parse(line);
+      if (data.error) {
+        throw new Error(data.error);
+      }
+      const token = extractToken(data) || '';
+      if (token) {
+        text += token;
+        onToken?.(token, text);
+      }
+      if (data.done) {
+        final = data;
+      }
+    };
+
+    for await (const chunk of response.data) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+
+    return { text, final };
+  }
+
+  /**
+   * Generate completion from Ollama, streaming tokens to onToken(token, fullText)
+   */
+  async generateStream(prompt, options = {}, onToken = null) {
+    this._ensureInitialized();
+    const startTime = Date.now();
+
+    try {
+      logger.info(`Streaming response with model: ${this.model}`);
+
+      const { text, final } = await this._streamRequest(
+        '/api/generate',
+        this._buildGenerateBody(prompt, options, true),
+        data => data.response,
+        onToken,
+        options
+      );
+
+      const duration = Date.now() - startTime;
+      logger.info(`Streamed response generated in ${duration}ms`);
+
+      return {
+        success: true,
+        response: text,
+        metadata: {
+          model: final.model || this.model,
+          created_at: final.created_at,
+          duration_ms: duration,
+          eval_count: final.eval_count,
+          eval_duration: final.eval_duration,
+          prompt_eval_count: final.prompt_eval_count
+        }
+      };
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.error(`Streaming generation failed after ${duration}ms:`, error.message);
+
+      return {
+        success: false,
+        error: error.message,
+        errorType: classifyLLMError(error, options.signal),
+        aborted: options.signal?.aborted || false,
+        metadata: {
+          duration_ms: duration,
+          model: this.model
+        }
+      };
+    }
+  }
+
+  /**
+   * Chat generation, streaming tokens to onToken(token, fullText)
+   */
+  async chatStream(systemPrompt, userPrompt, options = {}, onToken = null) {
+    this._ensureInitialized();
+    const startTime = Date.now();
+
+    try {
+      logger.info(`Streaming chat with model: ${this.model}`);
+
+      const { text, final } = await this._streamRequest(
+        '/api/chat',
+        this._buildChatBody(systemPrompt, userPrompt, options, true),
+        data => data.message?.content,
+        onToken,
+        options
+      );
+
+      const duration = Date.now() - startTime;
+      logger.info(`Streamed chat response generated in ${duration}ms`);
+
+      return {
+        success: true,
+        response: text,
+        metadata: {
+          model: final.model || this.model,
+          created_at: final.created_at,
+          duration_ms: duration,
+          eval_count: final.eval_count,
+          eval_duration: final.eval_duration
+        }
+      };
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.error(`Streaming chat failed after ${duration}ms:`, error.message);
+
+      // Fallback to generate endpoint if chat not supported
+      if (error.response?.status === 404) {
+        logger.info('Falling back to streaming generate endpoint');
+        const combinedPrompt = `${systemPrompt}\n\nUser: ${userPrompt}`;
+        return this.generateStream(combinedPrompt, options, onToken);
+      }
+
+      return {
+        success: false,
+        error: error.message,
+        errorType: classifyLLMError(error, options.signal),
+        aborted: options.signal?.aborted || false,
         metadata: {
           duration_ms: duration,
           model: this.model
@@ -260,6 +435,7 @@ class OllamaService {
    * Get current configuration
    */
   getConfig() {
+    this._ensureInitialized();
     return {
       baseUrl: this.baseUrl,
       model: this.model,
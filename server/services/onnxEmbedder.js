@@ -0,0 +1,154 @@
+/**
+ * ONNX Sentence Embedder
+ *
+ * Runs a sentence-transformers model (e.g. all-MiniLM-L6-v2 exported to ONNX)
+ * in-process with onnxruntime-node. Mean pooling and L2 normalization match
+ * what sentence-transformers produces, so vectors are interchangeable with
+ * an index built by the Python path.
+ *
+ * Expected model directory layout (as published by Xenova/all-MiniLM-L6-v2):
+ *   tokenizer.json, tokenizer_config.json, onnx/model.onnx (or model.onnx)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import ort from 'onnxruntime-node';
+import { Tokenizer } from '@huggingface/tokenizers';
+
+const MODEL_FILES = ['onnx/model.onnx', 'model.onnx', 'onnx/model_quantized.onnx'];
+
+/**
+ * Find the first model file that exists in the directory
+ */
+async function findModelFile(modelPath) {
+  for (const file of MODEL_FILES) {
+    const candidate = path.join(modelPath, file);
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      // Try the next location
+    }
+  }
+  throw new Error(`No ONNX model found in ${modelPath} (looked for ${MODEL_FILES.join(', ')})`);
+}
+
+async function readJson(file) {
+  return JSON.parse(await fs.readFile(file, 'utf-8'));
+}
+
+export class OnnxEmbedder {
+  constructor({ modelPath, maxLength = 256 }) {
+    this.modelPath = modelPath;
+    this.maxLength = maxLength;
+    this._loading = null;
+  }
+
+  /**
+   * Load the tokenizer and ONNX session once
+   */
+  load() {
+    if (!this._loading) {
+      this._loading = this._load().catch(error => {
+        // Allow a retry after the model directory is fixed
+        this._loading = null;
+        throw error;
+      });
+    }
+    return this._loading;
+  }
+
+  async _load() {
+    const [tokenizerJson, tokenizerConfig, modelFile] = await Promise.all([
+      readJson(path.join(this.modelPath, 'tokenizer.json')),
+      readJson(path.join(this.modelPath, 'tokenizer_config.json')),
+      findModelFile(this.modelPath)
+    ]);
+
+    this.tokenizer = new Tokenizer(tokenizerJson, tokenizerConfig);
+    this.session = await ort.InferenceSession.create(modelFile, { graphOptimizationLevel: 'all' });
+    this.modelFile = modelFile;
+  }
+
+  /**
+   * Tokenize and cut to maxLength, keeping the closing special token
+   */
+  _encode(text) {
+    const { ids, attention_mask: mask } = this.tokenizer.encode(text || '');
+
+    if (ids.length <= this.maxLength) {
+      return { ids, mask };
+    }
+    return {
+      ids: [...ids.slice(0, this.maxLength - 1), ids[ids.length - 1]],
+      mask: mask.slice(0, this.maxLength)
+    };
+  }
+
+  /**
+   * Embed a batch of texts; returns one normalized vector per text
+   */
+  async embed(texts) {
+    await this.load();
+
+    const encoded = texts.map(text => this._encode(text));
+    const batchSize = encoded.length;
+    const seqLength = Math.max(...encoded.map(e => e.ids.length));
+
+    // Right-pad every sequence to the longest one in the batch
+    const inputIds = new BigInt64Array(batchSize * seqLength);
+    const attentionMask = new BigInt64Array(batchSize * seqLength);
+
+    encoded.forEach(({ ids, mask }, row) => {
+      ids.forEach((id, col) => {
+        inputIds[row * seqLength + col] = BigInt(id);
+        attentionMask[row * seqLength + col] = BigInt(mask[col]);
+      });
+    });
+
+    const dims = [batchSize, seqLength];
+    const feeds = {
+      input_ids: new ort.Tensor('int64', inputIds, dims),
+      attention_mask: new ort.Tensor('int64', attentionMask, dims)
+    };
+    if (this.session.inputNames.includes('token_type_ids')) {
+      feeds.token_type_ids = new ort.Tensor('int64', new BigInt64Array(batchSize * seqLength), dims);
+    }
+
+    const outputs = await this.session.run(feeds);
+    const hidden = outputs.last_hidden_state || outputs[this.session.outputNames[0]];
+
+    return this._meanPool(hidden, attentionMask, batchSize, seqLength);
+  }
+
+  /**
+   * Average token vectors over the attention mask, then L2-normalize
+   */
+  _meanPool(hidden, attentionMask, batchSize, seqLength) {
+    const size = hidden.dims[2];
+    const data = hidden.data;
+    const embeddings = [];
+
+    for (let row = 0; row < batchSize; row++) {
+      const vector = new Array(size).fill(0);
+      let tokens = 0;
+
+      for (let col = 0; col < seqLength; col++) {
+        if (attentionMask[row * seqLength + col] === 0n) {
+          continue;
+        }
+        const offset = (row * seqLength + col) * size;
+        for (let i = 0; i < size; i++) {
+          vector[i] += data[offset + i];
+        }
+        tokens++;
+      }
+
+      const mean = vector.map(value => value / Math.max(tokens, 1));
+      const norm = Math.sqrt(mean.reduce((sum, value) => sum + value * value, 0)) || 1;
+      embeddings.push(mean.map(value => value / norm));
+    }
+
+    return embeddings;
+  }
+}
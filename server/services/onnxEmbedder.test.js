@@ -0,0 +1,120 @@
+import { describe, it, expect } from '@jest/globals';
+import ort from 'onnxruntime-node';
+import os from 'os';
+import path from 'path';
+import { OnnxEmbedder } from './onnxEmbedder.js';
+
+const CLS = 101;
+const SEP = 102;
+
+/**
+ * Tokenizer stand-in: one id per word between [CLS] and [SEP]
+ */
+const tokenizer = {
+  encode(text) {
+    const ids = [CLS, ...text.split(' ').filter(Boolean).map(word => word.length), SEP];
+    return { ids, attention_mask: ids.map(() => 1) };
+  }
+};
+
+/**
+ * Session stand-in whose hidden state for a token is [id, 1]
+ */
+function fakeSession(inputNames = ['input_ids', 'attention_mask']) {
+  const session = {
+    inputNames,
+    outputNames: ['last_hidden_state'],
+    feeds: null,
+    async run(feeds) {
+      session.feeds = feeds;
+      const [batchSize, seqLength] = feeds.input_ids.dims;
+      const data = new Float32Array(batchSize * seqLength * 2);
+      feeds.input_ids.data.forEach((id, i) => {
+        data[i * 2] = Number(id);
+        data[i * 2 + 1] = 1;
+      });
+      return { last_hidden_state: new ort.Tensor('float32', data, [batchSize, seqLength, 2]) };
+    }
+  };
+  return session;
+}
+
+function loadedEmbedder(session, maxLength = 256) {
+  const embedder = new OnnxEmbedder({ modelPath: '/unused', maxLength });
+  embedder.tokenizer = tokenizer;
+  embedder.session = session;
+  embedder._loading = Promise.resolve();
+  return embedder;
+}
+
+const normalize = vector => {
+  const norm = Math.hypot(...vector);
+  return vector.map(value => value / norm);
+};
+
+describe('OnnxEmbedder._meanPool', () => {
+  it('averages only the unmasked tokens of each row, then normalizes', () => {
+    const hidden = new ort.Tensor('float32', new Float32Array([
+      3, 0, 1, 4, 100, 100,
+      0, 2, 0, 0, 0, 0
+    ]), [2, 3, 2]);
+    const mask = BigInt64Array.from([1n, 1n, 0n, 1n, 0n, 0n]);
+
+    const [first, second] = new OnnxEmbedder({ modelPath: '/unused' })._meanPool(hidden, mask, 2, 3);
+
+    // Mean of [3, 0] and [1, 4] is [2, 2]; the padded [100, 100] is ignored
+    expect(first[0]).toBeCloseTo(Math.SQRT1_2);
+    expect(first[1]).toBeCloseTo(Math.SQRT1_2);
+    expect(second).toEqual([0, 1]);
+  });
+
+  it('returns a zero vector instead of NaN when nothing is unmasked', () => {
+    const hidden = new ort.Tensor('float32', new Float32Array([5, 5]), [1, 1, 2]);
+
+    expect(new OnnxEmbedder({ modelPath: '/unused' })._meanPool(hidden, BigInt64Array.from([0n]), 1, 1)).toEqual([[0, 0]]);
+  });
+});
+
+describe('OnnxEmbedder._encode', () => {
+  it('truncates long texts but keeps the closing special token', () => {
+    const embedder = loadedEmbedder(fakeSession(), 4);
+
+    expect(embedder._encode('a bb ccc dddd')).toEqual({ ids: [CLS, 1, 2, SEP], mask: [1, 1, 1, 1] });
+    expect(embedder._encode('a bb')).toEqual({ ids: [CLS, 1, 2, SEP], mask: [1, 1, 1, 1] });
+  });
+});
+
+describe('OnnxEmbedder.embed', () => {
+  it('pads a batch to its longest text and pools each text over its own tokens', async () => {
+    const session = fakeSession();
+    const embedder = loadedEmbedder(session);
+
+    const [short, long] = await embedder.embed(['aaaa', 'a bb ccc']);
+
+    expect(session.feeds.input_ids.dims).toEqual([2, 5]);
+    expect(Array.from(session.feeds.attention_mask.data, Number)).toEqual([1, 1, 1, 0, 0, 1, 1, 1, 1, 1]);
+    expect(session.feeds.token_type_ids).toBeUndefined();
+    // Same result as embedding the short text alone, padding does not leak in
+    expect(short).toEqual(normalize([(CLS + 4 + SEP) / 3, 1]));
+    expect(long).toEqual(normalize([(CLS + 1 + 2 + 3 + SEP) / 5, 1]));
+    expect(await embedder.embed(['aaaa'])).toEqual([short]);
+  });
+
+  it('feeds zero token type ids to models that take them', async () => {
+    const session = fakeSession(['input_ids', 'attention_mask', 'token_type_ids']);
+
+    await loadedEmbedder(session).embed(['a bb']);
+
+    expect(session.feeds.token_type_ids.dims).toEqual([1, 4]);
+    expect(Array.from(session.feeds.token_type_ids.data, Number)).toEqual([0, 0, 0, 0]);
+  });
+});
+
+describe('OnnxEmbedder.load', () => {
+  it('fails on a missing model directory and retries on the next call', async () => {
+    const embedder = new OnnxEmbedder({ modelPath: path.join(os.tmpdir(), 'codementor-missing-model') });
+
+    await expect(embedder.embed(['a'])).rejects.toThrow('tokenizer.json');
+    expect(embedder._loading).toBeNull();
+  });
+});
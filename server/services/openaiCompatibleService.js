@@ -0,0 +1,278 @@
+/**
+ * OpenAI-Compatible LLM Service
+ *
+ * Handles communication with any server that implements the OpenAI chat API
+ * (llama.cpp server, vLLM, LM Studio, ...)
+ */
+
+import axios from 'axios';
+import logger from '../utils/logger.js';
+import { classifyLLMError } from '../utils/llmErrors.js';
+
+/**
+ * Prefer the error message from an OpenAI-style error body
+ */
+function errorMessage(error) {
+  const apiError = error.response?.data?.error;
+  return (typeof apiError === 'string' ? apiError : apiError?.message) || error.message;
+}
+
+class OpenAICompatibleService {
+  constructor() {
+    this._initialized = false;
+    this.timeout = 300000; // 5 minutes for complex queries
+  }
+
+  _ensureInitialized() {
+    if (!this._initialized) {
+      this.baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1').replace(/\/+$/, '');
+      this.model = process.env.OPENAI_MODEL || 'local-model';
+
+      this.client = axios.create({
+        baseURL: this.baseUrl,
+        timeout: this.timeout,
+        headers: {
+          'Content-Type': 'application/json',
+          // Local servers usually ignore the key, hosted gateways require it
+          ...(process.env.OPENAI_API_KEY && { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` })
+        }
+      });
+      this._initialized = true;
+      logger.info(`OpenAICompatibleService initialized: baseUrl=${this.baseUrl}, model=${this.model}`);
+    }
+  }
+
+  /**
+   * List model ids served by the backend
+   */
+  async listModels() {
+    this._ensureInitialized();
+    const response = await this.client.get('/models');
+    return (response.data.data || []).map(m => m.id);
+  }
+
+  /**
+   * Check if the server is available
+   */
+  async healthCheck() {
+    this._ensureInitialized();
+    try {
+      const models = await this.listModels();
+
+      return {
+        available: true,
+        models,
+        currentModel: this.model,
+        // Single-model servers (llama.cpp) report whatever file they loaded
+        modelAvailable: models.length === 1 || models.includes(this.model)
+      };
+    } catch (error) {
+      logger.error('OpenAI-compatible health check failed:', error.message);
+      return {
+        available: false,
+        error: errorMessage(error)
+      };
+    }
+  }
+
+  /**
+   * Generate completion for a single prompt
+   */
+  async generate(prompt, options = {}) {
+    return this.chat(options.system, prompt, options);
+  }
+
+  /**
+   * Generate with system and user prompts (chat format)
+   */
+  async chat(systemPrompt, userPrompt, options = {}) {
+    this._ensureInitialized();
+    const startTime = Date.now();
+
+    try {
+      logger.info(`Chat generation with model: ${options.model || this.model}`);
+
+      const response = await this.client.post(
+        '/chat/completions',
+        this._buildChatBody(systemPrompt, userPrompt, options, false),
+        this._requestConfig(options)
+      );
+
+      const duration = Date.now() - startTime;
+      logger.info(`Chat response generated in ${duration}ms`);
+
+      return {
+        success: true,
+        response: response.data.choices?.[0]?.message?.content || '',
+        metadata: this._buildMetadata(response.data, duration)
+      };
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.error(`Chat generation failed after ${duration}ms:`, error.message);
+
+      return {
+        success: false,
+        error: errorMessage(error),
+        errorType: classifyLLMError(error, options.signal),
+        metadata: {
+          duration_ms: duration,
+          model: options.model || this.model
+        }
+      };
+    }
+  }
+
+  /**
+   * Per-request axios config: options.timeout overrides the default timeout
+   * (for streams it limits the wait for each chunk), options.signal cancels
+   */
+  _requestConfig(options) {
+    return {
+      timeout: options.timeout || this.timeout,
+      signal: options.signal
+    };
+  }
+
+  /**
+   * Build request body for /chat/completions
+   */
+  _buildChatBody(systemPrompt, userPrompt, options, stream) {
+    return {
+      model: options.model || this.model,
+      messages: [
+        ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+        // Add conversation history if provided
+        ...(Array.isArray(options.history) ? options.history : []),
+        { role: 'user', content: userPrompt }
+      ],
+      temperature: options.temperature || 0.7,
+      top_p: options.top_p || 0.9,
+      max_tokens: options.maxTokens || 4096,
+      stream,
+      // Ask for token usage in the final streamed chunk
+      ...(stream && { stream_options: { include_usage: true } }),
+      // options.format is a JSON schema for constrained (structured) output
+      ...(options.format && {
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: 'response', schema: options.format, strict: true }
+        }
+      }),
+      ...options.openaiOptions
+    };
+  }
+
+  /**
+   * Map an OpenAI response (or final stream chunk) to the shared metadata shape
+   */
+  _buildMetadata(data, duration) {
+    return {
+      model: data.model || this.model,
+      created_at: data.created ? new Date(data.created * 1000).toISOString() : undefined,
+      duration_ms: duration,
+      eval_count: data.usage?.completion_tokens,
+      prompt_eval_count: data.usage?.prompt_tokens
+    };
+  }
+
+  /**
+   * Generate completion, streaming tokens to onToken(token, fullText)
+   */
+  async generateStream(prompt, options = {}, onToken = null) {
+    return this.chatStream(options.system, prompt, options, onToken);
+  }
+
+  /**
+   * Chat generation, streaming tokens to onToken(token, fullText)
+   * The server sends Server-Sent Events with "data: {chunk}" lines, ending with "data: [DONE]"
+   */
+  async chatStream(systemPrompt, userPrompt, options = {}, onToken = null) {
+    this._ensureInitialized();
+    const startTime = Date.now();
+
+    try {
+      logger.info(`Streaming chat with model: ${options.model || this.model}`);
+
+      const response = await this.client.post('/chat/completions', this._buildChatBody(systemPrompt, userPrompt, options, true), {
+        ...this._requestConfig(options),
+        responseType: 'stream'
+      });
+
+      let text = '';
+      let buffer = '';
+      let final = {};
+
+      const handleLine = (line) => {
+        const match = line.match(/^data:\s*(.*)$/);
+        if (!match || !match[1] || match[1] === '[DONE]') return;
+
+        const data = JSON.parse(match[1]);
+        if (data.error) {
+          throw new Error(data.error.message || data.error);
+        }
+        const token = data.choices?.[0]?.delta?.content || '';
+        if (token) {
+          text += token;
+          onToken?.(token, text);
+        }
+        final = { ...final, ...data };
+      };
+
+      for await (const chunk of response.data) {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => handleLine(line.trim()));
+      }
+      handleLine(buffer.trim());
+
+      const duration = Date.now() - startTime;
+      logger.info(`Streamed chat response generated in ${duration}ms`);
+
+      return {
+        success: true,
+        response: text,
+        metadata: this._buildMetadata(final, duration)
+      };
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.error(`Streaming chat failed after ${duration}ms:`, error.message);
+
+      return {
+        success: false,
+        error: error.message,
+        errorType: classifyLLMError(error, options.signal),
+        aborted: options.signal?.aborted || false,
+        metadata: {
+          duration_ms: duration,
+          model: options.model || this.model
+        }
+      };
+    }
+  }
+
+  /**
+   * Set the active model
+   */
+  setModel(modelName) {
+    this.model = modelName;
+    logger.info(`Model changed to: ${modelName}`);
+  }
+
+  /**
+   * Get current configuration
+   */
+  getConfig() {
+    this._ensureInitialized();
+    return {
+      baseUrl: this.baseUrl,
+      model: this.model,
+      timeout: this.timeout
+    };
+  }
+}
+
+// Singleton instance
+const openaiCompatibleService = new OpenAICompatibleService();
+
+export default openaiCompatibleService;
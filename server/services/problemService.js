@@ -0,0 +1,322 @@
+/**
+ * Problem Bank Service
+ *
+ * CRUD over the DSA dataset. Every change is written to the dataset file and
+ * applied to the live FAISS/BM25 index, so new problems are searchable without
+ * re-running "npm run setup" or restarting the server.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import faissService from '../rag/faissService.js';
+import { createDocumentFilter } from '../rag/metadataFilter.js';
+import codeExecutionService from './codeExecutionService.js';
+import { APIError } from '../utils/errorHandler.js';
+import { DIFFICULTY_LEVELS } from '../utils/constants.js';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const STRING_FIELDS = ['title', 'problem', 'approach', 'complexity'];
+const STRING_LIST_FIELDS = ['tags', 'company_tags', 'hints'];
+const KNOWN_FIELDS = ['id', 'difficulty', 'tests', ...STRING_FIELDS, ...STRING_LIST_FIELDS];
+
+class ProblemService {
+  constructor() {
+    this._initialized = false;
+    this.problems = null;
+    // Mutations run one at a time so concurrent writes cannot interleave
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Lazy initialization - load config when first used
+   */
+  _ensureInitialized() {
+    if (!this._initialized) {
+      this.datasetPath = process.env.DATASET_PATH || path.join(__dirname, '../../data/dsa_problems.json');
+      this._initialized = true;
+    }
+  }
+
+  /**
+   * Get all problems from the dataset (cached after first read)
+   */
+  async getAll() {
+    this._ensureInitialized();
+
+    if (this.problems) {
+      return this.problems;
+    }
+
+    try {
+      const data = await fs.readFile(this.datasetPath, 'utf-8');
+      const problems = JSON.parse(data);
+      this.problems = Array.isArray(problems) ? problems : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read dataset: ${error.message}`);
+      }
+      this.problems = [];
+    }
+
+    return this.problems;
+  }
+
+  /**
+   * Get one problem by id
+   */
+  async get(id) {
+    const problems = await this.getAll();
+    return problems.find(p => String(p.id) === String(id)) || null;
+  }
+
+  /**
+   * All companies in the bank's company_tags, sorted
+   */
+  async listCompanies() {
+    const problems = await this.getAll();
+    return [...new Set(problems.flatMap(p => p.company_tags || []))].sort();
+  }
+
+  /**
+   * Company name as spelled in the bank (matched case-insensitively), or null
+   */
+  async findCompany(name) {
+    const wanted = String(name).toLowerCase();
+    return (await this.listCompanies()).find(company => company.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * List problems with metadata filters, text search and pagination
+   * Filters: { difficulty?, tags?, companies?, search?, page?, limit? }
+   */
+  async list(filters = {}) {
+    const problems = await this.getAll();
+    const matchesMetadata = createDocumentFilter(filters);
+    const search = filters.search ? filters.search.toLowerCase() : null;
+
+    const matching = problems.filter(p =>
+      (!matchesMetadata || matchesMetadata(p)) &&
+      (!search || `${p.title || ''}\n${p.problem || ''}`.toLowerCase().includes(search))
+    );
+
+    const limit = Math.min(filters.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const page = filters.page || 1;
+
+    return {
+      items: matching.slice((page - 1) * limit, page * limit),
+      pagination: {
+        page,
+        limit,
+        total: matching.length,
+        totalPages: Math.ceil(matching.length / limit)
+      }
+    };
+  }
+
+  /**
+   * Validate a problem payload
+   * Returns a list of error messages (empty when valid)
+   */
+  validate(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['Problem must be a JSON object'];
+    }
+
+    Object.keys(data)
+      .filter(key => !KNOWN_FIELDS.includes(key))
+      .forEach(key => errors.push(`Unknown field: ${key}`));
+
+    ['title', 'problem'].forEach(field => {
+      if (typeof data[field] !== 'string' || !data[field].trim()) {
+        errors.push(`${field} is required`);
+      }
+    });
+    STRING_FIELDS.forEach(field => {
+      if (data[field] !== undefined && typeof data[field] !== 'string') {
+        errors.push(`${field} must be a string`);
+      }
+    });
+    STRING_LIST_FIELDS.forEach(field => {
+      if (data[field] !== undefined &&
+        (!Array.isArray(data[field]) || data[field].some(value => typeof value !== 'string' || !value.trim()))) {
+        errors.push(`${field} must be an array of non-empty strings`);
+      }
+    });
+
+    const difficulties = Object.values(DIFFICULTY_LEVELS);
+    if (!difficulties.includes(data.difficulty)) {
+      errors.push(`difficulty must be one of: ${difficulties.join(', ')}`);
+    }
+
+    if (data.tests !== undefined) {
+      const suiteErrors = codeExecutionService.validateSuite(data.tests);
+      errors.push(...suiteErrors);
+
+      if (suiteErrors.length === 0) {
+        data.tests.cases.forEach((testCase, idx) => {
+          if (!testCase || !Array.isArray(testCase.input) || !('expected' in testCase)) {
+            errors.push(`tests.cases[${idx}] must have an input array and an expected value`);
+          } else if (testCase.input.length !== data.tests.params.length) {
+            errors.push(`tests.cases[${idx}].input must have ${data.tests.params.length} values`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Keep only known fields, trimmed, in the dataset's field order
+   */
+  _normalize(id, data) {
+    const problem = { id, title: data.title.trim(), difficulty: data.difficulty };
+
+    if (data.tags) problem.tags = data.tags.map(tag => tag.trim());
+    problem.problem = data.problem.trim();
+    if (data.approach !== undefined) problem.approach = data.approach.trim();
+    if (data.complexity !== undefined) problem.complexity = data.complexity.trim();
+    if (data.company_tags) problem.company_tags = data.company_tags.map(company => company.trim());
+    if (data.hints) problem.hints = data.hints.map(hint => hint.trim());
+    if (data.tests) problem.tests = data.tests;
+
+    return problem;
+  }
+
+  /**
+   * Add a new problem; the id is assigned by the server
+   */
+  create(data) {
+    return this._withLock(async () => {
+      this._assertValid(data);
+      const problems = await this.getAll();
+
+      if (this._hasDuplicateTitle(problems, data.title)) {
+        throw new APIError(`A problem titled "${data.title.trim()}" already exists`, 409);
+      }
+
+      const id = problems.reduce((max, p) => Math.max(max, Number(p.id) || 0), 0) + 1;
+      const problem = this._normalize(id, data);
+
+      await this._apply([...problems, problem], () => faissService.upsertDocument(problem));
+
+      logger.info(`Created problem ${id}: ${problem.title}`);
+      return problem;
+    });
+  }
+
+  /**
+   * Replace an existing problem
+   */
+  update(id, data) {
+    return this._withLock(async () => {
+      const problems = await this.getAll();
+      const position = problems.findIndex(p => String(p.id) === String(id));
+
+      if (position === -1) {
+        throw new APIError('Problem not found', 404);
+      }
+      if (data && data.id !== undefined && String(data.id) !== String(problems[position].id)) {
+        throw new APIError('Problem id cannot be changed', 400);
+      }
+
+      this._assertValid(data);
+
+      if (this._hasDuplicateTitle(problems, data.title, problems[position].id)) {
+        throw new APIError(`A problem titled "${data.title.trim()}" already exists`, 409);
+      }
+
+      const problem = this._normalize(problems[position].id, data);
+      const updated = problems.map((p, i) => (i === position ? problem : p));
+
+      await this._apply(updated, () => faissService.upsertDocument(problem));
+
+      logger.info(`Updated problem ${problem.id}: ${problem.title}`);
+      return problem;
+    });
+  }
+
+  /**
+   * Delete a problem
+   */
+  remove(id) {
+    return this._withLock(async () => {
+      const problems = await this.getAll();
+      const problem = problems.find(p => String(p.id) === String(id));
+
+      if (!problem) {
+        throw new APIError('Problem not found', 404);
+      }
+
+      await this._apply(problems.filter(p => p !== problem), () => faissService.removeDocument(problem.id));
+
+      logger.info(`Deleted problem ${problem.id}: ${problem.title}`);
+      return problem;
+    });
+  }
+
+  _assertValid(data) {
+    const errors = this.validate(data);
+    if (errors.length > 0) {
+      throw new APIError('Invalid problem', 400, errors);
+    }
+  }
+
+  _hasDuplicateTitle(problems, title, exceptId) {
+    const wanted = title.trim().toLowerCase();
+    return problems.some(p => p.id !== exceptId && (p.title || '').trim().toLowerCase() === wanted);
+  }
+
+  /**
+   * Write the new dataset, then update the live index
+   * If the index update fails the previous dataset file is restored
+   */
+  async _apply(problems, updateIndex) {
+    const previous = this.problems;
+
+    await this._writeDataset(problems);
+
+    try {
+      await updateIndex();
+    } catch (error) {
+      logger.error('Index update failed, restoring dataset:', error.message);
+      await this._writeDataset(previous);
+      throw new APIError(`Could not update the search index: ${error.message}`, 503);
+    }
+
+    this.problems = problems;
+  }
+
+  /**
+   * Write the dataset atomically (temp file + rename)
+   */
+  async _writeDataset(problems) {
+    const tempPath = `${this.datasetPath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(this.datasetPath), { recursive: true });
+    await fs.writeFile(tempPath, `${JSON.stringify(problems, null, 2)}\n`);
+    await fs.rename(tempPath, this.datasetPath);
+  }
+
+  /**
+   * Run a mutation after all previous ones have settled
+   */
+  _withLock(fn) {
+    const run = this._queue.then(fn);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+}
+
+const problemService = new ProblemService();
+
+export default problemService;
@@ -0,0 +1,188 @@
+import { describe, it, expect, jest, beforeEach, afterAll, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import '../test/offlineSetup.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codementor-problems-'));
+process.env.DATASET_PATH = path.join(dir, 'dsa_problems.json');
+
+const { default: problemService } = await import('./problemService.js');
+const { default: faissService } = await import('../rag/faissService.js');
+
+const BANK = JSON.parse(fs.readFileSync(path.join(__dirname, '../../data/dsa_problems.json'), 'utf-8'));
+
+const CONTAINS_DUPLICATE = {
+  title: '  Contains Duplicate ',
+  difficulty: 'Easy',
+  tags: [' array', 'hash-table'],
+  problem: 'Return true if any value appears at least twice in the array.',
+  tests: {
+    method: 'containsDuplicate',
+    params: ['int[]'],
+    returns: 'boolean',
+    cases: [{ input: [[1, 2, 3, 1]], expected: true }, { input: [[1, 2, 3]], expected: false }]
+  }
+};
+
+const readDataset = () => JSON.parse(fs.readFileSync(process.env.DATASET_PATH, 'utf-8'));
+
+describe('problemService', () => {
+  let upsert;
+  let remove;
+
+  beforeEach(() => {
+    fs.writeFileSync(process.env.DATASET_PATH, JSON.stringify(BANK));
+    problemService.problems = null;
+    upsert = jest.spyOn(faissService, 'upsertDocument').mockResolvedValue();
+    remove = jest.spyOn(faissService, 'removeDocument').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('validate', () => {
+    it('accepts a complete problem', () => {
+      expect(problemService.validate(CONTAINS_DUPLICATE)).toEqual([]);
+      expect(problemService.validate(BANK[0])).toEqual([]);
+    });
+
+    it('lists every problem with the payload', () => {
+      const errors = problemService.validate({ title: ' ', difficulty: 'Trivial', tags: ['array', ''], hints: 'use a set', rating: 5 });
+
+      expect(errors).toEqual([
+        'Unknown field: rating',
+        'title is required',
+        'problem is required',
+        'tags must be an array of non-empty strings',
+        'hints must be an array of non-empty strings',
+        'difficulty must be one of: Easy, Medium, Hard'
+      ]);
+      expect(problemService.validate([CONTAINS_DUPLICATE])).toEqual(['Problem must be a JSON object']);
+    });
+
+    it('checks the test suite and the arity of each case', () => {
+      const withTests = tests => problemService.validate({ ...CONTAINS_DUPLICATE, tests: { ...CONTAINS_DUPLICATE.tests, ...tests } });
+
+      expect(withTests({ method: '1st', params: ['Set<int>'], cases: [] })).toEqual([
+        'tests.method must be a valid method name',
+        'Unsupported parameter type: Set<int>',
+        'tests.cases must be a non-empty array'
+      ]);
+      expect(withTests({ cases: [{ input: [[1], 2], expected: true }, { input: [[1]] }] })).toEqual([
+        'tests.cases[0].input must have 1 values',
+        'tests.cases[1] must have an input array and an expected value'
+      ]);
+    });
+  });
+
+  describe('create', () => {
+    it('assigns the next id, normalizes the fields and indexes the problem', async () => {
+      const created = await problemService.create(CONTAINS_DUPLICATE);
+      const nextId = Math.max(...BANK.map(problem => problem.id)) + 1;
+
+      expect(created).toEqual({
+        id: nextId,
+        title: 'Contains Duplicate',
+        difficulty: 'Easy',
+        tags: ['array', 'hash-table'],
+        problem: CONTAINS_DUPLICATE.problem,
+        tests: CONTAINS_DUPLICATE.tests
+      });
+      expect(readDataset()).toHaveLength(BANK.length + 1);
+      expect(readDataset()[BANK.length]).toEqual(created);
+      expect(await problemService.get(nextId)).toEqual(created);
+      expect(upsert).toHaveBeenCalledWith(created);
+    });
+
+    it('refuses invalid payloads and duplicate titles without writing', async () => {
+      await expect(problemService.create({ ...CONTAINS_DUPLICATE, difficulty: 'easy' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Invalid problem', details: ['difficulty must be one of: Easy, Medium, Hard'] });
+      await expect(problemService.create({ ...CONTAINS_DUPLICATE, title: ` ${BANK[0].title.toUpperCase()}` }))
+        .rejects.toMatchObject({ statusCode: 409 });
+
+      expect(readDataset()).toEqual(BANK);
+      expect(upsert).not.toHaveBeenCalled();
+    });
+
+    it('gives concurrent creates distinct ids', async () => {
+      const [first, second] = await Promise.all([
+        problemService.create(CONTAINS_DUPLICATE),
+        problemService.create({ ...CONTAINS_DUPLICATE, title: 'Contains Duplicate II' })
+      ]);
+
+      expect(second.id).toBe(first.id + 1);
+      expect(readDataset().slice(-2).map(problem => problem.title)).toEqual(['Contains Duplicate', 'Contains Duplicate II']);
+    });
+  });
+
+  describe('update and remove', () => {
+    it('replaces a problem in place and keeps its id', async () => {
+      const { id, ...fields } = BANK[1];
+
+      const updated = await problemService.update(String(id), { ...fields, id, difficulty: 'Hard' });
+
+      expect(updated).toMatchObject({ id, difficulty: 'Hard' });
+      expect(readDataset()[1]).toEqual(updated);
+      expect(readDataset().map(problem => problem.id)).toEqual(BANK.map(problem => problem.id));
+    });
+
+    it('refuses unknown ids, id changes and titles taken by another problem', async () => {
+      const { id, ...fields } = BANK[1];
+
+      await expect(problemService.update(9999, fields)).rejects.toMatchObject({ statusCode: 404, message: 'Problem not found' });
+      await expect(problemService.update(id, { ...fields, id: id + 1 })).rejects.toMatchObject({ statusCode: 400, message: 'Problem id cannot be changed' });
+      await expect(problemService.update(id, { ...fields, title: BANK[0].title })).rejects.toMatchObject({ statusCode: 409 });
+      // Keeping its own title is not a duplicate
+      await expect(problemService.update(id, fields)).resolves.toMatchObject({ id, title: BANK[1].title });
+    });
+
+    it('removes a problem from the dataset and the index', async () => {
+      const removed = await problemService.remove(BANK[0].id);
+
+      expect(removed.title).toBe(BANK[0].title);
+      expect(readDataset().map(problem => problem.id)).not.toContain(BANK[0].id);
+      expect(remove).toHaveBeenCalledWith(BANK[0].id);
+      await expect(problemService.remove(BANK[0].id)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('when the index update fails', () => {
+    it('restores the dataset file and keeps serving the previous problems', async () => {
+      upsert.mockRejectedValue(new Error('embedding provider unavailable'));
+
+      await expect(problemService.create(CONTAINS_DUPLICATE)).rejects.toMatchObject({
+        statusCode: 503,
+        message: 'Could not update the search index: embedding provider unavailable'
+      });
+
+      expect(readDataset()).toEqual(BANK);
+      expect(await problemService.getAll()).toEqual(BANK);
+      expect(fs.readdirSync(dir)).toEqual(['dsa_problems.json']);
+    });
+
+    it('puts a removed problem back', async () => {
+      remove.mockRejectedValue(new Error('index is read-only'));
+
+      await expect(problemService.remove(BANK[0].id)).rejects.toMatchObject({ statusCode: 503 });
+
+      expect(readDataset()).toEqual(BANK);
+      expect(await problemService.get(BANK[0].id)).toEqual(BANK[0]);
+    });
+
+    it('accepts the next change once the index recovers', async () => {
+      upsert.mockRejectedValueOnce(new Error('timeout'));
+
+      await expect(problemService.create(CONTAINS_DUPLICATE)).rejects.toMatchObject({ statusCode: 503 });
+      const created = await problemService.create(CONTAINS_DUPLICATE);
+
+      expect(created.id).toBe(Math.max(...BANK.map(problem => problem.id)) + 1);
+      expect(readDataset()).toHaveLength(BANK.length + 1);
+    });
+  });
+});
@@ -0,0 +1,368 @@
+/**
+ * Progress Service
+ *
+ * Records every analyzed or evaluated problem with its DSA_CATEGORIES topics and
+ * turns a user's records into per-topic mastery, practice streaks and score trends.
+ * Topics come from the tags of the matching problem bank entry, else from a
+ * retrieved problem both retrievers ranked first, else from keywords in the text.
+ */
+
+import crypto from 'crypto';
+import problemService from './problemService.js';
+import storageService from './storageService.js';
+import { createDayKey, shiftDay } from '../utils/dayKeys.js';
+import { DSA_CATEGORIES, SCORING } from '../utils/constants.js';
+import logger from '../utils/logger.js';
+
+export const DEFAULT_TREND_DAYS = 30;
+
+// Mastery (0-100) needed for each level
+export const MASTERY_LEVELS = {
+  MASTERED: 80,
+  PROFICIENT: 60
+};
+
+// Mastery averages over at least this many problems, so one good answer does not master a topic
+const MASTERY_MIN_PROBLEMS = 3;
+// A retrieved problem this close to the top fused score is taken to be the same problem
+const SOURCE_MATCH_SCORE = 0.9;
+// Attempts compared for a topic's trend, and the change in average score that counts as one
+const TREND_WINDOW = 6;
+const TREND_MIN_ATTEMPTS = 4;
+const TREND_DELTA = 10;
+const RECENT_SCORES = 10;
+const RECENT_ACTIVITY = 10;
+const TITLE_LENGTH = 80;
+
+// Tag spellings (lowercase letters and digits) that name a category differently
+const TAG_ALIASES = {
+  hashtable: 'HashMap',
+  hashset: 'HashMap',
+  hashing: 'HashMap',
+  dp: 'DynamicProgramming',
+  memoization: 'DynamicProgramming',
+  fibonacci: 'DynamicProgramming',
+  bst: 'Tree',
+  binarytree: 'Tree',
+  binarysearchtree: 'Tree',
+  priorityqueue: 'Heap',
+  monotonicstack: 'Stack',
+  deque: 'Queue',
+  divideandconquer: 'Recursion',
+  matrix: 'Array',
+  prefixsum: 'Array',
+  topologicalsort: 'Graph',
+  shortestpath: 'Graph',
+  bitmask: 'BitManipulation',
+  numbertheory: 'Math',
+  geometry: 'Math'
+};
+
+// Traversal tags belong to Tree on tree problems and to Graph otherwise
+const TRAVERSAL_TAGS = new Set(['dfs', 'bfs', 'depthfirstsearch', 'breadthfirstsearch']);
+
+// Keywords for problems that match nothing in the bank, in DSA_CATEGORIES order
+const TEXT_TOPICS = [
+  ['Array', /\barrays?\b|\bmatrix\b|\bgrid\b/],
+  ['String', /\bstrings?\b|\bsubstrings?\b|\bpalindrom|\banagrams?\b/],
+  ['LinkedList', /\blinked list\b|\blistnode\b/],
+  ['Stack', /\bstack\b|\bparenthes[ie]s\b|\bbrackets\b/],
+  ['Queue', /\bqueue\b/],
+  ['Tree', /\bbinary (search )?tree\b|\btreenode\b|\bbst\b/],
+  ['Graph', /\bgraph\b|\bvertices\b|\bedges\b|\bshortest path\b/],
+  ['DynamicProgramming', /\bdynamic programming\b|\bnumber of (distinct )?ways\b|\bclimb/],
+  ['Greedy', /\bgreedy\b|\bintervals?\b/],
+  ['Backtracking', /\bbacktrack|\ball (possible )?(permutations|combinations|subsets)\b|\bn-queens\b/],
+  ['BinarySearch', /\bbinary search\b|\bsorted array\b|\blog ?n\)/],
+  ['TwoPointers', /\btwo pointers?\b/],
+  ['SlidingWindow', /\bsliding window\b|\bcontiguous (subarray|substring)\b/],
+  ['HashMap', /\bhash ?(map|table|set)\b/],
+  ['Heap', /\bheap\b|\bpriority queue\b|\bk(th)? (largest|smallest|most frequent)\b/],
+  ['Trie', /\btrie\b|\bprefix tree\b/],
+  ['UnionFind', /\bunion[- ]find\b|\bdisjoint set\b|\bconnected components\b/],
+  ['BitManipulation', /\bbitwise\b|\bxor\b|\bbits\b/],
+  ['Math', /\bprimes?\b|\bdigits?\b|\bfactorial\b|\bgcd\b/],
+  ['Recursion', /\brecursi/]
+];
+
+const CATEGORY_KEYS = new Map(DSA_CATEGORIES.map(category => [category.toLowerCase(), category]));
+
+function normalizeText(text) {
+  return text.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Map problem bank tags (e.g. "two-pointers", "dfs") to DSA_CATEGORIES topics
+ */
+export function tagsToTopics(tags = []) {
+  const topics = new Set();
+  let traversal = false;
+
+  for (const tag of tags) {
+    const key = String(tag).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const topic = CATEGORY_KEYS.get(key) || CATEGORY_KEYS.get(key.replace(/s$/, '')) || TAG_ALIASES[key];
+
+    if (topic) {
+      topics.add(topic);
+    } else if (TRAVERSAL_TAGS.has(key)) {
+      traversal = true;
+    }
+  }
+
+  if (traversal) {
+    topics.add(topics.has('Tree') ? 'Tree' : 'Graph');
+  }
+
+  return DSA_CATEGORIES.filter(category => topics.has(category));
+}
+
+/**
+ * Topics suggested by keywords in a problem statement
+ */
+export function textToTopics(text) {
+  const normalized = normalizeText(text);
+  return TEXT_TOPICS.filter(([, pattern]) => pattern.test(normalized)).map(([topic]) => topic);
+}
+
+/**
+ * Current and longest runs of consecutive active days
+ * A streak stays current until a full day passes without practice
+ */
+export function computeStreak(activeDays, today) {
+  let longest = 0;
+  let run = 0;
+
+  activeDays.forEach((day, i) => {
+    run = i > 0 && shiftDay(activeDays[i - 1], 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const lastActive = activeDays[activeDays.length - 1] || null;
+  const current = lastActive === today || lastActive === shiftDay(today, -1) ? run : 0;
+
+  return {
+    current,
+    longest,
+    activeToday: lastActive === today,
+    lastActiveDate: lastActive
+  };
+}
+
+/**
+ * Compare the later half of recent scores with the earlier half
+ */
+function scoreDirection(scores) {
+  if (scores.length < TREND_MIN_ATTEMPTS) {
+    return null;
+  }
+
+  const recent = scores.slice(-TREND_WINDOW);
+  const half = Math.floor(recent.length / 2);
+  const delta = average(recent.slice(half)) - average(recent.slice(0, half));
+
+  if (delta >= TREND_DELTA) {
+    return 'improving';
+  }
+  return delta <= -TREND_DELTA ? 'declining' : 'steady';
+}
+
+function masteryLevel(mastery, evaluated, analyzed) {
+  if (evaluated === 0) {
+    return analyzed > 0 ? 'exploring' : 'not_started';
+  }
+  if (mastery >= MASTERY_LEVELS.MASTERED) {
+    return 'mastered';
+  }
+  return mastery >= MASTERY_LEVELS.PROFICIENT ? 'proficient' : 'learning';
+}
+
+/**
+ * Evaluation score as a percentage of its maximum
+ */
+function scorePercent(event) {
+  return Math.round((event.score / (event.maxScore || SCORING.MAX_SCORE)) * 100);
+}
+
+/**
+ * Mastery of one topic: the latest score of each evaluated problem, averaged
+ */
+export function summarizeTopic(topic, events) {
+  const analyzed = new Set(events.filter(event => event.kind === 'analysis').map(event => event.problemKey));
+  const attempts = events.filter(event => event.kind === 'evaluation' && event.score !== null);
+  const scores = attempts.map(scorePercent);
+
+  // Events are oldest first, so later attempts replace earlier ones
+  const latest = new Map(attempts.map((event, i) => [event.problemKey, scores[i]]));
+  const latestScores = [...latest.values()];
+  const mastery = latest.size > 0
+    ? Math.round(latestScores.reduce((sum, score) => sum + score, 0) / Math.max(latest.size, MASTERY_MIN_PROBLEMS))
+    : 0;
+
+  return {
+    topic,
+    analyzed: analyzed.size,
+    evaluated: latest.size,
+    attempts: attempts.length,
+    averageScore: scores.length > 0 ? Math.round(average(scores)) : null,
+    latestAverage: latestScores.length > 0 ? Math.round(average(latestScores)) : null,
+    mastery,
+    level: masteryLevel(mastery, latest.size, analyzed.size),
+    trend: scoreDirection(scores),
+    recentScores: scores.slice(-RECENT_SCORES),
+    lastPracticed: events.length > 0 ? events[events.length - 1].createdAt : null
+  };
+}
+
+/**
+ * Why a practiced topic counts as weak, or null if it does not
+ */
+export function weakness(summary) {
+  if (summary.evaluated === 0) {
+    return null;
+  }
+  if (summary.latestAverage < MASTERY_LEVELS.PROFICIENT) {
+    return 'low_scores';
+  }
+  if (summary.trend === 'declining') {
+    return 'declining';
+  }
+  return summary.mastery < MASTERY_LEVELS.PROFICIENT ? 'few_problems' : null;
+}
+
+class ProgressService {
+  /**
+   * Identify a problem and its topics
+   * Returns { problemKey, problemId, title, topics }
+   */
+  async resolveProblem(problem, { problemId, sources } = {}) {
+    const problems = await problemService.getAll();
+    const text = normalizeText(problem);
+
+    let match = problemId !== undefined && problemId !== null
+      ? problems.find(p => String(p.id) === String(problemId))
+      : null;
+    if (!match) {
+      match = problems.find(p => p.problem && normalizeText(p.problem) === text) ||
+        problems
+          .filter(p => p.title && text.includes(p.title.toLowerCase()))
+          .sort((a, b) => b.title.length - a.title.length)[0];
+    }
+
+    if (match) {
+      return { problemKey: `problem:${match.id}`, problemId: match.id, title: match.title, topics: tagsToTopics(match.tags) };
+    }
+
+    const closest = sources?.[0];
+    const sourceTopics = closest?.score >= SOURCE_MATCH_SCORE ? tagsToTopics(closest.tags) : [];
+    const firstLine = problem.trim().split('\n')[0];
+
+    return {
+      problemKey: `text:${crypto.createHash('sha256').update(text).digest('hex').slice(0, 16)}`,
+      problemId: null,
+      title: firstLine.length > TITLE_LENGTH ? `${firstLine.slice(0, TITLE_LENGTH)}...` : firstLine,
+      topics: sourceTopics.length > 0 ? sourceTopics : textToTopics(problem)
+    };
+  }
+
+  /**
+   * Store a progress event; failures are logged so they never fail the request
+   */
+  async _record(kind, { userId, problem, problemId, sources, score, maxScore }) {
+    if (!storageService.isAvailable()) {
+      return null;
+    }
+
+    try {
+      const resolved = await this.resolveProblem(problem, { problemId, sources });
+      return storageService.saveProgressEvent({ userId, kind, ...resolved, score, maxScore });
+    } catch (error) {
+      logger.error(`Failed to record progress: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record an analyzed problem
+   */
+  recordAnalysis({ userId, problem, sources }) {
+    return this._record('analysis', { userId, problem, sources });
+  }
+
+  /**
+   * Record an evaluated solution and its score
+   */
+  recordEvaluation({ userId, problem, problemId, score, maxScore }) {
+    return this._record('evaluation', { userId, problem, problemId, score, maxScore });
+  }
+
+  /**
+   * Mastery per topic, weak topics, streaks and daily scores over the last `days`
+   * options: { days?, timezone? } - days are counted in the given IANA timezone
+   */
+  getProgress(userId, { days = DEFAULT_TREND_DAYS, timezone = 'UTC' } = {}) {
+    const dayKey = createDayKey(timezone);
+    const events = storageService.listProgressEvents({ userId });
+    const evaluations = events.filter(event => event.kind === 'evaluation' && event.score !== null);
+
+    const topics = DSA_CATEGORIES.map(topic => summarizeTopic(topic, events.filter(event => event.topics.includes(topic))));
+    const weakTopics = topics
+      .map(summary => ({ summary, reason: weakness(summary) }))
+      .filter(({ reason }) => reason)
+      .sort((a, b) => a.summary.mastery - b.summary.mastery)
+      .map(({ summary, reason }) => ({
+        topic: summary.topic,
+        mastery: summary.mastery,
+        averageScore: summary.averageScore,
+        reason
+      }));
+
+    const today = dayKey(new Date());
+    const activeDays = [...new Set(events.map(event => dayKey(event.createdAt)))].sort();
+
+    const firstDay = shiftDay(today, 1 - days);
+    const byDay = new Map();
+    evaluations.forEach(event => {
+      const day = dayKey(event.createdAt);
+      if (day >= firstDay) {
+        byDay.set(day, [...(byDay.get(day) || []), scorePercent(event)]);
+      }
+    });
+
+    return {
+      summary: {
+        problemsAnalyzed: new Set(events.filter(event => event.kind === 'analysis').map(event => event.problemKey)).size,
+        problemsEvaluated: new Set(evaluations.map(event => event.problemKey)).size,
+        evaluations: evaluations.length,
+        averageScore: evaluations.length > 0 ? Math.round(average(evaluations.map(scorePercent))) : null,
+        activeDays: activeDays.length
+      },
+      streak: computeStreak(activeDays, today),
+      topics,
+      weakTopics,
+      scoreTrend: [...byDay.entries()].map(([date, scores]) => ({
+        date,
+        evaluations: scores.length,
+        averageScore: Math.round(average(scores))
+      })),
+      recentActivity: events.slice(-RECENT_ACTIVITY).reverse().map(event => ({
+        kind: event.kind,
+        title: event.title,
+        problemId: event.problemId,
+        topics: event.topics,
+        score: event.score,
+        maxScore: event.maxScore,
+        createdAt: event.createdAt
+      })),
+      timezone,
+      days
+    };
+  }
+}
+
+const progressService = new ProgressService();
+
+export default progressService;
@@ -0,0 +1,154 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import '../test/offlineSetup.js';
+
+const { default: progressService, tagsToTopics, textToTopics, computeStreak, summarizeTopic, weakness } = await import('./progressService.js');
+const { default: storageService } = await import('./storageService.js');
+
+/**
+ * Evaluation event of a problem scored out of 10
+ */
+function evaluation(problemKey, score, createdAt = '2026-01-10T12:00:00.000Z') {
+  return { kind: 'evaluation', problemKey, score, maxScore: 10, createdAt };
+}
+
+describe('tagsToTopics', () => {
+  it('maps bank tags and their aliases to categories in category order', () => {
+    expect(tagsToTopics(['two-pointers', 'Hash Table', 'arrays', 'memoization'])).toEqual(['Array', 'DynamicProgramming', 'TwoPointers', 'HashMap']);
+    expect(tagsToTopics(['design', 'intervals'])).toEqual([]);
+    expect(tagsToTopics()).toEqual([]);
+  });
+
+  it('files traversals under Tree on tree problems and under Graph otherwise', () => {
+    expect(tagsToTopics(['tree', 'bfs'])).toEqual(['Tree']);
+    expect(tagsToTopics(['matrix', 'dfs'])).toEqual(['Array', 'Graph']);
+  });
+});
+
+describe('textToTopics', () => {
+  it('finds topics from keywords in the statement', () => {
+    expect(textToTopics('Given a  Binary Tree, return its level order traversal using a queue.')).toEqual(['Queue', 'Tree']);
+    expect(textToTopics('Find the longest palindromic substring')).toEqual(['String']);
+    expect(textToTopics('Print hello world')).toEqual([]);
+  });
+});
+
+describe('computeStreak', () => {
+  it('counts the current and longest runs of consecutive days', () => {
+    const days = ['2026-01-01', '2026-01-02', '2026-01-03', '2026-01-07', '2026-01-08'];
+
+    expect(computeStreak(days, '2026-01-08')).toEqual({ current: 2, longest: 3, activeToday: true, lastActiveDate: '2026-01-08' });
+  });
+
+  it('keeps the streak current until a whole day passes without practice', () => {
+    const days = ['2026-02-27', '2026-02-28', '2026-03-01'];
+
+    expect(computeStreak(days, '2026-03-02')).toMatchObject({ current: 3, activeToday: false });
+    expect(computeStreak(days, '2026-03-03')).toMatchObject({ current: 0, longest: 3 });
+  });
+
+  it('handles users without activity', () => {
+    expect(computeStreak([], '2026-01-08')).toEqual({ current: 0, longest: 0, activeToday: false, lastActiveDate: null });
+  });
+});
+
+describe('summarizeTopic', () => {
+  it('averages the latest score of each problem over at least three problems', () => {
+    const summary = summarizeTopic('Array', [evaluation('problem:1', 4), evaluation('problem:1', 9), evaluation('problem:2', 8)]);
+
+    expect(summary).toMatchObject({ evaluated: 2, attempts: 3, averageScore: 70, latestAverage: 85, mastery: 57, level: 'learning' });
+  });
+
+  it('reaches mastered once enough problems score well', () => {
+    const summary = summarizeTopic('Array', [evaluation('problem:1', 9), evaluation('problem:2', 8), evaluation('problem:3', 10)]);
+
+    expect(summary).toMatchObject({ mastery: 90, level: 'mastered' });
+  });
+
+  it('tells explored topics from untouched ones', () => {
+    const analysis = { kind: 'analysis', problemKey: 'text:abc', score: null, createdAt: '2026-01-10T12:00:00.000Z' };
+
+    expect(summarizeTopic('Graph', [analysis])).toMatchObject({ analyzed: 1, evaluated: 0, level: 'exploring', averageScore: null });
+    expect(summarizeTopic('Graph', [])).toMatchObject({ level: 'not_started', lastPracticed: null });
+  });
+
+  it('follows the score trend over recent attempts', () => {
+    const scores = key => [9, 9, 8, 5, 4, 4].map((score, i) => evaluation(`problem:${key}${i}`, score));
+
+    expect(summarizeTopic('Array', scores('a')).trend).toBe('declining');
+    expect(summarizeTopic('Array', scores('b').reverse()).trend).toBe('improving');
+    expect(summarizeTopic('Array', scores('c').slice(0, 3)).trend).toBeNull();
+  });
+});
+
+describe('weakness', () => {
+  it('gives the reason a practiced topic is weak', () => {
+    const summary = events => summarizeTopic('Array', events);
+
+    expect(weakness(summary([evaluation('problem:1', 5), evaluation('problem:2', 5)]))).toBe('low_scores');
+    expect(weakness(summary([9, 9, 9, 7, 6, 6].map((score, i) => evaluation(`problem:${i}`, score))))).toBe('declining');
+    expect(weakness(summary([evaluation('problem:1', 9)]))).toBe('few_problems');
+    expect(weakness(summary([evaluation('problem:1', 9), evaluation('problem:2', 8), evaluation('problem:3', 9)]))).toBeNull();
+    expect(weakness(summary([]))).toBeNull();
+  });
+});
+
+describe('progressService.getProgress across timezones', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  /**
+   * Store an evaluation of Two Sum at a given moment
+   */
+  function practiceAt(userId, iso) {
+    jest.setSystemTime(new Date(iso));
+    storageService.saveProgressEvent({
+      userId,
+      kind: 'evaluation',
+      problemKey: 'problem:1',
+      problemId: 1,
+      title: 'Two Sum',
+      topics: ['Array', 'HashMap'],
+      score: 8,
+      maxScore: 10
+    });
+  }
+
+  function user(username) {
+    return storageService.createUser(username, 'not-a-hash').id;
+  }
+
+  it('counts days in the user\'s timezone', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-10T00:00:00Z') });
+    const userId = user('streak-timezones');
+    // 17:00 on Jan 9 and 12:00 on Jan 10 in Los Angeles, both Jan 10 in UTC
+    practiceAt(userId, '2026-01-10T01:00:00Z');
+    practiceAt(userId, '2026-01-10T20:00:00Z');
+    jest.setSystemTime(new Date('2026-01-10T21:00:00Z'));
+
+    const utc = progressService.getProgress(userId);
+    const losAngeles = progressService.getProgress(userId, { timezone: 'America/Los_Angeles' });
+
+    expect(utc.streak).toEqual({ current: 1, longest: 1, activeToday: true, lastActiveDate: '2026-01-10' });
+    expect(losAngeles.streak).toEqual({ current: 2, longest: 2, activeToday: true, lastActiveDate: '2026-01-10' });
+    expect(losAngeles.summary.activeDays).toBe(2);
+    expect(losAngeles.scoreTrend.map(day => day.date)).toEqual(['2026-01-09', '2026-01-10']);
+  });
+
+  it('keeps a streak current while it is still the next day where the user is', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-10T00:00:00Z') });
+    const userId = user('streak-yesterday');
+    practiceAt(userId, '2026-01-09T20:00:00Z');
+    practiceAt(userId, '2026-01-10T20:00:00Z');
+    // Jan 12 in UTC, still Jan 11 in Los Angeles
+    jest.setSystemTime(new Date('2026-01-12T05:00:00Z'));
+
+    expect(progressService.getProgress(userId).streak).toMatchObject({ current: 0, longest: 2 });
+    expect(progressService.getProgress(userId, { timezone: 'America/Los_Angeles' }).streak)
+      .toMatchObject({ current: 2, activeToday: false, lastActiveDate: '2026-01-10' });
+  });
+
+  it('rejects unknown timezones', () => {
+    expect(() => progressService.getProgress(undefined, { timezone: 'Mars/Olympus_Mons' })).toThrow('Unknown timezone: Mars/Olympus_Mons');
+  });
+});
@@ -4,14 +4,37 @@
  * Contains all system prompts and prompt engineering templates
  */
 
-import { RESPONSE_FIELDS } from '../utils/constants.js';
+import {
+  RESPONSE_FIELDS,
+  LEGACY_CODE_FIELD,
+  SOLUTION_LANGUAGES,
+  DEFAULT_SOLUTION_LANGUAGE
+} from '../utils/constants.js';
 
 /**
- * Main System Prompt for DSA Analysis
+ * Version of the analysis prompts; bump it whenever they change so cached analyses are not reused
  */
-export const SYSTEM_PROMPT = `You are CodeMentor, an expert DSA (Data Structures and Algorithms) interview coach with extensive experience at top tech companies like Google, Amazon, Meta, and Microsoft.
+export const PROMPT_VERSION = 2;
 
-Your role is to analyze coding problems and provide comprehensive, interview-ready solutions. You MUST maintain a professional interviewer tone throughout.
+/**
+ * Shared parts of the analysis system prompts
+ */
+const ANALYSIS_ROLE = `You are CodeMentor, an expert DSA (Data Structures and Algorithms) interview coach with extensive experience at top tech companies like Google, Amazon, Meta, and Microsoft.
+
+Your role is to analyze coding problems and provide comprehensive, interview-ready solutions. You MUST maintain a professional interviewer tone throughout.`;
+
+const analysisRules = ({ name }) => `## RULES
+1. NEVER skip complexity analysis
+2. ALWAYS provide working ${name} code
+3. ALWAYS analyze edge cases thoroughly
+4. Maintain interviewer perspective
+5. Be precise with complexity analysis
+6. Use proper DSA terminology`;
+
+/**
+ * System prompt for DSA analysis as numbered markdown sections, with the solution in the given language
+ */
+const buildSystemPrompt = ({ name, fences, comment }) => `${ANALYSIS_ROLE}
 
 ## MANDATORY OUTPUT FORMAT
 
@@ -54,12 +77,12 @@ List as bullet points:
 - Large inputs
 - Boundary conditions
 
-### 7. JAVA IMPLEMENTATION
-\`\`\`java
-// Provide clean, production-ready Java code
-// Include meaningful variable names
-// Add inline comments for complex logic
-// Handle edge cases
+### 7. ${name.toUpperCase()} IMPLEMENTATION
+\`\`\`${fences[0]}
+${comment} Provide clean, production-ready ${name} code
+${comment} Include meaningful variable names
+${comment} Add inline comments for complex logic
+${comment} Handle edge cases
 \`\`\`
 
 ### 8. DRY RUN EXAMPLE
@@ -86,13 +109,54 @@ List 2-3 related problems:
 - Harder versions
 - Real-world applications
 
-## RULES
-1. NEVER skip complexity analysis
-2. ALWAYS provide working Java code
-3. ALWAYS analyze edge cases thoroughly
-4. Maintain interviewer perspective
-5. Be precise with complexity analysis
-6. Use proper DSA terminology`;
+${analysisRules({ name })}`;
+
+/**
+ * System prompt for DSA analysis as JSON (structured output)
+ * Keys mirror the numbered markdown sections
+ */
+const buildStructuredSystemPrompt = ({ name }) => `${ANALYSIS_ROLE}
+
+## MANDATORY OUTPUT FORMAT
+
+Respond with ONLY a JSON object - no markdown headers and no text before or after it.
+Every key is required and no value may be empty:
+
+{
+  "understanding": "Restate the problem, input/output types, implicit constraints and key observations",
+  "brute_force": "The naive solution, the thought process behind it and its inefficiencies",
+  "optimized": "The optimal strategy, the key insight, the algorithm step by step and why it beats brute force",
+  "time_complexity": "Big-O time with an explanation of each contributing operation",
+  "space_complexity": "Big-O auxiliary space, including the recursion stack if applicable",
+  "edge_cases": ["One edge case per item: empty input, single element, duplicates, boundaries, ..."],
+  "code": "Clean, production-ready ${name} code with meaningful names and comments for complex logic",
+  "dry_run": "A walk through the algorithm on a sample input, showing state changes step by step",
+  "follow_up_questions": ["3-5 questions an interviewer might ask next"],
+  "common_mistakes": ["Pitfalls candidates often make"],
+  "variations": ["2-3 related problems: similar patterns, harder versions"]
+}
+
+Text values may use markdown bullet lists. Escape newlines and quotes as JSON requires.
+
+${analysisRules({ name })}`;
+
+/**
+ * Main System Prompt for DSA Analysis (Java solutions)
+ */
+export const SYSTEM_PROMPT = buildSystemPrompt(SOLUTION_LANGUAGES.java);
+
+/**
+ * System Prompt for DSA Analysis as JSON (Java solutions)
+ */
+export const STRUCTURED_SYSTEM_PROMPT = buildStructuredSystemPrompt(SOLUTION_LANGUAGES.java);
+
+/**
+ * Analysis system prompt for a solution language (a SOLUTION_LANGUAGES key)
+ */
+export function getAnalysisSystemPrompt({ structured = false, language = DEFAULT_SOLUTION_LANGUAGE } = {}) {
+  const spec = SOLUTION_LANGUAGES[language] || SOLUTION_LANGUAGES[DEFAULT_SOLUTION_LANGUAGE];
+  return structured ? buildStructuredSystemPrompt(spec) : buildSystemPrompt(spec);
+}
 
 /**
  * System Prompt for Interview Mode (Guided Learning)
@@ -165,9 +229,10 @@ Now analyze the user's problem using the above context where relevant:
 
 /**
  * Generate analysis prompt with RAG context
+ * Pass { structured: true } to ask for the JSON format and { language } for the solution language
  */
-export function generateAnalysisPrompt(problem, context = '') {
-  let prompt = SYSTEM_PROMPT;
+export function generateAnalysisPrompt(problem, context = '', { structured = false, language = DEFAULT_SOLUTION_LANGUAGE } = {}) {
+  let prompt = getAnalysisSystemPrompt({ structured, language });
   
   if (context) {
     prompt += '\n\n' + RAG_CONTEXT_TEMPLATE.replace('{{CONTEXT}}', context);
@@ -178,6 +243,16 @@ export function generateAnalysisPrompt(problem, context = '') {
   return prompt;
 }
 
+/**
+ * Follow-up message asking the model to fix a JSON analysis that failed validation
+ */
+export function generateAnalysisRepairPrompt(errors) {
+  return `Your previous response did not match the required JSON format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with ONLY the corrected JSON object containing every required key.`;
+}
+
 /**
  * Generate interview mode prompt with context
  */
@@ -192,6 +267,7 @@ export function generateInterviewPrompt(problem, context = '', phase = 'initial'
     initial: '\n\nThis is the INITIAL interaction. Acknowledge the problem and ask clarifying questions.',
     understanding: '\n\nThe candidate is working on understanding. Ask probing questions.',
     approach: '\n\nGuide them toward an approach with progressive hints.',
+    optimization: '\n\nThe candidate has an approach. Probe its complexity and hint at bottlenecks without giving the optimal solution.',
     reveal: '\n\nTime to reveal the solution. Now provide the full comprehensive analysis.'
   };
   
@@ -201,12 +277,48 @@ export function generateInterviewPrompt(problem, context = '', phase = 'initial'
   return prompt;
 }
 
+/**
+ * Phase assessment appended to follow-up interview turns
+ */
+export const INTERVIEW_ASSESSMENT_PROMPT = `
+## PHASE ASSESSMENT (REQUIRED)
+After replying to the candidate, judge whether their LATEST answer shows they have completed the current phase.
+End your response with exactly one of these lines:
+PHASE_DECISION: ADVANCE - their answer covers this phase well enough to move on
+PHASE_DECISION: STAY - they need more guidance in this phase
+PHASE_DECISION: REVEAL - they asked for the solution or are completely stuck`;
+
+/**
+ * Generate system prompt for a follow-up turn in an interview conversation
+ */
+export function generateInterviewFollowUpPrompt(problem, context = '', phase = 'understanding') {
+  return generateInterviewPrompt(problem, context, phase) +
+    '\n\nThe conversation so far follows. Respond to the candidate\'s latest message: react to what they actually said, confirm correct reasoning, point out gaps and ask the next question.' +
+    '\n' + INTERVIEW_ASSESSMENT_PROMPT;
+}
+
+/**
+ * Split an interviewer reply into the visible text and the phase decision
+ */
+export function parseInterviewReply(llmResponse) {
+  const decisionMatch = llmResponse.match(/PHASE[_\s]DECISION\s*:\s*\**\s*(ADVANCE|STAY|REVEAL)/i);
+  
+  const reply = llmResponse
+    .replace(/^.*PHASE[_\s]DECISION\s*:.*$/gim, '')
+    .trim();
+  
+  return {
+    reply,
+    decision: decisionMatch ? decisionMatch[1].toLowerCase() : null
+  };
+}
+
 /**
  * Code Evaluation System Prompt
  */
 export const CODE_EVALUATION_PROMPT = `You are a code reviewer evaluating a candidate's solution to a DSA problem.
 
-Analyze the provided Java code and return a structured evaluation.
+Analyze the provided code and return a structured evaluation.
 
 ## EVALUATION CRITERIA
 
@@ -257,25 +369,62 @@ Return your evaluation as JSON:
 
 /**
  * Generate code evaluation prompt
+ * The code is fenced with the tag of its solution language (Java for unknown languages)
  */
-export function generateEvaluationPrompt(problem, code) {
+export function generateEvaluationPrompt(problem, code, execution = null, language = DEFAULT_SOLUTION_LANGUAGE) {
+  const [fence] = (SOLUTION_LANGUAGES[language] || SOLUTION_LANGUAGES[DEFAULT_SOLUTION_LANGUAGE]).fences;
+  let executionSection = '';
+  
+  if (execution) {
+    const summary = execution.compileError
+      ? `Compilation FAILED:\n${execution.compileError}`
+      : `Passed ${execution.passed}/${execution.total} test cases (verdict: ${execution.verdict}, runtime: ${execution.runtime_ms}ms)`;
+    
+    executionSection = `
+
+## TEST EXECUTION RESULTS
+The code was compiled and run against the problem's test cases:
+${summary}
+
+Base your correctness feedback on these results rather than on your own reading of the code.`;
+  }
+  
   return `${CODE_EVALUATION_PROMPT}
 
 ## PROBLEM STATEMENT
 ${problem}
 
 ## CANDIDATE'S CODE
-\`\`\`java
+\`\`\`${fence}
 ${code}
-\`\`\`
+\`\`\`${executionSection}
 
 ## YOUR EVALUATION`;
 }
 
+/**
+ * Solution code from a markdown analysis: a fence tagged with the requested language,
+ * otherwise the first fence in the implementation section
+ */
+function extractCode(llmResponse, language) {
+  const { fences } = SOLUTION_LANGUAGES[language] || SOLUTION_LANGUAGES[DEFAULT_SOLUTION_LANGUAGE];
+  
+  for (const match of llmResponse.matchAll(/```([\w+#-]*)[^\n]*\n([\s\S]*?)```/g)) {
+    if (fences.includes(match[1].toLowerCase())) {
+      return match[2].trim();
+    }
+  }
+  
+  const implementation = llmResponse.match(/### 7\.[^\n]*\n([\s\S]*?)(?=### 8\.|$)/i);
+  const block = implementation?.[1].match(/```[^\n]*\n([\s\S]*?)```/);
+  return block ? block[1].trim() : '';
+}
+
 /**
  * Response parser to extract structured data
+ * code holds the source text; finalizeCodeSection turns it into { language, source }
  */
-export function parseStructuredResponse(llmResponse) {
+export function parseStructuredResponse(llmResponse, language = DEFAULT_SOLUTION_LANGUAGE) {
   const sections = {
     understanding: '',
     brute_force: '',
@@ -283,7 +432,7 @@ export function parseStructuredResponse(llmResponse) {
     time_complexity: '',
     space_complexity: '',
     edge_cases: [],
-    java_code: '',
+    code: '',
     dry_run: '',
     follow_up_questions: [],
     common_mistakes: [],
@@ -318,9 +467,8 @@ export function parseStructuredResponse(llmResponse) {
       sections.edge_cases = lines.map(l => l.replace(/^[-•*\d.]+\s*/, '').trim()).filter(l => l.length > 0);
     }
     
-    // Extract Java Code
-    const codeMatch = llmResponse.match(/```java\s*([\s\S]*?)```/);
-    if (codeMatch) sections.java_code = codeMatch[1].trim();
+    // Extract the solution code
+    sections.code = extractCode(llmResponse, language);
     
     // Extract Dry Run
     const dryRunMatch = llmResponse.match(/### 8\. DRY RUN EXAMPLE\s*([\s\S]*?)(?=### 9\.|$)/i);
@@ -364,6 +512,76 @@ export function parseStructuredResponse(llmResponse) {
   return sections;
 }
 
+/**
+ * Replace the code text of parsed sections with { language, source }, adding java_code
+ * (empty for other languages) for older clients
+ */
+export function finalizeCodeSection(sections, language = DEFAULT_SOLUTION_LANGUAGE) {
+  const source = typeof sections.code === 'string' ? sections.code : sections.code?.source || '';
+  
+  return {
+    ...sections,
+    [RESPONSE_FIELDS.CODE]: { language, source },
+    [LEGACY_CODE_FIELD]: language === 'java' ? source : ''
+  };
+}
+
+/**
+ * Response fields in the order their numbered sections appear in SYSTEM_PROMPT
+ */
+const SECTION_ORDER = [
+  RESPONSE_FIELDS.UNDERSTANDING,
+  RESPONSE_FIELDS.BRUTE_FORCE,
+  RESPONSE_FIELDS.OPTIMIZED,
+  RESPONSE_FIELDS.TIME_COMPLEXITY,
+  RESPONSE_FIELDS.SPACE_COMPLEXITY,
+  RESPONSE_FIELDS.EDGE_CASES,
+  RESPONSE_FIELDS.CODE,
+  RESPONSE_FIELDS.DRY_RUN,
+  RESPONSE_FIELDS.FOLLOW_UP_QUESTIONS,
+  RESPONSE_FIELDS.COMMON_MISTAKES,
+  RESPONSE_FIELDS.VARIATIONS
+];
+
+/**
+ * Incremental parser for streamed analyses
+ * A section counts as complete once the next numbered header has started;
+ * onSection(field, value) is called once per completed, non-empty section
+ */
+export function createSectionStreamParser(onSection, language = DEFAULT_SOLUTION_LANGUAGE) {
+  const emitted = new Set();
+  let highestHeader = 0;
+  
+  const emit = (llmResponse, upTo) => {
+    const sections = parseStructuredResponse(llmResponse, language);
+    SECTION_ORDER.slice(0, upTo).forEach(field => {
+      const value = sections[field];
+      const hasValue = Array.isArray(value) ? value.length > 0 : Boolean(value);
+      if (hasValue && !emitted.has(field)) {
+        emitted.add(field);
+        onSection(field, value);
+      }
+    });
+  };
+  
+  return {
+    push(llmResponse) {
+      // Only count header lines that have been fully received
+      const headers = [...llmResponse.matchAll(/^#{2,4}\s*(\d+)\.[^\n]*\n/gm)].map(m => parseInt(m[1]));
+      const highest = headers.length > 0 ? Math.max(...headers) : 0;
+      
+      if (highest > highestHeader) {
+        highestHeader = highest;
+        emit(llmResponse, highest - 1);
+      }
+    },
+    
+    flush(llmResponse) {
+      emit(llmResponse, SECTION_ORDER.length);
+    }
+  };
+}
+
 /**
  * Parse evaluation JSON response
  */
@@ -0,0 +1,106 @@
+/**
+ * Request Queue
+ *
+ * Runs async jobs with a concurrency limit. Waiting jobs are ordered by
+ * priority (lower numbers run first), then by arrival. A job whose AbortSignal
+ * fires while it waits leaves the queue without running.
+ */
+
+/**
+ * Error raised for jobs that never ran; code is 'ABORTED' or 'QUEUE_FULL'
+ */
+function queueError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+export class RequestQueue {
+  constructor({ concurrency = 1, maxWaiting = 50 } = {}) {
+    this.concurrency = concurrency;
+    this.maxWaiting = maxWaiting;
+    this.active = 0;
+    this.waiting = [];
+    this.stats = { completed: 0, cancelled: 0, rejected: 0 };
+  }
+
+  /**
+   * Run job() once a slot is free
+   * onPosition(position) reports the place in line (1 = next) and 0 when the job starts
+   */
+  run(job, { priority = 0, signal = null, onPosition = null } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(queueError('Request cancelled', 'ABORTED'));
+    }
+
+    if (this.active < this.concurrency && this.waiting.length === 0) {
+      return this._start(job);
+    }
+
+    if (this.waiting.length >= this.maxWaiting) {
+      this.stats.rejected++;
+      return Promise.reject(queueError(`Request queue is full (${this.maxWaiting} waiting)`, 'QUEUE_FULL'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { job, priority, signal, onPosition, resolve, reject, position: null };
+
+      entry.onAbort = () => {
+        this.waiting.splice(this.waiting.indexOf(entry), 1);
+        this.stats.cancelled++;
+        reject(queueError('Request cancelled while queued', 'ABORTED'));
+        this._reportPositions();
+      };
+      signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+      // Behind every job of the same or a more urgent priority
+      const index = this.waiting.findIndex(other => other.priority > priority);
+      this.waiting.splice(index === -1 ? this.waiting.length : index, 0, entry);
+      this._reportPositions();
+    });
+  }
+
+  async _start(job) {
+    this.active++;
+    try {
+      return await job();
+    } finally {
+      this.active--;
+      this.stats.completed++;
+      this._next();
+    }
+  }
+
+  _next() {
+    while (this.active < this.concurrency && this.waiting.length > 0) {
+      const entry = this.waiting.shift();
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+      entry.onPosition?.(0);
+      this._start(entry.job).then(entry.resolve, entry.reject);
+    }
+    this._reportPositions();
+  }
+
+  /**
+   * Tell waiting jobs whose place in line changed
+   */
+  _reportPositions() {
+    this.waiting.forEach((entry, index) => {
+      if (entry.position !== index + 1) {
+        entry.position = index + 1;
+        entry.onPosition?.(entry.position);
+      }
+    });
+  }
+
+  /**
+   * Current load and counters
+   */
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      active: this.active,
+      waiting: this.waiting.length,
+      maxWaiting: this.maxWaiting,
+      ...this.stats
+    };
+  }
+}
@@ -0,0 +1,110 @@
+import { describe, it, expect } from '@jest/globals';
+import { RequestQueue } from './requestQueue.js';
+
+/**
+ * A job that runs until release() is called, recording when it started
+ */
+function deferredJob(name, started) {
+  let release;
+  const done = new Promise(resolve => {
+    release = resolve;
+  });
+  const job = () => {
+    started.push(name);
+    return done.then(() => name);
+  };
+  return { job, release: () => release() };
+}
+
+describe('RequestQueue', () => {
+  it('runs jobs straight away while a slot is free', async () => {
+    const queue = new RequestQueue({ concurrency: 2 });
+
+    const results = await Promise.all([queue.run(async () => 'a'), queue.run(async () => 'b')]);
+
+    expect(results).toEqual(['a', 'b']);
+    expect(queue.getStats()).toMatchObject({ active: 0, waiting: 0, completed: 2 });
+  });
+
+  it('starts waiting jobs by priority, then by arrival', async () => {
+    const queue = new RequestQueue({ concurrency: 1 });
+    const started = [];
+    const blocker = deferredJob('blocker', started);
+
+    const running = queue.run(blocker.job);
+    const queued = [
+      queue.run(async () => started.push('low'), { priority: 2 }),
+      queue.run(async () => started.push('normal-1'), { priority: 1 }),
+      queue.run(async () => started.push('high'), { priority: 0 }),
+      queue.run(async () => started.push('normal-2'), { priority: 1 })
+    ];
+    blocker.release();
+    await Promise.all([running, ...queued]);
+
+    expect(started).toEqual(['blocker', 'high', 'normal-1', 'normal-2', 'low']);
+  });
+
+  it('drops a job whose signal aborts while it waits', async () => {
+    const queue = new RequestQueue({ concurrency: 1 });
+    const started = [];
+    const blocker = deferredJob('blocker', started);
+    const controller = new AbortController();
+
+    const running = queue.run(blocker.job);
+    const cancelled = queue.run(async () => started.push('cancelled'), { signal: controller.signal });
+    const next = queue.run(async () => started.push('next'));
+    controller.abort();
+
+    await expect(cancelled).rejects.toMatchObject({ code: 'ABORTED' });
+    expect(queue.getStats()).toMatchObject({ waiting: 1, cancelled: 1 });
+
+    blocker.release();
+    await Promise.all([running, next]);
+
+    expect(started).toEqual(['blocker', 'next']);
+  });
+
+  it('rejects jobs whose signal has already aborted', async () => {
+    const queue = new RequestQueue();
+
+    await expect(queue.run(async () => 'never', { signal: AbortSignal.abort() })).rejects.toMatchObject({ code: 'ABORTED' });
+  });
+
+  it('rejects jobs once the waiting list is full', async () => {
+    const queue = new RequestQueue({ concurrency: 1, maxWaiting: 1 });
+    const blocker = deferredJob('blocker', []);
+
+    const running = queue.run(blocker.job);
+    const waiting = queue.run(async () => 'waiting');
+
+    await expect(queue.run(async () => 'overflow')).rejects.toMatchObject({ code: 'QUEUE_FULL' });
+    expect(queue.getStats().rejected).toBe(1);
+
+    blocker.release();
+    await Promise.all([running, waiting]);
+  });
+
+  it('reports queue positions as they change and 0 when the job starts', async () => {
+    const queue = new RequestQueue({ concurrency: 1 });
+    const blocker = deferredJob('blocker', []);
+    const controller = new AbortController();
+    const positions = [];
+
+    const running = queue.run(blocker.job);
+    const ahead = queue.run(async () => 'ahead', { signal: controller.signal });
+    const tracked = queue.run(async () => 'tracked', { onPosition: position => positions.push(position) });
+    const urgent = queue.run(async () => 'urgent', { priority: -1 });
+
+    expect(positions).toEqual([2, 3]);
+
+    controller.abort();
+    await expect(ahead).rejects.toMatchObject({ code: 'ABORTED' });
+
+    expect(positions).toEqual([2, 3, 2]);
+
+    blocker.release();
+    await Promise.all([running, tracked, urgent]);
+
+    expect(positions).toEqual([2, 3, 2, 1, 0]);
+  });
+});
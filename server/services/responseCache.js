@@ -0,0 +1,96 @@
+/**
+ * Response Cache
+ *
+ * Bounded in-memory LRU of finished analyses with a time-to-live, so repeated
+ * requests for the same problem skip retrieval and generation. Keys hash the
+ * normalized problem text together with everything that changes the answer
+ * (mode, model, prompt version, retrieval options).
+ */
+
+import crypto from 'crypto';
+
+export class ResponseCache {
+  constructor({ maxEntries = 200, ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, expired: 0, evictions: 0 };
+  }
+
+  /**
+   * Problem text with case and whitespace differences removed
+   */
+  static normalizeProblem(problem) {
+    return problem.trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Cache key for a problem analyzed under the given settings
+   */
+  static key(problem, settings = {}) {
+    return crypto.createHash('sha256')
+      .update(`${ResponseCache.normalizeProblem(problem)}\u0000${JSON.stringify(settings)}`)
+      .digest('hex');
+  }
+
+  /**
+   * Look up a response; returns { value, cachedAt } or undefined on a miss or expired entry
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    if (Date.now() - entry.cachedAt > this.ttlMs) {
+      this.stats.expired++;
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    // Callers get their own copy so they cannot change the cached response
+    return { value: structuredClone(entry.value), cachedAt: entry.cachedAt };
+  }
+
+  /**
+   * Store a response, evicting the least recently used ones past maxEntries
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), cachedAt: Date.now() });
+
+    // Map iteration order is insertion order, so the first key is the least recently used
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Hit/miss counters and sizes
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs
+    };
+  }
+}
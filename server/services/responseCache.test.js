@@ -0,0 +1,78 @@
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { ResponseCache } from './responseCache.js';
+
+describe('ResponseCache', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('keys problems by normalized text and settings', () => {
+    const key = ResponseCache.key('Two  Sum\n', { mode: 'quick' });
+
+    expect(ResponseCache.key('two sum', { mode: 'quick' })).toBe(key);
+    expect(ResponseCache.key('two sum', { mode: 'detailed' })).not.toBe(key);
+  });
+
+  it('returns copies that cannot change the cached value', () => {
+    const cache = new ResponseCache();
+    cache.set('a', { sections: ['understanding'] });
+
+    cache.get('a').value.sections.push('changed');
+
+    expect(cache.get('a')).toEqual({ value: { sections: ['understanding'] }, cachedAt: Date.now() });
+  });
+
+  it('evicts the least recently used entry past maxEntries', () => {
+    const cache = new ResponseCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('a').value).toBe(1);
+    expect(cache.get('c').value).toBe(3);
+    expect(cache.getStats()).toMatchObject({ size: 2, evictions: 1 });
+  });
+
+  it('expires entries once they are older than the TTL', () => {
+    const cache = new ResponseCache({ ttlMs: 1000 });
+    cache.set('a', 1);
+
+    jest.advanceTimersByTime(1000);
+    expect(cache.get('a').value).toBe(1);
+
+    jest.advanceTimersByTime(1);
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.getStats()).toMatchObject({ size: 0, expired: 1, hits: 1, misses: 1, hitRate: 0.5 });
+  });
+
+  it('restarts the TTL when an entry is stored again', () => {
+    const cache = new ResponseCache({ ttlMs: 1000 });
+    cache.set('a', 1);
+
+    jest.advanceTimersByTime(800);
+    cache.set('a', 2);
+    jest.advanceTimersByTime(800);
+
+    expect(cache.get('a').value).toBe(2);
+  });
+
+  it('does not let an expired entry count towards eviction order', () => {
+    const cache = new ResponseCache({ maxEntries: 2, ttlMs: 1000 });
+    cache.set('old', 1);
+    jest.advanceTimersByTime(1500);
+    cache.set('b', 2);
+
+    expect(cache.get('old')).toBeUndefined();
+    cache.set('c', 3);
+
+    expect(cache.get('b').value).toBe(2);
+    expect(cache.get('c').value).toBe(3);
+    expect(cache.getStats().evictions).toBe(0);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Review Scheduler
+ *
+ * SM-2 spaced repetition over stored evaluations. Every evaluated problem from the
+ * problem bank is a card. The first evaluation of a problem on a given day counts as
+ * that day's review and is graded 0-5 from its score. Passing grades push the next
+ * review out by the ease factor; failing grades start the problem over the next day.
+ */
+
+import problemService from './problemService.js';
+import progressService from './progressService.js';
+import storageService from './storageService.js';
+import { createDayKey, shiftDay, daysBetween } from '../utils/dayKeys.js';
+import { SCORING } from '../utils/constants.js';
+
+export const SM2 = {
+  INITIAL_EASE: 2.5,
+  MIN_EASE: 1.3,
+  PASSING_GRADE: 3,
+  // Days until the first and second review after a pass
+  FIRST_INTERVAL: 1,
+  SECOND_INTERVAL: 6
+};
+
+const MAX_GRADE = 5;
+const UPCOMING_LIMIT = 5;
+
+/**
+ * SM-2 grade (0-5) for an evaluation score
+ */
+export function gradeScore(score, maxScore = SCORING.MAX_SCORE) {
+  return Math.round(Math.min(1, Math.max(0, score / maxScore)) * MAX_GRADE);
+}
+
+/**
+ * Card state after one review: { repetitions, interval, ease }
+ * A failed review restarts the intervals but keeps the ease factor, as in the original SM-2
+ */
+export function applyReview(card, grade) {
+  if (grade < SM2.PASSING_GRADE) {
+    return { repetitions: 0, interval: SM2.FIRST_INTERVAL, ease: card.ease };
+  }
+
+  let interval;
+  if (card.repetitions === 0) {
+    interval = SM2.FIRST_INTERVAL;
+  } else if (card.repetitions === 1) {
+    interval = SM2.SECOND_INTERVAL;
+  } else {
+    interval = Math.round(card.interval * card.ease);
+  }
+
+  const miss = MAX_GRADE - grade;
+  const ease = Math.max(SM2.MIN_EASE, card.ease + 0.1 - miss * (0.08 + miss * 0.02));
+
+  return { repetitions: card.repetitions + 1, interval, ease: Math.round(ease * 100) / 100 };
+}
+
+class ReviewScheduler {
+  /**
+   * Review history per problem bank id; evaluations stored without an id are matched by text
+   * Returns Map<problemId, [{ day, score, maxScore }]> with one review per day, oldest first
+   */
+  async _collectReviews(userId, dayKey) {
+    const evaluations = storageService.listEvaluationScores({ userId });
+    const resolved = new Map();
+    const reviews = new Map();
+
+    for (const evaluation of evaluations) {
+      if (evaluation.score === null) {
+        continue;
+      }
+
+      let problemId = evaluation.problemId;
+      if (problemId === null) {
+        if (!resolved.has(evaluation.problem)) {
+          resolved.set(evaluation.problem, (await progressService.resolveProblem(evaluation.problem)).problemId);
+        }
+        problemId = resolved.get(evaluation.problem);
+      }
+      if (problemId === null) {
+        continue;
+      }
+
+      const day = dayKey(evaluation.createdAt);
+      const history = reviews.get(problemId) || [];
+      // Retries later the same day come after seeing feedback, so only the first attempt counts
+      if (history[history.length - 1]?.day !== day) {
+        history.push({ day, score: evaluation.score, maxScore: evaluation.maxScore || SCORING.MAX_SCORE });
+      }
+      reviews.set(problemId, history);
+    }
+
+    return reviews;
+  }
+
+  /**
+   * Current SM-2 card of every evaluated problem still in the bank
+   */
+  async getSchedule(userId, { timezone = 'UTC' } = {}) {
+    const dayKey = createDayKey(timezone);
+    const reviews = await this._collectReviews(userId, dayKey);
+    const today = dayKey(new Date());
+    const cards = [];
+
+    for (const [problemId, history] of reviews) {
+      const problem = await problemService.get(problemId);
+      if (!problem) {
+        continue;
+      }
+
+      const card = history.reduce(
+        (state, review) => applyReview(state, gradeScore(review.score, review.maxScore)),
+        { repetitions: 0, interval: 0, ease: SM2.INITIAL_EASE }
+      );
+      const last = history[history.length - 1];
+      const dueDate = shiftDay(last.day, card.interval);
+
+      cards.push({
+        problemId: problem.id,
+        title: problem.title,
+        difficulty: problem.difficulty,
+        tags: problem.tags || [],
+        problem: problem.problem,
+        dueDate,
+        overdueDays: Math.max(0, daysBetween(dueDate, today)),
+        intervalDays: card.interval,
+        repetitions: card.repetitions,
+        easeFactor: card.ease,
+        reviews: history.length,
+        lastReviewed: last.day,
+        lastScore: last.score,
+        maxScore: last.maxScore
+      });
+    }
+
+    return { today, cards };
+  }
+
+  /**
+   * Problems due for review today or earlier, most overdue and hardest first,
+   * plus the next few coming up
+   */
+  async getDue(userId, { timezone = 'UTC', limit } = {}) {
+    const { today, cards } = await this.getSchedule(userId, { timezone });
+
+    const due = cards
+      .filter(card => card.dueDate <= today)
+      .sort((a, b) => b.overdueDays - a.overdueDays || a.easeFactor - b.easeFactor || a.lastScore - b.lastScore);
+    const upcoming = cards
+      .filter(card => card.dueDate > today)
+      .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.easeFactor - b.easeFactor)
+      .slice(0, UPCOMING_LIMIT);
+
+    return {
+      today,
+      timezone,
+      scheduled: cards.length,
+      dueCount: due.length,
+      due: limit ? due.slice(0, limit) : due,
+      upcoming
+    };
+  }
+}
+
+const reviewScheduler = new ReviewScheduler();
+
+export default reviewScheduler;
@@ -0,0 +1,68 @@
+import { describe, it, expect } from '@jest/globals';
+import '../test/offlineSetup.js';
+
+const { SM2, gradeScore, applyReview } = await import('./reviewScheduler.js');
+
+const newCard = { repetitions: 0, interval: 0, ease: SM2.INITIAL_EASE };
+
+/**
+ * Card after reviewing a new card with each grade in turn
+ */
+function review(...grades) {
+  return grades.reduce(applyReview, newCard);
+}
+
+describe('gradeScore', () => {
+  it('maps the score onto the 0-5 SM-2 grades', () => {
+    expect(gradeScore(10)).toBe(5);
+    expect(gradeScore(7)).toBe(4);
+    expect(gradeScore(5)).toBe(3);
+    expect(gradeScore(4)).toBe(2);
+    expect(gradeScore(0)).toBe(0);
+    expect(gradeScore(3, 5)).toBe(3);
+  });
+
+  it('clamps scores outside the range', () => {
+    expect(gradeScore(12)).toBe(5);
+    expect(gradeScore(-1)).toBe(0);
+  });
+});
+
+describe('applyReview', () => {
+  it('spaces passing reviews 1, 6, then the previous interval times the ease factor', () => {
+    const first = review(4);
+    const second = review(4, 4);
+    const third = review(4, 4, 4);
+    const fourth = review(4, 4, 4, 4);
+
+    expect(first).toEqual({ repetitions: 1, interval: 1, ease: 2.5 });
+    expect(second).toEqual({ repetitions: 2, interval: 6, ease: 2.5 });
+    expect(third).toEqual({ repetitions: 3, interval: Math.round(6 * 2.5), ease: 2.5 });
+    expect(fourth).toEqual({ repetitions: 4, interval: Math.round(15 * 2.5), ease: 2.5 });
+  });
+
+  it('multiplies by the ease factor in effect before the review', () => {
+    const card = review(5, 5);
+
+    expect(card).toEqual({ repetitions: 2, interval: 6, ease: 2.7 });
+    expect(applyReview(card, 5)).toEqual({ repetitions: 3, interval: Math.round(6 * 2.7), ease: 2.8 });
+  });
+
+  it('raises the ease factor on perfect grades and lowers it on weak passes', () => {
+    expect(review(5).ease).toBe(2.6);
+    expect(review(4).ease).toBe(2.5);
+    expect(review(3).ease).toBe(2.36);
+  });
+
+  it('never lowers the ease factor below the minimum', () => {
+    expect(applyReview({ repetitions: 3, interval: 10, ease: SM2.MIN_EASE }, 3).ease).toBe(SM2.MIN_EASE);
+  });
+
+  it('restarts the intervals on grades below 3 but keeps the ease factor', () => {
+    const card = review(5, 5, 5);
+
+    expect(applyReview(card, 2)).toEqual({ repetitions: 0, interval: 1, ease: card.ease });
+    expect(review(5, 5, 5, 0, 4)).toEqual({ repetitions: 1, interval: 1, ease: card.ease });
+    expect(review(5, 5, 5, 0, 4, 4)).toEqual({ repetitions: 2, interval: 6, ease: card.ease });
+  });
+});
@@ -0,0 +1,865 @@
+/**
+ * Storage Service
+ *
+ * Persists analyses, evaluations and interview transcripts in an embedded SQLite database
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version
+export const MIGRATIONS = [
+  `
+  CREATE TABLE analyses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    request_id TEXT,
+    session_id TEXT,
+    mode TEXT NOT NULL,
+    problem TEXT NOT NULL,
+    structured_response TEXT,
+    sources TEXT,
+    metadata TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_analyses_created_at ON analyses(created_at);
+  CREATE INDEX idx_analyses_mode ON analyses(mode);
+  CREATE INDEX idx_analyses_session_id ON analyses(session_id);
+
+  CREATE TABLE evaluations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    request_id TEXT,
+    problem TEXT NOT NULL,
+    problem_id INTEGER,
+    language TEXT,
+    code TEXT NOT NULL,
+    score REAL,
+    max_score REAL,
+    grade TEXT,
+    verdict TEXT,
+    breakdown TEXT,
+    suggestions TEXT,
+    execution TEXT,
+    metadata TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_evaluations_created_at ON evaluations(created_at);
+  CREATE INDEX idx_evaluations_problem_id ON evaluations(problem_id);
+
+  CREATE TABLE interview_sessions (
+    id TEXT PRIMARY KEY,
+    problem TEXT NOT NULL,
+    phase TEXT NOT NULL,
+    interactions INTEGER NOT NULL DEFAULT 0,
+    max_interactions INTEGER,
+    history TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    last_activity TEXT NOT NULL,
+    ended_at TEXT
+  );
+  CREATE INDEX idx_interview_sessions_last_activity ON interview_sessions(last_activity);
+  `,
+  `
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT,
+    revoked_at TEXT
+  );
+  CREATE INDEX idx_api_keys_user_id ON api_keys(user_id);
+
+  ALTER TABLE analyses ADD COLUMN user_id INTEGER REFERENCES users(id);
+  ALTER TABLE evaluations ADD COLUMN user_id INTEGER REFERENCES users(id);
+  ALTER TABLE interview_sessions ADD COLUMN user_id INTEGER REFERENCES users(id);
+  CREATE INDEX idx_analyses_user_id ON analyses(user_id);
+  CREATE INDEX idx_evaluations_user_id ON evaluations(user_id);
+  CREATE INDEX idx_interview_sessions_user_id ON interview_sessions(user_id);
+  `,
+  `
+  CREATE TABLE progress_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER REFERENCES users(id),
+    kind TEXT NOT NULL,
+    problem_key TEXT NOT NULL,
+    problem_id INTEGER,
+    title TEXT NOT NULL,
+    topics TEXT NOT NULL,
+    score REAL,
+    max_score REAL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_progress_events_user_id ON progress_events(user_id, created_at);
+  `,
+  `
+  CREATE TABLE study_plans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER REFERENCES users(id),
+    status TEXT NOT NULL,
+    target TEXT NOT NULL,
+    schedule TEXT NOT NULL,
+    changes TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_study_plans_user_id ON study_plans(user_id, status);
+  `,
+  `
+  CREATE TABLE mock_interviews (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id),
+    status TEXT NOT NULL,
+    settings TEXT NOT NULL,
+    questions TEXT NOT NULL,
+    report TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    completed_at TEXT
+  );
+  CREATE INDEX idx_mock_interviews_user_id ON mock_interviews(user_id, created_at);
+  `
+];
+
+/**
+ * Serialize a value for a TEXT column
+ */
+function toJson(value) {
+  return value === undefined ? null : JSON.stringify(value);
+}
+
+/**
+ * Parse a TEXT column back into a value
+ */
+function fromJson(text, fallback = null) {
+  if (text === null || text === undefined) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Normalize a date-like value to an ISO string
+ */
+function toIso(value) {
+  return (value ? new Date(value) : new Date()).toISOString();
+}
+
+class StorageService {
+  constructor() {
+    this._initialized = false;
+    this.db = null;
+  }
+
+  /**
+   * Lazy initialization - open the database when first used
+   */
+  _ensureInitialized() {
+    if (this._initialized) {
+      return;
+    }
+    this._initialized = true;
+
+    this.enabled = process.env.STORAGE_ENABLED !== 'false';
+    this.dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../../data/codementor.db');
+
+    if (!this.enabled) {
+      logger.info('StorageService disabled (STORAGE_ENABLED=false)');
+      return;
+    }
+
+    try {
+      if (this.dbPath !== ':memory:') {
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+      }
+      this.db = new Database(this.dbPath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('foreign_keys = ON');
+      this._migrate();
+      logger.info(`StorageService initialized: ${this.dbPath}`);
+    } catch (error) {
+      // History is not essential - keep serving requests without it
+      logger.error(`Failed to open database at ${this.dbPath}: ${error.message}`);
+      this.db = null;
+      this.enabled = false;
+    }
+  }
+
+  /**
+   * Apply pending schema migrations
+   */
+  _migrate() {
+    const current = this.db.pragma('user_version', { simple: true });
+
+    for (let version = current; version < MIGRATIONS.length; version++) {
+      this.db.transaction(() => {
+        this.db.exec(MIGRATIONS[version]);
+        this.db.pragma(`user_version = ${version + 1}`);
+      })();
+      logger.info(`Applied database migration ${version + 1}`);
+    }
+  }
+
+  /**
+   * Check whether records can be stored
+   */
+  isAvailable() {
+    this._ensureInitialized();
+    return this.db !== null;
+  }
+
+  /**
+   * Run a write, logging instead of throwing so a storage fault never fails a request
+   */
+  _write(label, fn) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+    try {
+      return fn();
+    } catch (error) {
+      logger.error(`Failed to store ${label}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store an analysis result
+   */
+  saveAnalysis({ userId, requestId, sessionId, mode, problem, structuredResponse, sources, metadata }) {
+    return this._write('analysis', () => {
+      const info = this.db.prepare(`
+        INSERT INTO analyses (user_id, request_id, session_id, mode, problem, structured_response, sources, metadata, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        userId ?? null,
+        requestId || null,
+        sessionId || null,
+        mode,
+        problem,
+        toJson(structuredResponse),
+        toJson(sources),
+        toJson(metadata),
+        toIso()
+      );
+      return info.lastInsertRowid;
+    });
+  }
+
+  /**
+   * Store an evaluation score and breakdown
+   */
+  saveEvaluation({ userId, requestId, problem, problemId, language, code, score, maxScore, grade, breakdown, suggestions, execution, metadata }) {
+    return this._write('evaluation', () => {
+      const info = this.db.prepare(`
+        INSERT INTO evaluations (user_id, request_id, problem, problem_id, language, code, score, max_score, grade, verdict,
+          breakdown, suggestions, execution, metadata, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        userId ?? null,
+        requestId || null,
+        problem,
+        problemId ?? null,
+        language || 'java',
+        code,
+        score ?? null,
+        maxScore ?? null,
+        grade || null,
+        execution?.executed ? execution.verdict : null,
+        toJson(breakdown),
+        toJson(suggestions),
+        toJson(execution),
+        toJson(metadata),
+        toIso()
+      );
+      return info.lastInsertRowid;
+    });
+  }
+
+  /**
+   * Record that a problem was analyzed or evaluated, with its topics
+   */
+  saveProgressEvent({ userId, kind, problemKey, problemId, title, topics, score, maxScore }) {
+    return this._write('progress event', () => {
+      const info = this.db.prepare(`
+        INSERT INTO progress_events (user_id, kind, problem_key, problem_id, title, topics, score, max_score, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        userId ?? null,
+        kind,
+        problemKey,
+        problemId ?? null,
+        title,
+        toJson(topics || []),
+        score ?? null,
+        maxScore ?? null,
+        toIso()
+      );
+      return info.lastInsertRowid;
+    });
+  }
+
+  /**
+   * All progress events of a user, oldest first
+   */
+  listProgressEvents({ userId } = {}) {
+    if (!this.isAvailable()) {
+      return [];
+    }
+
+    const rows = userId !== undefined
+      ? this.db.prepare('SELECT * FROM progress_events WHERE user_id = ? ORDER BY created_at, id').all(userId)
+      : this.db.prepare('SELECT * FROM progress_events ORDER BY created_at, id').all();
+
+    return rows.map(row => ({
+      id: row.id,
+      kind: row.kind,
+      problemKey: row.problem_key,
+      problemId: row.problem_id,
+      title: row.title,
+      topics: fromJson(row.topics, []),
+      score: row.score,
+      maxScore: row.max_score,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Store a new active study plan; the user's previous active plans are archived
+   */
+  saveStudyPlan({ userId, target, schedule }) {
+    this._requireDatabase();
+
+    return this.db.transaction(() => {
+      const now = toIso();
+      this.db.prepare(`
+        UPDATE study_plans SET status = 'archived', updated_at = ?
+        WHERE status = 'active' AND user_id IS ?
+      `).run(now, userId ?? null);
+      const info = this.db.prepare(`
+        INSERT INTO study_plans (user_id, status, target, schedule, changes, created_at, updated_at)
+        VALUES (?, 'active', ?, ?, '[]', ?, ?)
+      `).run(userId ?? null, toJson(target), toJson(schedule), now, now);
+      return info.lastInsertRowid;
+    })();
+  }
+
+  /**
+   * Replace the schedule and change log of a study plan
+   */
+  updateStudyPlan(id, { schedule, changes }) {
+    this._requireDatabase();
+
+    this.db.prepare('UPDATE study_plans SET schedule = ?, changes = ?, updated_at = ? WHERE id = ?')
+      .run(toJson(schedule), toJson(changes), toIso(), id);
+  }
+
+  /**
+   * Get a study plan by id
+   */
+  getStudyPlan(id) {
+    this._requireDatabase();
+
+    const row = this.db.prepare('SELECT * FROM study_plans WHERE id = ?').get(id);
+    return row ? this._mapStudyPlan(row) : null;
+  }
+
+  /**
+   * Study plans of a user, newest first; status filters to 'active' or 'archived'
+   */
+  listStudyPlans({ userId, status } = {}) {
+    this._requireDatabase();
+
+    const conditions = [];
+    const params = [];
+    if (userId !== undefined) {
+      conditions.push('user_id = ?');
+      params.push(userId);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return this.db.prepare(`SELECT * FROM study_plans ${where} ORDER BY created_at DESC, id DESC`)
+      .all(...params)
+      .map(row => this._mapStudyPlan(row));
+  }
+
+  /**
+   * Delete a study plan
+   */
+  deleteStudyPlan(id) {
+    this._requireDatabase();
+
+    return this.db.prepare('DELETE FROM study_plans WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Study plan record from a study_plans row
+   */
+  _mapStudyPlan(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      status: row.status,
+      target: fromJson(row.target, {}),
+      schedule: fromJson(row.schedule, { days: [], unscheduled: [] }),
+      changes: fromJson(row.changes, []),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Insert or update a mock interview with its questions, answers and report
+   */
+  saveMockInterview(interview) {
+    this._requireDatabase();
+
+    this.db.prepare(`
+      INSERT INTO mock_interviews (id, user_id, status, settings, questions, report, created_at, updated_at, completed_at)
+      VALUES (@id, @userId, @status, @settings, @questions, @report, @createdAt, @updatedAt, @completedAt)
+      ON CONFLICT(id) DO UPDATE SET
+        status = excluded.status,
+        questions = excluded.questions,
+        report = excluded.report,
+        updated_at = excluded.updated_at,
+        completed_at = excluded.completed_at
+    `).run({
+      id: interview.id,
+      userId: interview.userId ?? null,
+      status: interview.status,
+      settings: toJson(interview.settings),
+      questions: toJson(interview.questions),
+      report: toJson(interview.report ?? null),
+      createdAt: toIso(interview.createdAt),
+      updatedAt: toIso(),
+      completedAt: interview.completedAt ? toIso(interview.completedAt) : null
+    });
+  }
+
+  /**
+   * Get a mock interview by id
+   */
+  getMockInterview(id) {
+    this._requireDatabase();
+
+    const row = this.db.prepare('SELECT * FROM mock_interviews WHERE id = ?').get(id);
+    return row ? this._mapMockInterview(row) : null;
+  }
+
+  /**
+   * Mock interviews of a user, newest first
+   */
+  listMockInterviews({ userId } = {}) {
+    this._requireDatabase();
+
+    const rows = userId !== undefined
+      ? this.db.prepare('SELECT * FROM mock_interviews WHERE user_id = ? ORDER BY created_at DESC').all(userId)
+      : this.db.prepare('SELECT * FROM mock_interviews ORDER BY created_at DESC').all();
+
+    return rows.map(row => this._mapMockInterview(row));
+  }
+
+  /**
+   * Mock interview record from a mock_interviews row
+   */
+  _mapMockInterview(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      status: row.status,
+      settings: fromJson(row.settings, {}),
+      questions: fromJson(row.questions, []),
+      report: fromJson(row.report),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      completedAt: row.completed_at
+    };
+  }
+
+  /**
+   * Insert or update an interview session with its full transcript
+   */
+  saveInterviewSession(session, { ended = false } = {}) {
+    return this._write('interview session', () => {
+      this.db.prepare(`
+        INSERT INTO interview_sessions (id, user_id, problem, phase, interactions, max_interactions, history, started_at, last_activity, ended_at)
+        VALUES (@id, @userId, @problem, @phase, @interactions, @maxInteractions, @history, @startedAt, @lastActivity, @endedAt)
+        ON CONFLICT(id) DO UPDATE SET
+          phase = excluded.phase,
+          interactions = excluded.interactions,
+          history = excluded.history,
+          last_activity = excluded.last_activity,
+          ended_at = COALESCE(excluded.ended_at, interview_sessions.ended_at)
+      `).run({
+        id: session.id,
+        userId: session.userId ?? null,
+        problem: session.problem,
+        phase: session.phase,
+        interactions: session.interactions,
+        maxInteractions: session.maxInteractions ?? null,
+        history: toJson(session.history || []),
+        startedAt: toIso(session.startedAt),
+        lastActivity: toIso(session.lastActivity),
+        endedAt: ended ? toIso() : null
+      });
+      return session.id;
+    });
+  }
+
+  /**
+   * Load a stored interview session
+   */
+  getInterviewSession(sessionId) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    const row = this.db.prepare('SELECT * FROM interview_sessions WHERE id = ?').get(sessionId);
+    if (!row) {
+      return null;
+    }
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      problem: row.problem,
+      phase: row.phase,
+      interactions: row.interactions,
+      maxInteractions: row.max_interactions,
+      history: fromJson(row.history, []).map(h => ({ ...h, timestamp: h.timestamp && new Date(h.timestamp) })),
+      startedAt: new Date(row.started_at),
+      lastActivity: new Date(row.last_activity),
+      endedAt: row.ended_at ? new Date(row.ended_at) : null
+    };
+  }
+
+  /**
+   * Paginated analysis history
+   * Filters: { userId?, mode?, sessionId?, search?, from?, to?, page?, limit? }
+   */
+  listAnalyses(filters = {}) {
+    const where = [];
+    const params = {};
+
+    if (filters.mode) {
+      where.push('mode = @mode');
+      params.mode = filters.mode;
+    }
+    if (filters.sessionId) {
+      where.push('session_id = @sessionId');
+      params.sessionId = filters.sessionId;
+    }
+
+    return this._paginate('analyses', where, params, filters, row => ({
+      id: row.id,
+      requestId: row.request_id,
+      sessionId: row.session_id,
+      mode: row.mode,
+      problem: row.problem,
+      structured_response: fromJson(row.structured_response),
+      sources: fromJson(row.sources, []),
+      metadata: fromJson(row.metadata, {}),
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Paginated evaluation history
+   * Filters: { userId?, problemId?, grade?, verdict?, language?, minScore?, maxScore?, search?, from?, to?, page?, limit? }
+   */
+  listEvaluations(filters = {}) {
+    const where = [];
+    const params = {};
+
+    if (filters.problemId !== undefined) {
+      where.push('problem_id = @problemId');
+      params.problemId = filters.problemId;
+    }
+    if (filters.grade) {
+      where.push('grade = @grade');
+      params.grade = filters.grade;
+    }
+    if (filters.verdict) {
+      where.push('verdict = @verdict');
+      params.verdict = filters.verdict;
+    }
+    if (filters.language) {
+      where.push('language = @language');
+      params.language = filters.language;
+    }
+    if (filters.minScore !== undefined) {
+      where.push('score >= @minScore');
+      params.minScore = filters.minScore;
+    }
+    if (filters.maxScore !== undefined) {
+      where.push('score <= @maxScore');
+      params.maxScore = filters.maxScore;
+    }
+
+    return this._paginate('evaluations', where, params, filters, row => ({
+      id: row.id,
+      requestId: row.request_id,
+      problem: row.problem,
+      problemId: row.problem_id,
+      language: row.language,
+      code: row.code,
+      score: row.score,
+      maxScore: row.max_score,
+      grade: row.grade,
+      breakdown: fromJson(row.breakdown, {}),
+      suggestions: fromJson(row.suggestions, []),
+      execution: fromJson(row.execution),
+      metadata: fromJson(row.metadata, {}),
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Scores of all evaluations of a user, oldest first
+   */
+  listEvaluationScores({ userId } = {}) {
+    if (!this.isAvailable()) {
+      return [];
+    }
+
+    const columns = 'SELECT id, problem, problem_id, score, max_score, created_at FROM evaluations';
+    const rows = userId !== undefined
+      ? this.db.prepare(`${columns} WHERE user_id = ? ORDER BY created_at, id`).all(userId)
+      : this.db.prepare(`${columns} ORDER BY created_at, id`).all();
+
+    return rows.map(row => ({
+      id: row.id,
+      problem: row.problem,
+      problemId: row.problem_id,
+      score: row.score,
+      maxScore: row.max_score,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Shared paging, text search and date range handling for history tables
+   */
+  _paginate(table, where, params, filters, mapRow) {
+    const page = Math.max(1, parseInt(filters.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(filters.limit) || DEFAULT_PAGE_SIZE));
+
+    if (!this.isAvailable()) {
+      return { items: [], pagination: { page, limit, total: 0, totalPages: 0 } };
+    }
+
+    // Records belong to the user that created them
+    if (filters.userId !== undefined) {
+      where.push('user_id = @userId');
+      params.userId = filters.userId;
+    }
+    if (filters.search) {
+      where.push('problem LIKE @search ESCAPE \'\\\'');
+      params.search = `%${filters.search.replace(/[\\%_]/g, '\\$&')}%`;
+    }
+    if (filters.from) {
+      where.push('created_at >= @from');
+      params.from = toIso(filters.from);
+    }
+    if (filters.to) {
+      where.push('created_at <= @to');
+      params.to = toIso(filters.to);
+    }
+
+    const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM ${table} ${whereClause}`).get(params);
+    const rows = this.db.prepare(`
+      SELECT * FROM ${table} ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset: (page - 1) * limit });
+
+    return {
+      items: rows.map(mapRow),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Create a user account
+   */
+  createUser(username, passwordHash) {
+    this._requireDatabase();
+
+    const createdAt = toIso();
+    const info = this.db.prepare(`
+      INSERT INTO users (username, password_hash, created_at) VALUES (?, ?, ?)
+    `).run(username, passwordHash, createdAt);
+
+    return { id: info.lastInsertRowid, username, createdAt };
+  }
+
+  /**
+   * Find a user by username (case-insensitive), including the password hash
+   */
+  findUserByUsername(username) {
+    this._requireDatabase();
+
+    const row = this.db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+    return row ? { id: row.id, username: row.username, passwordHash: row.password_hash, createdAt: row.created_at } : null;
+  }
+
+  /**
+   * Find a user by ID
+   */
+  findUserById(id) {
+    this._requireDatabase();
+
+    const row = this.db.prepare('SELECT id, username, created_at FROM users WHERE id = ?').get(id);
+    return row ? { id: row.id, username: row.username, createdAt: row.created_at } : null;
+  }
+
+  /**
+   * Store a hashed API key
+   */
+  createApiKey(userId, { name, prefix, keyHash }) {
+    this._requireDatabase();
+
+    const createdAt = toIso();
+    const info = this.db.prepare(`
+      INSERT INTO api_keys (user_id, name, prefix, key_hash, created_at) VALUES (?, ?, ?, ?, ?)
+    `).run(userId, name, prefix, keyHash, createdAt);
+
+    return { id: info.lastInsertRowid, name, prefix, createdAt };
+  }
+
+  /**
+   * Resolve an active API key hash to its owner, recording when it was last used
+   */
+  findUserByApiKeyHash(keyHash) {
+    this._requireDatabase();
+
+    const row = this.db.prepare(`
+      SELECT api_keys.id AS key_id, users.id, users.username, users.created_at
+      FROM api_keys JOIN users ON users.id = api_keys.user_id
+      WHERE api_keys.key_hash = ? AND api_keys.revoked_at IS NULL
+    `).get(keyHash);
+
+    if (!row) {
+      return null;
+    }
+
+    this.db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(toIso(), row.key_id);
+    return { id: row.id, username: row.username, createdAt: row.created_at, apiKeyId: row.key_id };
+  }
+
+  /**
+   * List a user's API keys (never the keys themselves)
+   */
+  listApiKeys(userId) {
+    this._requireDatabase();
+
+    return this.db.prepare(`
+      SELECT id, name, prefix, created_at, last_used_at, revoked_at
+      FROM api_keys WHERE user_id = ? ORDER BY id DESC
+    `).all(userId).map(row => ({
+      id: row.id,
+      name: row.name,
+      prefix: row.prefix,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at
+    }));
+  }
+
+  /**
+   * Revoke one of a user's API keys
+   * Returns false if the key does not exist or belongs to someone else
+   */
+  revokeApiKey(userId, keyId) {
+    this._requireDatabase();
+
+    const info = this.db.prepare(`
+      UPDATE api_keys SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `).run(toIso(), keyId, userId);
+
+    return info.changes > 0;
+  }
+
+  /**
+   * Account data cannot fall back to "not stored" like history can
+   */
+  _requireDatabase() {
+    if (!this.isAvailable()) {
+      throw new Error('Storage is unavailable');
+    }
+  }
+
+  /**
+   * Get storage status for health checks
+   */
+  getStatus() {
+    this._ensureInitialized();
+
+    if (!this.db) {
+      return { enabled: this.enabled, available: false };
+    }
+
+    const count = (table) => this.db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+
+    return {
+      enabled: true,
+      available: true,
+      path: this.dbPath,
+      schemaVersion: this.db.pragma('user_version', { simple: true }),
+      records: {
+        analyses: count('analyses'),
+        evaluations: count('evaluations'),
+        interviewSessions: count('interview_sessions'),
+        progressEvents: count('progress_events'),
+        studyPlans: count('study_plans'),
+        mockInterviews: count('mock_interviews'),
+        users: count('users')
+      }
+    };
+  }
+
+  /**
+   * Close the database (on shutdown)
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+const storageService = new StorageService();
+
+export default storageService;
@@ -0,0 +1,196 @@
+import { describe, it, expect, jest, beforeAll, afterAll, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+Object.assign(process.env, { LOG_LEVEL: 'error', STORAGE_ENABLED: 'true', DATABASE_PATH: ':memory:' });
+
+const { default: storageService, MIGRATIONS } = await import('./storageService.js');
+
+/**
+ * Separate storage instance on the database at dbPath
+ */
+function openStorage(dbPath) {
+  const previous = process.env.DATABASE_PATH;
+  process.env.DATABASE_PATH = dbPath;
+  try {
+    const storage = new storageService.constructor();
+    storage.isAvailable();
+    return storage;
+  } finally {
+    process.env.DATABASE_PATH = previous;
+  }
+}
+
+describe('storageService migrations', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codementor-storage-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('brings a new database to the latest schema version', () => {
+    const storage = openStorage(path.join(dir, 'new.db'));
+
+    expect(storage.db.pragma('user_version', { simple: true })).toBe(MIGRATIONS.length);
+    expect(storage.getStatus()).toMatchObject({ available: true });
+    storage.close();
+  });
+
+  it('upgrades a database created by the first version and keeps its records', () => {
+    const dbPath = path.join(dir, 'v1.db');
+    const old = new Database(dbPath);
+    old.exec(MIGRATIONS[0]);
+    old.pragma('user_version = 1');
+    old.prepare('INSERT INTO evaluations (problem, code, score, created_at) VALUES (?, ?, ?, ?)')
+      .run('Two Sum', 'class Solution {}', 7, '2025-06-01T00:00:00.000Z');
+    old.close();
+
+    const storage = openStorage(dbPath);
+    const userId = storage.createUser('upgraded', 'not-a-hash').id;
+    storage.saveEvaluation({ userId, problem: 'Valid Parentheses', code: 'class Solution {}', score: 9 });
+
+    expect(storage.db.pragma('user_version', { simple: true })).toBe(MIGRATIONS.length);
+    expect(storage.listEvaluations().items.map(item => item.problem)).toEqual(['Valid Parentheses', 'Two Sum']);
+    expect(storage.listEvaluations({ userId }).items).toHaveLength(1);
+    storage.close();
+  });
+
+  it('applies no migration twice when the database is reopened', () => {
+    // Re-running a migration would fail on an existing table and leave storage unavailable
+    const dbPath = path.join(dir, 'reopened.db');
+    openStorage(dbPath).close();
+
+    const storage = openStorage(dbPath);
+
+    expect(storage.isAvailable()).toBe(true);
+    expect(storage.db.pragma('user_version', { simple: true })).toBe(MIGRATIONS.length);
+    storage.close();
+  });
+});
+
+describe('storageService.listEvaluations', () => {
+  let storage;
+  let alice;
+  let bob;
+
+  /**
+   * Store an evaluation made at a given moment
+   */
+  function evaluateAt(iso, fields) {
+    jest.setSystemTime(new Date(iso));
+    storage.saveEvaluation({ userId: alice, code: 'class Solution {}', maxScore: 10, ...fields });
+  }
+
+  beforeAll(() => {
+    storage = openStorage(':memory:');
+    alice = storage.createUser('alice', 'not-a-hash').id;
+    bob = storage.createUser('bob', 'not-a-hash').id;
+
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    evaluateAt('2026-01-01T10:00:00Z', { problem: 'Two Sum', problemId: 1, score: 4, grade: 'Needs Improvement' });
+    evaluateAt('2026-01-02T10:00:00Z', { problem: 'Two Sum', problemId: 1, score: 8, grade: 'Good', language: 'python' });
+    evaluateAt('2026-01-03T10:00:00Z', { problem: 'Valid Parentheses', problemId: 2, score: 10, grade: 'Excellent' });
+    evaluateAt('2026-01-04T10:00:00Z', { problem: 'Count 100% of pairs', score: 6, grade: 'Fair' });
+    evaluateAt('2026-01-05T10:00:00Z', { problem: 'Count 1000 pairs', score: 6, grade: 'Fair' });
+    evaluateAt('2026-01-06T10:00:00Z', { problem: 'snake_case names', score: 6, grade: 'Fair' });
+    evaluateAt('2026-01-07T10:00:00Z', { problem: 'snakeXcase names', score: 6, grade: 'Fair' });
+    evaluateAt('2026-01-08T10:00:00Z', { problem: 'Escape C:\\temp paths', score: 6, grade: 'Fair' });
+    storage.saveEvaluation({ userId: bob, problem: 'Two Sum', problemId: 1, code: 'class Solution {}', score: 9 });
+    jest.useRealTimers();
+  });
+
+  afterAll(() => storage.close());
+
+  const problems = filters => storage.listEvaluations({ userId: alice, ...filters }).items.map(item => item.problem);
+
+  it('lists the user\'s evaluations newest first', () => {
+    const { items, pagination } = storage.listEvaluations({ userId: alice });
+
+    expect(items.map(item => item.createdAt)).toEqual([...items.map(item => item.createdAt)].sort().reverse());
+    expect(items[items.length - 1]).toMatchObject({ problem: 'Two Sum', score: 4, language: 'java', maxScore: 10 });
+    expect(pagination).toEqual({ page: 1, limit: 20, total: 8, totalPages: 1 });
+    expect(storage.listEvaluations({ userId: bob }).items.map(item => item.score)).toEqual([9]);
+  });
+
+  it('filters by problem, grade, language and score range', () => {
+    expect(problems({ problemId: 1 })).toEqual(['Two Sum', 'Two Sum']);
+    expect(problems({ grade: 'Excellent' })).toEqual(['Valid Parentheses']);
+    expect(problems({ language: 'python' })).toEqual(['Two Sum']);
+    expect(storage.listEvaluations({ userId: alice, minScore: 7, maxScore: 9 }).items.map(item => item.score)).toEqual([8]);
+    expect(storage.listEvaluations({ userId: alice, minScore: 0, maxScore: 5 }).items.map(item => item.score)).toEqual([4]);
+  });
+
+  it('filters by date range, inclusive at both ends', () => {
+    expect(problems({ from: '2026-01-02T10:00:00Z', to: '2026-01-03T10:00:00Z' })).toEqual(['Valid Parentheses', 'Two Sum']);
+    expect(problems({ from: '2026-01-08' })).toEqual(['Escape C:\\temp paths']);
+    expect(problems({ to: '2026-01-01T23:59:59Z' })).toEqual(['Two Sum']);
+  });
+
+  it('matches LIKE wildcards in the search text literally', () => {
+    expect(problems({ search: '100%' })).toEqual(['Count 100% of pairs']);
+    expect(problems({ search: 'snake_case' })).toEqual(['snake_case names']);
+    expect(problems({ search: 'C:\\temp' })).toEqual(['Escape C:\\temp paths']);
+    expect(problems({ search: 'two sum' })).toEqual(['Two Sum', 'Two Sum']);
+  });
+
+  it('pages through the results and clamps the page size', () => {
+    const second = storage.listEvaluations({ userId: alice, page: '2', limit: '3' });
+
+    expect(second.items.map(item => item.createdAt.slice(0, 10))).toEqual(['2026-01-05', '2026-01-04', '2026-01-03']);
+    expect(second.pagination).toEqual({ page: 2, limit: 3, total: 8, totalPages: 3 });
+    expect(storage.listEvaluations({ userId: alice, page: 0, limit: 1000 }).pagination).toMatchObject({ page: 1, limit: 100 });
+    expect(storage.listEvaluations({ userId: alice, page: 'x', limit: -5 }).pagination).toMatchObject({ page: 1, limit: 1 });
+    expect(storage.listEvaluations({ userId: alice, page: 9 }).items).toEqual([]);
+  });
+});
+
+describe('storageService.listAnalyses', () => {
+  let storage;
+
+  beforeAll(() => {
+    storage = openStorage(':memory:');
+    storage.saveAnalysis({ requestId: 'a', mode: 'full', problem: 'Two Sum', structuredResponse: { approach: 'hash map' } });
+    storage.saveAnalysis({ requestId: 'b', sessionId: 's1', mode: 'interview', problem: 'Two Sum' });
+    storage.saveAnalysis({ requestId: 'c', sessionId: 's2', mode: 'interview', problem: 'Valid Parentheses' });
+  });
+
+  afterAll(() => storage.close());
+
+  it('filters by mode and interview session', () => {
+    const requestIds = filters => storage.listAnalyses(filters).items.map(item => item.requestId);
+
+    expect(requestIds({ mode: 'interview' }).sort()).toEqual(['b', 'c']);
+    expect(requestIds({ sessionId: 's1' })).toEqual(['b']);
+    expect(requestIds({ mode: 'full', search: 'two' })).toEqual(['a']);
+    expect(storage.listAnalyses({ mode: 'full' }).items[0]).toMatchObject({ structured_response: { approach: 'hash map' }, sources: [], metadata: {} });
+  });
+});
+
+describe('storageService without a database', () => {
+  afterEach(() => {
+    process.env.STORAGE_ENABLED = 'true';
+  });
+
+  it('returns empty pages and skips writes when storage is disabled', () => {
+    process.env.STORAGE_ENABLED = 'false';
+    const storage = openStorage(':memory:');
+
+    expect(storage.isAvailable()).toBe(false);
+    expect(storage.saveEvaluation({ problem: 'Two Sum', code: '' })).toBeNull();
+    expect(storage.listEvaluations({ page: 2, limit: 5 })).toEqual({ items: [], pagination: { page: 2, limit: 5, total: 0, totalPages: 0 } });
+  });
+
+  it('logs a failed write instead of throwing', () => {
+    const storage = openStorage(':memory:');
+
+    expect(storage.saveEvaluation({ userId: 999, problem: 'Two Sum', code: '' })).toBeNull();
+    expect(storage.listEvaluations().items).toEqual([]);
+    storage.close();
+  });
+});
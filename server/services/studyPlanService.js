@@ -0,0 +1,605 @@
+/**
+ * Study Plan Service
+ *
+ * Turns a target (company, weeks available, hours per day, weak topics) into a
+ * day-by-day plan of problem bank problems. Problems are ordered by difficulty and
+ * topic, and each comes after the problems covering its prerequisites: the topics it
+ * builds on (TOPIC_PREREQUISITES) and an easier problem of each of its own topics,
+ * so binary search is practiced before "Median of Two Sorted Arrays". Time left over
+ * goes to reviews. Evaluations mark plan items done, and plans are re-balanced when
+ * progress shows a topic mastered or struggling.
+ */
+
+import problemService from './problemService.js';
+import progressService, { tagsToTopics, MASTERY_LEVELS } from './progressService.js';
+import storageService from './storageService.js';
+import { APIError } from '../utils/errorHandler.js';
+import { createDayKey, shiftDay } from '../utils/dayKeys.js';
+import { DIFFICULTY_LEVELS, DSA_CATEGORIES, SCORING } from '../utils/constants.js';
+import logger from '../utils/logger.js';
+
+export const PLAN_LIMITS = {
+  MAX_WEEKS: 26,
+  MIN_HOURS_PER_DAY: 0.5,
+  MAX_HOURS_PER_DAY: 12
+};
+
+// Topics worth practicing before each topic
+export const TOPIC_PREREQUISITES = {
+  Array: [],
+  String: [],
+  LinkedList: [],
+  Stack: ['Array'],
+  Queue: ['Array'],
+  Tree: ['Recursion'],
+  Graph: ['Tree', 'Queue'],
+  DynamicProgramming: ['Recursion', 'Array'],
+  Greedy: ['Array'],
+  Backtracking: ['Recursion'],
+  BinarySearch: ['Array'],
+  TwoPointers: ['Array'],
+  SlidingWindow: ['TwoPointers', 'HashMap'],
+  HashMap: ['Array'],
+  Heap: ['Tree'],
+  Trie: ['Tree', 'String'],
+  UnionFind: ['Graph'],
+  BitManipulation: ['Math'],
+  Math: [],
+  Recursion: []
+};
+
+const DIFFICULTY_ORDER = [DIFFICULTY_LEVELS.EASY, DIFFICULTY_LEVELS.MEDIUM, DIFFICULTY_LEVELS.HARD];
+// Minutes set aside to solve a problem; a review takes half
+const PROBLEM_MINUTES = {
+  [DIFFICULTY_LEVELS.EASY]: 30,
+  [DIFFICULTY_LEVELS.MEDIUM]: 45,
+  [DIFFICULTY_LEVELS.HARD]: 60
+};
+// Reviews of each planned problem when the plan has time to spare
+const REVIEW_ROUNDS = 2;
+// Extra problems kept pending for a struggling topic
+const STRUGGLING_EXTRA = 2;
+// Weak topic reasons that add practice; 'few_problems' is already covered by the plan itself
+const STRUGGLING_REASONS = new Set(['low_scores', 'declining']);
+// Priority adjustments when the whole bank does not fit in the plan
+const PRIORITY = {
+  WEAK_TOPIC: 3,
+  COMPANY: 2,
+  MASTERED: -3
+};
+
+const topicLevels = new Map();
+
+/**
+ * Depth of a topic in TOPIC_PREREQUISITES (0 for topics without prerequisites)
+ */
+function topicLevel(topic) {
+  if (!topicLevels.has(topic)) {
+    const prerequisites = TOPIC_PREREQUISITES[topic] || [];
+    topicLevels.set(topic, prerequisites.length === 0 ? 0 : 1 + Math.max(...prerequisites.map(topicLevel)));
+  }
+  return topicLevels.get(topic);
+}
+
+/**
+ * Whether a problem satisfies a requirement { topic, maxRank }
+ */
+function provides(entry, requirement) {
+  return entry.rank <= requirement.maxRank && entry.topics.includes(requirement.topic);
+}
+
+/**
+ * Planning view of every bank problem, with the requirements other bank problems can satisfy
+ */
+export function toEntries(problems) {
+  const entries = problems.map(problem => {
+    const topics = tagsToTopics(problem.tags);
+    const rank = DIFFICULTY_ORDER.includes(problem.difficulty) ? DIFFICULTY_ORDER.indexOf(problem.difficulty) : 1;
+
+    return {
+      id: problem.id,
+      title: problem.title,
+      difficulty: DIFFICULTY_ORDER[rank],
+      rank,
+      topics,
+      level: topics.length > 0 ? Math.max(...topics.map(topicLevel)) : 0,
+      companies: (problem.company_tags || []).map(company => company.toLowerCase()),
+      minutes: PROBLEM_MINUTES[DIFFICULTY_ORDER[rank]],
+      requirements: []
+    };
+  });
+
+  for (const entry of entries) {
+    const requirements = [];
+    for (const topic of entry.topics) {
+      for (const prerequisite of TOPIC_PREREQUISITES[topic] || []) {
+        if (!entry.topics.includes(prerequisite) && !requirements.some(req => req.topic === prerequisite)) {
+          requirements.push({ topic: prerequisite, maxRank: entry.rank });
+        }
+      }
+      requirements.push({ topic, maxRank: entry.rank - 1 });
+    }
+    entry.requirements = requirements.filter(req => entries.some(other => other !== entry && provides(other, req)));
+  }
+
+  return entries;
+}
+
+/**
+ * Catalogue order: easier first, then foundational topics, then by topic and id
+ */
+function compareEntries(a, b) {
+  return a.rank - b.rank ||
+    a.level - b.level ||
+    DSA_CATEGORIES.indexOf(a.topics[0]) - DSA_CATEGORIES.indexOf(b.topics[0]) ||
+    Number(a.id) - Number(b.id);
+}
+
+/**
+ * Selected problems in catalogue order, each placed once the selected problems covering
+ * its requirements are; requirement cycles are broken in catalogue order
+ * Returns [{ entry, prerequisites: [{ topic, problemId, title }] }]
+ */
+export function orderProblems(selected) {
+  const remaining = [...selected].sort(compareEntries);
+  const placed = [];
+  const coverable = (entry, requirement) => selected.some(other => other !== entry && provides(other, requirement));
+  const ready = entry => entry.requirements.every(requirement =>
+    !coverable(entry, requirement) || placed.some(other => provides(other, requirement)));
+
+  while (remaining.length > 0) {
+    const index = Math.max(0, remaining.findIndex(ready));
+    placed.push(remaining.splice(index, 1)[0]);
+  }
+
+  return placed.map((entry, i) => ({
+    entry,
+    prerequisites: entry.requirements
+      .map(requirement => {
+        const provider = placed.slice(0, i).find(other => provides(other, requirement));
+        return provider && { topic: requirement.topic, problemId: provider.id, title: provider.title };
+      })
+      .filter(Boolean)
+  }));
+}
+
+/**
+ * A stored plan item
+ */
+function planItem(entry, kind, reason = null, prerequisites = []) {
+  return {
+    problemId: entry.id,
+    title: entry.title,
+    difficulty: entry.difficulty,
+    topics: entry.topics,
+    kind,
+    minutes: kind === 'review' ? Math.round(entry.minutes / 2) : entry.minutes,
+    reason,
+    prerequisites
+  };
+}
+
+/**
+ * Consecutive empty days
+ */
+function emptyDays(startDate, count) {
+  return Array.from({ length: Math.max(0, count) }, (_, i) => ({ date: shiftDay(startDate, i), minutes: 0, items: [] }));
+}
+
+/**
+ * Lay items out in order over days, moving to the next day once one is full
+ * A problem longer than a whole day gets a day to itself. Returns the items that did not fit
+ */
+function packDays(items, days, minutesPerDay) {
+  const overflow = [];
+  let index = 0;
+
+  for (const item of items) {
+    while (index < days.length && days[index].items.length > 0 && days[index].minutes + item.minutes > minutesPerDay) {
+      index++;
+    }
+    if (index >= days.length) {
+      overflow.push(item);
+      continue;
+    }
+    days[index].items.push(item);
+    days[index].minutes += item.minutes;
+  }
+
+  return overflow;
+}
+
+/**
+ * Lay out problems first, then reviews from the day after the last problem
+ * Returns the items that did not fit
+ */
+function layOut(items, days, minutesPerDay) {
+  const problems = items.filter(item => item.kind !== 'review');
+  const overflow = packDays(problems, days, minutesPerDay);
+  const last = days.findLastIndex(day => day.items.some(item => problems.includes(item)));
+
+  return [...overflow, ...packDays(items.filter(item => item.kind === 'review'), days.slice(last + 1), minutesPerDay)];
+}
+
+/**
+ * Highest-priority problems that still fit in `days` once laid out in order, each together
+ * with the problems covering its requirements. Returns Map<entry, entry it was pulled in for | null>
+ */
+export function selectProblems(entries, { startDate, dayCount, minutesPerDay }, priorityOf) {
+  const ranked = [...entries].sort((a, b) => priorityOf(b) - priorityOf(a) || compareEntries(a, b));
+  const providers = [...entries].sort((a, b) => a.rank - b.rank || priorityOf(b) - priorityOf(a) || compareEntries(a, b));
+  const selected = new Map();
+
+  const bundle = (entry, chosen, neededBy) => {
+    if (selected.has(entry) || chosen.has(entry)) {
+      return;
+    }
+    chosen.set(entry, neededBy);
+    for (const requirement of entry.requirements) {
+      const covered = [...selected.keys(), ...chosen.keys()].some(other => other !== entry && provides(other, requirement));
+      const provider = !covered && providers.find(other => other !== entry && provides(other, requirement));
+      if (provider) {
+        bundle(provider, chosen, entry);
+      }
+    }
+  };
+  const fits = candidates => packDays(
+    orderProblems(candidates).map(({ entry }) => planItem(entry, 'learn')),
+    emptyDays(startDate, dayCount),
+    minutesPerDay
+  ).length === 0;
+
+  for (const entry of ranked) {
+    const chosen = new Map();
+    bundle(entry, chosen, null);
+
+    if (chosen.size > 0 && fits([...selected.keys(), ...chosen.keys()])) {
+      chosen.forEach((neededBy, other) => selected.set(other, neededBy));
+    }
+  }
+
+  return selected;
+}
+
+function percentOf(event) {
+  return Math.round((event.score / (event.maxScore || SCORING.MAX_SCORE)) * 100);
+}
+
+class StudyPlanService {
+  _requireStorage() {
+    if (!storageService.isAvailable()) {
+      throw new APIError('Study plans need storage - set STORAGE_ENABLED=true', 503);
+    }
+  }
+
+  /**
+   * Company name as spelled in the problem bank
+   */
+  async _resolveCompany(company) {
+    const match = await problemService.findCompany(company);
+
+    if (!match) {
+      throw new APIError(`No problems in the bank are tagged with company "${company}"`, 400, {
+        companies: await problemService.listCompanies()
+      });
+    }
+    return match;
+  }
+
+  /**
+   * Build and store a plan; the user's previous active plan is archived
+   * target: { company?, weeks, hoursPerDay, weakTopics?, startDate?, timezone? }
+   * Weak topics default to the ones the user's progress shows
+   */
+  async create(userId, { company, weeks, hoursPerDay, weakTopics, startDate, timezone = 'UTC' }) {
+    this._requireStorage();
+
+    const today = createDayKey(timezone)(new Date());
+    const problems = await problemService.getAll();
+    const entries = toEntries(problems);
+    const progress = progressService.getProgress(userId, { timezone });
+    const mastered = progress.topics.filter(topic => topic.level === 'mastered').map(topic => topic.topic);
+    const focus = weakTopics ?? progress.weakTopics.map(weak => weak.topic);
+    const companyName = company ? await this._resolveCompany(company) : null;
+    const companyKey = companyName?.toLowerCase();
+
+    const start = startDate || today;
+    const dayCount = weeks * 7;
+    const minutesPerDay = Math.round(hoursPerDay * 60);
+
+    const weakCount = entry => entry.topics.filter(topic => focus.includes(topic)).length;
+    const priorityOf = entry => PRIORITY.WEAK_TOPIC * weakCount(entry) +
+      (companyKey && entry.companies.includes(companyKey) ? PRIORITY.COMPANY : 0) +
+      (entry.topics.length > 0 && entry.topics.every(topic => mastered.includes(topic)) ? PRIORITY.MASTERED : 0);
+
+    const selected = selectProblems(entries, { startDate: start, dayCount, minutesPerDay }, priorityOf);
+    const learnItems = orderProblems([...selected.keys()]).map(({ entry, prerequisites }) => {
+      const weak = entry.topics.filter(topic => focus.includes(topic));
+      const neededBy = selected.get(entry);
+      let reason = 'Topic coverage';
+      if (weak.length > 0) {
+        reason = `Weak topic: ${weak.join(', ')}`;
+      } else if (neededBy) {
+        reason = `Prerequisite for ${neededBy.title}`;
+      } else if (companyKey && entry.companies.includes(companyKey)) {
+        reason = `Asked at ${companyName}`;
+      }
+      return planItem(entry, 'learn', reason, prerequisites);
+    });
+
+    // Time left after the new problems goes to reviews, weak topics and harder problems first
+    const reviewOrder = [...selected.keys()].sort((a, b) => weakCount(b) - weakCount(a) || b.rank - a.rank || compareEntries(a, b));
+    const reviews = [];
+    for (let round = 1; round <= REVIEW_ROUNDS; round++) {
+      reviewOrder.forEach(entry => reviews.push(planItem(entry, 'review', round === 1 ? 'Review' : 'Second review')));
+    }
+
+    const days = emptyDays(start, dayCount);
+    const unscheduled = layOut([...learnItems, ...reviews], days, minutesPerDay).filter(item => item.kind !== 'review');
+
+    const id = storageService.saveStudyPlan({
+      userId,
+      target: {
+        company: companyName,
+        weeks,
+        hoursPerDay,
+        weakTopics: focus,
+        weakTopicsSource: weakTopics ? 'request' : 'progress',
+        startDate: start,
+        endDate: shiftDay(start, dayCount - 1),
+        timezone
+      },
+      schedule: { days, unscheduled }
+    });
+
+    return this.get(id, userId);
+  }
+
+  /**
+   * Status of every scheduled item from the user's evaluations since the plan was made
+   * Each passing evaluation day completes the next open item for its problem; items added
+   * by a re-balance only count evaluations made after they were added
+   * Returns Map<item, { status, score, completedOn }>
+   */
+  _track(plan, userId, today) {
+    const dayKey = createDayKey(plan.target.timezone);
+    const attempts = new Map();
+
+    storageService.listProgressEvents({ userId })
+      .filter(event => event.kind === 'evaluation' && event.score !== null && event.problemId !== null && event.createdAt >= plan.createdAt)
+      .forEach(event => {
+        const days = attempts.get(event.problemId) || [];
+        const day = dayKey(event.createdAt);
+        const last = days[days.length - 1];
+        // Retries on the same day count as one attempt at their best score
+        if (last?.day === day) {
+          last.score = Math.max(last.score, percentOf(event));
+          last.at = event.createdAt;
+        } else {
+          days.push({ day, score: percentOf(event), at: event.createdAt });
+        }
+        attempts.set(event.problemId, days);
+      });
+
+    const statuses = new Map();
+    for (const day of plan.schedule.days) {
+      for (const item of day.items) {
+        const queue = attempts.get(item.problemId) || [];
+        while (item.addedAt && queue[0]?.at < item.addedAt) {
+          queue.shift();
+        }
+        let attempt = queue.shift();
+        let best = attempt?.score ?? null;
+        while (attempt && attempt.score < MASTERY_LEVELS.PROFICIENT && queue.length > 0) {
+          attempt = queue.shift();
+          best = Math.max(best, attempt.score);
+        }
+
+        let status = day.date < today ? 'overdue' : 'pending';
+        if (attempt) {
+          status = attempt.score >= MASTERY_LEVELS.PROFICIENT ? 'completed' : 'attempted';
+        }
+        statuses.set(item, {
+          status,
+          score: attempt ? (status === 'completed' ? attempt.score : best) : null,
+          completedOn: status === 'completed' ? attempt.day : null
+        });
+      }
+    }
+
+    return statuses;
+  }
+
+  /**
+   * Plan as returned by the API: items with their status, and overall progress
+   */
+  _present(plan, userId) {
+    const today = createDayKey(plan.target.timezone)(new Date());
+    const statuses = this._track(plan, userId, today);
+    const tracked = [...statuses.values()];
+    const count = status => tracked.filter(item => item.status === status).length;
+    const completed = count('completed');
+
+    return {
+      id: plan.id,
+      status: plan.status,
+      target: plan.target,
+      today,
+      progress: {
+        total: tracked.length,
+        completed,
+        attempted: count('attempted'),
+        overdue: count('overdue'),
+        percent: tracked.length > 0 ? Math.round((completed / tracked.length) * 100) : 0,
+        onTrack: count('overdue') === 0
+      },
+      days: plan.schedule.days.map(day => ({
+        ...day,
+        items: day.items.map(item => ({ ...item, ...statuses.get(item) }))
+      })),
+      unscheduled: plan.schedule.unscheduled,
+      changes: plan.changes,
+      createdAt: plan.createdAt,
+      updatedAt: plan.updatedAt
+    };
+  }
+
+  /**
+   * Stored plan of a user; plans of other users are reported as missing
+   */
+  _find(id, userId) {
+    this._requireStorage();
+
+    const plan = storageService.getStudyPlan(id);
+    if (!plan || (userId !== undefined && plan.userId !== userId)) {
+      return null;
+    }
+    return plan;
+  }
+
+  /**
+   * A plan with the status of each item, or null
+   */
+  get(id, userId) {
+    const plan = this._find(id, userId);
+    return plan ? this._present(plan, userId) : null;
+  }
+
+  /**
+   * Summaries of a user's plans, newest first
+   */
+  list(userId) {
+    this._requireStorage();
+
+    return storageService.listStudyPlans({ userId }).map(plan => {
+      const { days, ...summary } = this._present(plan, userId);
+      return { ...summary, days: days.length };
+    });
+  }
+
+  /**
+   * Delete a plan; returns false if the user has no such plan
+   */
+  remove(id, userId) {
+    return Boolean(this._find(id, userId)) && storageService.deleteStudyPlan(id);
+  }
+
+  /**
+   * Re-balance a plan from today on against current progress:
+   * - open items whose topics are all mastered are dropped (hard problems stay as a stretch)
+   * - struggling topics get extra practice, retrying low-scored problems before new easier ones
+   * - everything not completed, including overdue items, is laid out again from today
+   * Returns the plan and whether anything changed, or null
+   */
+  async rebalance(id, userId) {
+    const plan = this._find(id, userId);
+    if (!plan) {
+      return null;
+    }
+    if (plan.status !== 'active') {
+      throw new APIError('Only the active study plan can be re-balanced', 409);
+    }
+
+    const { timezone, hoursPerDay } = plan.target;
+    const today = createDayKey(timezone)(new Date());
+    const statuses = this._track(plan, userId, today);
+    const progress = progressService.getProgress(userId, { timezone });
+    const mastered = new Set(progress.topics.filter(topic => topic.level === 'mastered').map(topic => topic.topic));
+    const struggling = progress.weakTopics.filter(weak => STRUGGLING_REASONS.has(weak.reason)).map(weak => weak.topic);
+
+    const open = [
+      ...plan.schedule.days.flatMap(day => day.items.filter(item => statuses.get(item).status !== 'completed')),
+      ...plan.schedule.unscheduled
+    ];
+    const wasOn = new Map(plan.schedule.days.flatMap(day => day.items.map(item => [item, day.date])));
+
+    const isMastered = item => item.topics.length > 0 && item.topics.every(topic => mastered.has(topic)) &&
+      !(item.kind === 'learn' && item.difficulty === DIFFICULTY_LEVELS.HARD);
+    const removed = open.filter(isMastered);
+    const remaining = open.filter(item => !isMastered(item));
+
+    // Latest score per problem, to retry the weakest attempts first
+    const latestScores = new Map();
+    storageService.listProgressEvents({ userId })
+      .filter(event => event.kind === 'evaluation' && event.score !== null && event.problemId !== null)
+      .forEach(event => latestScores.set(event.problemId, percentOf(event)));
+
+    const entries = toEntries(await problemService.getAll());
+    const now = new Date().toISOString();
+    const added = [];
+    for (const topic of struggling) {
+      const planned = new Set([...remaining, ...added].map(item => item.problemId));
+      const pendingExtra = [...remaining, ...added].filter(item => item.kind === 'practice' && item.topics.includes(topic)).length;
+      const candidates = entries
+        .filter(entry => entry.topics.includes(topic) && !planned.has(entry.id) &&
+          (latestScores.get(entry.id) ?? 0) < MASTERY_LEVELS.PROFICIENT)
+        .sort((a, b) => latestScores.has(b.id) - latestScores.has(a.id) ||
+          (latestScores.get(a.id) ?? 0) - (latestScores.get(b.id) ?? 0) ||
+          compareEntries(a, b));
+
+      candidates.slice(0, Math.max(0, STRUGGLING_EXTRA - pendingExtra)).forEach(entry => {
+        const reason = latestScores.has(entry.id)
+          ? `Retry - struggling with ${topic}`
+          : `Extra practice - struggling with ${topic}`;
+        added.push({ ...planItem(entry, 'practice', reason), addedAt: now });
+      });
+    }
+
+    // Completed items move to the day they were done on; the rest is laid out again from today
+    const days = plan.schedule.days.map(day => ({ date: day.date, minutes: 0, items: [] }));
+    plan.schedule.days.forEach(day => day.items.forEach(item => {
+      const { status, completedOn } = statuses.get(item);
+      if (status === 'completed') {
+        const done = days.find(other => other.date === completedOn) || days.find(other => other.date === day.date);
+        done.items.push(item);
+        done.minutes += item.minutes;
+      }
+    }));
+    const unscheduled = layOut([...added, ...remaining], days.filter(day => day.date >= today), Math.round(hoursPerDay * 60))
+      .filter(item => item.kind !== 'review');
+
+    const isOn = new Map(days.flatMap(day => day.items.map(item => [item, day.date])));
+    const rescheduled = remaining.filter(item => wasOn.get(item) !== isOn.get(item)).length;
+
+    if (removed.length === 0 && added.length === 0 && rescheduled === 0) {
+      return { changed: false, plan: this._present(plan, userId) };
+    }
+
+    const summarize = item => ({ problemId: item.problemId, title: item.title, kind: item.kind });
+    const changes = [
+      ...plan.changes,
+      {
+        at: now,
+        mastered: [...mastered].filter(topic => removed.some(item => item.topics.includes(topic))),
+        struggling: struggling.filter(topic => added.some(item => item.topics.includes(topic))),
+        removed: removed.map(summarize),
+        added: added.map(summarize),
+        rescheduled
+      }
+    ];
+    storageService.updateStudyPlan(plan.id, { schedule: { days, unscheduled }, changes });
+
+    return { changed: true, plan: this.get(plan.id, userId) };
+  }
+
+  /**
+   * Re-balance the user's active plans after an evaluation; failures are logged so they never fail the request
+   */
+  async rebalanceActive(userId) {
+    if (!storageService.isAvailable()) {
+      return;
+    }
+
+    try {
+      for (const plan of storageService.listStudyPlans({ userId, status: 'active' })) {
+        await this.rebalance(plan.id, userId);
+      }
+    } catch (error) {
+      logger.error(`Failed to re-balance study plan: ${error.message}`);
+    }
+  }
+}
+
+const studyPlanService = new StudyPlanService();
+
+export default studyPlanService;
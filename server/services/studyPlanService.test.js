@@ -0,0 +1,202 @@
+import { describe, it, expect, jest, beforeAll, afterAll } from '@jest/globals';
+import '../test/offlineSetup.js';
+
+const { default: studyPlanService, toEntries, orderProblems, selectProblems } = await import('./studyPlanService.js');
+const { default: problemService } = await import('./problemService.js');
+const { default: progressService } = await import('./progressService.js');
+const { default: storageService } = await import('./storageService.js');
+const { createDayKey } = await import('../utils/dayKeys.js');
+
+function problem(id, difficulty, title, tags) {
+  return { id, difficulty, title, tags, company_tags: [], problem: `${title}: solve it.` };
+}
+
+/**
+ * ID of the account with this username, created on first use
+ */
+function user(username) {
+  return (storageService.findUserByUsername(username) || storageService.createUser(username, 'not-a-hash')).id;
+}
+
+describe('orderProblems', () => {
+  it('places a problem after the problems covering its prerequisite topics', () => {
+    // Trie puts "Array Trie" later in catalogue order, but it is the only Array problem
+    const entries = toEntries([problem(1, 'Easy', 'Stack First', ['stack']), problem(2, 'Easy', 'Array Trie', ['array', 'trie'])]);
+
+    const ordered = orderProblems(entries);
+
+    expect(ordered.map(({ entry }) => entry.id)).toEqual([2, 1]);
+    expect(ordered[1].prerequisites).toEqual([{ topic: 'Array', problemId: 2, title: 'Array Trie' }]);
+  });
+
+  it('practices an easier problem of the same topic first', () => {
+    const entries = toEntries([
+      problem(1, 'Hard', 'Median', ['binary-search']),
+      problem(2, 'Medium', 'Rotated', ['binary-search']),
+      problem(3, 'Easy', 'Search', ['binary-search'])
+    ]);
+
+    const ordered = orderProblems(entries);
+
+    expect(ordered.map(({ entry }) => entry.id)).toEqual([3, 2, 1]);
+    expect(ordered[2].prerequisites).toEqual([{ topic: 'BinarySearch', problemId: 3, title: 'Search' }]);
+  });
+
+  it('breaks requirement cycles in catalogue order', () => {
+    // Each needs the other: Stack builds on Array, Heap on Tree
+    const entries = toEntries([problem(1, 'Easy', 'Array Heap', ['array', 'heap']), problem(2, 'Easy', 'Stack Tree', ['stack', 'tree'])]);
+
+    const ordered = orderProblems(entries);
+
+    expect(ordered.map(({ entry }) => entry.id)).toEqual([2, 1]);
+    expect(ordered[0].prerequisites).toEqual([]);
+    expect(ordered[1].prerequisites).toEqual([{ topic: 'Tree', problemId: 2, title: 'Stack Tree' }]);
+  });
+});
+
+describe('selectProblems', () => {
+  const entries = toEntries([
+    problem(1, 'Easy', 'Arrays', ['array']),
+    problem(2, 'Easy', 'Search', ['binary-search']),
+    problem(3, 'Easy', 'Stack', ['stack']),
+    problem(4, 'Hard', 'Hard Search', ['binary-search'])
+  ]);
+  const byId = id => entry => (entry.id === id ? 5 : 0);
+  const ids = selected => [...selected].map(([entry, neededBy]) => [entry.id, neededBy?.id ?? null]);
+
+  it('pulls in the prerequisites of a high-priority problem', () => {
+    const selected = selectProblems(entries, { startDate: '2026-01-05', dayCount: 1, minutesPerDay: 60 }, byId(2));
+
+    expect(ids(selected)).toEqual([[2, null], [1, 2]]);
+  });
+
+  it('skips a problem whose prerequisites do not fit along with it', () => {
+    const selected = selectProblems(entries, { startDate: '2026-01-05', dayCount: 1, minutesPerDay: 60 }, byId(4));
+
+    expect(ids(selected)).toEqual([[1, null], [3, null]]);
+  });
+
+  it('takes the whole bank when there is time for it', () => {
+    const selected = selectProblems(entries, { startDate: '2026-01-05', dayCount: 7, minutesPerDay: 60 }, () => 0);
+
+    expect(ids(selected).map(([id]) => id).sort()).toEqual([1, 2, 3, 4]);
+  });
+});
+
+describe('studyPlanService with a small problem bank', () => {
+  const bank = [
+    problem(1, 'Easy', 'Array Basics', ['array']),
+    problem(2, 'Easy', 'Array Sums', ['array']),
+    problem(3, 'Easy', 'Array Scan', ['array']),
+    problem(4, 'Easy', 'Array Pairs', ['array']),
+    problem(5, 'Easy', 'Balanced Brackets', ['stack']),
+    problem(6, 'Easy', 'Min Stack', ['stack']),
+    problem(7, 'Easy', 'Stack Sort', ['stack']),
+    problem(8, 'Easy', 'Stack Queue', ['stack']),
+    problem(9, 'Medium', 'Rotated Search', ['binary-search'])
+  ];
+  const today = createDayKey('UTC')(new Date());
+  let getAll;
+
+  beforeAll(() => {
+    getAll = jest.spyOn(problemService, 'getAll').mockResolvedValue(bank);
+  });
+
+  afterAll(() => getAll.mockRestore());
+
+  const evaluate = (userId, problemId, score) =>
+    progressService.recordEvaluation({ userId, problem: bank[problemId - 1].problem, problemId, score, maxScore: 10 });
+
+  it('lays the problems out day by day in prerequisite order', async () => {
+    const plan = await studyPlanService.create(user('plan-create'), { weeks: 1, hoursPerDay: 1 });
+
+    expect(plan.target).toMatchObject({ startDate: today, weakTopicsSource: 'progress', weakTopics: [] });
+    expect(plan.days[0].items.map(item => item.problemId)).toEqual([1, 2]);
+    expect(plan.days[2].items[0]).toMatchObject({
+      problemId: 5,
+      kind: 'learn',
+      reason: 'Topic coverage',
+      prerequisites: [{ topic: 'Array', problemId: 1, title: 'Array Basics' }]
+    });
+    expect(plan.days.flatMap(day => day.items).filter(item => item.kind === 'learn')).toHaveLength(9);
+    expect(plan.progress).toMatchObject({ total: plan.days.flatMap(day => day.items).length, completed: 0, onTrack: true });
+  });
+
+  it('tracks items by the evaluations made since the plan was created', async () => {
+    const userId = user('plan-track');
+    await evaluate(userId, 1, 9);
+    await evaluate(userId, 2, 4);
+    await evaluate(userId, 2, 5);
+    const item = problemId => ({ problemId, kind: 'learn' });
+    const plan = {
+      target: { timezone: 'UTC' },
+      createdAt: '2000-01-01T00:00:00.000Z',
+      schedule: {
+        days: [
+          { date: '2000-01-01', items: [item(3)] },
+          { date: today, items: [item(1), { ...item(1), kind: 'review' }, item(2)] }
+        ]
+      }
+    };
+
+    const statuses = [...studyPlanService._track(plan, userId, today).values()];
+
+    expect(statuses).toEqual([
+      { status: 'overdue', score: null, completedOn: null },
+      { status: 'completed', score: 90, completedOn: today },
+      // Both evaluations of the day went to the first item
+      { status: 'pending', score: null, completedOn: null },
+      // Retries on the same day count once, at their best score
+      { status: 'attempted', score: 50, completedOn: null }
+    ]);
+  });
+
+  it('only counts evaluations made after a re-balance added the item', async () => {
+    const userId = user('plan-added');
+    await evaluate(userId, 5, 9);
+    const plan = {
+      target: { timezone: 'UTC' },
+      createdAt: '2000-01-01T00:00:00.000Z',
+      schedule: { days: [{ date: today, items: [{ problemId: 5, kind: 'practice', addedAt: new Date(Date.now() + 1000).toISOString() }] }] }
+    };
+
+    expect([...studyPlanService._track(plan, userId, today).values()]).toEqual([{ status: 'pending', score: null, completedOn: null }]);
+  });
+
+  it('drops mastered topics and adds practice for struggling ones when re-balancing', async () => {
+    const userId = user('plan-rebalance');
+    const created = await studyPlanService.create(userId, { weeks: 1, hoursPerDay: 0.5 });
+    for (const problemId of [1, 2, 3]) {
+      await evaluate(userId, problemId, 10);
+    }
+    await evaluate(userId, 5, 2);
+
+    const { changed, plan } = await studyPlanService.rebalance(created.id, userId);
+    const items = plan.days.flatMap(day => day.items);
+
+    expect(created.days.flatMap(day => day.items).map(item => item.problemId)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(changed).toBe(true);
+    expect(plan.changes).toEqual([expect.objectContaining({
+      mastered: ['Array'],
+      struggling: ['Stack'],
+      removed: [{ problemId: 4, title: 'Array Pairs', kind: 'learn' }],
+      added: [{ problemId: 8, title: 'Stack Queue', kind: 'practice' }]
+    })]);
+    expect(items.find(item => item.problemId === 8)).toMatchObject({ reason: 'Extra practice - struggling with Stack', status: 'pending' });
+    expect(items.filter(item => item.status === 'completed').map(item => item.problemId)).toEqual([1, 2, 3]);
+    expect(plan.days[0].items.map(item => item.problemId)).toEqual([1, 2, 3]);
+    expect(items.find(item => item.problemId === 5)).toMatchObject({ status: 'attempted', score: 20 });
+  });
+
+  it('reports an unchanged plan and refuses archived ones', async () => {
+    const userId = user('plan-archived');
+    const first = await studyPlanService.create(userId, { weeks: 1, hoursPerDay: 1 });
+
+    expect(await studyPlanService.rebalance(first.id, userId)).toMatchObject({ changed: false });
+
+    await studyPlanService.create(userId, { weeks: 1, hoursPerDay: 1 });
+
+    await expect(studyPlanService.rebalance(first.id, userId)).rejects.toThrow('Only the active study plan can be re-balanced');
+    expect(await studyPlanService.rebalance(first.id, user('someone-else'))).toBeNull();
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Syntax Service
+ *
+ * Parses code with tree-sitter grammars (WebAssembly builds from tree-sitter-wasms)
+ * and reports syntax errors with line/column positions. Grammars are loaded the
+ * first time a language is checked.
+ */
+
+import { createRequire } from 'module';
+import path from 'path';
+import Parser from 'web-tree-sitter';
+import logger from '../utils/logger.js';
+import { APIError } from '../utils/errorHandler.js';
+import { SOLUTION_LANGUAGES } from '../utils/constants.js';
+
+const require = createRequire(import.meta.url);
+
+// Languages with a grammar, keyed like SOLUTION_LANGUAGES
+const GRAMMARS = {
+  java: 'tree-sitter-java.wasm',
+  python: 'tree-sitter-python.wasm',
+  cpp: 'tree-sitter-cpp.wasm',
+  javascript: 'tree-sitter-javascript.wasm',
+  go: 'tree-sitter-go.wasm'
+};
+
+// Stop collecting after this many diagnostics; later ones are usually follow-on errors
+const MAX_ISSUES = 20;
+
+/**
+ * Short, single-line preview of the code an error covers
+ */
+function preview(text) {
+  const line = text.split('\n')[0].trim();
+  return line.length > 30 ? `${line.slice(0, 30)}...` : line;
+}
+
+/**
+ * Collect ERROR and MISSING nodes, skipping subtrees without errors
+ * Nested errors inside an ERROR node are reported once, as the outer node
+ */
+function collectIssues(node, issues) {
+  if (issues.length >= MAX_ISSUES) {
+    return;
+  }
+
+  if (node.isMissing()) {
+    issues.push(toIssue(node, `Missing "${node.type}"`));
+    return;
+  }
+
+  if (node.type === 'ERROR') {
+    const text = preview(node.text);
+    issues.push(toIssue(node, text ? `Unexpected "${text}"` : 'Syntax error'));
+    return;
+  }
+
+  if (!node.hasError()) {
+    return;
+  }
+
+  for (const child of node.children) {
+    collectIssues(child, issues);
+  }
+}
+
+/**
+ * Diagnostic with 1-based positions (columns count UTF-16 code units, like editors do)
+ */
+function toIssue(node, message) {
+  return {
+    line: node.startPosition.row + 1,
+    column: node.startPosition.column + 1,
+    endLine: node.endPosition.row + 1,
+    endColumn: node.endPosition.column + 1,
+    severity: 'error',
+    message
+  };
+}
+
+class SyntaxService {
+  constructor() {
+    this._initPromise = null;
+    this.languages = new Map();
+  }
+
+  /**
+   * Lazy initialization - load the tree-sitter runtime when first used
+   */
+  _ensureInitialized() {
+    if (!this._initPromise) {
+      this.grammarDir = process.env.TREE_SITTER_GRAMMARS ||
+        path.join(path.dirname(require.resolve('tree-sitter-wasms/package.json')), 'out');
+      this._initPromise = Parser.init().then(() => {
+        logger.info(`SyntaxService initialized: grammars=${this.grammarDir}`);
+      });
+    }
+    return this._initPromise;
+  }
+
+  /**
+   * Grammar key for a language name or fence alias (e.g. "py", "c++"), or null
+   */
+  resolveLanguage(language) {
+    const name = String(language || '').toLowerCase();
+    const key = Object.keys(SOLUTION_LANGUAGES).find(key => key === name || SOLUTION_LANGUAGES[key].fences.includes(name));
+    return key && GRAMMARS[key] ? key : null;
+  }
+
+  /**
+   * Languages that can be checked
+   */
+  getSupportedLanguages() {
+    return Object.keys(GRAMMARS);
+  }
+
+  async _getLanguage(key) {
+    if (!this.languages.has(key)) {
+      // Keep the promise so concurrent first checks load the grammar once
+      this.languages.set(key, Parser.Language.load(path.join(this.grammarDir, GRAMMARS[key])));
+    }
+    return this.languages.get(key);
+  }
+
+  /**
+   * Parse code into a tree-sitter tree; resolves to { language, tree }
+   * The caller owns the tree and must call tree.delete() when done
+   */
+  async parse(code, language) {
+    const key = this.resolveLanguage(language);
+    if (!key) {
+      throw new APIError(`Parsing is not available for "${language}"`, 400, {
+        supported: this.getSupportedLanguages()
+      });
+    }
+
+    await this._ensureInitialized();
+    const parser = new Parser();
+
+    try {
+      parser.setLanguage(await this._getLanguage(key));
+      return { language: key, tree: parser.parse(code) };
+    } finally {
+      parser.delete();
+    }
+  }
+
+  /**
+   * Parse code and report syntax errors
+   * Returns { language, valid, issues: [{ line, column, endLine, endColumn, severity, message }] }
+   */
+  async check(code, language) {
+    const { language: key, tree } = await this.parse(code, language);
+    const issues = [];
+    collectIssues(tree.rootNode, issues);
+    tree.delete();
+
+    return { language: key, valid: issues.length === 0, issues };
+  }
+}
+
+const syntaxService = new SyntaxService();
+
+export default syntaxService;
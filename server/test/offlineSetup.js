@@ -0,0 +1,94 @@
+/**
+ * Offline test setup
+ *
+ * Import first in specs that load the RAG pipeline: LLM calls go to the mock provider
+ * with the fixtures in data/mock-llm, nothing is read from or written to disk, and
+ * retrieval is keyword-only so the native FAISS binding is not needed.
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+Object.assign(process.env, {
+  LLM_PROVIDER: 'mock',
+  MOCK_LLM_FIXTURES: path.join(__dirname, '../../data/mock-llm'),
+  LOG_LEVEL: 'error',
+  AUTH_ENABLED: 'false',
+  STORAGE_ENABLED: 'true',
+  DATABASE_PATH: ':memory:',
+  SANDBOX_ENABLED: 'false',
+  RESPONSE_CACHE_ENABLED: 'false',
+  EMBEDDING_CACHE_PERSIST: 'false',
+  RAG_DENSE_WEIGHT: '0',
+  FAISS_INDEX_PATH: path.join(os.tmpdir(), 'codementor-test-missing', 'faiss.index')
+});
+
+jest.unstable_mockModule('faiss-node', () => ({
+  default: {
+    IndexFlatIP: class {
+      add() {}
+      ntotal() {
+        return 0;
+      }
+      search() {
+        return { labels: [], distances: [] };
+      }
+    }
+  }
+}));
+
+export const TWO_SUM = 'Two Sum: Given an array of integers nums and an integer target, ' +
+  'return indices of the two numbers such that they add up to target.';
+
+export const TWO_SUM_JAVA = `class Solution {
+    public int[] twoSum(int[] nums, int target) {
+        Map<Integer, Integer> seen = new HashMap<>();
+        for (int i = 0; i < nums.length; i++) {
+            if (seen.containsKey(target - nums[i])) {
+                return new int[] { seen.get(target - nums[i]), i };
+            }
+            seen.put(nums[i], i);
+        }
+        return new int[0];
+    }
+}`;
+
+/**
+ * Serve route modules under /api on a random port, behind the same authentication as the server
+ * Resolves to { request(method, path, body, headers), close() }; request resolves to { status, body, text }
+ */
+export async function startApi(...routers) {
+  const { errorHandler } = await import('../utils/errorHandler.js');
+  const { authenticate } = await import('../utils/authMiddleware.js');
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  routers.forEach(router => app.use('/api', router));
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  return {
+    async request(method, url, body, headers = {}) {
+      const response = await fetch(base + url, {
+        method,
+        headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+      const text = await response.text();
+      const json = (response.headers.get('content-type') || '').includes('application/json') ? JSON.parse(text) : null;
+      return { status: response.status, body: json, text };
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
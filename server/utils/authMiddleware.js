@@ -0,0 +1,100 @@
+/**
+ * Authentication Middleware
+ */
+
+import authService from '../services/authService.js';
+import { APIError } from './errorHandler.js';
+
+// Paths under /api that can be used without credentials
+const PUBLIC_PATHS = ['/', '/auth/register', '/auth/login'];
+
+/**
+ * Read a credential from "Authorization: Bearer <token|key>" or "X-API-Key"
+ */
+function extractCredential(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+
+  if (match) {
+    return match[1].trim();
+  }
+
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Require a valid JWT or API key on /api routes and set req.user
+ */
+export function authenticate(req, res, next) {
+  if (!authService.isEnabled()) {
+    req.user = null;
+    return next();
+  }
+
+  const credential = extractCredential(req);
+  const user = credential ? authService.authenticate(credential) : null;
+
+  if (user) {
+    req.user = user;
+    return next();
+  }
+
+  if (PUBLIC_PATHS.includes(req.path)) {
+    req.user = null;
+    return next();
+  }
+
+  next(new APIError(credential ? 'Invalid or expired credentials' : 'Authentication required', 401));
+}
+
+/**
+ * Reject requests that made it through without a user (for account routes)
+ */
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    return next(new APIError(
+      authService.isEnabled() ? 'Authentication required' : 'Authentication is disabled on this server',
+      authService.isEnabled() ? 401 : 404
+    ));
+  }
+  next();
+}
+
+/**
+ * User ID used to scope stored records (undefined when auth is disabled)
+ */
+export function getUserId(req) {
+  return req.user ? req.user.id : undefined;
+}
+
+/**
+ * Whether the request may edit the problem bank
+ * Only usernames listed in PROBLEM_CURATORS may edit; when unset nobody can (unless auth is disabled)
+ */
+export function isCurator(req) {
+  if (!authService.isEnabled()) {
+    return true;
+  }
+  if (!req.user) {
+    return false;
+  }
+
+  const curators = (process.env.PROBLEM_CURATORS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return curators.includes(req.user.username.toLowerCase());
+}
+
+/**
+ * Restrict problem bank changes to curators
+ */
+export function requireCurator(req, res, next) {
+  if (!isCurator(req)) {
+    return next(req.user
+      ? new APIError('Only problem curators can change the problem bank (see PROBLEM_CURATORS)', 403)
+      : new APIError('Authentication required', 401));
+  }
+  next();
+}
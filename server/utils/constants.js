@@ -9,13 +9,33 @@ export const RESPONSE_FIELDS = {
   TIME_COMPLEXITY: 'time_complexity',
   SPACE_COMPLEXITY: 'space_complexity',
   EDGE_CASES: 'edge_cases',
-  JAVA_CODE: 'java_code',
+  CODE: 'code',
   DRY_RUN: 'dry_run',
   FOLLOW_UP_QUESTIONS: 'follow_up_questions',
   COMMON_MISTAKES: 'common_mistakes',
   VARIATIONS: 'variations'
 };
 
+// Kept next to code ({ language, source }) for clients written before multi-language output
+export const LEGACY_CODE_FIELD = 'java_code';
+
+// Languages solutions can be generated in; fences lists the code fence tags models use, preferred first
+export const SOLUTION_LANGUAGES = {
+  java: { name: 'Java', fences: ['java'], comment: '//' },
+  python: { name: 'Python', fences: ['python', 'py', 'python3'], comment: '#' },
+  cpp: { name: 'C++', fences: ['cpp', 'c++', 'cc', 'cxx'], comment: '//' },
+  javascript: { name: 'JavaScript', fences: ['javascript', 'js', 'node'], comment: '//' },
+  go: { name: 'Go', fences: ['go', 'golang'], comment: '//' }
+};
+
+export const DEFAULT_SOLUTION_LANGUAGE = 'java';
+
+// Queue priorities for LLM calls (lower runs first)
+export const LLM_PRIORITIES = {
+  HIGH: 0,
+  NORMAL: 1
+};
+
 export const DIFFICULTY_LEVELS = {
   EASY: 'Easy',
   MEDIUM: 'Medium',
@@ -59,6 +79,7 @@ export const COMPLEXITY_TYPES = {
 export const INTERVIEW_MODE = {
   KEYWORD: 'interview mode',
   MAX_GUIDED_QUESTIONS: 3,
+  MAX_TURNS: 15,
   PHASES: {
     UNDERSTANDING: 'understanding',
     APPROACH: 'approach',
@@ -67,6 +88,16 @@ export const INTERVIEW_MODE = {
   }
 };
 
+export const MOCK_INTERVIEW = {
+  MIN_QUESTIONS: 2,
+  MAX_QUESTIONS: 3,
+  MIN_MINUTES: 5,
+  MAX_MINUTES: 90,
+  DEFAULT_MINUTES: 30,
+  // Question difficulties when none is chosen, easiest first
+  LADDER: ['Easy', 'Medium', 'Hard']
+};
+
 export const EVALUATION_CRITERIA = {
   CORRECTNESS: 'correctness',
   TIME_COMPLEXITY: 'time_complexity',
@@ -83,5 +114,13 @@ export const SCORING = {
     SPACE_COMPLEXITY: 2,
     CODE_QUALITY: 2,
     EDGE_CASES: 1
-  }
+  },
+  // Overall grade of an evaluation: the first entry whose minimum score is reached
+  GRADES: [
+    { minScore: 9, grade: 'Excellent', message: 'Outstanding solution! Interview-ready quality.' },
+    { minScore: 7, grade: 'Good', message: 'Solid solution with minor improvements possible.' },
+    { minScore: 5, grade: 'Fair', message: 'Acceptable solution but needs improvement in some areas.' },
+    { minScore: 3, grade: 'Needs Improvement', message: 'Solution has significant issues that need addressing.' },
+    { minScore: -Infinity, grade: 'Insufficient', message: 'Solution requires major revision.' }
+  ]
 };
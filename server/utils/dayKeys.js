@@ -0,0 +1,40 @@
+/**
+ * Calendar Day Keys
+ *
+ * YYYY-MM-DD keys for grouping timestamps by day in a user's timezone
+ */
+
+import { APIError } from './errorHandler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Function turning a date into its YYYY-MM-DD key in an IANA timezone
+ */
+export function createDayKey(timezone) {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  } catch {
+    throw new APIError(`Unknown timezone: ${timezone}`, 400);
+  }
+
+  return date => {
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(date)).map(part => [part.type, part.value]));
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  };
+}
+
+/**
+ * Day key moved by a number of days
+ */
+export function shiftDay(day, delta) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + delta * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from one day key to another
+ */
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
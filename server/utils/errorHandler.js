@@ -54,6 +54,21 @@ export function errorHandler(err, req, res, next) {
     message = 'Invalid JSON in request body';
   }
 
+  // Streaming responses have already sent headers - report the error as an event
+  if (res.headersSent) {
+    const stream = res.locals.eventStream;
+    if (!stream) {
+      return next(err);
+    }
+    stream.send('error', { message, code: statusCode, ...(details && { details }) });
+    return stream.close();
+  }
+
+  // Tell clients when an unavailable dependency is worth retrying
+  if (statusCode === 503 && details?.retryAfter) {
+    res.set('Retry-After', String(details.retryAfter));
+  }
+
   // Don't leak error details in production
   const response = {
     success: false,
@@ -68,6 +83,25 @@ export function errorHandler(err, req, res, next) {
   res.status(statusCode).json(response);
 }
 
+/**
+ * Turn a failed pipeline result into an APIError
+ * LLM outages (open circuit, retries exhausted, timeouts, full queue) become 503 with a retry hint,
+ * code that does not parse becomes 422 with the syntax diagnostics
+ */
+export function pipelineError(result, fallbackMessage) {
+  if (result.aborted) {
+    // Nobody is left to read the response; 499 keeps disconnects apart from real failures in logs
+    return new APIError('Request cancelled by the client', 499);
+  }
+  if (result.unavailable) {
+    return new APIError(result.error || 'LLM provider unavailable', 503, { retryAfter: result.retryAfter });
+  }
+  if (result.syntaxErrors) {
+    return new APIError(result.error, 422, { language: result.language, issues: result.syntaxErrors });
+  }
+  return new APIError(result.error || fallbackMessage, 500);
+}
+
 /**
  * Async handler wrapper
  */
@@ -0,0 +1,65 @@
+/**
+ * History Query Parsing
+ *
+ * Shared validation for paginated, filterable history endpoints
+ */
+
+import { APIError } from './errorHandler.js';
+
+/**
+ * Parse an optional date query parameter
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new APIError(`Invalid date for "${name}": ${value}`, 400);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Parse an optional numeric query parameter
+ */
+export function parseNumber(value, name, { integer = false } = {}) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number))) {
+    throw new APIError(`Invalid value for "${name}": ${value}`, 400);
+  }
+  return number;
+}
+
+/**
+ * Parse the paging, search and date range parameters common to all history endpoints
+ * Query: { page?, limit?, q?, from?, to? }
+ */
+export function parseHistoryQuery(query) {
+  const page = parseNumber(query.page, 'page', { integer: true });
+  const limit = parseNumber(query.limit, 'limit', { integer: true });
+
+  if ((page !== undefined && page < 1) || (limit !== undefined && limit < 1)) {
+    throw new APIError('"page" and "limit" must be positive integers', 400);
+  }
+
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+
+  if (from && to && from > to) {
+    throw new APIError('"from" must be before "to"', 400);
+  }
+
+  return {
+    page,
+    limit,
+    search: typeof query.q === 'string' && query.q.trim() ? query.q.trim() : undefined,
+    from,
+    to
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * LLM Error Classification
+ *
+ * Providers tag failed results with errorType so llmService can decide
+ * what to retry and what counts towards the circuit breaker.
+ */
+
+import axios from 'axios';
+
+export const LLM_ERROR_TYPES = {
+  CONNECTION: 'connection', // server unreachable or connection dropped
+  TIMEOUT: 'timeout',
+  SERVER: 'server',         // 5xx or 429 from the provider
+  CLIENT: 'client',         // 4xx - a bad request, retrying will not help
+  ABORTED: 'aborted',
+  CIRCUIT_OPEN: 'circuit_open', // rejected by llmService without calling the provider
+  QUEUE_FULL: 'queue_full',
+  UNKNOWN: 'unknown'
+};
+
+const CONNECTION_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE']);
+
+/**
+ * Error types worth retrying with backoff
+ */
+export const RETRYABLE_ERROR_TYPES = new Set([LLM_ERROR_TYPES.CONNECTION, LLM_ERROR_TYPES.SERVER]);
+
+/**
+ * Error types that mean the provider itself is unavailable
+ */
+export const OUTAGE_ERROR_TYPES = new Set([...RETRYABLE_ERROR_TYPES, LLM_ERROR_TYPES.TIMEOUT]);
+
+/**
+ * Classify an error thrown by a provider request
+ */
+export function classifyLLMError(error, signal = null) {
+  if (signal?.aborted || axios.isCancel(error)) {
+    return LLM_ERROR_TYPES.ABORTED;
+  }
+
+  if (error.code === 'ETIMEDOUT' || (error.code === 'ECONNABORTED' && /timeout/i.test(error.message))) {
+    return LLM_ERROR_TYPES.TIMEOUT;
+  }
+
+  if (CONNECTION_CODES.has(error.code)) {
+    return LLM_ERROR_TYPES.CONNECTION;
+  }
+
+  const status = error.response?.status;
+  if (status === 429 || status >= 500) {
+    return LLM_ERROR_TYPES.SERVER;
+  }
+  if (status >= 400) {
+    return LLM_ERROR_TYPES.CLIENT;
+  }
+
+  return LLM_ERROR_TYPES.UNKNOWN;
+}
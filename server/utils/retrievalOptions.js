@@ -0,0 +1,73 @@
+/**
+ * Retrieval Option Validation
+ *
+ * Checks the per-request options.retrieval settings for hybrid search
+ * and the options.filters metadata filters
+ */
+
+import { APIError } from './errorHandler.js';
+import { DIFFICULTY_LEVELS } from './constants.js';
+
+const FILTER_FIELDS = ['difficulty', 'tags', 'companies'];
+
+/**
+ * Validate options.retrieval: { denseWeight?, keywordWeight?, rrfK? }
+ */
+export function validateRetrievalOptions(retrieval) {
+  if (retrieval === undefined) {
+    return;
+  }
+
+  if (typeof retrieval !== 'object' || retrieval === null || Array.isArray(retrieval)) {
+    throw new APIError('options.retrieval must be an object', 400);
+  }
+
+  for (const field of ['denseWeight', 'keywordWeight']) {
+    const value = retrieval[field];
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      throw new APIError(`options.retrieval.${field} must be a non-negative number`, 400);
+    }
+  }
+
+  if (retrieval.denseWeight === 0 && retrieval.keywordWeight === 0) {
+    throw new APIError('options.retrieval needs at least one non-zero weight', 400);
+  }
+
+  if (retrieval.rrfK !== undefined && (typeof retrieval.rrfK !== 'number' || !(retrieval.rrfK > 0))) {
+    throw new APIError('options.retrieval.rrfK must be a positive number', 400);
+  }
+}
+
+/**
+ * Validate options.filters: { difficulty?, tags?, companies? }
+ * Each field is a string or an array of strings
+ */
+export function validateRetrievalFilters(filters) {
+  if (filters === undefined) {
+    return;
+  }
+
+  if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+    throw new APIError('options.filters must be an object', 400);
+  }
+
+  const unknown = Object.keys(filters).filter(field => !FILTER_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new APIError(`Unknown filter field(s): ${unknown.join(', ')}`, 400, { allowed: FILTER_FIELDS });
+  }
+
+  for (const field of FILTER_FIELDS) {
+    const value = filters[field];
+    const values = Array.isArray(value) ? value : [value];
+    if (value !== undefined && !values.every(v => typeof v === 'string' && v.trim())) {
+      throw new APIError(`options.filters.${field} must be a string or an array of strings`, 400);
+    }
+  }
+
+  const levels = Object.values(DIFFICULTY_LEVELS).map(level => level.toLowerCase());
+  const difficulties = [].concat(filters.difficulty ?? []);
+  const invalid = difficulties.filter(d => !levels.includes(d.trim().toLowerCase()));
+  if (invalid.length > 0) {
+    throw new APIError(`Invalid difficulty: ${invalid.join(', ')}`, 400, { allowed: Object.values(DIFFICULTY_LEVELS) });
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Server-Sent Events helpers
+ */
+
+/**
+ * Check whether the client asked for an event stream
+ */
+export function wantsEventStream(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Switch the response into SSE mode
+ * Returns { send, close, signal } - signal aborts when the client disconnects
+ */
+export function openEventStream(req, res) {
+  const controller = new AbortController();
+  let closed = false;
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable proxy buffering (nginx) so tokens reach the client immediately
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  res.on('close', () => {
+    if (!closed) {
+      closed = true;
+      controller.abort();
+    }
+  });
+
+  const stream = {
+    signal: controller.signal,
+
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    }
+  };
+
+  // Lets the error handler report failures after headers are sent
+  res.locals.eventStream = stream;
+
+  return stream;
+}
+
+/**
+ * AbortSignal for a plain JSON request that fires if the client disconnects before the response is sent
+ */
+export function disconnectSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * Map pipeline stream callbacks onto SSE events
+ */
+export function createStreamHandlers(stream) {
+  return {
+    signal: stream.signal,
+    onSources: (sources) => stream.send('sources', { sources }),
+    onToken: (text) => stream.send('token', { text }),
+    onSection: (field, value) => stream.send('section', { field, value }),
+    onQueue: (position) => stream.send('queue', { position }),
+    onExecution: (execution) => stream.send('execution', execution)
+  };
+}
+
+/**
+ * Send the final payload as JSON or as the closing SSE event
+ */
+export function sendResult(res, stream, payload) {
+  if (!stream) {
+    return res.json(payload);
+  }
+  stream.send('done', payload);
+  stream.close();
+}